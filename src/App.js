@@ -1,22 +1,101 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { flushSync } from 'react-dom';
 import ReactFlow, { 
   Background, 
   Controls, 
   MiniMap,
   ReactFlowProvider,
+  SelectionMode,
   useReactFlow
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 
 import TextMessageNode from './components/nodes/TextMessageNode';
+import ConditionalNode from './components/nodes/ConditionalNode';
+import UserInputNode from './components/nodes/UserInputNode';
+import ApiCallNode from './components/nodes/ApiCallNode';
+import MediaNode from './components/nodes/MediaNode';
+import DelayNode from './components/nodes/DelayNode';
+import StartNode from './components/nodes/StartNode';
+import SubflowNode from './components/nodes/SubflowNode';
+import EndNode from './components/nodes/EndNode';
 import NodesPanel from './components/panels/NodesPanel';
 import SettingsPanel from './components/panels/SettingsPanel';
+import PreviewPanel from './components/panels/PreviewPanel';
+import FlowLibraryPanel from './components/panels/FlowLibraryPanel';
+import HistoryPanel from './components/panels/HistoryPanel';
+import ProblemsPanel from './components/panels/ProblemsPanel';
+import VariablesPanel from './components/panels/VariablesPanel';
 import Modal from './components/Modal';
+import CommandPalette from './components/CommandPalette';
+import SearchBar from './components/SearchBar';
 
 // Hooks and utilities
 import { useFlowManager } from './hooks/useFlowManager';
-import { NODE_CONFIGS } from './constants/nodeTypes';
-import { generateId } from './utils/flowUtils'; 
+import { useFlowHistory } from './hooks/useFlowHistory';
+import { useFlowSimulator } from './hooks/useFlowSimulator';
+import { useFlowLibrary } from './hooks/useFlowLibrary';
+import { useFlowSearch } from './hooks/useFlowSearch';
+import { useCanvasKeyboard } from './hooks/useCanvasKeyboard';
+import {
+  CHANNEL_PROFILES,
+  DEFAULT_CHANNEL,
+  DEFAULT_LOCALE,
+  LOCALE_LABELS,
+  MESSAGE_FORMATS,
+  MESSAGE_FORMAT_LABELS,
+  NODE_CONFIGS,
+  TRANSLATION_FORMATS,
+  TRANSLATION_FORMAT_LABELS
+} from './constants/nodeTypes';
+import {
+  generateId,
+  deepClone,
+  formatFlowData,
+  getFlowSignature,
+  parseFlowData,
+  debounce
+} from './utils/flowUtils';
+import { collectCapturedVariables } from './utils/conversationUtils';
+import { replaceMatches } from './utils/flowSearch';
+import { diffFlows } from './utils/flowDiff';
+import { LAYOUT_DIRECTIONS, computeLayeredLayout } from './utils/flowLayout';
+import {
+  PASTE_OFFSET,
+  createClipboardText,
+  instantiateSelection,
+  parseClipboardText
+} from './utils/clipboardUtils';
+import {
+  ISSUE_SEVERITY,
+  validateFlowGraph,
+  getNodeIssueSeverities
+} from './utils/flowValidation';
+import {
+  collectSubflows,
+  getSubflowReferences,
+  remapSubflowReferences,
+  resolveSubflows
+} from './utils/subflowUtils';
+import {
+  createFlowExport,
+  getExportFileName,
+  downloadFlowFile,
+  downloadTextFile,
+  readFlowFile,
+  validateImportedFlow,
+  remapImportedFlow,
+  restoreBundledSubflows
+} from './utils/flowFileUtils';
+import {
+  applyTranslations,
+  createTranslationCsv,
+  createTranslationXliff,
+  getMessageTextChanges,
+  getTranslationLocales,
+  isTranslationMissing,
+  readTranslationFile
+} from './utils/translationUtils';
 import FlowStorageManager from './utils/storageManager';
 
 import './App.css';
@@ -26,13 +105,75 @@ import './App.css';
  * Extensible mapping of node type strings to their corresponding React components
  */
 const nodeTypes = {
+  start: StartNode,
   textMessage: TextMessageNode,
-  // Future node types can be added here:
-  // conditional: ConditionalNode,
-  // apiCall: ApiCallNode,
-  // userInput: UserInputNode,
+  conditional: ConditionalNode,
+  userInput: UserInputNode,
+  apiCall: ApiCallNode,
+  media: MediaNode,
+  delay: DelayNode,
+  subflow: SubflowNode,
+  end: EndNode,
+  // Future node types can be added here
+};
+
+// Name given to flows created without one (first launch, after deleting the last flow)
+const DEFAULT_FLOW_NAME = 'Untitled flow';
+
+// Import problems listed in the error modal before the rest are summarised
+const MAX_REPORTED_IMPORT_ERRORS = 20;
+
+// Quiet period after the last edit before a draft is autosaved
+const AUTOSAVE_DELAY_MS = 1500;
+
+// How long nodes take to glide to their auto-arranged positions
+const LAYOUT_ANIMATION_MS = 400;
+
+/**
+ * Find an autosaved draft that differs from the saved version of a flow
+ * Drafts identical to the saved version are obsolete and removed.
+ * 
+ * @param {string} flowId - Flow ID
+ * @param {Object} saved - Saved version ({ nodes, edges, variables })
+ * @returns {Object|null} Draft result ({ data, savedAt }) or null
+ */
+const findRecoverableDraft = (flowId, saved) => {
+  const draft = FlowStorageManager.getDraft(flowId);
+  if (!draft.data) return null;
+
+  const draftSignature = getFlowSignature(draft.data.nodes, draft.data.edges, draft.data.variables);
+  if (draftSignature === getFlowSignature(saved.nodes, saved.edges, saved.variables)) {
+    FlowStorageManager.clearDraft(flowId);
+    return null;
+  }
+  return draft;
+};
+
+/**
+ * Add imported variable definitions to the registry
+ * Existing definitions win when names collide.
+ * 
+ * @param {Array} currentVariables - Registry of the flow on the canvas
+ * @param {Array} importedVariables - Registry of the imported flow
+ * @returns {Array} Merged registry
+ */
+const mergeVariables = (currentVariables, importedVariables) => {
+  const existingNames = new Set(currentVariables.map((variable) => variable.name));
+  const additions = importedVariables.filter((variable) => !existingNames.has(variable.name));
+  return additions.length > 0 ? [...currentVariables, ...additions] : currentVariables;
 };
 
+/**
+ * Move nodes to new positions
+ * 
+ * @param {Array} nodes - Flow nodes
+ * @param {Map} positions - New positions by node ID; other nodes stay put
+ * @returns {Array} Updated nodes
+ */
+const placeNodes = (nodes, positions) => nodes.map((node) =>
+  positions.has(node.id) ? { ...node, position: positions.get(node.id) } : node
+);
+
 /**
  * Enhanced Flow Builder Component
  * 
@@ -65,10 +206,41 @@ function FlowBuilder() {
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
   
+  // Flow-level variable registry ({ name, type, defaultValue })
+  const [variables, setVariables] = useState([]);
+  
   // UI state management
   const [selectedNode, setSelectedNode] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  // Auxiliary side panel ('library', 'history', 'problems' or 'variables') shown in place of the nodes/settings panels
+  const [activePanel, setActivePanel] = useState(null);
+  
+  // Saved snapshots of the active flow and the one being compared with the canvas
+  const [snapshots, setSnapshots] = useState([]);
+  const [selectedSnapshotId, setSelectedSnapshotId] = useState(null);
+  
+  // Signature of the flow as last saved, used to detect unsaved changes
+  const [savedSignature, setSavedSignature] = useState(null);
+  
+  // When unsaved edits were last autosaved as a draft
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  
+  // Flows opened on the way to the active one through Go to Flow nodes ({ id, name }), outermost first
+  const [flowTrail, setFlowTrail] = useState([]);
+  
+  // Direction used by Auto-arrange (see LAYOUT_DIRECTIONS)
+  const [layoutDirection, setLayoutDirection] = useState(LAYOUT_DIRECTIONS.LEFT_TO_RIGHT);
+  
+  // Format message text is converted to on export (see MESSAGE_FORMATS)
+  const [exportFormat, setExportFormat] = useState(MESSAGE_FORMATS.MARKDOWN);
+  
+  // Language the canvas shows and edits messages in (see LOCALE_LABELS)
+  const [displayLocale, setDisplayLocale] = useState(DEFAULT_LOCALE);
+  
+  // File format translations are exported in (see TRANSLATION_FORMATS)
+  const [translationFormat, setTranslationFormat] = useState(TRANSLATION_FORMATS.CSV);
   
   // Modal state for user feedback
   const [modalState, setModalState] = useState({
@@ -87,20 +259,186 @@ function FlowBuilder() {
   // ========================================================================================
   
   const reactFlowWrapper = useRef(null);
+  const importInputRef = useRef(null);
+  const translationInputRef = useRef(null);
+  // Set once the autosaved draft was offered, so initialization never asks twice
+  const draftRecoveryOfferedRef = useRef(false);
   const reactFlowInstance = useReactFlow();
 
   // ========================================================================================
   // CUSTOM HOOKS FOR FLOW MANAGEMENT
   // ========================================================================================
   
+  // Undo/redo history shared by every canvas edit
+  const history = useFlowHistory(nodes, edges, variables, setNodes, setEdges, setVariables);
+  const { record: recordHistory, undo, redo, clearHistory } = history;
+
   // Comprehensive flow management with validation and connection rules
   const {
     onNodesChange,
     onEdgesChange,
     onConnect,
+    isValidConnection,
+    removeHandleEdges,
     updateNodeData,
+    addNodes,
+    deleteNodes,
     validateFlow,
-  } = useFlowManager(nodes, edges, setNodes, setEdges);
+  } = useFlowManager(nodes, edges, setNodes, setEdges, history);
+
+  // Library of named flows
+  const library = useFlowLibrary();
+  const {
+    refresh: refreshLibrary,
+    setActiveFlow,
+    createFlow,
+    renameFlow,
+    setFlowChannel,
+    duplicateFlow,
+    deleteFlow,
+  } = library;
+  const activeFlowName = library.activeFlow?.name || DEFAULT_FLOW_NAME;
+  // Channel the open flow is built for; its limits drive the counters and validation
+  const activeChannel = library.activeFlow?.channel || DEFAULT_CHANNEL;
+
+  /**
+   * Read the saved version of a library flow, for Go to Flow nodes
+   * Runs during render (subflow resolution) and export, so it uses the
+   * read-only load: flows in an older schema are upgraded in memory only.
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {Object|null} { id, name, nodes, edges, variables, metadata } or null if missing
+   */
+  const loadSubflowData = useCallback((flowId) => {
+    const entry = library.flows.find((flow) => flow.id === flowId);
+    if (!entry) return null;
+
+    const result = FlowStorageManager.loadFlow(flowId);
+    if (!result.success || !result.data) return null;
+
+    return {
+      id: flowId,
+      name: entry.name,
+      nodes: result.data.nodes || [],
+      edges: result.data.edges || [],
+      variables: result.data.variables || [],
+      metadata: result.data.metadata
+    };
+  }, [library.flows]);
+
+  // Interactive chat preview of the flow
+  const simulator = useFlowSimulator(nodes, edges, variables, loadSubflowData);
+  const { start: startSimulation, stop: stopSimulation } = simulator;
+
+  // Find and replace across the flow (Ctrl/Cmd+F)
+  const search = useFlowSearch(nodes, edges);
+  const { open: openSearch, close: closeSearch } = search;
+
+  // Flows the Go to Flow nodes point at, looked up again only when the
+  // referenced flows or the library change
+  const subflowReferenceKey = getSubflowReferences(nodes).join('\n');
+  const subflowTargets = useMemo(
+    () => resolveSubflows(
+      subflowReferenceKey ? subflowReferenceKey.split('\n') : [],
+      library.activeFlowId,
+      loadSubflowData
+    ),
+    [subflowReferenceKey, library.activeFlowId, loadSubflowData]
+  );
+
+  /**
+   * Look up a flow a Go to Flow node could point at
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {Object|null} { name, interface, recursion } or null if missing
+   */
+  const resolveSubflow = useCallback(
+    (flowId) => resolveSubflows([flowId], library.activeFlowId, loadSubflowData).get(flowId) || null,
+    [library.activeFlowId, loadSubflowData]
+  );
+
+  /**
+   * Re-read the snapshots of the active flow from storage
+   */
+  const refreshSnapshots = useCallback(() => {
+    if (!library.activeFlowId) {
+      setSnapshots([]);
+      return;
+    }
+    const result = FlowStorageManager.listSnapshots(library.activeFlowId);
+    setSnapshots(result.success ? result.data : []);
+  }, [library.activeFlowId]);
+
+  // ========================================================================================
+  // MODAL MANAGEMENT
+  // ========================================================================================
+  
+  /**
+   * Show modal with specified configuration
+   * Centralized modal management for consistent user feedback
+   * 
+   * @param {string} type - Modal type ('success', 'error', 'warning', 'info', 'confirm')
+   * @param {string} title - Modal title
+   * @param {string} message - Modal message content
+   * @param {Object} options - Additional options for confirm modals
+   */
+  const showModal = useCallback((type, title, message, options = {}) => {
+    console.log('showModal called:', { type, title, message, options });
+    setModalState({
+      isOpen: true,
+      type,
+      title,
+      message,
+      onConfirm: options.onConfirm,
+      onCancel: options.onCancel,
+      confirmLabel: options.confirmLabel,
+      cancelLabel: options.cancelLabel,
+      details: options.details
+    });
+  }, []);
+
+  /**
+   * Offer to put an autosaved draft back on the canvas
+   * Recovering keeps the saved version untouched, so the flow shows as unsaved;
+   * discarding deletes the draft.
+   * 
+   * @param {string} flowId - ID of the flow that was loaded
+   * @param {string} flowName - Flow name, for the prompt
+   * @param {Object} saved - Saved version ({ nodes, edges, variables })
+   */
+  const offerDraftRecovery = useCallback((flowId, flowName, saved) => {
+    const draft = findRecoverableDraft(flowId, saved);
+    if (!draft) return;
+
+    const savedAtLabel = draft.savedAt ? ` from ${new Date(draft.savedAt).toLocaleString()}` : '';
+    showModal('confirm', 'Recover Unsaved Draft?',
+      `"${flowName}" has changes${savedAtLabel} that were never saved. Do you want to recover them?`, {
+        onConfirm: () => {
+          const { nodes: draftNodes, edges: draftEdges, variables: draftVariables } = parseFlowData(draft.data);
+          setNodes(draftNodes);
+          setEdges(draftEdges);
+          setVariables(draftVariables);
+          setDraftSavedAt(draft.savedAt);
+        },
+        onCancel: () => {
+          FlowStorageManager.clearDraft(flowId);
+        },
+        confirmLabel: 'Recover Draft',
+        cancelLabel: 'Discard Draft'
+      });
+  }, [showModal]);
+
+  /**
+   * Close modal and reset state
+   */
+  const closeModal = useCallback(() => {
+    setModalState({
+      isOpen: false,
+      type: 'info',
+      title: '',
+      message: ''
+    });
+  }, []);
 
   // ========================================================================================
   // INITIALIZATION AND DATA LOADING
@@ -108,7 +446,8 @@ function FlowBuilder() {
   
   /**
    * Initialize application with saved flow data
-   * Loads previously saved flow from localStorage on component mount
+   * Loads the active flow of the library from localStorage on component mount,
+   * creating an empty flow on first launch so there is always one to save into
    */
   useEffect(() => {
     const initializeFlow = async () => {
@@ -117,21 +456,57 @@ function FlowBuilder() {
         
         // Attempt to load existing flow data
         const loadResult = FlowStorageManager.getCurrentFlow();
+        let loadedNodes = [];
+        let loadedEdges = [];
+        let loadedVariables = [];
         
         if (loadResult.success && loadResult.data) {
           // Successfully loaded existing flow
-          setNodes(loadResult.data.nodes || []);
-          setEdges(loadResult.data.edges || []);
+          loadedNodes = loadResult.data.nodes || [];
+          loadedEdges = loadResult.data.edges || [];
+          loadedVariables = loadResult.data.variables || [];
+          setNodes(loadedNodes);
+          setEdges(loadedEdges);
+          setVariables(loadedVariables);
           
           // Show success message if loaded from backup
           if (loadResult.warning) {
             showModal('warning', 'Flow Restored', 
-              'Your flow was restored from backup. The original data may have been corrupted.');
+              'Your flow was restored from its latest snapshot. The original data may have been corrupted.');
+          } else if (loadResult.migration && loadResult.migration.changes.length > 0) {
+            showModal('info', 'Flow Upgraded',
+              `Your flow was saved in an older format (schema ${loadResult.migration.fromVersion}) and has been upgraded:`,
+              { details: loadResult.migration.changes });
           }
         } else if (loadResult.error && loadResult.code !== 'NO_SAVED_FLOW') {
           console.error('Failed to load flow:', loadResult.error);
           showModal('error', 'Loading Error', 
-            `Failed to load your saved flow: ${loadResult.error}`);
+            `Failed to load your saved flow: ${loadResult.error} A new empty flow was opened so the saved one is left untouched.`);
+        }
+
+        // Never make an unreadable flow active - saving would overwrite it
+        let activeFlowId = loadResult.success ? loadResult.flowId : null;
+        if (!activeFlowId) {
+          const created = FlowStorageManager.createFlow(
+            FlowStorageManager.getAvailableFlowName(DEFAULT_FLOW_NAME)
+          );
+          activeFlowId = created.success ? created.data.id : null;
+        }
+        if (activeFlowId) {
+          setActiveFlow(activeFlowId);
+        }
+        const flows = refreshLibrary();
+        setSavedSignature(getFlowSignature(loadedNodes, loadedEdges, loadedVariables));
+
+        // Unsaved edits autosaved before the tab was closed
+        if (activeFlowId && !draftRecoveryOfferedRef.current) {
+          draftRecoveryOfferedRef.current = true;
+          const activeFlowEntry = flows.find((flow) => flow.id === activeFlowId);
+          offerDraftRecovery(activeFlowId, activeFlowEntry?.name || DEFAULT_FLOW_NAME, {
+            nodes: loadedNodes,
+            edges: loadedEdges,
+            variables: loadedVariables
+          });
         }
         
         // Initialize React Flow after loading data
@@ -151,44 +526,7 @@ function FlowBuilder() {
     };
 
     initializeFlow();
-  }, [reactFlowInstance]);
-
-  // ========================================================================================
-  // MODAL MANAGEMENT
-  // ========================================================================================
-  
-  /**
-   * Show modal with specified configuration
-   * Centralized modal management for consistent user feedback
-   * 
-   * @param {string} type - Modal type ('success', 'error', 'warning', 'info', 'confirm')
-   * @param {string} title - Modal title
-   * @param {string} message - Modal message content
-   * @param {Object} options - Additional options for confirm modals
-   */
-  const showModal = useCallback((type, title, message, options = {}) => {
-    console.log('showModal called:', { type, title, message, options });
-    setModalState({
-      isOpen: true,
-      type,
-      title,
-      message,
-      onConfirm: options.onConfirm,
-      onCancel: options.onCancel
-    });
-  }, []);
-
-  /**
-   * Close modal and reset state
-   */
-  const closeModal = useCallback(() => {
-    setModalState({
-      isOpen: false,
-      type: 'info',
-      title: '',
-      message: ''
-    });
-  }, []);
+  }, [reactFlowInstance, setActiveFlow, refreshLibrary, offerDraftRecovery, showModal]);
 
   // ========================================================================================
   // NODE INTERACTION HANDLERS
@@ -204,6 +542,7 @@ function FlowBuilder() {
   const onNodeClick = useCallback((event, node) => {
     setSelectedNode(node);
     setShowSettings(true);
+    setActivePanel(null);
     setSaveError(null); // Clear any existing save errors
     
     // Add visual feedback class (can be used for animations)
@@ -252,7 +591,8 @@ function FlowBuilder() {
         y: Math.round(position.y)
       },
       data: {
-        ...nodeConfig.defaultData,
+        // Deep copy so nodes never share nested defaults (e.g. condition lists)
+        ...deepClone(nodeConfig.defaultData),
         id: nodeId,
         createdAt: new Date().toISOString(),
         lastModified: new Date().toISOString()
@@ -280,6 +620,7 @@ function FlowBuilder() {
       return;
     }
 
+    recordHistory('Add node');
     setNodes((prevNodes) => {
       const updatedNodes = [...prevNodes, newNode];
       return updatedNodes;
@@ -287,7 +628,281 @@ function FlowBuilder() {
 
     // Clear any existing save errors when adding nodes
     setSaveError(null);
-  }, []);
+  }, [recordHistory]);
+
+  // ========================================================================================
+  // IMPORT AND EXPORT
+  // ========================================================================================
+  
+  /**
+   * Download the flow on the canvas (including unsaved edits) as a .json file
+   * Message text is converted to the chosen export format.
+   */
+  const handleExport = useCallback(() => {
+    if (nodes.length === 0) {
+      showModal('info', 'Nothing to Export', 'Your flow is empty. Add some nodes before exporting it.');
+      return;
+    }
+
+    // Flows used by Go to Flow nodes travel with the file
+    downloadFlowFile(
+      createFlowExport(nodes, edges, activeFlowName, variables,
+        collectSubflows(nodes, library.activeFlowId, loadSubflowData), exportFormat, activeChannel),
+      getExportFileName(activeFlowName)
+    );
+  }, [nodes, edges, variables, activeFlowName, activeChannel, library.activeFlowId, loadSubflowData, exportFormat, showModal]);
+
+  /**
+   * Validate imported flow data and add it to the canvas
+   * An empty canvas takes the flow as-is; otherwise the imported nodes are
+   * merged in with fresh IDs after confirmation. Either way it is one undo step.
+   * Imported variables are added to the registry unless one with the same
+   * name already exists. Flows bundled for Go to Flow nodes are added to
+   * the library when it doesn't have them.
+   * 
+   * @param {Object} flowData - Parsed file contents
+   * @param {string} fileName - Name of the imported file, for messages
+   */
+  const importFlowData = useCallback((importedData, fileName) => {
+    const validation = validateImportedFlow(importedData);
+    if (!validation.isValid) {
+      const details = validation.errors
+        .slice(0, MAX_REPORTED_IMPORT_ERRORS)
+        .map((error) => error.message);
+      const hiddenCount = validation.errors.length - details.length;
+      if (hiddenCount > 0) {
+        details.push(`...and ${hiddenCount} more problem${hiddenCount !== 1 ? 's' : ''}`);
+      }
+
+      showModal('error', 'Import Failed',
+        `"${fileName}" is not a valid flow file. Nothing was imported.`, { details });
+      return;
+    }
+
+    // Flow data upgraded to the current schema
+    const flowData = validation.data;
+    const upgradeNote = validation.migration && validation.migration.changes.length > 0
+      ? ` The file uses an older format (schema ${validation.migration.fromVersion}) and will be upgraded:`
+      : '';
+    const upgradeDetails = upgradeNote ? { details: validation.migration.changes } : {};
+
+    const importedNodeCount = flowData.nodes.length;
+    const importedEdgeCount = flowData.edges.length;
+    if (importedNodeCount === 0) {
+      showModal('info', 'Nothing to Import', `"${fileName}" does not contain any nodes.`);
+      return;
+    }
+
+    /**
+     * Add the bundled subflows to the library
+     * 
+     * @returns {Object} Flow data with Go to Flow nodes pointing at them, and
+     *   notes describing what was added (or left out)
+     */
+    const restoreSubflows = () => {
+      const bundled = restoreBundledSubflows(Array.isArray(flowData.subflows) ? flowData.subflows : []);
+      if (bundled.restored.length > 0) {
+        refreshLibrary();
+      }
+      return {
+        flowData: { ...flowData, nodes: remapSubflowReferences(flowData.nodes, bundled.idMap) },
+        notes: [
+          ...bundled.restored.map((name) => `Added "${name}" to your library for its Go to Flow nodes`),
+          ...bundled.failed
+        ]
+      };
+    };
+
+    /**
+     * Tell the user which linked flows were added to the library
+     * 
+     * @param {Array} notes - Notes returned by restoreSubflows
+     */
+    const reportSubflows = (notes) => {
+      if (notes.length > 0) {
+        showModal('info', 'Linked Flows Imported',
+          `"${fileName}" uses other flows through Go to Flow nodes:`, { details: notes });
+      }
+    };
+
+    const fitImportedFlow = () => {
+      setTimeout(() => {
+        if (reactFlowInstance) {
+          reactFlowInstance.fitView();
+        }
+      }, 100);
+    };
+
+    if (nodes.length === 0) {
+      const restored = restoreSubflows();
+      const {
+        nodes: importedNodes,
+        edges: importedEdges,
+        variables: importedVariables
+      } = parseFlowData(restored.flowData);
+      recordHistory('Import flow');
+      setNodes(importedNodes);
+      setEdges(importedEdges);
+      setVariables((prevVariables) => mergeVariables(prevVariables, importedVariables));
+      setSaveError(null);
+      fitImportedFlow();
+
+      if (upgradeNote) {
+        showModal('info', 'Flow Upgraded',
+          `"${fileName}" was exported in an older format (schema ${validation.migration.fromVersion}) and has been upgraded:`,
+          { details: [...validation.migration.changes, ...restored.notes] });
+      } else {
+        reportSubflows(restored.notes);
+      }
+      return;
+    }
+
+    showModal('confirm', 'Merge Imported Flow',
+      `Add the ${importedNodeCount} node${importedNodeCount !== 1 ? 's' : ''} and ${importedEdgeCount} connection${importedEdgeCount !== 1 ? 's' : ''} from "${fileName}" to "${activeFlowName}"? They will be placed to the right of your existing nodes. You can undo this with Ctrl+Z.${upgradeNote}`, {
+        ...upgradeDetails,
+        onConfirm: () => {
+          const restored = restoreSubflows();
+          const merged = remapImportedFlow(restored.flowData, nodes);
+          recordHistory('Import flow');
+          setNodes((prevNodes) => [...prevNodes, ...merged.nodes]);
+          setEdges((prevEdges) => [...prevEdges, ...merged.edges]);
+          setVariables((prevVariables) => mergeVariables(prevVariables, parseFlowData(flowData).variables));
+          setSaveError(null);
+          fitImportedFlow();
+          reportSubflows(restored.notes);
+        },
+        confirmLabel: 'Merge'
+      });
+  }, [nodes, activeFlowName, recordHistory, refreshLibrary, showModal, reactFlowInstance]);
+
+  /**
+   * Read a flow file chosen in the file picker or dropped on the canvas
+   * 
+   * @param {File} file - Flow file
+   */
+  const handleImportFile = useCallback(async (file) => {
+    const result = await readFlowFile(file);
+    if (!result.success) {
+      showModal('error', 'Import Failed', result.error);
+      return;
+    }
+    importFlowData(result.data, file.name);
+  }, [importFlowData, showModal]);
+
+  /**
+   * Handle a file chosen in the hidden file picker
+   * 
+   * @param {Event} event - Change event from the file input
+   */
+  const handleImportInputChange = useCallback((event) => {
+    const file = event.target.files && event.target.files[0];
+    // Reset so choosing the same file again still triggers a change
+    event.target.value = '';
+    if (file) {
+      handleImportFile(file);
+    }
+  }, [handleImportFile]);
+
+  // ========================================================================================
+  // TRANSLATIONS
+  // ========================================================================================
+  
+  // Messages with no translation in the language shown on the canvas
+  const missingTranslationCount = useMemo(
+    () => nodes.filter((node) => isTranslationMissing(node.data, displayLocale)).length,
+    [nodes, displayLocale]
+  );
+
+  /**
+   * Download every message of the flow for translators
+   * CSV holds every language in use (and the one on the canvas); XLIFF
+   * holds the language on the canvas.
+   */
+  const handleExportTranslations = useCallback((format = translationFormat) => {
+    if (!nodes.some((node) => node.type === 'textMessage' && (node.data?.text || '').trim())) {
+      showModal('info', 'Nothing to Translate', 'This flow has no messages with text yet.');
+      return;
+    }
+
+    if (format === TRANSLATION_FORMATS.XLIFF) {
+      if (displayLocale === DEFAULT_LOCALE) {
+        showModal('info', 'Choose a Language',
+          'An XLIFF file holds one target language. Choose the language to translate into in the header first.');
+        return;
+      }
+      downloadTextFile(
+        createTranslationXliff(nodes, displayLocale, activeFlowName),
+        getExportFileName(`${activeFlowName} ${displayLocale}`, 'xlf'),
+        'application/xliff+xml'
+      );
+      return;
+    }
+
+    const locales = getTranslationLocales(nodes);
+    if (displayLocale !== DEFAULT_LOCALE && !locales.includes(displayLocale)) {
+      locales.push(displayLocale);
+    }
+    downloadTextFile(
+      createTranslationCsv(nodes, locales),
+      getExportFileName(`${activeFlowName} translations`, 'csv'),
+      'text/csv'
+    );
+  }, [nodes, displayLocale, activeFlowName, translationFormat, showModal]);
+
+  /**
+   * Add the translations from a CSV or XLIFF file to the flow's messages
+   * Applied as one undo step; the canvas switches to the imported
+   * language when the file holds just one.
+   * 
+   * @param {File} file - Translation file
+   */
+  const handleImportTranslations = useCallback(async (file) => {
+    const result = await readTranslationFile(file);
+    if (!result.success) {
+      showModal('error', 'Import Failed', result.error);
+      return;
+    }
+
+    const { entries, skippedLocales } = result.data;
+    const applied = applyTranslations(nodes, entries);
+    const notes = [
+      ...skippedLocales.map((locale) => `Skipped "${locale}": not a supported language`),
+      ...applied.unknownKeys.map((key) => `Skipped "${key}": no such message in this flow`),
+      ...applied.placeholderMismatches
+    ];
+
+    if (applied.updatedCount === 0) {
+      showModal('info', 'No Translations Imported',
+        `"${file.name}" has no new translations for the messages in this flow.`,
+        notes.length > 0 ? { details: notes } : {});
+      return;
+    }
+
+    recordHistory('Import translations');
+    setNodes(applied.nodes);
+    if (applied.locales.length === 1) {
+      setDisplayLocale(applied.locales[0]);
+    }
+
+    const languages = applied.locales.map((locale) => LOCALE_LABELS[locale]).join(', ');
+    showModal('success', 'Translations Imported',
+      `Updated ${applied.updatedCount} translation${applied.updatedCount !== 1 ? 's' : ''} (${languages}) from "${file.name}". You can undo this with Ctrl+Z.`,
+      notes.length > 0 ? { details: notes } : {});
+  }, [nodes, recordHistory, showModal]);
+
+  /**
+   * Handle a file chosen in the hidden translation file picker
+   * 
+   * @param {Event} event - Change event from the file input
+   */
+  const handleTranslationInputChange = useCallback((event) => {
+    const file = event.target.files && event.target.files[0];
+    // Reset so choosing the same file again still triggers a change
+    event.target.value = '';
+    if (file) {
+      handleImportTranslations(file);
+    }
+  }, [handleImportTranslations]);
 
   // ========================================================================================
   // DRAG AND DROP FUNCTIONALITY
@@ -299,7 +914,9 @@ function FlowBuilder() {
    */
   const onDragOver = useCallback((event) => {
     event.preventDefault();
-    event.dataTransfer.dropEffect = 'move';
+    // Files dragged from the desktop are copied in (imported), nodes are moved
+    const isFileDrag = Array.from(event.dataTransfer.types || []).includes('Files');
+    event.dataTransfer.dropEffect = isFileDrag ? 'copy' : 'move';
     
     // Add visual feedback class for drag over state
     if (reactFlowWrapper.current) {
@@ -322,6 +939,12 @@ function FlowBuilder() {
         reactFlowWrapper.current.classList.remove('drag-over');
       }
 
+      // A flow file dropped onto the canvas is imported
+      if (event.dataTransfer.files && event.dataTransfer.files.length > 0) {
+        handleImportFile(event.dataTransfer.files[0]);
+        return;
+      }
+
       // Get the dragged node type
       const nodeType = event.dataTransfer.getData('application/reactflow');
       
@@ -361,7 +984,7 @@ function FlowBuilder() {
         addNode(newNode);
       }
     },
-    [reactFlowInstance, createNewNode, addNode] 
+    [reactFlowInstance, createNewNode, addNode, handleImportFile] 
   );
 
   /**
@@ -392,19 +1015,27 @@ function FlowBuilder() {
       setSaveError(null);
 
       // Validate flow before saving
-      const validation = validateFlow();
+      const validation = validateFlow(variables, { subflows: subflowTargets, channel: activeChannel });
       if (!validation.isValid) {
         console.log('Manual save validation failed, showing modal');
-        // Show the actual validation error message
-        showModal('error', 'Cannot Save Flow', validation.error);
+        // Show the actual validation error message and list every error
+        showModal('error', 'Cannot Save Flow', validation.error, {
+          details: validation.errorCount > 1
+            ? validation.issues
+              .filter((issue) => issue.severity === ISSUE_SEVERITY.ERROR)
+              .map((issue) => issue.message)
+            : undefined
+        });
+        if (!isPreviewing) {
+          setActivePanel('problems');
+        }
         return { success: false, message: validation.error };
       }
 
+      // Persist only the flow content, not React Flow's runtime state
       const flowData = {
-        nodes,
-        edges,
+        ...formatFlowData(nodes, edges, variables),
         metadata: {
-          version: '1.0.0',
           createdAt: new Date().toISOString(),
           nodeCount: nodes.length,
           edgeCount: edges.length,
@@ -414,6 +1045,10 @@ function FlowBuilder() {
       const result = await FlowStorageManager.saveCurrentFlow(flowData);
       
       if (result.success) {
+        setSavedSignature(getFlowSignature(nodes, edges, variables));
+        setActiveFlow(result.data.metadata.flowId);
+        refreshLibrary();
+        refreshSnapshots();
         showModal('success', 'Flow Saved Successfully', 'Your chatbot flow has been saved successfully! You can continue editing or come back later to make changes.');
         return { success: true };
       } else {
@@ -430,7 +1065,7 @@ function FlowBuilder() {
     } finally {
       setIsSaving(false);
     }
-  }, [validateFlow, nodes, edges, showModal]);
+  }, [validateFlow, nodes, edges, variables, subflowTargets, activeChannel, showModal, isPreviewing, setActiveFlow, refreshLibrary, refreshSnapshots]);
 
   // ========================================================================================
   // RESET FUNCTIONALITY
@@ -449,11 +1084,12 @@ function FlowBuilder() {
       return;
     }
     
-    const confirmMessage = `Are you sure you want to remove all ${nodeCount} node${nodeCount !== 1 ? 's' : ''} and ${edgeCount} connection${edgeCount !== 1 ? 's' : ''}? This action cannot be undone.`;
+    const confirmMessage = `Are you sure you want to remove all ${nodeCount} node${nodeCount !== 1 ? 's' : ''} and ${edgeCount} connection${edgeCount !== 1 ? 's' : ''}? You can undo this with Ctrl+Z.`;
     
     showModal('confirm', 'Reset All Nodes', confirmMessage, {
       onConfirm: () => {
         // Clear all nodes and edges
+        recordHistory('Reset all');
         setNodes([]);
         setEdges([]);
         setSelectedNode(null);
@@ -467,41 +1103,813 @@ function FlowBuilder() {
       },
       onCancel: () => {
         console.log('Reset cancelled by user');
-      }
+      },
+      confirmLabel: 'Reset All'
     });
-  }, [nodes, edges, showModal]);
+  }, [nodes, edges, showModal, recordHistory]);
 
   // ========================================================================================
-  // TEXT EDITING FUNCTIONALITY
+  // AUTO-ARRANGE
   // ========================================================================================
-  
+
+  // Layout animation in progress: { frame (request ID), targets (final positions by node ID) }
+  const layoutAnimationRef = useRef(null);
+
   /**
-   * Global function for inline text editing
-   * Attached to window object for access from TextMessageNode components
+   * Stop a running layout animation, putting the nodes at their final positions
+   * The nodes are rendered at once, so history records the finished layout
+   * and the remaining frames never overwrite an undo.
+   * 
+   * @returns {Map|null} Final positions of the stopped animation, or null if none was running
    */
-  useEffect(() => {
-    window.updateNodeText = (nodeId, newText) => {
-      updateNodeData(nodeId, { 
-        text: newText,
-        lastModified: new Date().toISOString()
-      });
-    };
+  const finishLayoutAnimation = useCallback(() => {
+    const animation = layoutAnimationRef.current;
+    if (!animation) return null;
 
-    // Cleanup on unmount
-    return () => {
-      delete window.updateNodeText;
-    };
-  }, [updateNodeData]);
+    cancelAnimationFrame(animation.frame);
+    layoutAnimationRef.current = null;
+    flushSync(() => {
+      setNodes((prevNodes) => placeNodes(prevNodes, animation.targets));
+    });
+    return animation.targets;
+  }, []);
 
   /**
-   * Set up mobile touch drop event handler
-   * Listens for custom mobile drop events from the NodesPanel
+   * Arrange every node as a layered graph in the chosen direction
+   * Nodes glide to their new positions; the whole move is one undo step.
    */
-  useEffect(() => {
-    const handleMobileDrop = (event) => {
-      console.log('Mobile drop event received:', event.detail);
-      
-      const { nodeType, clientX, clientY } = event.detail;
+  const handleAutoArrange = useCallback(() => {
+    if (nodes.length === 0) return;
+
+    // Arranging again mid-animation starts from the finished layout
+    const finishedTargets = finishLayoutAnimation();
+    const currentNodes = finishedTargets ? placeNodes(nodes, finishedTargets) : nodes;
+
+    const targets = computeLayeredLayout(currentNodes, edges, layoutDirection);
+    const origins = new Map(currentNodes.map((node) => [node.id, node.position]));
+    const unchanged = currentNodes.every((node) =>
+      targets.get(node.id).x === node.position.x && targets.get(node.id).y === node.position.y
+    );
+    if (unchanged) return;
+
+    recordHistory('Auto-arrange');
+    setSaveError(null);
+
+    const fitArrangedFlow = () => {
+      if (reactFlowInstance) {
+        reactFlowInstance.fitView({ duration: 300 });
+      }
+    };
+
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    if (reduceMotion) {
+      setNodes((prevNodes) => placeNodes(prevNodes, targets));
+      setTimeout(fitArrangedFlow, 0);
+      return;
+    }
+
+    const startTime = performance.now();
+    const step = (now) => {
+      const progress = Math.min((now - startTime) / LAYOUT_ANIMATION_MS, 1);
+      // Ease in and out
+      const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - ((-2 * progress + 2) ** 3) / 2;
+
+      setNodes((prevNodes) => prevNodes.map((node) => {
+        const origin = origins.get(node.id);
+        const target = targets.get(node.id);
+        if (!origin || !target) return node;
+        return {
+          ...node,
+          position: {
+            x: origin.x + (target.x - origin.x) * eased,
+            y: origin.y + (target.y - origin.y) * eased
+          }
+        };
+      }));
+
+      if (progress < 1) {
+        layoutAnimationRef.current = { frame: requestAnimationFrame(step), targets };
+      } else {
+        layoutAnimationRef.current = null;
+        fitArrangedFlow();
+      }
+    };
+    layoutAnimationRef.current = { frame: requestAnimationFrame(step), targets };
+  }, [nodes, edges, layoutDirection, recordHistory, reactFlowInstance, finishLayoutAnimation]);
+
+  // Stop a running layout animation on unmount
+  useEffect(() => () => {
+    if (layoutAnimationRef.current) {
+      cancelAnimationFrame(layoutAnimationRef.current.frame);
+    }
+  }, []);
+
+  // ========================================================================================
+  // UNDO / REDO
+  // ========================================================================================
+  
+  /**
+   * Apply an edit made in the variables panel
+   * Typing into one field in quick succession is one undo step.
+   * 
+   * @param {Array} nextVariables - Updated variable registry
+   */
+  const handleVariablesChange = useCallback((nextVariables) => {
+    recordHistory('Edit variables', { coalesceKey: 'variables' });
+    setVariables(nextVariables);
+  }, [recordHistory]);
+
+  /**
+   * Undo the most recent canvas edit
+   */
+  const handleUndo = useCallback(() => {
+    finishLayoutAnimation();
+    undo();
+    setSaveError(null);
+  }, [undo, finishLayoutAnimation]);
+
+  /**
+   * Redo the most recently undone canvas edit
+   */
+  const handleRedo = useCallback(() => {
+    finishLayoutAnimation();
+    redo();
+    setSaveError(null);
+  }, [redo, finishLayoutAnimation]);
+
+  /**
+   * Global undo/redo keyboard shortcuts
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y redo.
+   * Text fields keep their native undo behaviour.
+   */
+  useEffect(() => {
+    const handleHistoryShortcuts = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      const target = event.target;
+      const isTextField = target && (
+        target.tagName === 'INPUT' ||
+        target.tagName === 'TEXTAREA' ||
+        target.isContentEditable
+      );
+      if (isTextField) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleHistoryShortcuts);
+    return () => {
+      window.removeEventListener('keydown', handleHistoryShortcuts);
+    };
+  }, [handleUndo, handleRedo]);
+
+  // ========================================================================================
+  // CLIPBOARD
+  // ========================================================================================
+
+  // Last clipboard text pasted and how many times, so repeated pastes cascade
+  const pasteStateRef = useRef({ text: null, count: 0 });
+
+  /**
+   * Copy the selected nodes, and the connections between them, to the
+   * system clipboard as JSON
+   * 
+   * @param {ClipboardEvent} event - Copy or cut event
+   * @returns {boolean} Whether anything was copied
+   */
+  const copySelection = useCallback((event) => {
+    const text = createClipboardText(nodes, edges);
+    if (!text) return false;
+
+    event.preventDefault();
+    event.clipboardData.setData('text/plain', text);
+    return true;
+  }, [nodes, edges]);
+
+  /**
+   * Remove the selected nodes after they were copied for a cut
+   * 
+   * @param {string} text - Clipboard text holding the cut nodes
+   */
+  const removeCutNodes = useCallback((text) => {
+    const cutIds = nodes.filter((node) => node.selected).map((node) => node.id);
+    deleteNodes(cutIds, `Cut ${cutIds.length} node${cutIds.length !== 1 ? 's' : ''}`);
+    // The first paste after a cut puts the nodes back where they were
+    pasteStateRef.current = { text, count: -1 };
+  }, [nodes, deleteNodes]);
+
+  /**
+   * Paste nodes from clipboard text next to where they were copied
+   * Each further paste of the same nodes lands a step further away.
+   * 
+   * @param {string} text - Clipboard text
+   * @returns {boolean} Whether the text held nodes (ordinary text is left alone)
+   */
+  const pasteClipboardText = useCallback((text) => {
+    const result = parseClipboardText(text);
+    if (!result.success) {
+      if (result.code === 'NOT_FLOW_DATA') return false;
+      showModal('error', 'Cannot Paste', result.error);
+      return true;
+    }
+
+    const pasteState = pasteStateRef.current;
+    const count = pasteState.text === text ? pasteState.count + 1 : 1;
+    pasteStateRef.current = { text, count };
+
+    const pasted = instantiateSelection(result.data, PASTE_OFFSET * count);
+    addNodes(pasted.nodes, pasted.edges,
+      `Paste ${pasted.nodes.length} node${pasted.nodes.length !== 1 ? 's' : ''}`);
+    setSaveError(null);
+    return true;
+  }, [addNodes, showModal]);
+
+  /**
+   * Copy or cut through the asynchronous Clipboard API, for the command
+   * palette (the keyboard shortcuts use clipboard events instead)
+   * 
+   * @param {boolean} cut - Whether to remove the nodes once copied
+   */
+  const copySelectionToClipboard = useCallback((cut = false) => {
+    const text = createClipboardText(nodes, edges);
+    if (!text) return;
+
+    const shortcut = cut ? 'Ctrl+X' : 'Ctrl+C';
+    (navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject())
+      .then(() => {
+        if (cut) removeCutNodes(text);
+      })
+      .catch(() => {
+        showModal('error', 'Clipboard Unavailable', `The browser did not allow access to the clipboard. Use ${shortcut} instead.`);
+      });
+  }, [nodes, edges, removeCutNodes, showModal]);
+
+  /**
+   * Paste through the asynchronous Clipboard API, for the command palette
+   */
+  const pasteFromClipboard = useCallback(() => {
+    (navigator.clipboard ? navigator.clipboard.readText() : Promise.reject())
+      .then((text) => {
+        if (!pasteClipboardText(text)) {
+          showModal('info', 'Nothing to Paste', 'The clipboard does not contain copied nodes.');
+        }
+      })
+      .catch(() => {
+        showModal('error', 'Clipboard Unavailable', 'The browser did not allow access to the clipboard. Use Ctrl+V instead.');
+      });
+  }, [pasteClipboardText, showModal]);
+
+  /**
+   * Duplicate the selected nodes in place, without touching the clipboard
+   */
+  const duplicateSelection = useCallback(() => {
+    const text = createClipboardText(nodes, edges);
+    if (!text) return;
+
+    const duplicated = instantiateSelection(JSON.parse(text), PASTE_OFFSET);
+    addNodes(duplicated.nodes, duplicated.edges,
+      `Duplicate ${duplicated.nodes.length} node${duplicated.nodes.length !== 1 ? 's' : ''}`);
+    setSaveError(null);
+  }, [nodes, edges, addNodes]);
+
+  /**
+   * Clipboard keyboard shortcuts for the canvas
+   * Ctrl/Cmd+C, X and V use the browser's clipboard events so the system
+   * clipboard works without a permission prompt; Ctrl/Cmd+D duplicates.
+   * Text fields and selected text keep their native behaviour.
+   */
+  useEffect(() => {
+    const isTextTarget = (target) => Boolean(target) && (
+      target.tagName === 'INPUT' ||
+      target.tagName === 'TEXTAREA' ||
+      target.isContentEditable
+    );
+    const hasTextSelection = () => Boolean(window.getSelection()?.toString());
+
+    const handleCopy = (event) => {
+      if (isTextTarget(event.target) || hasTextSelection()) return;
+      copySelection(event);
+    };
+
+    const handleCut = (event) => {
+      if (isTextTarget(event.target) || hasTextSelection()) return;
+      if (copySelection(event)) {
+        removeCutNodes(event.clipboardData.getData('text/plain'));
+      }
+    };
+
+    const handlePaste = (event) => {
+      if (isTextTarget(event.target)) return;
+      if (pasteClipboardText(event.clipboardData.getData('text/plain'))) {
+        event.preventDefault();
+      }
+    };
+
+    const handleDuplicateShortcut = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'd') return;
+      if (isTextTarget(event.target)) return;
+
+      // Keep the browser from bookmarking the page
+      event.preventDefault();
+      duplicateSelection();
+    };
+
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCut);
+    document.addEventListener('paste', handlePaste);
+    window.addEventListener('keydown', handleDuplicateShortcut);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCut);
+      document.removeEventListener('paste', handlePaste);
+      window.removeEventListener('keydown', handleDuplicateShortcut);
+    };
+  }, [copySelection, removeCutNodes, pasteClipboardText, duplicateSelection]);
+
+  // ========================================================================================
+  // PREVIEW MODE
+  // ========================================================================================
+  
+  /**
+   * Enter preview mode and start a conversation (see useFlowSimulator for how the Start node is picked)
+   */
+  const handleStartPreview = useCallback(() => {
+    setIsPreviewing(true);
+    setActivePanel(null);
+    setSelectedNode(null);
+    setShowSettings(false);
+    startSimulation();
+  }, [startSimulation]);
+
+  /**
+   * Leave preview mode and clear the conversation
+   */
+  const handleClosePreview = useCallback(() => {
+    stopSimulation();
+    setIsPreviewing(false);
+  }, [stopSimulation]);
+
+  // ========================================================================================
+  // AUTOSAVE DRAFTS
+  // ========================================================================================
+  
+  // Unsaved changes are edits since the active flow was last saved or opened
+  const currentSignature = useMemo(
+    () => getFlowSignature(nodes, edges, variables),
+    [nodes, edges, variables]
+  );
+  const hasUnsavedChanges = savedSignature !== null && currentSignature !== savedSignature;
+
+  /**
+   * Debounced draft writer
+   * Receives the flow ID explicitly so a pending write always lands on the
+   * flow that was being edited.
+   */
+  const autosaveDraft = useMemo(() => debounce((flowId, draftNodes, draftEdges, draftVariables) => {
+    const result = FlowStorageManager.saveDraft(flowId, formatFlowData(draftNodes, draftEdges, draftVariables));
+    if (result.success) {
+      setDraftSavedAt(result.data.savedAt);
+    }
+  }, AUTOSAVE_DELAY_MS), []);
+
+  /**
+   * Autosave unsaved edits as a draft, and drop the draft once the canvas
+   * matches the saved version again (after saving, or undoing every edit)
+   */
+  useEffect(() => {
+    const activeFlowId = library.activeFlowId;
+    if (isLoading || !activeFlowId) return;
+
+    if (hasUnsavedChanges) {
+      autosaveDraft(activeFlowId, nodes, edges, variables);
+      return;
+    }
+
+    autosaveDraft.cancel();
+    // Only drafts written in this session - a draft still awaiting the
+    // recovery prompt must survive until the user answers it
+    if (draftSavedAt) {
+      FlowStorageManager.clearDraft(activeFlowId);
+      setDraftSavedAt(null);
+    }
+  }, [isLoading, library.activeFlowId, hasUnsavedChanges, nodes, edges, variables, autosaveDraft, draftSavedAt]);
+
+  /**
+   * Warn before leaving the page with unsaved changes
+   * The latest edits are written to the draft immediately, so they can be
+   * recovered even if the user leaves anyway.
+   */
+  useEffect(() => {
+    if (!hasUnsavedChanges || !library.activeFlowId) return undefined;
+
+    const activeFlowId = library.activeFlowId;
+    const handleBeforeUnload = (event) => {
+      autosaveDraft.cancel();
+      FlowStorageManager.saveDraft(activeFlowId, formatFlowData(nodes, edges, variables));
+
+      event.preventDefault();
+      event.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+    };
+  }, [hasUnsavedChanges, library.activeFlowId, nodes, edges, variables, autosaveDraft]);
+
+  // ========================================================================================
+  // FLOW LIBRARY
+  // ========================================================================================
+
+  /**
+   * Load a saved flow onto the canvas and make it the active flow
+   * Undo history belongs to a single flow, so it is cleared.
+   * 
+   * @param {string} flowId - ID of the flow to open
+   * @param {Array} trail - Flows it was opened from through Go to Flow
+   *   nodes (empty when opened directly)
+   */
+  const openFlow = useCallback((flowId, trail = []) => {
+    const loadResult = FlowStorageManager.openFlow(flowId);
+    if (!loadResult.success) {
+      showModal('error', 'Loading Error', `Failed to open this flow: ${loadResult.error}`);
+      return;
+    }
+
+    const loadedNodes = loadResult.data?.nodes || [];
+    const loadedEdges = loadResult.data?.edges || [];
+    const loadedVariables = loadResult.data?.variables || [];
+
+    if (loadResult.migration && loadResult.migration.changes.length > 0) {
+      showModal('info', 'Flow Upgraded',
+        `This flow was saved in an older format (schema ${loadResult.migration.fromVersion}) and has been upgraded:`,
+        { details: loadResult.migration.changes });
+    }
+
+    stopSimulation();
+    setIsPreviewing(false);
+    setNodes(loadedNodes);
+    setEdges(loadedEdges);
+    setVariables(loadedVariables);
+    setSavedSignature(getFlowSignature(loadedNodes, loadedEdges, loadedVariables));
+    clearHistory();
+    setActiveFlow(flowId);
+    setDraftSavedAt(null);
+    setSelectedSnapshotId(null);
+    setSelectedNode(null);
+    setShowSettings(false);
+    setSaveError(null);
+    setFlowTrail(trail);
+
+    setTimeout(() => {
+      if (reactFlowInstance) {
+        reactFlowInstance.fitView();
+      }
+    }, 100);
+
+    const flowEntry = library.flows.find((flow) => flow.id === flowId);
+    offerDraftRecovery(flowId, flowEntry?.name || DEFAULT_FLOW_NAME, {
+      nodes: loadedNodes,
+      edges: loadedEdges,
+      variables: loadedVariables
+    });
+  }, [showModal, stopSimulation, clearHistory, setActiveFlow, reactFlowInstance, library.flows, offerDraftRecovery]);
+
+  /**
+   * Run an action that replaces the canvas, asking first if edits would be lost
+   * 
+   * @param {Function} proceed - Action to run once confirmed
+   */
+  const confirmDiscardChanges = useCallback((proceed) => {
+    if (!hasUnsavedChanges) {
+      proceed();
+      return;
+    }
+
+    const flowId = library.activeFlowId;
+    showModal('confirm', 'Unsaved Changes',
+      `"${activeFlowName}" has unsaved changes that will be lost. Continue without saving?`, {
+        onConfirm: () => {
+          // Discarding also throws away the autosaved draft
+          autosaveDraft.cancel();
+          if (flowId) {
+            FlowStorageManager.clearDraft(flowId);
+          }
+          proceed();
+        },
+        confirmLabel: 'Discard Changes'
+      });
+  }, [hasUnsavedChanges, activeFlowName, library.activeFlowId, autosaveDraft, showModal]);
+
+  /**
+   * Switch the canvas to another flow from the library
+   * 
+   * @param {string} flowId - ID of the flow to open
+   */
+  const handleOpenFlow = useCallback((flowId) => {
+    if (flowId === library.activeFlowId) return;
+    confirmDiscardChanges(() => openFlow(flowId));
+  }, [library.activeFlowId, confirmDiscardChanges, openFlow]);
+
+  /**
+   * Open the flow a Go to Flow node runs, remembering the way back
+   * 
+   * @param {string} flowId - ID of the target flow
+   */
+  const handleOpenSubflow = useCallback((flowId) => {
+    if (!library.flows.some((flow) => flow.id === flowId)) {
+      showModal('error', 'Flow Not Found', 'This flow is no longer in your library.');
+      return;
+    }
+
+    const trail = [...flowTrail, { id: library.activeFlowId, name: activeFlowName }];
+    confirmDiscardChanges(() => openFlow(flowId, trail));
+  }, [library.flows, library.activeFlowId, activeFlowName, flowTrail, confirmDiscardChanges, openFlow, showModal]);
+
+  /**
+   * Go back to the flow the active one was opened from
+   */
+  const handleBackToParentFlow = useCallback(() => {
+    const parent = flowTrail[flowTrail.length - 1];
+    if (!parent) return;
+    confirmDiscardChanges(() => openFlow(parent.id, flowTrail.slice(0, -1)));
+  }, [flowTrail, confirmDiscardChanges, openFlow]);
+
+  /**
+   * Open Go to Flow nodes on double-click
+   * 
+   * @param {Event} event - Mouse event
+   * @param {Object} node - Double-clicked node
+   */
+  const onNodeDoubleClick = useCallback((event, node) => {
+    if (node.type === 'subflow' && node.data?.flowId) {
+      handleOpenSubflow(node.data.flowId);
+    }
+  }, [handleOpenSubflow]);
+
+  /**
+   * Create a new empty flow and open it
+   * The name is checked up front so the library can show problems inline.
+   * 
+   * @param {string} name - Name for the new flow
+   * @returns {Object} Name validation result
+   */
+  const handleCreateFlow = useCallback((name) => {
+    const nameCheck = FlowStorageManager.validateFlowName(name);
+    if (!nameCheck.isValid) {
+      return { success: false, error: nameCheck.error };
+    }
+
+    confirmDiscardChanges(() => {
+      const result = createFlow(nameCheck.name);
+      if (!result.success) {
+        showModal('error', 'Could Not Create Flow', result.error);
+        return;
+      }
+      openFlow(result.data.id);
+    });
+    return { success: true };
+  }, [confirmDiscardChanges, createFlow, openFlow, showModal]);
+
+  /**
+   * Copy the saved version of a flow into a new library entry
+   * 
+   * @param {string} flowId - ID of the flow to copy
+   */
+  const handleDuplicateFlow = useCallback((flowId) => {
+    const result = duplicateFlow(flowId);
+    if (!result.success) {
+      showModal('error', 'Could Not Duplicate Flow', result.error);
+    }
+  }, [duplicateFlow, showModal]);
+
+  /**
+   * Change the channel the open flow is built for
+   * Takes effect right away; validation re-runs against the new limits.
+   * 
+   * @param {string} channel - One of CHANNELS
+   */
+  const handleChannelChange = useCallback((channel) => {
+    const result = setFlowChannel(library.activeFlowId, channel);
+    if (!result.success) {
+      showModal('error', 'Could Not Change Channel', result.error);
+    }
+  }, [setFlowChannel, library.activeFlowId, showModal]);
+
+  /**
+   * Delete a flow after confirmation
+   * Deleting the open flow switches to the most recent remaining one.
+   * 
+   * @param {string} flowId - ID of the flow to delete
+   */
+  const handleDeleteFlow = useCallback((flowId) => {
+    const flow = library.flows.find((entry) => entry.id === flowId);
+    if (!flow) return;
+
+    showModal('confirm', 'Delete Flow',
+      `Are you sure you want to delete "${flow.name}"? This cannot be undone.`, {
+        onConfirm: () => {
+          const result = deleteFlow(flowId);
+          if (!result.success) {
+            showModal('error', 'Delete Failed', result.error);
+            return;
+          }
+          if (flowId !== library.activeFlowId) return;
+
+          const remainingFlows = refreshLibrary();
+          if (remainingFlows.length > 0) {
+            openFlow(remainingFlows[0].id);
+            return;
+          }
+
+          const created = createFlow(FlowStorageManager.getAvailableFlowName(DEFAULT_FLOW_NAME));
+          if (created.success) {
+            openFlow(created.data.id);
+          }
+        },
+        confirmLabel: 'Delete Flow'
+      });
+  }, [library.flows, library.activeFlowId, deleteFlow, refreshLibrary, createFlow, openFlow, showModal]);
+
+  /**
+   * Show or hide the flow library in the side panel
+   */
+  const handleToggleLibrary = useCallback(() => {
+    if (isPreviewing) {
+      stopSimulation();
+      setIsPreviewing(false);
+    }
+    setActivePanel((panel) => (panel === 'library' ? null : 'library'));
+  }, [isPreviewing, stopSimulation]);
+
+  // ========================================================================================
+  // VERSION HISTORY
+  // ========================================================================================
+  
+  // Keep the history panel in sync with the active flow
+  useEffect(() => {
+    if (activePanel === 'history') {
+      refreshSnapshots();
+    }
+  }, [activePanel, refreshSnapshots]);
+
+  // What changed on the canvas since the snapshot selected in the history panel
+  const selectedSnapshot = activePanel === 'history'
+    ? snapshots.find((snapshot) => snapshot.id === selectedSnapshotId) || null
+    : null;
+  const snapshotDiff = useMemo(
+    () => (selectedSnapshot ? diffFlows(selectedSnapshot.flowData, { nodes, edges }) : null),
+    [selectedSnapshot, nodes, edges]
+  );
+
+  /**
+   * Show or hide the version history in the side panel
+   */
+  const handleToggleHistory = useCallback(() => {
+    if (isPreviewing) {
+      stopSimulation();
+      setIsPreviewing(false);
+    }
+    setSelectedSnapshotId(null);
+    setActivePanel((panel) => (panel === 'history' ? null : 'history'));
+  }, [isPreviewing, stopSimulation]);
+
+  /**
+   * Put a snapshot back on the canvas as a single undoable change
+   * The restored version is not saved until the user saves it.
+   * 
+   * @param {string} snapshotId - ID of the snapshot to restore
+   */
+  const handleRestoreSnapshot = useCallback((snapshotId) => {
+    const snapshot = snapshots.find((entry) => entry.id === snapshotId);
+    if (!snapshot) return;
+
+    const { nodes: restoredNodes, edges: restoredEdges, variables: restoredVariables } =
+      parseFlowData(snapshot.flowData);
+    recordHistory('Restore version');
+    setNodes(restoredNodes);
+    setEdges(restoredEdges);
+    setVariables(restoredVariables);
+    setSelectedNode(null);
+    setShowSettings(false);
+    setSaveError(null);
+
+    setTimeout(() => {
+      if (reactFlowInstance) {
+        reactFlowInstance.fitView();
+      }
+    }, 100);
+  }, [snapshots, recordHistory, reactFlowInstance]);
+
+  // ========================================================================================
+  // PROBLEMS
+  // ========================================================================================
+  
+  // Every issue the validation engine finds, kept up to date as the flow changes
+  const flowValidation = useMemo(
+    () => validateFlowGraph(nodes, edges, variables, { subflows: subflowTargets, channel: activeChannel }),
+    [nodes, edges, variables, subflowTargets, activeChannel]
+  );
+
+  /**
+   * Show or hide the list of problems in the side panel
+   */
+  const handleToggleProblems = useCallback(() => {
+    if (isPreviewing) {
+      stopSimulation();
+      setIsPreviewing(false);
+    }
+    setActivePanel((panel) => (panel === 'problems' ? null : 'problems'));
+  }, [isPreviewing, stopSimulation]);
+
+  /**
+   * Select the nodes and connections involved in an issue and bring them into view
+   * Connection-only issues focus on the nodes at either end.
+   * 
+   * @param {Object} issue - Validation issue
+   */
+  const handleFocusIssue = useCallback((issue) => {
+    const focusEdges = edges.filter((edge) => issue.edgeIds.includes(edge.id));
+    const focusNodeIds = new Set(issue.nodeIds);
+    if (focusNodeIds.size === 0) {
+      focusEdges.forEach((edge) => {
+        focusNodeIds.add(edge.source);
+        focusNodeIds.add(edge.target);
+      });
+    }
+
+    setNodes((nds) => nds.map((node) => ({ ...node, selected: focusNodeIds.has(node.id) })));
+    setEdges((eds) => eds.map((edge) => ({ ...edge, selected: issue.edgeIds.includes(edge.id) })));
+
+    const visibleNodes = nodes.filter((node) => focusNodeIds.has(node.id));
+    if (reactFlowInstance && visibleNodes.length > 0) {
+      reactFlowInstance.fitView({
+        nodes: visibleNodes.map((node) => ({ id: node.id })),
+        padding: 0.5,
+        maxZoom: 1.25,
+        duration: 400
+      });
+    }
+  }, [nodes, edges, reactFlowInstance]);
+
+  // ========================================================================================
+  // FLOW VARIABLES
+  // ========================================================================================
+  
+  /**
+   * Show or hide the variable registry in the side panel
+   */
+  const handleToggleVariables = useCallback(() => {
+    if (isPreviewing) {
+      stopSimulation();
+      setIsPreviewing(false);
+    }
+    setActivePanel((panel) => (panel === 'variables' ? null : 'variables'));
+  }, [isPreviewing, stopSimulation]);
+
+  // ========================================================================================
+  // TEXT EDITING FUNCTIONALITY
+  // ========================================================================================
+  
+  /**
+   * Global function for inline text editing
+   * Attached to window object for access from TextMessageNode components.
+   * Edits the message in the language shown on the canvas.
+   */
+  useEffect(() => {
+    window.updateNodeText = (nodeId, newText) => {
+      const node = nodes.find((candidate) => candidate.id === nodeId);
+      if (!node) return;
+
+      updateNodeData(nodeId, {
+        ...node.data,
+        ...getMessageTextChanges(node.data, displayLocale, newText),
+        lastModified: new Date().toISOString()
+      });
+    };
+
+    // Cleanup on unmount
+    return () => {
+      delete window.updateNodeText;
+    };
+  }, [nodes, displayLocale, updateNodeData]);
+
+  /**
+   * Set up mobile touch drop event handler
+   * Listens for custom mobile drop events from the NodesPanel
+   */
+  useEffect(() => {
+    const handleMobileDrop = (event) => {
+      console.log('Mobile drop event received:', event.detail);
+      
+      const { nodeType, clientX, clientY } = event.detail;
       
       if (!nodeType || !reactFlowInstance) {
         console.warn('Invalid mobile drop: missing node type or React Flow instance');
@@ -563,6 +1971,180 @@ function FlowBuilder() {
     });
   }, [updateNodeData]);
 
+  // The settings panel always edits the current version of the selected node
+  const liveSelectedNode = selectedNode
+    ? nodes.find((node) => node.id === selectedNode.id) || null
+    : null;
+
+  // Variables available to messages: the flow registry, then those captured
+  // by User Input and API Call nodes
+  const flowVariables = useMemo(() => [
+    ...variables
+      .filter((variable) => variable.name)
+      .map((variable) => ({ name: variable.name, nodeId: null, source: 'registry', inputType: variable.type })),
+    ...collectCapturedVariables(nodes)
+  ], [variables, nodes]);
+
+  // Nodes added or changed since the compared snapshot, highlighted on the canvas
+  const diffNodeClasses = useMemo(() => {
+    const classes = new Map();
+    if (!snapshotDiff) return classes;
+
+    snapshotDiff.addedNodes.forEach((node) => classes.set(node.id, 'diff-added'));
+    snapshotDiff.changedNodes.forEach(({ node }) => classes.set(node.id, 'diff-changed'));
+    return classes;
+  }, [snapshotDiff]);
+
+  // Most serious validation issue per node, shown as a badge on the canvas
+  const nodeIssueSeverities = useMemo(
+    () => getNodeIssueSeverities(flowValidation.issues),
+    [flowValidation]
+  );
+
+  // Nodes with search hits, and the node of the highlighted hit
+  const searchHitNodeIds = useMemo(
+    () => new Set(search.matches.map((match) => match.nodeId)),
+    [search.matches]
+  );
+  const activeSearchNodeId = search.activeMatch ? search.activeMatch.nodeId : null;
+
+  // Nodes as rendered on the canvas, with the node executing in preview,
+  // the nodes differing from the compared snapshot, the nodes with
+  // validation issues and the search hits highlighted, and messages told
+  // which language to show
+  const activePreviewNodeId = isPreviewing ? simulator.activeNodeId : null;
+  const displayNodes = useMemo(() => {
+    if (!activePreviewNodeId && diffNodeClasses.size === 0 && nodeIssueSeverities.size === 0
+      && searchHitNodeIds.size === 0 && displayLocale === DEFAULT_LOCALE) {
+      return nodes;
+    }
+
+    return nodes.map((node) => {
+      const extraClasses = [];
+      if (node.id === activePreviewNodeId) extraClasses.push('preview-active');
+      if (diffNodeClasses.has(node.id)) extraClasses.push(diffNodeClasses.get(node.id));
+      if (nodeIssueSeverities.has(node.id)) extraClasses.push(`issue-${nodeIssueSeverities.get(node.id)}`);
+      if (searchHitNodeIds.has(node.id)) {
+        extraClasses.push(node.id === activeSearchNodeId ? 'search-match-active' : 'search-match');
+      }
+
+      // Display-only: the locale is never part of the saved node data
+      const localized = displayLocale !== DEFAULT_LOCALE && node.type === 'textMessage'
+        ? { ...node, data: { ...node.data, displayLocale } }
+        : node;
+      if (extraClasses.length === 0) return localized;
+
+      return { ...localized, className: [node.className, ...extraClasses].filter(Boolean).join(' ') };
+    });
+  }, [
+    nodes, activePreviewNodeId, diffNodeClasses, nodeIssueSeverities,
+    searchHitNodeIds, activeSearchNodeId, displayLocale
+  ]);
+
+  // ========================================================================================
+  // SEARCH AND REPLACE
+  // ========================================================================================
+
+  /**
+   * Bring the node of the highlighted search hit into view
+   */
+  useEffect(() => {
+    if (!activeSearchNodeId || !reactFlowInstance) return;
+    reactFlowInstance.fitView({
+      nodes: [{ id: activeSearchNodeId }],
+      duration: 300,
+      padding: 0.6,
+      // Never zoom out further than the user has
+      maxZoom: Math.max(reactFlowInstance.getZoom(), 1)
+    });
+  }, [activeSearchNodeId, reactFlowInstance]);
+
+  /**
+   * Replace the highlighted search hit, or every hit
+   * The whole batch is one undo step: every node update shares a coalesce key.
+   * 
+   * @param {boolean} replaceAll - Replace every hit instead of the highlighted one
+   * @returns {Object} { count (hits replaced), nodeCount (nodes changed) }
+   */
+  const handleSearchReplace = useCallback((replaceAll) => {
+    const targets = replaceAll ? search.matches : [search.activeMatch].filter(Boolean);
+    if (!search.pattern || targets.length === 0) {
+      return { count: 0, nodeCount: 0 };
+    }
+
+    const { updates, count } = replaceMatches(nodes, targets, search.pattern, search.replacement, search.options);
+    const historyOptions = {
+      label: replaceAll ? 'Replace all' : 'Replace',
+      coalesceKey: generateId('replace')
+    };
+    const lastModified = new Date().toISOString();
+    updates.forEach(({ nodeId, data }) => {
+      updateNodeData(nodeId, { ...data, lastModified }, historyOptions);
+    });
+
+    return { count, nodeCount: updates.length };
+  }, [
+    nodes, search.matches, search.activeMatch, search.pattern, search.replacement, search.options,
+    updateNodeData
+  ]);
+
+  // ========================================================================================
+  // KEYBOARD EDITING AND COMMAND PALETTE
+  // ========================================================================================
+
+  /**
+   * Open the settings editor for a node, as clicking it does
+   * 
+   * @param {Object} node - Node to edit
+   */
+  const openNodeSettings = useCallback((node) => {
+    setSelectedNode(node);
+    setShowSettings(true);
+    setActivePanel(null);
+    setSaveError(null);
+  }, []);
+
+  // Canvas keyboard layer and the Ctrl+K command palette
+  const { commands, isPaletteOpen, closePalette } = useCanvasKeyboard(nodes, edges, setNodes, setEdges, {
+    reactFlowInstance,
+    reactFlowWrapper,
+    recordHistory,
+    deleteNodes,
+    createNewNode,
+    selectedNode: liveSelectedNode,
+    showSettings,
+    setSelectedNode,
+    openNodeSettings,
+    setSaveError,
+    isModalOpen: modalState.isOpen,
+    layoutDirection,
+    setLayoutDirection,
+    isPreviewing,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    importInputRef,
+    translationInputRef,
+    actions: {
+      save: handleSave,
+      startPreview: handleStartPreview,
+      stopPreview: handleClosePreview,
+      exportFlow: handleExport,
+      exportTranslations: handleExportTranslations,
+      resetAll: handleResetAll,
+      undo: handleUndo,
+      redo: handleRedo,
+      copySelection: copySelectionToClipboard,
+      paste: pasteFromClipboard,
+      duplicateSelection,
+      autoArrange: handleAutoArrange,
+      openSearch,
+      toggleLibrary: handleToggleLibrary,
+      toggleHistory: handleToggleHistory,
+      toggleProblems: handleToggleProblems,
+      toggleVariables: handleToggleVariables
+    }
+  });
+
   // ========================================================================================
   // RENDER LOADING STATE
   // ========================================================================================
@@ -591,6 +2173,67 @@ function FlowBuilder() {
            Chatbot Flow Builder by Zahaan Shapoorjee for BiteSpeed
           </h1>
           <div className="flow-stats">
+            <span className="stat-item">
+              <span className="stat-label">Flow:</span>
+              {/* Way back to the flow this one was opened from with Go to Flow */}
+              {flowTrail.length > 0 && (
+                <button
+                  type="button"
+                  className="flow-back-button"
+                  onClick={handleBackToParentFlow}
+                  title={`Back to ${flowTrail.map((flow) => flow.name).join(' › ')}`}
+                >
+                  ← {flowTrail[flowTrail.length - 1].name}
+                </button>
+              )}
+              <span className="stat-value flow-name" title={activeFlowName}>
+                {activeFlowName}
+              </span>
+              {hasUnsavedChanges && (
+                <span className="unsaved-indicator" title="Unsaved changes">●</span>
+              )}
+              {hasUnsavedChanges && draftSavedAt && (
+                <span className="draft-status" title="Unsaved changes are autosaved as a draft until you save">
+                  Draft saved {new Date(draftSavedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+                </span>
+              )}
+            </span>
+            <span className="stat-item">
+              <span className="stat-label">Channel:</span>
+              <select
+                className="stat-select"
+                value={activeChannel}
+                onChange={(e) => handleChannelChange(e.target.value)}
+                aria-label="Target channel"
+                title="Channel this flow is built for; its message limits are checked as you edit"
+              >
+                {Object.entries(CHANNEL_PROFILES).map(([channel, profile]) => (
+                  <option key={channel} value={channel}>{profile.label}</option>
+                ))}
+              </select>
+            </span>
+            <span className="stat-item">
+              <span className="stat-label">Language:</span>
+              <select
+                className="stat-select"
+                value={displayLocale}
+                onChange={(e) => setDisplayLocale(e.target.value)}
+                aria-label="Language shown on the canvas"
+                title="Language messages are shown and edited in; other languages are translations of the English text"
+              >
+                {Object.entries(LOCALE_LABELS).map(([locale, label]) => (
+                  <option key={locale} value={locale}>{label}</option>
+                ))}
+              </select>
+              {missingTranslationCount > 0 && (
+                <span
+                  className="missing-translation-count"
+                  title={`Messages not yet translated into ${LOCALE_LABELS[displayLocale]}`}
+                >
+                  {missingTranslationCount} missing
+                </span>
+              )}
+            </span>
             <span className="stat-item">
               <span className="stat-label">Nodes:</span>
               <span className="stat-value">{nodes.length}</span>
@@ -611,6 +2254,221 @@ function FlowBuilder() {
             </div>
           )}
           
+          {/* Flow Library, Version History, Variables and Problems Buttons */}
+          <div className="panel-controls">
+            <button 
+              className={`panel-button ${activePanel === 'library' ? 'active' : ''}`}
+              onClick={handleToggleLibrary}
+              type="button"
+              aria-label="Flow library"
+              aria-pressed={activePanel === 'library'}
+              title="Open, create and manage saved flows"
+            >
+              <span className="panel-icon">📚</span>
+              Flows
+            </button>
+            <button 
+              className={`panel-button ${activePanel === 'history' ? 'active' : ''}`}
+              onClick={handleToggleHistory}
+              type="button"
+              aria-label="Version history"
+              aria-pressed={activePanel === 'history'}
+              title="Compare with and restore earlier saved versions"
+            >
+              <span className="panel-icon">🕘</span>
+              History
+            </button>
+            <button 
+              className={`panel-button ${activePanel === 'variables' ? 'active' : ''}`}
+              onClick={handleToggleVariables}
+              type="button"
+              aria-label="Flow variables"
+              aria-pressed={activePanel === 'variables'}
+              title="Define variables that messages can reference as {{name}}"
+            >
+              <span className="panel-icon">🏷️</span>
+              Variables
+            </button>
+            <button 
+              className={`panel-button ${activePanel === 'problems' ? 'active' : ''}`}
+              onClick={handleToggleProblems}
+              type="button"
+              aria-label={`Problems: ${flowValidation.errorCount} errors, ${flowValidation.warningCount} warnings`}
+              aria-pressed={activePanel === 'problems'}
+              title="List validation errors and warnings in this flow"
+            >
+              <span className="panel-icon">🩺</span>
+              Problems
+              {flowValidation.issues.length > 0 && (
+                <span className={`problem-count ${flowValidation.errorCount > 0 ? 'has-errors' : ''}`}>
+                  {flowValidation.issues.length}
+                </span>
+              )}
+            </button>
+            <button 
+              className={`panel-button ${search.isOpen ? 'active' : ''}`}
+              onClick={search.isOpen ? closeSearch : openSearch}
+              type="button"
+              aria-label="Find and replace"
+              aria-pressed={search.isOpen}
+              title="Find and replace text across the flow (Ctrl+F)"
+            >
+              <span className="panel-icon">🔍</span>
+              Find
+            </button>
+          </div>
+          
+          {/* Import/Export Buttons */}
+          <div className="file-controls">
+            <button 
+              className="file-button"
+              onClick={() => importInputRef.current && importInputRef.current.click()}
+              type="button"
+              aria-label="Import flow from JSON file"
+              title="Import a flow from a .json file (or drop the file onto the canvas)"
+            >
+              <span className="file-icon">📂</span>
+              Import
+            </button>
+            <button 
+              className="file-button"
+              onClick={handleExport}
+              type="button"
+              aria-label="Export flow as JSON file"
+              title="Download this flow as a .json file"
+            >
+              <span className="file-icon">⬇️</span>
+              Export
+            </button>
+            <select
+              className="export-format-select"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              aria-label="Message format for export"
+              title="Format of message text in exported files (only Markdown keeps it editable after import)"
+            >
+              {Object.values(MESSAGE_FORMATS).map((format) => (
+                <option key={format} value={format}>{MESSAGE_FORMAT_LABELS[format]}</option>
+              ))}
+            </select>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImportInputChange}
+              className="file-input"
+              aria-hidden="true"
+              tabIndex={-1}
+            />
+          </div>
+          
+          {/* Translation Import/Export */}
+          <div className="file-controls">
+            <button 
+              className="file-button"
+              onClick={() => translationInputRef.current && translationInputRef.current.click()}
+              type="button"
+              aria-label="Import translations"
+              title="Import translated messages from a .csv or .xlf file"
+            >
+              <span className="file-icon">🌐</span>
+              Import strings
+            </button>
+            <button 
+              className="file-button"
+              onClick={() => handleExportTranslations()}
+              type="button"
+              aria-label="Export messages for translation"
+              title="Download every message for translators"
+            >
+              <span className="file-icon">⬇️</span>
+              Export strings
+            </button>
+            <select
+              className="export-format-select"
+              value={translationFormat}
+              onChange={(e) => setTranslationFormat(e.target.value)}
+              aria-label="Translation file format"
+              title="CSV holds every language; XLIFF holds the language shown on the canvas"
+            >
+              {Object.values(TRANSLATION_FORMATS).map((format) => (
+                <option key={format} value={format}>{TRANSLATION_FORMAT_LABELS[format]}</option>
+              ))}
+            </select>
+            <input
+              ref={translationInputRef}
+              type="file"
+              accept=".csv,.xlf,.xliff,text/csv"
+              onChange={handleTranslationInputChange}
+              className="file-input"
+              aria-hidden="true"
+              tabIndex={-1}
+            />
+          </div>
+          
+          {/* Auto-arrange Button and Direction */}
+          <div className="layout-controls">
+            <button 
+              className="history-button"
+              onClick={handleAutoArrange}
+              disabled={nodes.length === 0}
+              type="button"
+              aria-label="Auto-arrange nodes"
+              title="Arrange the nodes so connections flow in one direction"
+            >
+              <span className="history-icon">⇶</span>
+              Auto-arrange
+            </button>
+            <select
+              className="layout-direction-select"
+              value={layoutDirection}
+              onChange={(e) => setLayoutDirection(e.target.value)}
+              aria-label="Auto-arrange direction"
+              title="Direction of the arranged flow"
+            >
+              <option value={LAYOUT_DIRECTIONS.LEFT_TO_RIGHT}>→ Left to right</option>
+              <option value={LAYOUT_DIRECTIONS.TOP_TO_BOTTOM}>↓ Top to bottom</option>
+            </select>
+          </div>
+          
+          {/* Undo/Redo Buttons */}
+          <div className="history-controls">
+            <button 
+              className="history-button"
+              onClick={handleUndo}
+              disabled={!history.canUndo}
+              type="button"
+              aria-label="Undo"
+              title={history.canUndo ? `Undo ${history.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+            >
+              <span className="history-icon">↶</span>
+              Undo
+            </button>
+            <button 
+              className="history-button"
+              onClick={handleRedo}
+              disabled={!history.canRedo}
+              type="button"
+              aria-label="Redo"
+              title={history.canRedo ? `Redo ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            >
+              <span className="history-icon">↷</span>
+              Redo
+            </button>
+          </div>
+          
+          {/* Preview Button */}
+          <button 
+            className={`preview-button ${isPreviewing ? 'active' : ''}`}
+            onClick={isPreviewing ? handleClosePreview : handleStartPreview}
+            type="button"
+            aria-label={isPreviewing ? 'Close preview' : 'Preview conversation'}
+            title={isPreviewing ? 'Close the chat preview' : 'Try the flow as an end user'}
+          >
+            <span className="preview-icon">{isPreviewing ? '⏹' : '▶'}</span>
+            {isPreviewing ? 'Stop Preview' : 'Preview'}
+          </button>
+          
           {/* Reset All Button */}
           <button 
             className="reset-button"
@@ -651,12 +2509,14 @@ function FlowBuilder() {
         {/* React Flow Canvas with Enhanced Configuration */}
         <div className="flow-canvas" ref={reactFlowWrapper}>
           <ReactFlow
-            nodes={nodes}
+            nodes={displayNodes}
             edges={edges}
             onNodesChange={onNodesChange}
             onEdgesChange={onEdgesChange}
             onConnect={onConnect}
+            isValidConnection={isValidConnection}
             onNodeClick={onNodeClick}
+            onNodeDoubleClick={onNodeDoubleClick}
             onPaneClick={onPaneClick}
             onDrop={onDrop}
             onDragOver={onDragOver}
@@ -677,14 +2537,18 @@ function FlowBuilder() {
             // Enable touch interactions for mobile
             panOnDrag={true}
             selectionOnDrag={false}
+            // Shift-drag draws a selection box; Shift/Ctrl/Cmd-click adds to the selection
+            selectionKeyCode="Shift"
+            selectionMode={SelectionMode.Partial}
             panOnScroll={false}
             zoomOnScroll={true}
             zoomOnPinch={true}
             panOnScrollSpeed={0.5}
             zoomOnDoubleClick={false}
             // Mobile-specific settings
-            deleteKeyCode={null} // Disable delete key on mobile
-            multiSelectionKeyCode={null} // Disable multi-selection on mobile
+            deleteKeyCode={null} // Delete is handled by the canvas keyboard layer
+            disableKeyboardA11y={true} // Arrow keys are handled by the canvas keyboard layer
+            multiSelectionKeyCode={['Shift', 'Meta', 'Control']}
           >
             {/* Enhanced Background */}
             <Background 
@@ -709,7 +2573,7 @@ function FlowBuilder() {
             {/* Mini Map with Custom Styling */}
             <MiniMap 
               nodeStrokeColor="#374151"
-              nodeColor="#10b981"
+              nodeColor={(node) => NODE_CONFIGS[node.type]?.color || '#10b981'}
               nodeBorderRadius={8}
               maskColor="rgba(0, 0, 0, 0.1)"
               style={{
@@ -718,14 +2582,69 @@ function FlowBuilder() {
               }}
             />
           </ReactFlow>
+
+          <SearchBar search={search} onReplace={handleSearchReplace} />
         </div>
 
         {/* Dynamic Side Panel */}
         <div className="side-panel">
-          {showSettings ? (
+          {isPreviewing ? (
+            <PreviewPanel
+              messages={simulator.messages}
+              status={simulator.status}
+              variables={simulator.variables}
+              onSend={simulator.sendReply}
+              onRestart={startSimulation}
+              onClose={handleClosePreview}
+            />
+          ) : activePanel === 'history' ? (
+            <HistoryPanel
+              snapshots={snapshots}
+              selectedSnapshotId={selectedSnapshotId}
+              diff={snapshotDiff}
+              onSelect={setSelectedSnapshotId}
+              onRestore={handleRestoreSnapshot}
+              onClose={() => setActivePanel(null)}
+            />
+          ) : activePanel === 'problems' ? (
+            <ProblemsPanel
+              validation={flowValidation}
+              nodes={nodes}
+              onFocusIssue={handleFocusIssue}
+              onClose={() => setActivePanel(null)}
+            />
+          ) : activePanel === 'variables' ? (
+            <VariablesPanel
+              variables={variables}
+              capturedVariables={collectCapturedVariables(nodes)}
+              onChange={handleVariablesChange}
+              onClose={() => setActivePanel(null)}
+            />
+          ) : activePanel === 'library' ? (
+            <FlowLibraryPanel
+              flows={library.flows}
+              activeFlowId={library.activeFlowId}
+              hasUnsavedChanges={hasUnsavedChanges}
+              onOpen={handleOpenFlow}
+              onCreate={handleCreateFlow}
+              onRename={renameFlow}
+              onDuplicate={handleDuplicateFlow}
+              onDelete={handleDeleteFlow}
+              onClose={() => setActivePanel(null)}
+            />
+          ) : showSettings ? (
             <SettingsPanel
-              selectedNode={selectedNode}
+              key={liveSelectedNode?.id}
+              selectedNode={liveSelectedNode}
               onNodeUpdate={updateNodeData}
+              onRemoveHandle={removeHandleEdges}
+              flowVariables={flowVariables}
+              savedFlows={library.flows}
+              activeFlowId={library.activeFlowId}
+              resolveSubflow={resolveSubflow}
+              onOpenSubflow={handleOpenSubflow}
+              channel={activeChannel}
+              locale={displayLocale}
               onBack={() => setSelectedNode(null)}
             />
           ) : (
@@ -734,6 +2653,13 @@ function FlowBuilder() {
         </div>
       </div>
 
+      {/* Command Palette (Ctrl/Cmd+K) */}
+      <CommandPalette
+        isOpen={isPaletteOpen}
+        commands={commands}
+        onClose={closePalette}
+      />
+
       {/* Success/Error Modal */}
       <Modal
         isOpen={modalState.isOpen}
@@ -742,10 +2668,19 @@ function FlowBuilder() {
         title={modalState.title}
         onConfirm={modalState.onConfirm}
         onCancel={modalState.onCancel}
+        confirmLabel={modalState.confirmLabel}
+        cancelLabel={modalState.cancelLabel}
       >
         <p style={{ margin: 0, lineHeight: 1.6 }}>
           {modalState.message}
         </p>
+        {modalState.details && modalState.details.length > 0 && (
+          <ul className="modal-details">
+            {modalState.details.map((detail, index) => (
+              <li key={index}>{detail}</li>
+            ))}
+          </ul>
+        )}
       </Modal>
     </div>
   );
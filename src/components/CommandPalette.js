@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './CommandPalette.css';
+
+/**
+ * Check whether a command matches what was typed
+ * Every typed word must appear in the label or group, in any order.
+ *
+ * @param {Object} command - Command ({ label, group })
+ * @param {string} query - Typed text
+ * @returns {boolean} Whether the command matches
+ */
+const matchesQuery = (command, query) => {
+  const haystack = `${command.group || ''} ${command.label}`.toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => haystack.includes(word));
+};
+
+/**
+ * CommandPalette Component
+ *
+ * Searchable list of every editor action, opened with Ctrl/Cmd+K. Arrow
+ * keys move the highlight, Enter runs the highlighted command and Escape
+ * closes the palette.
+ *
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isOpen - Whether the palette is shown
+ * @param {Array} props.commands - Commands ({ id, label, group, shortcut, disabled, run })
+ * @param {Function} props.onClose - Callback to close the palette
+ */
+const CommandPalette = ({ isOpen, commands, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  const results = commands.filter((command) => matchesQuery(command, query));
+
+  // Start fresh each time the palette opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setActiveIndex(0);
+      setTimeout(() => inputRef.current && inputRef.current.focus(), 0);
+    }
+  }, [isOpen]);
+
+  // Keep the highlighted command in view
+  useEffect(() => {
+    const activeItem = listRef.current?.querySelector('.command-item.active');
+    if (activeItem && activeItem.scrollIntoView) {
+      activeItem.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeIndex]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  /**
+   * Close the palette and run a command
+   *
+   * @param {Object} command - Command to run
+   */
+  const runCommand = (command) => {
+    if (!command || command.disabled) return;
+    onClose();
+    command.run();
+  };
+
+  /**
+   * Keyboard navigation within the palette
+   *
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveIndex((index) => (results.length > 0 ? (index + 1) % results.length : 0));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex((index) => (results.length > 0 ? (index - 1 + results.length) % results.length : 0));
+        break;
+      case 'Enter':
+        event.preventDefault();
+        runCommand(results[Math.min(activeIndex, results.length - 1)]);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        onClose();
+        break;
+      default:
+        break;
+    }
+    // Keep the canvas shortcuts from reacting while the palette is open
+    event.stopPropagation();
+  };
+
+  return (
+    <div
+      className="command-palette-backdrop"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div className="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+        <input
+          ref={inputRef}
+          type="text"
+          className="command-palette-input"
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Type a command..."
+          aria-label="Search commands"
+          aria-controls="command-palette-list"
+        />
+
+        <ul id="command-palette-list" ref={listRef} className="command-list" role="listbox">
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              aria-disabled={command.disabled || undefined}
+              className={`command-item ${index === activeIndex ? 'active' : ''} ${command.disabled ? 'disabled' : ''}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onMouseDown={(event) => {
+                // Keep focus in the input until the command runs
+                event.preventDefault();
+                runCommand(command);
+              }}
+            >
+              {command.group && <span className="command-group">{command.group}</span>}
+              <span className="command-label">{command.label}</span>
+              {command.shortcut && <kbd className="command-shortcut">{command.shortcut}</kbd>}
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="command-empty">No commands match "{query}"</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { splitPlaceholders } from '../utils/conversationUtils';
+import { isSafeLink, parseMarkup } from '../utils/messageFormatting';
+import './FormattedMessage.css';
+
+/**
+ * FormattedMessage Component
+ *
+ * Renders message markup (see utils/messageFormatting) as formatted
+ * text: bold, italic, links, lists and line breaks. The markup is turned
+ * into elements directly, never into HTML strings.
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.text - Message text
+ * @param {number} props.maxLength - Most visible characters to show before "..." (optional)
+ * @param {boolean} props.highlightPlaceholders - Show {{variable}} placeholders as chips
+ * @param {boolean} props.interactiveLinks - Render links as clickable anchors
+ *   (off on the canvas, where clicks select and edit nodes)
+ */
+const FormattedMessage = ({ text = '', maxLength = Infinity, highlightPlaceholders = false, interactiveLinks = false }) => {
+  // Visible characters still allowed; shared by everything rendered below
+  const budget = { remaining: maxLength, truncated: false };
+
+  /**
+   * Render plain text, cut to the remaining budget
+   *
+   * @param {string} value - Text to render
+   * @param {string} key - React key
+   */
+  const renderText = (value, key) => {
+    let visible = value;
+    if (visible.length > budget.remaining) {
+      visible = visible.slice(0, budget.remaining);
+      budget.truncated = true;
+    }
+    budget.remaining -= visible.length;
+
+    if (!highlightPlaceholders) {
+      return <React.Fragment key={key}>{visible}</React.Fragment>;
+    }
+    return splitPlaceholders(visible).map((segment, index) => (
+      segment.variable ? (
+        <span key={`${key}-${index}`} className="message-placeholder" title={`Variable: ${segment.variable}`}>
+          {segment.text}
+        </span>
+      ) : (
+        <React.Fragment key={`${key}-${index}`}>{segment.text}</React.Fragment>
+      )
+    ));
+  };
+
+  /**
+   * Render inline nodes until the budget runs out
+   *
+   * @param {Array} nodes - Inline nodes
+   * @param {string} keyPrefix - Prefix for React keys
+   */
+  const renderInline = (nodes, keyPrefix) => {
+    const elements = [];
+    nodes.forEach((node, index) => {
+      if (budget.remaining <= 0) {
+        budget.truncated = true;
+        return;
+      }
+      const key = `${keyPrefix}-${index}`;
+
+      switch (node.type) {
+        case 'bold':
+          elements.push(<strong key={key}>{renderInline(node.children, key)}</strong>);
+          break;
+        case 'italic':
+          elements.push(<em key={key}>{renderInline(node.children, key)}</em>);
+          break;
+        case 'link':
+          elements.push(interactiveLinks && isSafeLink(node.href) ? (
+            <a key={key} className="formatted-link" href={node.href} target="_blank" rel="noopener noreferrer">
+              {renderInline(node.children, key)}
+            </a>
+          ) : (
+            <span key={key} className="formatted-link" title={node.href}>{renderInline(node.children, key)}</span>
+          ));
+          break;
+        default:
+          elements.push(renderText(node.text, key));
+          break;
+      }
+    });
+    return elements;
+  };
+
+  const blocks = parseMarkup(text).map((block, blockIndex) => {
+    if (budget.remaining <= 0) {
+      budget.truncated = true;
+      return null;
+    }
+
+    if (block.type === 'list') {
+      return (
+        <ul key={blockIndex} className="formatted-list">
+          {block.items.map((item, itemIndex) => (
+            budget.remaining > 0 && <li key={itemIndex}>{renderInline(item, `${blockIndex}-${itemIndex}`)}</li>
+          ))}
+        </ul>
+      );
+    }
+
+    return (
+      <React.Fragment key={blockIndex}>
+        {block.lines.map((line, lineIndex) => (
+          <React.Fragment key={lineIndex}>
+            {lineIndex > 0 && budget.remaining > 0 && <br />}
+            {renderInline(line, `${blockIndex}-${lineIndex}`)}
+          </React.Fragment>
+        ))}
+      </React.Fragment>
+    );
+  });
+
+  return (
+    <span className="formatted-message">
+      {blocks}
+      {budget.truncated && '...'}
+    </span>
+  );
+};
+
+export default FormattedMessage;
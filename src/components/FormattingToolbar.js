@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { MESSAGE_EMOJIS } from '../constants/nodeTypes';
+import './FormattingToolbar.css';
+
+// Toolbar buttons, in display order
+const FORMATTING_ACTIONS = [
+  { action: 'bold', label: 'B', title: 'Bold (Ctrl+B)', className: 'format-bold' },
+  { action: 'italic', label: 'I', title: 'Italic (Ctrl+I)', className: 'format-italic' },
+  { action: 'link', label: '🔗', title: 'Link' },
+  { action: 'list', label: '•≡', title: 'Bulleted list' },
+];
+
+/**
+ * FormattingToolbar Component
+ *
+ * Formatting buttons for a message textarea: bold, italic, link, list
+ * and an emoji picker. Buttons act on mouse down so the textarea keeps
+ * its focus and selection.
+ *
+ * @param {Object} props - Component properties
+ * @param {Function} props.onFormat - Called with (action, value); see applyFormatting
+ */
+const FormattingToolbar = ({ onFormat }) => {
+  const [showEmojis, setShowEmojis] = useState(false);
+
+  /**
+   * Run an action without taking focus from the textarea
+   *
+   * @param {MouseEvent} event - Mouse down event
+   * @param {string} action - Formatting action
+   * @param {string} value - Text to insert, for 'insert'
+   */
+  const handleMouseDown = (event, action, value) => {
+    event.preventDefault();
+    onFormat(action, value);
+  };
+
+  return (
+    <div className="formatting-toolbar" role="toolbar" aria-label="Message formatting">
+      {FORMATTING_ACTIONS.map(({ action, label, title, className = '' }) => (
+        <button
+          key={action}
+          type="button"
+          className={`format-button ${className}`}
+          onMouseDown={(event) => handleMouseDown(event, action)}
+          // Keyboard users activate with Enter or Space, which fire click
+          onClick={(event) => event.detail === 0 && onFormat(action)}
+          title={title}
+          aria-label={title}
+        >
+          {label}
+        </button>
+      ))}
+
+      <div className="emoji-picker-wrapper">
+        <button
+          type="button"
+          className={`format-button ${showEmojis ? 'active' : ''}`}
+          onMouseDown={(event) => event.preventDefault()}
+          onClick={() => setShowEmojis((open) => !open)}
+          title="Insert emoji"
+          aria-label="Insert emoji"
+          aria-expanded={showEmojis}
+        >
+          😊
+        </button>
+
+        {showEmojis && (
+          <div
+            className="emoji-picker"
+            role="listbox"
+            aria-label="Emojis"
+            onKeyDown={(event) => {
+              if (event.key === 'Escape') {
+                event.stopPropagation();
+                setShowEmojis(false);
+              }
+            }}
+          >
+            {MESSAGE_EMOJIS.map((emoji) => (
+              <button
+                key={emoji}
+                type="button"
+                role="option"
+                aria-selected={false}
+                className="emoji-option"
+                onMouseDown={(event) => {
+                  handleMouseDown(event, 'insert', emoji);
+                  setShowEmojis(false);
+                }}
+                onClick={(event) => {
+                  if (event.detail === 0) {
+                    onFormat('insert', emoji);
+                    setShowEmojis(false);
+                  }
+                }}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FormattingToolbar;
@@ -9,7 +9,9 @@ const Modal = ({
   type = 'info',
   className = '',
   onConfirm,
-  onCancel
+  onCancel,
+  confirmLabel = 'Confirm',
+  cancelLabel = 'Cancel'
 }) => {
   // Handle escape key press for closing modal
   React.useEffect(() => {
@@ -105,17 +107,18 @@ const Modal = ({
                 }}
                 type="button"
               >
-                Cancel
+                {cancelLabel}
               </button>
               <button 
                 className="modal-button modal-button--confirm"
                 onClick={() => {
-                  if (onConfirm) onConfirm();
+                  // Close first so the confirm action can open a follow-up modal
                   onClose();
+                  if (onConfirm) onConfirm();
                 }}
                 type="button"
               >
-                Reset All
+                {confirmLabel}
               </button>
             </>
           ) : (
@@ -0,0 +1,244 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { NODE_CONFIGS } from '../constants/nodeTypes';
+import './SearchBar.css';
+
+/**
+ * SearchBar Component
+ *
+ * Find and replace across the whole flow, floating over the canvas.
+ * Opened with Ctrl/Cmd+F. Enter and Shift+Enter move between hits, which
+ * the canvas brings into view; Escape closes the bar. Replace changes the
+ * highlighted hit, Replace all every hit in one undo step.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.search - State and controls from useFlowSearch
+ * @param {Function} props.onReplace - Replaces the highlighted hit, or every
+ *   hit when passed true; returns { count, nodeCount }
+ */
+const SearchBar = ({ search, onReplace }) => {
+  const [showReplace, setShowReplace] = useState(false);
+  const [status, setStatus] = useState(null);
+  const inputRef = useRef(null);
+
+  const {
+    isOpen,
+    focusRequest,
+    close,
+    query,
+    setQuery,
+    replacement,
+    setReplacement,
+    options,
+    toggleOption,
+    error,
+    matches,
+    activeIndex,
+    activeMatch,
+    next,
+    previous
+  } = search;
+
+  // Focus the query each time the bar is asked for
+  useEffect(() => {
+    if (isOpen && inputRef.current) {
+      inputRef.current.focus();
+      inputRef.current.select();
+    }
+  }, [isOpen, focusRequest]);
+
+  // A new search makes the last replace summary stale
+  useEffect(() => {
+    setStatus(null);
+  }, [query, replacement, options]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const replaceableCount = matches.filter((match) => match.replaceable).length;
+  const skippedCount = matches.length - replaceableCount;
+
+  /**
+   * Replace the highlighted hit or every hit, and summarise what changed
+   *
+   * @param {boolean} replaceAll - Replace every hit
+   */
+  const handleReplace = (replaceAll) => {
+    const result = onReplace(replaceAll);
+    setStatus(result.count > 0
+      ? `Replaced ${result.count} hit${result.count !== 1 ? 's' : ''} in ${result.nodeCount} node${result.nodeCount !== 1 ? 's' : ''}`
+      : 'Nothing was replaced');
+  };
+
+  /**
+   * Keyboard handling for the whole bar
+   * Keys never reach the canvas shortcuts while typing here.
+   *
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f') {
+      event.preventDefault();
+      inputRef.current.focus();
+      inputRef.current.select();
+    }
+    event.stopPropagation();
+  };
+
+  let countText = '';
+  if (query && !error) {
+    countText = matches.length > 0 ? `${activeIndex + 1} of ${matches.length}` : 'No results';
+  }
+
+  return (
+    <div className="search-bar" role="search" aria-label="Find and replace" onKeyDown={handleKeyDown}>
+      <div className="search-row">
+        <button
+          type="button"
+          className="search-icon-button"
+          onClick={() => setShowReplace((shown) => !shown)}
+          aria-expanded={showReplace}
+          aria-label="Toggle replace"
+          title="Toggle replace"
+        >
+          {showReplace ? '▾' : '▸'}
+        </button>
+        <input
+          ref={inputRef}
+          type="text"
+          className={`search-input ${error ? 'invalid' : ''}`}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              if (e.shiftKey) {
+                previous();
+              } else {
+                next();
+              }
+            }
+          }}
+          placeholder="Find in messages, node IDs and variables"
+          aria-label="Find"
+          aria-invalid={Boolean(error)}
+        />
+        <button
+          type="button"
+          className={`search-option ${options.caseSensitive ? 'active' : ''}`}
+          onClick={() => toggleOption('caseSensitive')}
+          aria-pressed={options.caseSensitive}
+          title="Match case"
+        >
+          Aa
+        </button>
+        <button
+          type="button"
+          className={`search-option ${options.regex ? 'active' : ''}`}
+          onClick={() => toggleOption('regex')}
+          aria-pressed={options.regex}
+          title="Use regular expression"
+        >
+          .*
+        </button>
+        <span className="search-count" aria-live="polite">{countText}</span>
+        <button
+          type="button"
+          className="search-icon-button"
+          onClick={previous}
+          disabled={matches.length === 0}
+          aria-label="Previous result"
+          title="Previous result (Shift+Enter)"
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          className="search-icon-button"
+          onClick={next}
+          disabled={matches.length === 0}
+          aria-label="Next result"
+          title="Next result (Enter)"
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          className="search-icon-button"
+          onClick={close}
+          aria-label="Close search"
+          title="Close (Escape)"
+        >
+          ✕
+        </button>
+      </div>
+
+      {showReplace && (
+        <div className="search-row">
+          <input
+            type="text"
+            className="search-input replace-input"
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleReplace(e.ctrlKey || e.metaKey);
+              }
+            }}
+            placeholder={options.regex ? 'Replace with ($1 inserts a group)' : 'Replace with'}
+            aria-label="Replace with"
+          />
+          <button
+            type="button"
+            className="search-action"
+            onClick={() => handleReplace(false)}
+            disabled={!activeMatch?.replaceable}
+            title="Replace the highlighted result (Enter)"
+          >
+            Replace
+          </button>
+          <button
+            type="button"
+            className="search-action"
+            onClick={() => handleReplace(true)}
+            disabled={replaceableCount === 0}
+            title="Replace every result in one undo step (Ctrl+Enter)"
+          >
+            Replace all
+          </button>
+        </div>
+      )}
+
+      {error && <div className="search-message error">{error}</div>}
+
+      {/* Where the highlighted hit is */}
+      {!error && activeMatch && (
+        <div className="search-hit">
+          <span className="search-hit-field">
+            {NODE_CONFIGS[activeMatch.nodeType]?.label || activeMatch.nodeType} · {activeMatch.fieldLabel}
+          </span>
+          <span className="search-hit-text">
+            {activeMatch.preview.before}
+            <mark>{activeMatch.preview.match}</mark>
+            {activeMatch.preview.after}
+          </span>
+        </div>
+      )}
+
+      {showReplace && skippedCount > 0 && (
+        <div className="search-message">
+          {skippedCount} result{skippedCount !== 1 ? 's' : ''} in node IDs or variable names will not be
+          replaced; rename variables in the node settings
+        </div>
+      )}
+
+      {status && <div className="search-message success">{status}</div>}
+    </div>
+  );
+};
+
+export default SearchBar;
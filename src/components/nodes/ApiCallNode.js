@@ -0,0 +1,115 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { API_CALL_HANDLES } from '../../constants/nodeTypes';
+import './ApiCallNode.css';
+
+// Shared handle appearance, matching the message node handles
+const HANDLE_STYLE = {
+  width: '16px',
+  height: '16px',
+  borderRadius: '50%',
+  border: '3px solid #fff',
+  zIndex: 10
+};
+
+// Outputs rendered as labelled rows, each with its own source handle
+const OUTPUTS = [
+  { id: API_CALL_HANDLES.SUCCESS, label: 'Success', color: '#10b981' },
+  { id: API_CALL_HANDLES.ERROR, label: 'Error', color: '#ef4444' }
+];
+
+/**
+ * ApiCallNode Component
+ *
+ * Calls an external HTTP API and stores selected response fields in flow
+ * variables. The conversation continues through the Success handle for
+ * 2xx responses and through the Error handle for failures and timeouts.
+ *
+ * Request and response mapping are edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the request configuration
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const ApiCallNode = ({ data, selected }) => {
+  const url = (data.url || '').trim();
+  const mappings = (data.responseMappings || []).filter((mapping) => mapping.variable);
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['api-call-node'];
+
+    if (selected) classes.push('selected');
+    if (!url) classes.push('empty');
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className={getNodeClasses()}>
+      {/* Target Handle - Allows multiple incoming connections */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#10b981', left: '-10px', top: '28px' }}
+      />
+
+      <div className="node-header">
+        <span className="node-icon" role="img" aria-label="API call icon">
+          🌐
+        </span>
+        <span className="node-title">API Call</span>
+        {data.mockEnabled && (
+          <span className="api-mock-badge" title="Uses the mock response instead of the network">
+            MOCK
+          </span>
+        )}
+      </div>
+
+      <div className="node-content">
+        <div className="api-request-line">
+          <span className={`api-method-badge method-${(data.method || 'GET').toLowerCase()}`}>
+            {data.method || 'GET'}
+          </span>
+          <span className="api-url" title={url}>
+            {url || 'Click to configure request...'}
+          </span>
+        </div>
+
+        {mappings.length > 0 && (
+          <div className="api-mappings">
+            Saves {mappings.map((mapping) => `{{${mapping.variable}}}`).join(', ')}
+          </div>
+        )}
+
+        <ul className="api-outputs">
+          {OUTPUTS.map((output) => (
+            <li key={output.id} className={`api-output api-output-${output.id}`}>
+              {output.label}
+              <Handle
+                type="source"
+                position={Position.Right}
+                id={output.id}
+                className="node-handle source-handle"
+                isConnectable={true}
+                style={{
+                  ...HANDLE_STYLE,
+                  background: output.color,
+                  right: '-26px',
+                  top: '50%',
+                  transform: 'translateY(-50%)'
+                }}
+              />
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ApiCallNode;
@@ -0,0 +1,144 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { CONDITION_OPERATORS, CONDITION_OPERATOR_LABELS } from '../../constants/nodeTypes';
+import './ConditionalNode.css';
+
+// Shared handle appearance, matching the message node handles
+const HANDLE_STYLE = {
+  width: '16px',
+  height: '16px',
+  borderRadius: '50%',
+  border: '3px solid #fff',
+  zIndex: 10
+};
+
+/**
+ * ConditionalNode Component
+ *
+ * Branches the conversation based on the user's reply, or on a variable
+ * captured earlier in the flow.
+ * Each condition is rendered as its own row with a dedicated source handle,
+ * so every branch can be connected to a different next step.
+ *
+ * Key Features:
+ * - Ordered list of conditions (first match wins)
+ * - One labelled source handle per condition
+ * - Fallback branch for replies that match nothing
+ * - Visual warning when no fallback branch exists
+ *
+ * Conditions are edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the conditions
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const ConditionalNode = ({ data, selected }) => {
+  const conditions = data.conditions || [];
+  const hasFallback = conditions.some(
+    (condition) => condition.operator === CONDITION_OPERATORS.FALLBACK
+  );
+
+  /**
+   * Describe a condition in a compact, human-readable way
+   *
+   * @param {Object} condition - Condition definition
+   * @returns {string} Summary text
+   */
+  const getConditionSummary = (condition) => {
+    if (condition.operator === CONDITION_OPERATORS.FALLBACK) {
+      return 'Any other reply';
+    }
+
+    const operatorLabel = CONDITION_OPERATOR_LABELS[condition.operator] || condition.operator;
+    return condition.value
+      ? `${operatorLabel} "${condition.value}"`
+      : `${operatorLabel} (no value)`;
+  };
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['conditional-node'];
+
+    if (selected) classes.push('selected');
+    if (conditions.length === 0) classes.push('empty');
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className={getNodeClasses()}>
+      {/* Target Handle - Allows multiple incoming connections */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{
+          ...HANDLE_STYLE,
+          background: '#10b981',
+          left: '-10px',
+          top: '28px'
+        }}
+      />
+
+      <div className="node-header">
+        <span className="node-icon" role="img" aria-label="Condition icon">
+          🔀
+        </span>
+        <span className="node-title">Condition</span>
+      </div>
+
+      <div className="node-content">
+        <div className="condition-subject">
+          {data.variable ? `Checks {{${data.variable}}}` : "Checks the user's reply"}
+        </div>
+
+        {conditions.length === 0 ? (
+          <div className="condition-empty">Click to add conditions</div>
+        ) : (
+          <ul className="condition-list">
+            {conditions.map((condition) => (
+              <li
+                key={condition.id}
+                className={`condition-row ${condition.operator === CONDITION_OPERATORS.FALLBACK ? 'fallback' : ''}`}
+              >
+                <span className="condition-label">
+                  {condition.label || 'Untitled branch'}
+                </span>
+                <span className="condition-summary">
+                  {getConditionSummary(condition)}
+                </span>
+
+                {/* One source handle per branch - one outgoing connection each */}
+                <Handle
+                  type="source"
+                  position={Position.Right}
+                  id={condition.id}
+                  className="node-handle source-handle condition-handle"
+                  isConnectable={true}
+                  style={{
+                    ...HANDLE_STYLE,
+                    background: condition.operator === CONDITION_OPERATORS.FALLBACK ? '#9ca3af' : '#8b5cf6',
+                    right: '-26px',
+                    top: '50%',
+                    transform: 'translateY(-50%)'
+                  }}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {conditions.length > 0 && !hasFallback && (
+          <div className="condition-warning" title="Replies that match no condition will end the conversation">
+            ⚠️ No fallback branch
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConditionalNode;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { DELAY_MODES } from '../../constants/nodeTypes';
+import { validateDelaySeconds } from '../../utils/conversationUtils';
+import './DelayNode.css';
+
+// Shared handle appearance, matching the message node handles
+const HANDLE_STYLE = {
+  width: '16px',
+  height: '16px',
+  borderRadius: '50%',
+  border: '3px solid #fff',
+  top: '50%',
+  transform: 'translateY(-50%)',
+  zIndex: 10
+};
+
+/**
+ * DelayNode Component
+ *
+ * Pauses the conversation before the next step, either silently or
+ * while showing a typing indicator, so messages don't arrive
+ * back-to-back. Rendered as a compact pill since it has no content.
+ *
+ * Key Features:
+ * - One-line summary of the pause ("Typing... 2s" / "Wait 2s")
+ * - Visual warning when the length is out of range
+ * - Single source handle (continues once the pause is over)
+ *
+ * Mode and length are edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the mode and length
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const DelayNode = ({ data, selected }) => {
+  const isTyping = data.mode !== DELAY_MODES.WAIT;
+  const error = validateDelaySeconds(data.seconds);
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['delay-node'];
+
+    if (selected) classes.push('selected');
+    if (error) classes.push('invalid');
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className={getNodeClasses()} title={error || undefined}>
+      {/* Target Handle - Allows multiple incoming connections */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#10b981', left: '-10px' }}
+      />
+
+      <span className="delay-icon" role="img" aria-label={isTyping ? 'Typing indicator' : 'Pause'}>
+        {isTyping ? '💬' : '⏱️'}
+      </span>
+      <span className="delay-label">
+        {isTyping ? 'Typing...' : 'Wait'}
+      </span>
+      <span className="delay-duration">
+        {error ? '⚠️' : `${Number(data.seconds)}s`}
+      </span>
+
+      {/* Source Handle - Continues once the pause is over */}
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="node-handle source-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#3b82f6', right: '-10px' }}
+      />
+    </div>
+  );
+};
+
+export default DelayNode;
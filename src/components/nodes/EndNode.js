@@ -0,0 +1,53 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import './EndNode.css';
+
+/**
+ * EndNode Component
+ *
+ * Finishes the conversation. Every path through the flow should reach
+ * an End node (or a loop that waits for the user). Rendered as a compact
+ * pill with the optional outcome label.
+ *
+ * Key Features:
+ * - Multiple target connections supported
+ * - No source handle (nothing follows the end)
+ *
+ * The outcome label is edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the outcome label
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const EndNode = ({ data, selected }) => {
+  const outcome = (data.outcome || '').trim();
+
+  return (
+    <div className={`end-node ${selected ? 'selected' : ''}`}>
+      {/* Target Handle - Allows multiple incoming connections */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{
+          background: '#10b981',
+          width: '16px',
+          height: '16px',
+          borderRadius: '50%',
+          border: '3px solid #fff',
+          left: '-10px',
+          top: '50%',
+          transform: 'translateY(-50%)',
+          zIndex: 10
+        }}
+      />
+
+      <span className="end-icon" role="img" aria-label="End icon">🏁</span>
+      <span className="end-label">End</span>
+      {outcome && <span className="end-outcome" title="Outcome">{outcome}</span>}
+    </div>
+  );
+};
+
+export default EndNode;
@@ -0,0 +1,133 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { MEDIA_TYPES, MEDIA_TYPE_LABELS } from '../../constants/nodeTypes';
+import { getMediaFileName, validateMediaUrl } from '../../utils/mediaUtils';
+import './MediaNode.css';
+
+// Shared handle appearance, matching the message node handles
+const HANDLE_STYLE = {
+  width: '16px',
+  height: '16px',
+  borderRadius: '50%',
+  border: '3px solid #fff',
+  top: '50%',
+  transform: 'translateY(-50%)',
+  zIndex: 10
+};
+
+// Icon shown for each media kind when there is no thumbnail
+const MEDIA_ICONS = {
+  image: '🖼️',
+  video: '🎬',
+  document: '📄',
+};
+
+/**
+ * MediaNode Component
+ *
+ * Sends an image, video or document, with an optional caption. The file
+ * is referenced by URL or uploaded into the flow.
+ *
+ * Key Features:
+ * - Thumbnail of the image or video (file name for documents)
+ * - Caption preview
+ * - Visual warning when the file is missing or its URL is invalid
+ * - Single source handle (continues once the file is sent)
+ *
+ * File and caption are edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the file reference and caption
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const MediaNode = ({ data, selected }) => {
+  const mediaType = data.mediaType || MEDIA_TYPES.IMAGE;
+  const caption = data.caption || '';
+  const sourceError = validateMediaUrl(data.url);
+  const fileName = getMediaFileName(data);
+
+  // Placeholder URLs are only complete at runtime, so there is nothing to preview
+  const canPreview = !sourceError && !/{{/.test(data.url);
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['media-node'];
+
+    if (selected) classes.push('selected');
+    if (!data.url) classes.push('empty');
+
+    return classes.join(' ');
+  };
+
+  /**
+   * Render the thumbnail for the file
+   */
+  const renderThumbnail = () => {
+    if (canPreview && mediaType === MEDIA_TYPES.IMAGE) {
+      return <img className="media-thumbnail" src={data.url} alt={caption || fileName || 'Image'} draggable={false} />;
+    }
+    if (canPreview && mediaType === MEDIA_TYPES.VIDEO) {
+      return <video className="media-thumbnail" src={data.url} muted preload="metadata" />;
+    }
+
+    return (
+      <div className="media-thumbnail placeholder">
+        <span className="media-placeholder-icon" role="img" aria-hidden="true">
+          {MEDIA_ICONS[mediaType] || MEDIA_ICONS.document}
+        </span>
+        {fileName && <span className="media-file-name">{fileName}</span>}
+      </div>
+    );
+  };
+
+  return (
+    <div className={getNodeClasses()}>
+      {/* Target Handle - Allows multiple incoming connections */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#10b981', left: '-10px' }}
+      />
+
+      <div className="node-header">
+        <span className="node-icon" role="img" aria-label="Media icon">
+          {MEDIA_ICONS[mediaType] || MEDIA_ICONS.document}
+        </span>
+        <span className="node-title">Send {MEDIA_TYPE_LABELS[mediaType] || 'Media'}</span>
+      </div>
+
+      <div className="node-content">
+        {data.url ? renderThumbnail() : (
+          <div className="media-empty">Click to add a file...</div>
+        )}
+
+        {caption.trim() && (
+          <div className="media-caption">
+            {caption.length > 80 ? `${caption.substring(0, 80)}...` : caption}
+          </div>
+        )}
+
+        {data.url && sourceError && (
+          <div className="media-warning" title={sourceError}>
+            ⚠️ {sourceError}
+          </div>
+        )}
+      </div>
+
+      {/* Source Handle - Continues once the file is sent */}
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="node-handle source-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#3b82f6', right: '-10px' }}
+      />
+    </div>
+  );
+};
+
+export default MediaNode;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { describeTrigger, validateTrigger } from '../../utils/conversationUtils';
+import './StartNode.css';
+
+/**
+ * StartNode Component
+ *
+ * Entry point of the conversation. Lists the triggers that begin a
+ * conversation here: keywords, a regex, any message or a channel event.
+ * A flow can have several Start nodes as long as no trigger is shared.
+ *
+ * Key Features:
+ * - One summary row per trigger, with invalid triggers flagged
+ * - No target handle (nothing can lead into a start)
+ * - Single source handle (the first step of the conversation)
+ *
+ * Triggers are edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the triggers
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const StartNode = ({ data, selected }) => {
+  const triggers = data.triggers || [];
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['start-node'];
+
+    if (selected) classes.push('selected');
+    if (triggers.length === 0) classes.push('empty');
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className={getNodeClasses()}>
+      <div className="node-header">
+        <span className="node-icon" role="img" aria-label="Start icon">
+          🚀
+        </span>
+        <span className="node-title">Start</span>
+      </div>
+
+      <div className="node-content">
+        {triggers.length === 0 ? (
+          <div className="trigger-empty">Click to add a trigger</div>
+        ) : (
+          <ul className="trigger-list">
+            {triggers.map((trigger) => {
+              const error = validateTrigger(trigger);
+              return (
+                <li
+                  key={trigger.id}
+                  className={`trigger-row ${error ? 'invalid' : ''}`}
+                  title={error || undefined}
+                >
+                  {error && '⚠️ '}
+                  {describeTrigger(trigger)}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {/* Source Handle - The first step of the conversation */}
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="node-handle source-handle"
+        isConnectable={true}
+        style={{
+          background: '#3b82f6',
+          width: '16px',
+          height: '16px',
+          borderRadius: '50%',
+          border: '3px solid #fff',
+          right: '-10px',
+          top: '50%',
+          transform: 'translateY(-50%)',
+          zIndex: 10
+        }}
+      />
+    </div>
+  );
+};
+
+export default StartNode;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import './SubflowNode.css';
+
+// Shared handle appearance, matching the message node handles
+const HANDLE_STYLE = {
+  width: '16px',
+  height: '16px',
+  borderRadius: '50%',
+  border: '3px solid #fff',
+  zIndex: 10
+};
+
+/**
+ * SubflowNode Component
+ *
+ * Runs another saved flow ("Go to Flow"), such as a shared "collect
+ * email" sequence. The conversation enters at the target's Start node
+ * and continues from the output matching the End node it finished at.
+ *
+ * Key Features:
+ * - Target flow name, with a hint to double-click and open it
+ * - One labelled source handle per End node of the target
+ * - Empty state until a flow is chosen
+ *
+ * The target is chosen in the SettingsPanel; the node shows the copy of
+ * its name and exits stored in the node data.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing the target flow and its exits
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const SubflowNode = ({ data, selected }) => {
+  const exits = data.exits || [];
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['subflow-node'];
+
+    if (selected) classes.push('selected');
+    if (!data.flowId) classes.push('empty');
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className={getNodeClasses()}>
+      {/* Target Handle - Enters the target flow at its Start node */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#10b981', left: '-10px', top: '28px' }}
+      />
+
+      <div className="node-header">
+        <span className="node-icon" role="img" aria-label="Go to flow icon">
+          🔗
+        </span>
+        <span className="node-title">Go to Flow</span>
+      </div>
+
+      <div className="node-content">
+        {data.flowId ? (
+          <>
+            <div className="subflow-target" title={data.flowName}>
+              {data.flowName || 'Untitled flow'}
+            </div>
+            <div className="subflow-hint">Double-click to open</div>
+          </>
+        ) : (
+          <div className="subflow-empty">Click to choose a flow</div>
+        )}
+
+        {exits.length > 0 && (
+          <ul className="subflow-exit-list">
+            {exits.map((exit) => (
+              <li key={exit.id} className="subflow-exit-row">
+                <span className="subflow-exit-label">🏁 {exit.label}</span>
+
+                {/* One source handle per End node of the target flow */}
+                <Handle
+                  type="source"
+                  position={Position.Right}
+                  id={exit.id}
+                  className="node-handle source-handle subflow-handle"
+                  isConnectable={true}
+                  style={{
+                    ...HANDLE_STYLE,
+                    background: '#0d9488',
+                    right: '-26px',
+                    top: '50%',
+                    transform: 'translateY(-50%)'
+                  }}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubflowNode;
@@ -1,5 +1,9 @@
 import React, { useState } from 'react';
 import { Handle, Position } from 'reactflow';
+import FormattedMessage from '../FormattedMessage';
+import { convertMessageText } from '../../utils/messageFormatting';
+import { getMessageText, isTranslationMissing } from '../../utils/translationUtils';
+import { DEFAULT_LOCALE, LOCALE_LABELS, MESSAGE_FORMATS } from '../../constants/nodeTypes';
 import './TextMessageNode.css';
 
 /**
@@ -13,8 +17,13 @@ import './TextMessageNode.css';
  * - Auto-save functionality on blur/enter
  * - Visual feedback for different states (normal, selected, editing)
  * - Smart text truncation with full preview on hover
+ * - Formatted preview (bold, italic, links, lists) with {{variable}}
+ *   placeholders highlighted
+ * - Shows and edits the message in the language chosen in the header,
+ *   flagging messages that are not translated yet
  * - Professional design with smooth animations
- * - Single source handle (enforces one outgoing connection)
+ * - Single source handle (enforces one outgoing connection), or one
+ *   handle per quick-reply button when the message offers buttons
  * - Multiple target connections supported
  * 
  * UX Improvements:
@@ -30,9 +39,16 @@ import './TextMessageNode.css';
  * @param {string} props.id - Unique node identifier
  */
 const TextMessageNode = ({ data, selected, id }) => {
+  const quickReplies = data.quickReplies || [];
+
+  // Language shown on the canvas; untranslated messages fall back to their own text
+  const locale = data.displayLocale || DEFAULT_LOCALE;
+  const shownText = getMessageText(data, locale);
+  const isUntranslated = isTranslationMissing(data, locale);
+
   // Local state for inline editing functionality
   const [isEditing, setIsEditing] = useState(false);
-  const [editText, setEditText] = useState(data.text || '');
+  const [editText, setEditText] = useState(shownText);
   const [isHovered, setIsHovered] = useState(false);
 
   /**
@@ -43,7 +59,7 @@ const TextMessageNode = ({ data, selected, id }) => {
     // Prevent event bubbling to avoid triggering parent handlers
     event.stopPropagation();
     setIsEditing(true);
-    setEditText(data.text || '');
+    setEditText(shownText);
   };
 
   /**
@@ -55,7 +71,7 @@ const TextMessageNode = ({ data, selected, id }) => {
     
     // Update node data through React Flow's update mechanism
     // This will be handled by the parent component's update function
-    if (window.updateNodeText && editText.trim() !== data.text) {
+    if (window.updateNodeText && editText.trim() !== shownText) {
       window.updateNodeText(id, editText.trim());
     }
   };
@@ -66,7 +82,7 @@ const TextMessageNode = ({ data, selected, id }) => {
    */
   const handleCancel = () => {
     setIsEditing(false);
-    setEditText(data.text || ''); // Reset to original text
+    setEditText(shownText); // Reset to original text
   };
 
   /**
@@ -93,31 +109,32 @@ const TextMessageNode = ({ data, selected, id }) => {
   };
 
   /**
-   * Smart text truncation with different lengths based on context
+   * Render the formatted preview, truncated by visible length
    * Shows more text when hovered to provide better preview
    */
-  const getDisplayText = () => {
-    const text = data.text || '';
-    
-    // If no text, show placeholder
-    if (!text.trim()) {
+  const renderDisplayText = () => {
+    const text = isUntranslated ? data.text : shownText;
+    if (!(text || '').trim()) {
       return 'Double-click to edit message...';
     }
-    
-    const maxLength = isHovered ? 100 : 60;
-    
-    if (text.length <= maxLength) {
-      return text;
-    }
-    
-    return `${text.substring(0, maxLength)}...`;
+
+    return (
+      <FormattedMessage
+        text={text}
+        maxLength={isHovered ? 100 : 60}
+        highlightPlaceholders={true}
+      />
+    );
   };
 
   /**
    * Get placeholder text that guides user interaction
    */
   const getPlaceholderText = () => {
-    return data.text ? data.text : 'Double-click to edit message...';
+    if (isUntranslated) {
+      return `Not translated into ${LOCALE_LABELS[locale]} yet: ${convertMessageText(data.text, MESSAGE_FORMATS.PLAIN)}`;
+    }
+    return shownText ? convertMessageText(shownText, MESSAGE_FORMATS.PLAIN) : 'Double-click to edit message...';
   };
 
   /**
@@ -130,6 +147,7 @@ const TextMessageNode = ({ data, selected, id }) => {
     if (isEditing) classes.push('editing');
     if (isHovered) classes.push('hovered');
     if (!data.text || data.text.trim() === '') classes.push('empty');
+    if (isUntranslated) classes.push('untranslated');
     
     return classes.join(' ');
   };
@@ -165,6 +183,11 @@ const TextMessageNode = ({ data, selected, id }) => {
           💬
         </span>
         <span className="node-title">Send Message</span>
+        {isUntranslated && (
+          <span className="translation-missing" title={`No ${LOCALE_LABELS[locale]} translation yet`}>
+            {locale.toUpperCase()} missing
+          </span>
+        )}
         {isEditing && (
           <span className="edit-indicator" title="Editing mode active">
             ✏️
@@ -185,7 +208,6 @@ const TextMessageNode = ({ data, selected, id }) => {
             placeholder="Enter your message here..."
             autoFocus
             rows={3}
-            maxLength={500}
           />
         ) : (
           /* Display Mode: Shows message with edit hint */
@@ -195,7 +217,7 @@ const TextMessageNode = ({ data, selected, id }) => {
             title={isHovered ? "Double-click to edit" : getPlaceholderText()}
           >
             <div className="message-text">
-              {getDisplayText()}
+              {renderDisplayText()}
             </div>
             {!data.text && (
               <div className="edit-hint">
@@ -205,32 +227,66 @@ const TextMessageNode = ({ data, selected, id }) => {
           </div>
         )}
         
-        {/* Character count indicator during editing */}
+        {/* Character count indicator during editing - the channel limit is checked in settings */}
         {isEditing && (
           <div className="character-count">
-            {editText.length}/500
+            {editText.length} characters
           </div>
         )}
+
+        {/* Quick-reply buttons - each continues the flow on its own handle */}
+        {quickReplies.length > 0 && (
+          <ul className="quick-reply-list">
+            {quickReplies.map((quickReply) => (
+              <li key={quickReply.id} className="quick-reply-row">
+                <span className={`quick-reply-label ${quickReply.label?.trim() ? '' : 'untitled'}`}>
+                  {quickReply.label?.trim() || 'Untitled button'}
+                </span>
+
+                <Handle
+                  type="source"
+                  position={Position.Right}
+                  id={quickReply.id}
+                  className="node-handle source-handle quick-reply-handle"
+                  isConnectable={true}
+                  style={{
+                    background: '#3b82f6',
+                    width: '16px',
+                    height: '16px',
+                    borderRadius: '50%',
+                    border: '3px solid #fff',
+                    right: '-26px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    zIndex: 10
+                  }}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
       
       {/* Source Handle - Enforces single outgoing connection - Made larger and more prominent */}
-      <Handle
-        type="source"
-        position={Position.Right}
-        className="node-handle source-handle"
-        isConnectable={true}
-        style={{ 
-          background: '#3b82f6',
-          width: '16px',
-          height: '16px',
-          borderRadius: '50%',
-          border: '3px solid #fff',
-          right: '-10px',
-          top: '50%',
-          transform: 'translateY(-50%)',
-          zIndex: 10
-        }}
-      />
+      {quickReplies.length === 0 && (
+        <Handle
+          type="source"
+          position={Position.Right}
+          className="node-handle source-handle"
+          isConnectable={true}
+          style={{ 
+            background: '#3b82f6',
+            width: '16px',
+            height: '16px',
+            borderRadius: '50%',
+            border: '3px solid #fff',
+            right: '-10px',
+            top: '50%',
+            transform: 'translateY(-50%)',
+            zIndex: 10
+          }}
+        />
+      )}
       
       {/* Hover tooltip for better UX guidance */}
       {isHovered && !isEditing && (
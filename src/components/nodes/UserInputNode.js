@@ -0,0 +1,106 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { INPUT_VALIDATION_LABELS } from '../../constants/nodeTypes';
+import { isValidVariableName } from '../../utils/conversationUtils';
+import './UserInputNode.css';
+
+// Shared handle appearance, matching the message node handles
+const HANDLE_STYLE = {
+  width: '16px',
+  height: '16px',
+  borderRadius: '50%',
+  border: '3px solid #fff',
+  top: '50%',
+  transform: 'translateY(-50%)',
+  zIndex: 10
+};
+
+/**
+ * UserInputNode Component
+ *
+ * Asks the user a question and stores the validated reply in a flow
+ * variable. Later nodes can reference the answer as {{variableName}}.
+ *
+ * Key Features:
+ * - Prompt preview with the expected answer format
+ * - Variable badge showing where the reply is stored
+ * - Visual warning when no valid variable name is set
+ * - Single source handle (continues once a valid answer is received)
+ *
+ * Prompt, validation and retry behaviour are edited in the SettingsPanel.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.data - Node data containing prompt and validation rules
+ * @param {boolean} props.selected - Whether node is currently selected
+ */
+const UserInputNode = ({ data, selected }) => {
+  const prompt = data.prompt || '';
+  const hasValidVariable = isValidVariableName(data.variable);
+
+  /**
+   * Calculate dynamic node classes for styling
+   */
+  const getNodeClasses = () => {
+    const classes = ['user-input-node'];
+
+    if (selected) classes.push('selected');
+    if (!prompt.trim()) classes.push('empty');
+    if (!hasValidVariable) classes.push('missing-variable');
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className={getNodeClasses()}>
+      {/* Target Handle - Allows multiple incoming connections */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="node-handle target-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#10b981', left: '-10px' }}
+      />
+
+      <div className="node-header">
+        <span className="node-icon" role="img" aria-label="User input icon">
+          ✍️
+        </span>
+        <span className="node-title">User Input</span>
+      </div>
+
+      <div className="node-content">
+        <div className="input-prompt">
+          {prompt.trim()
+            ? (prompt.length > 80 ? `${prompt.substring(0, 80)}...` : prompt)
+            : 'Click to set the question...'}
+        </div>
+
+        <div className="input-meta">
+          <span className="input-type-badge">
+            {INPUT_VALIDATION_LABELS[data.inputType] || INPUT_VALIDATION_LABELS.text}
+          </span>
+          {hasValidVariable ? (
+            <span className="input-variable-badge" title="The reply is saved to this variable">
+              → {`{{${data.variable}}}`}
+            </span>
+          ) : (
+            <span className="input-variable-warning" title="Set a variable name in the settings panel">
+              ⚠️ No variable
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Source Handle - Continues once a valid answer is captured */}
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="node-handle source-handle"
+        isConnectable={true}
+        style={{ ...HANDLE_STYLE, background: '#3b82f6', right: '-10px' }}
+      />
+    </div>
+  );
+};
+
+export default UserInputNode;
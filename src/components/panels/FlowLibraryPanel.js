@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import './FlowLibraryPanel.css';
+
+/**
+ * Format a timestamp as a short "last modified" label
+ *
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Relative label for recent dates, calendar date otherwise
+ */
+const formatModifiedDate = (timestamp) => {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return 'Unknown';
+
+  const minutesAgo = Math.floor((Date.now() - date.getTime()) / 60000);
+  if (minutesAgo < 1) return 'Just now';
+  if (minutesAgo < 60) return `${minutesAgo} min ago`;
+
+  const hoursAgo = Math.floor(minutesAgo / 60);
+  if (hoursAgo < 24) return `${hoursAgo} h ago`;
+
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * FlowLibraryPanel Component
+ *
+ * Sidebar listing every saved flow with search, node counts and
+ * last-modified dates. Flows can be created, renamed, duplicated, deleted
+ * and opened from here.
+ *
+ * Purely presentational: storage and the unsaved-changes prompts are
+ * handled by the parent through the callbacks.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.flows - Library entries, most recently modified first
+ * @param {string} props.activeFlowId - ID of the flow open on the canvas
+ * @param {boolean} props.hasUnsavedChanges - Whether the open flow has unsaved edits
+ * @param {Function} props.onOpen - Callback receiving the ID of the flow to open
+ * @param {Function} props.onCreate - Callback receiving a new flow name; returns a storage result
+ * @param {Function} props.onRename - Callback receiving (flowId, name); returns a storage result
+ * @param {Function} props.onDuplicate - Callback receiving the ID of the flow to copy
+ * @param {Function} props.onDelete - Callback receiving the ID of the flow to delete
+ * @param {Function} props.onClose - Callback to close the library
+ */
+const FlowLibraryPanel = ({
+  flows,
+  activeFlowId,
+  hasUnsavedChanges,
+  onOpen,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose
+}) => {
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Inline name editor: { flowId: null } while creating, a flow ID while renaming
+  const [nameEditor, setNameEditor] = useState(null);
+  const [nameDraft, setNameDraft] = useState('');
+  const [nameError, setNameError] = useState(null);
+
+  const normalizedSearch = searchTerm.trim().toLowerCase();
+  const visibleFlows = normalizedSearch
+    ? flows.filter((flow) => flow.name.toLowerCase().includes(normalizedSearch))
+    : flows;
+
+  /**
+   * Open the inline name editor
+   *
+   * @param {string|null} flowId - Flow to rename, or null to create a new flow
+   * @param {string} initialName - Name shown in the input
+   */
+  const startNameEditor = (flowId, initialName) => {
+    setNameEditor({ flowId });
+    setNameDraft(initialName);
+    setNameError(null);
+  };
+
+  const cancelNameEditor = () => {
+    setNameEditor(null);
+    setNameError(null);
+  };
+
+  /**
+   * Submit the inline name editor
+   * Keeps the editor open with the storage error if the name is rejected.
+   *
+   * @param {Event} event - Form submit event
+   */
+  const submitNameEditor = (event) => {
+    event.preventDefault();
+
+    const result = nameEditor.flowId
+      ? onRename(nameEditor.flowId, nameDraft)
+      : onCreate(nameDraft);
+
+    if (result && !result.success) {
+      setNameError(result.error);
+      return;
+    }
+    cancelNameEditor();
+  };
+
+  /**
+   * Render the inline name form
+   *
+   * @param {string} label - Accessible label for the input
+   */
+  const renderNameForm = (label) => (
+    <form className="library-name-form" onSubmit={submitNameEditor}>
+      <input
+        type="text"
+        className={`setting-input ${nameError ? 'invalid' : ''}`}
+        value={nameDraft}
+        onChange={(e) => {
+          setNameDraft(e.target.value);
+          setNameError(null);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            e.stopPropagation();
+            cancelNameEditor();
+          }
+        }}
+        aria-label={label}
+        maxLength={60}
+        autoFocus
+      />
+      <div className="library-name-actions">
+        <button type="submit" className="secondary-button">Save</button>
+        <button type="button" className="secondary-button" onClick={cancelNameEditor}>Cancel</button>
+      </div>
+      {nameError && <div className="input-error">{nameError}</div>}
+    </form>
+  );
+
+  return (
+    <div className="library-panel">
+      <div className="library-header">
+        <div className="library-title-section">
+          <h3 className="library-title">📚 Flow Library</h3>
+          <span className="library-subtitle">
+            {flows.length} flow{flows.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <button
+          type="button"
+          className="icon-button"
+          onClick={onClose}
+          aria-label="Close flow library"
+          title="Close flow library"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="library-toolbar">
+        <input
+          type="search"
+          className="setting-input"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search flows..."
+          aria-label="Search flows"
+        />
+        {nameEditor && nameEditor.flowId === null ? (
+          renderNameForm('New flow name')
+        ) : (
+          <button
+            type="button"
+            className="secondary-button library-new-button"
+            onClick={() => startNameEditor(null, '')}
+          >
+            + New flow
+          </button>
+        )}
+      </div>
+
+      <ul className="library-list">
+        {visibleFlows.map((flow) => {
+          const isActive = flow.id === activeFlowId;
+          const isRenaming = nameEditor?.flowId === flow.id;
+
+          return (
+            <li key={flow.id} className={`library-item ${isActive ? 'active' : ''}`}>
+              {isRenaming ? (
+                renderNameForm(`Rename ${flow.name}`)
+              ) : (
+                <>
+                  <button
+                    type="button"
+                    className="library-item-main"
+                    onClick={() => onOpen(flow.id)}
+                    disabled={isActive}
+                    title={isActive ? 'Currently open' : `Open "${flow.name}"`}
+                  >
+                    <span className="library-item-name">
+                      {flow.name}
+                      {isActive && hasUnsavedChanges && (
+                        <span className="unsaved-dot" title="Unsaved changes"> ●</span>
+                      )}
+                    </span>
+                    <span className="library-item-meta">
+                      {flow.nodeCount} node{flow.nodeCount !== 1 ? 's' : ''}
+                      {' · '}
+                      {formatModifiedDate(flow.lastModified)}
+                    </span>
+                  </button>
+
+                  <div className="library-item-actions">
+                    <button
+                      type="button"
+                      className="icon-button"
+                      onClick={() => startNameEditor(flow.id, flow.name)}
+                      aria-label={`Rename ${flow.name}`}
+                      title="Rename"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-button"
+                      onClick={() => onDuplicate(flow.id)}
+                      aria-label={`Duplicate ${flow.name}`}
+                      title="Duplicate the saved version"
+                    >
+                      ⧉
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-button danger"
+                      onClick={() => onDelete(flow.id)}
+                      aria-label={`Delete ${flow.name}`}
+                      title="Delete"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {visibleFlows.length === 0 && (
+        <div className="library-empty">
+          {flows.length === 0 ? 'No saved flows yet' : `No flows match "${searchTerm.trim()}"`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlowLibraryPanel;
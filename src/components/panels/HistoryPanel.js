@@ -0,0 +1,183 @@
+import React from 'react';
+import { describeDiffNode } from '../../utils/flowDiff';
+import './HistoryPanel.css';
+
+/**
+ * Format a snapshot timestamp
+ *
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Localised date and time
+ */
+const formatSnapshotTime = (timestamp) => {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return 'Unknown time';
+
+  return date.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Format a changed field value for display
+ *
+ * @param {*} value - Field value
+ * @returns {string} Short printable value
+ */
+const formatDiffValue = (value) => {
+  if (value === undefined || value === '') return '(empty)';
+
+  const printable = typeof value === 'string' ? value : JSON.stringify(value);
+  return printable.length > 80 ? `${printable.slice(0, 80)}…` : printable;
+};
+
+/**
+ * HistoryPanel Component
+ *
+ * Lists the saved snapshots of the open flow. Selecting a snapshot shows
+ * what changed on the canvas since that version (the canvas highlights the
+ * same nodes), and it can be restored in one click.
+ *
+ * Purely presentational: snapshots come from storage and the diff is
+ * computed by the parent.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.snapshots - Snapshots, newest first
+ * @param {string} props.selectedSnapshotId - Snapshot being compared
+ * @param {Object} props.diff - Diff from the selected snapshot to the canvas
+ * @param {Function} props.onSelect - Callback receiving a snapshot ID (or null)
+ * @param {Function} props.onRestore - Callback receiving the snapshot ID to restore
+ * @param {Function} props.onClose - Callback to close the panel
+ */
+const HistoryPanel = ({ snapshots, selectedSnapshotId, diff, onSelect, onRestore, onClose }) => {
+  /**
+   * Render the comparison between the selected snapshot and the canvas
+   */
+  const renderDiff = () => {
+    if (diff.isEmpty) {
+      return <div className="history-diff-empty">The canvas matches this version</div>;
+    }
+
+    const addedEdgeCount = diff.addedEdges.length;
+    const removedEdgeCount = diff.removedEdges.length;
+
+    return (
+      <div className="history-diff">
+        <div className="history-diff-title">Changes on the canvas since this version</div>
+
+        {diff.addedNodes.map((node) => (
+          <div key={`added-${node.id}`} className="history-diff-row added">
+            <span className="history-diff-marker">+</span>
+            Added {describeDiffNode(node)}
+          </div>
+        ))}
+
+        {diff.removedNodes.map((node) => (
+          <div key={`removed-${node.id}`} className="history-diff-row removed">
+            <span className="history-diff-marker">−</span>
+            Removed {describeDiffNode(node)}
+          </div>
+        ))}
+
+        {diff.changedNodes.map(({ node, changes }) => (
+          <div key={`changed-${node.id}`} className="history-diff-row changed">
+            <span className="history-diff-marker">~</span>
+            <div className="history-diff-change">
+              Changed {describeDiffNode(node)}
+              {changes.map((change) => (
+                <div key={change.field} className="history-diff-field">
+                  <span className="history-diff-field-name">{change.field}</span>
+                  <del>{formatDiffValue(change.before)}</del>
+                  <ins>{formatDiffValue(change.after)}</ins>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {diff.movedNodes.length > 0 && (
+          <div className="history-diff-row moved">
+            <span className="history-diff-marker">↔</span>
+            Moved {diff.movedNodes.length} node{diff.movedNodes.length !== 1 ? 's' : ''}
+          </div>
+        )}
+
+        {(addedEdgeCount > 0 || removedEdgeCount > 0) && (
+          <div className="history-diff-row moved">
+            <span className="history-diff-marker">⇄</span>
+            Connections: {addedEdgeCount} added, {removedEdgeCount} removed
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <div className="history-title-section">
+          <h3 className="history-title">🕘 Version History</h3>
+          <span className="history-subtitle">Last {snapshots.length} saved version{snapshots.length !== 1 ? 's' : ''}</span>
+        </div>
+        <button
+          type="button"
+          className="icon-button"
+          onClick={onClose}
+          aria-label="Close version history"
+          title="Close version history"
+        >
+          ×
+        </button>
+      </div>
+
+      {snapshots.length === 0 ? (
+        <div className="history-empty">
+          No saved versions yet. Every time you save, a snapshot is added here.
+        </div>
+      ) : (
+        <ul className="history-list">
+          {snapshots.map((snapshot, index) => {
+            const isSelected = snapshot.id === selectedSnapshotId;
+
+            return (
+              <li key={snapshot.id} className={`history-item ${isSelected ? 'selected' : ''}`}>
+                <button
+                  type="button"
+                  className="history-item-main"
+                  onClick={() => onSelect(isSelected ? null : snapshot.id)}
+                  aria-expanded={isSelected}
+                >
+                  <span className="history-item-time">
+                    {formatSnapshotTime(snapshot.createdAt)}
+                    {index === 0 && <span className="history-latest-badge">Latest</span>}
+                  </span>
+                  <span className="history-item-meta">
+                    {snapshot.reason} · {snapshot.nodeCount} node{snapshot.nodeCount !== 1 ? 's' : ''}, {snapshot.edgeCount} connection{snapshot.edgeCount !== 1 ? 's' : ''}
+                  </span>
+                </button>
+
+                {isSelected && diff && (
+                  <div className="history-item-details">
+                    {renderDiff()}
+                    <button
+                      type="button"
+                      className="secondary-button history-restore-button"
+                      onClick={() => onRestore(snapshot.id)}
+                      disabled={diff.isEmpty}
+                    >
+                      ↺ Restore this version
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
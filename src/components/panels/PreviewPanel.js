@@ -0,0 +1,189 @@
+import React, { useEffect, useRef, useState } from 'react';
+import FormattedMessage from '../FormattedMessage';
+import { MEDIA_TYPES } from '../../constants/nodeTypes';
+import './PreviewPanel.css';
+
+// Status line shown under the chat header
+const STATUS_LABELS = {
+  idle: 'Not started',
+  running: 'Bot is typing...',
+  pausing: 'Bot is pausing...',
+  waiting: 'Waiting for your reply',
+  finished: 'Conversation ended',
+  error: 'Cannot run this flow',
+};
+
+/**
+ * PreviewPanel Component
+ *
+ * Chat-widget style preview of the flow as an end user would see it.
+ * Purely presentational: conversation state comes from useFlowSimulator.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.messages - Chat transcript ({ id, from, text, quickReplies, media })
+ * @param {string} props.status - Simulator status
+ * @param {Object} props.variables - Variables captured so far
+ * @param {Function} props.onSend - Callback receiving a typed reply
+ * @param {Function} props.onRestart - Callback to restart the conversation
+ * @param {Function} props.onClose - Callback to leave preview mode
+ */
+const PreviewPanel = ({ messages, status, variables, onSend, onRestart, onClose }) => {
+  const [reply, setReply] = useState('');
+  const transcriptRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const isWaiting = status === 'waiting';
+  const lastMessage = messages[messages.length - 1];
+  const variableEntries = Object.entries(variables || {});
+
+  /**
+   * Render a file sent by the bot
+   *
+   * @param {Object} media - Sent file ({ mediaType, url, fileName })
+   */
+  const renderMedia = (media) => {
+    if (media.mediaType === MEDIA_TYPES.IMAGE) {
+      return <img className="preview-media" src={media.url} alt={media.fileName || 'Image'} />;
+    }
+    if (media.mediaType === MEDIA_TYPES.VIDEO) {
+      return <video className="preview-media" src={media.url} controls preload="metadata" />;
+    }
+    return (
+      <a
+        className="preview-media-document"
+        href={media.url}
+        download={media.fileName || true}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        📄 {media.fileName || 'Document'}
+      </a>
+    );
+  };
+
+  /**
+   * Keep the newest message in view
+   */
+  useEffect(() => {
+    if (transcriptRef.current) {
+      transcriptRef.current.scrollTop = transcriptRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  /**
+   * Focus the reply box whenever the bot waits for an answer
+   */
+  useEffect(() => {
+    if (isWaiting && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [isWaiting]);
+
+  /**
+   * Submit the typed reply
+   *
+   * @param {Event} event - Form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isWaiting || !reply.trim()) return;
+
+    onSend(reply);
+    setReply('');
+  };
+
+  return (
+    <div className="preview-panel">
+      <div className="preview-header">
+        <div className="preview-title-section">
+          <h3 className="preview-title">💬 Preview</h3>
+          <span className={`preview-status status-${status}`}>
+            {STATUS_LABELS[status] || status}
+          </span>
+        </div>
+        <div className="preview-actions">
+          <button
+            type="button"
+            className="icon-button"
+            onClick={onRestart}
+            aria-label="Restart conversation"
+            title="Restart conversation"
+          >
+            ↻
+          </button>
+          <button
+            type="button"
+            className="icon-button"
+            onClick={onClose}
+            aria-label="Close preview"
+            title="Close preview"
+          >
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div className="preview-transcript" ref={transcriptRef} aria-live="polite">
+        {messages.map((message) => (
+          <React.Fragment key={message.id}>
+            <div className={`preview-message from-${message.from} ${message.media ? 'has-media' : ''}`}>
+              {message.media && renderMedia(message.media)}
+              {message.from === 'bot'
+                ? <FormattedMessage text={message.text} interactiveLinks={true} />
+                : message.text}
+            </div>
+            {message.quickReplies && message.quickReplies.length > 0 && (
+              <div className="preview-quick-replies">
+                {message.quickReplies.map((label, index) => (
+                  <button
+                    key={index}
+                    type="button"
+                    className="preview-quick-reply"
+                    onClick={() => onSend(label)}
+                    // Only the latest message's buttons can still be tapped
+                    disabled={!isWaiting || message !== lastMessage}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </React.Fragment>
+        ))}
+        {status === 'running' && (
+          <div className="preview-message from-bot typing" aria-label="Bot is typing">
+            <span></span><span></span><span></span>
+          </div>
+        )}
+      </div>
+
+      {variableEntries.length > 0 && (
+        <div className="preview-variables">
+          {variableEntries.map(([name, value]) => (
+            <span key={name} className="preview-variable">
+              {name} = {JSON.stringify(value)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <form className="preview-input-row" onSubmit={handleSubmit}>
+        <input
+          ref={inputRef}
+          type="text"
+          className="preview-input"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          placeholder={isWaiting ? 'Type a reply...' : 'The bot is not waiting for a reply'}
+          disabled={!isWaiting}
+          aria-label="Your reply"
+        />
+        <button type="submit" className="preview-send" disabled={!isWaiting || !reply.trim()}>
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PreviewPanel;
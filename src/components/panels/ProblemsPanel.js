@@ -0,0 +1,103 @@
+import React from 'react';
+import { ISSUE_SEVERITY, VALIDATION_RULES } from '../../utils/flowValidation';
+import { describeDiffNode } from '../../utils/flowDiff';
+import './ProblemsPanel.css';
+
+// Rule labels shown next to each issue
+const RULE_LABELS = Object.fromEntries(VALIDATION_RULES.map((rule) => [rule.id, rule.label]));
+
+/**
+ * ProblemsPanel Component
+ *
+ * Lists every issue the validation engine found in the flow, errors
+ * first. Clicking an issue focuses the canvas on the nodes and
+ * connections involved.
+ *
+ * Purely presentational: validation runs in the parent.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.validation - Result of validateFlowGraph
+ * @param {Array} props.nodes - Flow nodes, used to describe affected nodes
+ * @param {Function} props.onFocusIssue - Callback receiving the clicked issue
+ * @param {Function} props.onClose - Callback to close the panel
+ */
+const ProblemsPanel = ({ validation, nodes, onFocusIssue, onClose }) => {
+  const { issues, errorCount, warningCount } = validation;
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+
+  /**
+   * Describe the nodes an issue points at
+   *
+   * @param {Object} issue - Validation issue
+   * @returns {string} Node descriptions, or an empty string
+   */
+  const describeIssueNodes = (issue) => {
+    const descriptions = issue.nodeIds
+      .map((nodeId) => nodesById.get(nodeId))
+      .filter(Boolean)
+      .map(describeDiffNode);
+
+    if (descriptions.length <= 3) return descriptions.join(', ');
+    return `${descriptions.slice(0, 3).join(', ')} and ${descriptions.length - 3} more`;
+  };
+
+  return (
+    <div className="problems-panel">
+      <div className="problems-header">
+        <div className="problems-title-section">
+          <h3 className="problems-title">🩺 Problems</h3>
+          <span className="problems-subtitle">
+            {errorCount} error{errorCount !== 1 ? 's' : ''}, {warningCount} warning{warningCount !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <button
+          type="button"
+          className="icon-button"
+          onClick={onClose}
+          aria-label="Close problems"
+          title="Close problems"
+        >
+          ×
+        </button>
+      </div>
+
+      {issues.length === 0 ? (
+        <div className="problems-empty">
+          No problems found. The flow is ready to save.
+        </div>
+      ) : (
+        <ul className="problems-list">
+          {issues.map((issue) => {
+            const canFocus = issue.nodeIds.length > 0 || issue.edgeIds.length > 0;
+            const nodeSummary = describeIssueNodes(issue);
+
+            return (
+              <li key={issue.id}>
+                <button
+                  type="button"
+                  className={`problem-item ${issue.severity}`}
+                  onClick={() => onFocusIssue(issue)}
+                  disabled={!canFocus}
+                  title={canFocus ? 'Show on the canvas' : undefined}
+                >
+                  <span className="problem-icon" aria-label={issue.severity}>
+                    {issue.severity === ISSUE_SEVERITY.ERROR ? '⛔' : '⚠️'}
+                  </span>
+                  <span className="problem-body">
+                    <span className="problem-message">{issue.message}</span>
+                    <span className="problem-meta">
+                      {RULE_LABELS[issue.rule]}
+                      {nodeSummary && ` · ${nodeSummary}`}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProblemsPanel;
@@ -1,72 +1,297 @@
 import React, { useState, useEffect, useRef } from 'react';
+import ConditionalSettings from './settings/ConditionalSettings';
+import UserInputSettings from './settings/UserInputSettings';
+import ApiCallSettings from './settings/ApiCallSettings';
+import QuickReplySettings from './settings/QuickReplySettings';
+import MediaSettings from './settings/MediaSettings';
+import DelaySettings from './settings/DelaySettings';
+import StartSettings from './settings/StartSettings';
+import SubflowSettings from './settings/SubflowSettings';
+import EndSettings from './settings/EndSettings';
+import FormattingToolbar from '../FormattingToolbar';
+import FormattedMessage from '../FormattedMessage';
+import { extractPlaceholders, findOpenPlaceholder } from '../../utils/conversationUtils';
+import { applyFormatting } from '../../utils/messageFormatting';
+import { getChannelProfile, measureMessage } from '../../utils/channelRules';
+import { getMessageText, getMessageTextChanges } from '../../utils/translationUtils';
+import { DEFAULT_LOCALE, LOCALE_LABELS } from '../../constants/nodeTypes';
 import './SettingsPanel.css';
 
+// Most suggestions shown by the {{variable}} autocomplete
+const MAX_AUTOCOMPLETE_SUGGESTIONS = 8;
+
+/**
+ * Type-specific settings editors
+ * Node types without an entry fall back to the "coming soon" placeholder
+ */
+const NODE_SETTINGS_EDITORS = {
+  start: StartSettings,
+  textMessage: QuickReplySettings,
+  conditional: ConditionalSettings,
+  userInput: UserInputSettings,
+  apiCall: ApiCallSettings,
+  media: MediaSettings,
+  delay: DelaySettings,
+  subflow: SubflowSettings,
+  end: EndSettings,
+};
+
 /**
  * SettingsPanel Component
+ * Mounted once per selected node (keyed by its ID), so the data the node had
+ * when it was selected is what unsaved changes are compared against.
  * 
  * @param {Object} props - Component properties
- * @param {Object} props.selectedNode - Currently selected node object
+ * @param {Object} props.selectedNode - Currently selected node object (kept in sync with the canvas)
  * @param {Function} props.onNodeUpdate - Callback to update node data
+ * @param {Function} props.onRemoveHandle - Callback to remove edges leaving a node handle
+ * @param {Array} props.flowVariables - Variables available to messages (registry and captured)
+ * @param {Array} props.savedFlows - Flows in the library, for "Go to Flow" nodes
+ * @param {string|null} props.activeFlowId - ID of the flow being edited
+ * @param {Function} props.resolveSubflow - Looks up the flow a "Go to Flow" node runs
+ * @param {Function} props.onOpenSubflow - Callback to open a flow on the canvas
+ * @param {string} props.channel - Target channel of the flow, whose limits the message counter shows
+ * @param {string} props.locale - Language the message is edited in; other than the default, the
+ *   translation is edited next to the original text
  * @param {Function} props.onBack - Callback to return to nodes panel
  */
-const SettingsPanel = ({ selectedNode, onNodeUpdate, onBack }) => {
-  // State management for enhanced functionality
-  const [text, setText] = useState('');
-  const [originalText, setOriginalText] = useState('');
-  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+const SettingsPanel = ({
+  selectedNode,
+  onNodeUpdate,
+  onRemoveHandle,
+  flowVariables = [],
+  savedFlows = [],
+  activeFlowId = null,
+  resolveSubflow,
+  onOpenSubflow,
+  channel,
+  locale = DEFAULT_LOCALE,
+  onBack
+}) => {
+  // Node data as it was when the node was selected
+  const [originalData] = useState(() => (selectedNode ? selectedNode.data : null));
+  
+  // Placeholder being typed in the message ({ start, query }) and the highlighted suggestion
+  const [openPlaceholder, setOpenPlaceholder] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
   
   // Refs for better UX
   const textareaRef = useRef(null);
 
+  const isTranslating = locale !== DEFAULT_LOCALE;
+  const text = getMessageText(selectedNode?.data, locale);
+  const channelProfile = getChannelProfile(channel);
+  const measurement = measureMessage(text, channel, {
+    hasQuickReplies: (selectedNode?.data?.quickReplies || []).length > 0
+  });
+
+  // Variable names known to the flow, and placeholders that match none of them
+  const variableNames = [...new Set(flowVariables.map((flowVariable) => flowVariable.name))];
+  const unknownPlaceholders = extractPlaceholders(text).filter((name) => !variableNames.includes(name));
+
+  // Autocomplete suggestions for the placeholder being typed
+  const suggestions = openPlaceholder
+    ? variableNames
+      .filter((name) => name.toLowerCase().startsWith(openPlaceholder.query.toLowerCase()))
+      .slice(0, MAX_AUTOCOMPLETE_SUGGESTIONS)
+    : [];
+
+  // Track unsaved changes for user feedback
+  const hasUnsavedChanges = Boolean(selectedNode && originalData) &&
+    JSON.stringify({ ...selectedNode.data, lastModified: null }) !==
+    JSON.stringify({ ...originalData, lastModified: null });
+
   /**
-   * Initialize component state when selected node changes
-   * Focuses the textarea for immediate editing capability
+   * Focus the message textarea when the node is selected
+   * for immediate editing capability
    */
   useEffect(() => {
-    if (selectedNode?.data?.text !== undefined) {
-      const nodeText = selectedNode.data.text;
-      setText(nodeText);
-      setOriginalText(nodeText);
-      setHasUnsavedChanges(false);
-      
-      // Auto-focus textarea for immediate editing 
-      setTimeout(() => {
-        if (textareaRef.current) {
-          textareaRef.current.focus();
-          // Place cursor at end of text for natural editing flow
-          textareaRef.current.setSelectionRange(nodeText.length, nodeText.length);
-        }
-      }, 100);
-    } else {
-      setText('');
-      setOriginalText('');
-      setHasUnsavedChanges(false);
-    }
-  }, [selectedNode]);
+    const timer = setTimeout(() => {
+      if (textareaRef.current) {
+        const textLength = textareaRef.current.value.length;
+        textareaRef.current.focus();
+        // Place cursor at end of text for natural editing flow
+        textareaRef.current.setSelectionRange(textLength, textLength);
+      }
+    }, 100);
+    return () => clearTimeout(timer);
+  }, []);
 
   /**
-   * Handle text changes
-   * Updates the node data immediately for real-time preview
+   * Merge a partial data update into the selected node
    * 
-   * @param {Event} event - Input change event
+   * @param {Object} changes - Fields to update on the node data
    */
-  const handleTextChange = (event) => {
-    const newText = event.target.value;
-    setText(newText);
-    
-    // Track unsaved changes for user feedback
-    setHasUnsavedChanges(newText !== originalText);
-    
-    // Update the node data immediately for real-time preview
+  const handleDataChange = (changes) => {
     if (selectedNode && onNodeUpdate) {
       onNodeUpdate(selectedNode.id, {
         ...selectedNode.data,
-        text: newText,
+        ...changes,
         lastModified: new Date().toISOString()
       });
     }
   };
 
+  /**
+   * Set the message text in the language being edited
+   * 
+   * @param {string} newText - New message text
+   */
+  const handleTextUpdate = (newText) => {
+    handleDataChange(getMessageTextChanges(selectedNode?.data, locale, newText));
+  };
+
+  /**
+   * Remove edges leaving one of the selected node's handles
+   * 
+   * @param {string} handleId - Source handle ID
+   */
+  const handleRemoveHandle = (handleId) => {
+    if (selectedNode && onRemoveHandle) {
+      onRemoveHandle(selectedNode.id, handleId);
+    }
+  };
+
+  /**
+   * Open or close the autocomplete depending on what precedes the cursor
+   * 
+   * @param {string} value - Current message text
+   * @param {number} cursor - Cursor position
+   */
+  const updateOpenPlaceholder = (value, cursor) => {
+    const placeholder = findOpenPlaceholder(value, cursor);
+    setOpenPlaceholder(placeholder);
+    if (!placeholder || placeholder.query !== openPlaceholder?.query) {
+      setActiveSuggestion(0);
+    }
+  };
+
+  /**
+   * Handle text changes
+   * Updates the node data immediately for real-time preview
+   * 
+   * @param {Event} event - Input change event
+   */
+  const handleTextChange = (event) => {
+    handleTextUpdate(event.target.value);
+    updateOpenPlaceholder(event.target.value, event.target.selectionStart);
+  };
+
+  /**
+   * Replace part of the message with a {{variable}} placeholder
+   * 
+   * @param {string} variableName - Variable to reference
+   * @param {number} start - Start of the replaced range
+   * @param {number} end - End of the replaced range
+   */
+  const replaceWithPlaceholder = (variableName, start, end) => {
+    const placeholder = `{{${variableName}}}`;
+    const newText = `${text.slice(0, start)}${placeholder}${text.slice(end)}`;
+
+    handleTextUpdate(newText);
+    setOpenPlaceholder(null);
+
+    // Restore focus with the cursor after the inserted placeholder
+    setTimeout(() => {
+      if (textareaRef.current) {
+        const cursor = Math.min(start + placeholder.length, newText.length);
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(cursor, cursor);
+      }
+    }, 0);
+  };
+
+  /**
+   * Insert a {{variable}} placeholder at the cursor position
+   * 
+   * @param {string} variableName - Variable to reference
+   */
+  const insertVariable = (variableName) => {
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : text.length;
+    const end = textarea ? textarea.selectionEnd : text.length;
+    replaceWithPlaceholder(variableName, start, end);
+  };
+
+  /**
+   * Complete the placeholder being typed with a suggested variable
+   * A closing "}}" already after the cursor is replaced, not duplicated.
+   * 
+   * @param {string} variableName - Chosen variable
+   */
+  const applySuggestion = (variableName) => {
+    const textarea = textareaRef.current;
+    const cursor = textarea ? textarea.selectionStart : text.length;
+    const closing = text.slice(cursor).match(/^\s*\}\}/);
+    replaceWithPlaceholder(variableName, openPlaceholder.start, cursor + (closing ? closing[0].length : 0));
+  };
+
+  /**
+   * Apply a formatting toolbar action to the selected text
+   * 
+   * @param {string} action - Formatting action (see applyFormatting)
+   * @param {string} value - Text to insert, for 'insert'
+   */
+  const handleFormat = (action, value) => {
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : text.length;
+    const end = textarea ? textarea.selectionEnd : text.length;
+    const result = applyFormatting(text, start, end, action, value);
+
+    handleTextUpdate(result.text);
+    setOpenPlaceholder(null);
+
+    // Restore focus with the formatted text selected
+    setTimeout(() => {
+      if (textareaRef.current) {
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(result.selectionStart, result.selectionEnd);
+      }
+    }, 0);
+  };
+
+  /**
+   * Keyboard shortcuts and autocomplete navigation in the message
+   * Ctrl/Cmd+B and Ctrl/Cmd+I format the selection. In the autocomplete,
+   * arrows move the highlight, Enter or Tab accept, Escape dismisses.
+   * 
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  const handleTextKeyDown = (event) => {
+    const shortcut = (event.ctrlKey || event.metaKey) && { b: 'bold', i: 'italic' }[event.key.toLowerCase()];
+    if (shortcut) {
+      event.preventDefault();
+      handleFormat(shortcut);
+      return;
+    }
+
+    if (suggestions.length === 0) return;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveSuggestion((index) => (index + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveSuggestion((index) => (index - 1 + suggestions.length) % suggestions.length);
+        break;
+      case 'Enter':
+      case 'Tab':
+        event.preventDefault();
+        applySuggestion(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+        break;
+      case 'Escape':
+        // Close the list without leaving the settings panel
+        event.preventDefault();
+        event.stopPropagation();
+        setOpenPlaceholder(null);
+        break;
+      default:
+        break;
+    }
+  };
+
   /**
    * Handle keyboard shortcuts for power users
    * Escape for back
@@ -107,10 +332,15 @@ const SettingsPanel = ({ selectedNode, onNodeUpdate, onBack }) => {
    */
   const getNodeTypeDisplayName = (nodeType) => {
     const typeMap = {
+      start: 'Start Node',
       textMessage: 'Message Node',
       conditional: 'Conditional Node',
       apiCall: 'API Call Node',
       userInput: 'User Input Node',
+      media: 'Media Node',
+      delay: 'Delay Node',
+      subflow: 'Go to Flow Node',
+      end: 'End Node',
     };
     
     return typeMap[nodeType] || 'Unknown Node';
@@ -136,6 +366,8 @@ const SettingsPanel = ({ selectedNode, onNodeUpdate, onBack }) => {
     );
   }
 
+  const NodeEditor = NODE_SETTINGS_EDITORS[selectedNode.type];
+
   return (
     <div className="settings-panel" onKeyDown={handleKeyboardShortcuts}>
       {/* Enhanced Header */}
@@ -176,38 +408,126 @@ const SettingsPanel = ({ selectedNode, onNodeUpdate, onBack }) => {
           <div className="setting-section">
             <div className="setting-group">
               <label htmlFor="node-text" className="setting-label">
-                Message Content
-                <span className="label-hint">The text that will be sent to users</span>
+                {isTranslating ? `Message Content · ${LOCALE_LABELS[locale]}` : 'Message Content'}
+                <span className="label-hint">
+                  {isTranslating
+                    ? `The ${LOCALE_LABELS[locale]} translation sent to users who speak it. Keep the same {{variables}} as the original`
+                    : 'The text that will be sent to users. Supports **bold**, _italic_, [links](https://example.com) and "- " lists'}
+                </span>
               </label>
+
+              {/* Original text to translate from */}
+              {isTranslating && (
+                <div className="translation-source">
+                  <span className="translation-source-label">{LOCALE_LABELS[DEFAULT_LOCALE]} original</span>
+                  {(selectedNode.data?.text || '').trim()
+                    ? <FormattedMessage text={selectedNode.data.text} highlightPlaceholders={true} />
+                    : <em>No text yet</em>}
+                </div>
+              )}
               
               <div className="text-input-wrapper">
+                <FormattingToolbar onFormat={handleFormat} />
+
                 <textarea
                   ref={textareaRef}
                   id="node-text"
                   className="text-input enhanced"
                   value={text}
                   onChange={handleTextChange}
-                  placeholder="Enter your message here..."
+                  onKeyDown={handleTextKeyDown}
+                  onKeyUp={(e) => {
+                    if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+                      updateOpenPlaceholder(e.target.value, e.target.selectionStart);
+                    }
+                  }}
+                  onClick={(e) => updateOpenPlaceholder(e.target.value, e.target.selectionStart)}
+                  onBlur={() => setOpenPlaceholder(null)}
+                  placeholder={isTranslating
+                    ? `Enter the ${LOCALE_LABELS[locale]} translation... Type {{ to insert a variable`
+                    : 'Enter your message here... Type {{ to insert a variable'}
                   rows={6}
-                  maxLength={500}
+                  aria-autocomplete="list"
                 />
+
+                {/* {{variable}} autocomplete */}
+                {suggestions.length > 0 && (
+                  <ul className="variable-autocomplete" role="listbox" aria-label="Variables">
+                    {suggestions.map((name, index) => (
+                      <li
+                        key={name}
+                        role="option"
+                        aria-selected={index === activeSuggestion}
+                        className={`variable-suggestion ${index === activeSuggestion ? 'active' : ''}`}
+                        // Keep focus in the textarea so the cursor position survives
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          applySuggestion(name);
+                        }}
+                      >
+                        {`{{${name}}}`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
                 
-                {/* Character Counter with Visual Feedback */}
-                <div className={`character-count ${text.length > 450 ? 'warning' : ''} ${text.length === 500 ? 'error' : ''}`}>
+                {/* Character Counter measured against the flow's target channel */}
+                <div
+                  className={`character-count ${measurement.severity || ''}`}
+                  title={`Counted as ${channelProfile.label} delivers it`}
+                >
                   <span className="count-text">
-                    {text.length}/500 characters
+                    {measurement.summary}
                   </span>
-                  {text.length > 450 && (
+                  {measurement.problem && (
                     <span className="count-warning">
-                      {text.length > 490 ? 'Character limit almost reached' : 'Approaching character limit'}
+                      {measurement.problem}
                     </span>
                   )}
                 </div>
+
+                {unknownPlaceholders.length > 0 && (
+                  <div className="input-warning">
+                    Not a defined variable: {unknownPlaceholders.map((name) => `{{${name}}}`).join(', ')}
+                  </div>
+                )}
+
+                {/* Variables defined for the flow or captured earlier in it */}
+                {variableNames.length > 0 && (
+                  <div className="variable-chips">
+                    <span className="variable-chips-label">Insert variable:</span>
+                    {variableNames.map((name) => (
+                      <button
+                        key={name}
+                        type="button"
+                        className="variable-chip"
+                        onClick={() => insertVariable(name)}
+                        title={`Insert {{${name}}}`}
+                      >
+                        {`{{${name}}}`}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
         )}
 
+        {/* Type-specific Editor */}
+        {NodeEditor && (
+          <NodeEditor
+            node={selectedNode}
+            onChange={handleDataChange}
+            onRemoveHandle={handleRemoveHandle}
+            flowVariables={flowVariables}
+            savedFlows={savedFlows}
+            activeFlowId={activeFlowId}
+            resolveSubflow={resolveSubflow}
+            onOpenSubflow={onOpenSubflow}
+          />
+        )}
+
         {/* Node Metadata Section */}
         <div className="setting-section">
           <h4 className="section-title">Node Information</h4>
@@ -235,7 +555,7 @@ const SettingsPanel = ({ selectedNode, onNodeUpdate, onBack }) => {
         </div>
 
         {/* Future Extensions Placeholder */}
-        {selectedNode.type !== 'textMessage' && (
+        {selectedNode.type !== 'textMessage' && !NodeEditor && (
           <div className="setting-section">
             <div className="unsupported-node">
               <div className="unsupported-icon">🚧</div>
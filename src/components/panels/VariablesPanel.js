@@ -0,0 +1,186 @@
+import React from 'react';
+import { VARIABLE_TYPES, VARIABLE_TYPE_LABELS } from '../../constants/nodeTypes';
+import { validateVariableDefinition } from '../../utils/conversationUtils';
+import './VariablesPanel.css';
+
+/**
+ * Pick a variable name that is not in use yet
+ *
+ * @param {Array} variables - Current registry
+ * @returns {string} e.g. "variable_1", "variable_2"
+ */
+const getAvailableVariableName = (variables) => {
+  const names = new Set(variables.map((variable) => variable.name));
+  let counter = 1;
+  while (names.has(`variable_${counter}`)) counter++;
+  return `variable_${counter}`;
+};
+
+/**
+ * VariablesPanel Component
+ *
+ * Edits the flow-level variable registry: variables with a name, a type
+ * and a default value that every message can reference as {{name}}.
+ * Variables captured by User Input and API Call nodes are listed
+ * read-only for reference.
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.variables - Variable registry ({ name, type, defaultValue })
+ * @param {Array} props.capturedVariables - Variables captured by nodes
+ * @param {Function} props.onChange - Callback receiving the updated registry
+ * @param {Function} props.onClose - Callback to close the panel
+ */
+const VariablesPanel = ({ variables, capturedVariables = [], onChange, onClose }) => {
+  const capturedNames = [...new Set(capturedVariables.map((variable) => variable.name))];
+
+  /**
+   * Update one field of a variable definition
+   *
+   * @param {number} index - Row index
+   * @param {Object} changes - Fields to merge into the definition
+   */
+  const updateVariable = (index, changes) => {
+    onChange(variables.map((variable, rowIndex) =>
+      rowIndex === index ? { ...variable, ...changes } : variable
+    ));
+  };
+
+  /**
+   * Change the type of a variable, dropping a default that no longer fits
+   *
+   * @param {number} index - Row index
+   * @param {string} type - New variable type
+   */
+  const changeType = (index, type) => {
+    const candidate = { ...variables[index], type };
+    const keepsDefault = !validateVariableDefinition(candidate, [candidate]);
+    updateVariable(index, { type, defaultValue: keepsDefault ? candidate.defaultValue : '' });
+  };
+
+  const addVariable = () => {
+    onChange([
+      ...variables,
+      { name: getAvailableVariableName(variables), type: VARIABLE_TYPES.TEXT, defaultValue: '' }
+    ]);
+  };
+
+  const removeVariable = (index) => {
+    onChange(variables.filter((variable, rowIndex) => rowIndex !== index));
+  };
+
+  return (
+    <div className="variables-panel">
+      <div className="variables-header">
+        <div className="variables-title-section">
+          <h3 className="variables-title">🏷️ Variables</h3>
+          <span className="variables-subtitle">
+            Reference them in messages as {'{{name}}'}
+          </span>
+        </div>
+        <button
+          type="button"
+          className="icon-button"
+          onClick={onClose}
+          aria-label="Close variables"
+          title="Close variables"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="variables-content">
+        {variables.length === 0 ? (
+          <div className="variables-empty">
+            No flow variables yet. Add one for values like the customer's name
+            or an order number, with a default used until the flow sets it.
+          </div>
+        ) : (
+          <ul className="variables-list">
+            {variables.map((variable, index) => {
+              const error = validateVariableDefinition(variable, variables);
+
+              return (
+                <li key={index} className="variable-row">
+                  <div className="variable-row-main">
+                    <input
+                      type="text"
+                      className={`setting-input code ${error ? 'invalid' : ''}`}
+                      value={variable.name}
+                      onChange={(e) => updateVariable(index, { name: e.target.value.trim() })}
+                      placeholder="customer_name"
+                      aria-label="Variable name"
+                    />
+                    <button
+                      type="button"
+                      className="icon-button danger"
+                      onClick={() => removeVariable(index)}
+                      aria-label={`Remove variable ${variable.name}`}
+                      title="Remove variable"
+                    >
+                      ×
+                    </button>
+                  </div>
+
+                  <div className="variable-row-details">
+                    <select
+                      className="setting-input"
+                      value={variable.type}
+                      onChange={(e) => changeType(index, e.target.value)}
+                      aria-label="Variable type"
+                    >
+                      {Object.values(VARIABLE_TYPES).map((type) => (
+                        <option key={type} value={type}>{VARIABLE_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+
+                    {variable.type === VARIABLE_TYPES.BOOLEAN ? (
+                      <select
+                        className="setting-input"
+                        value={variable.defaultValue}
+                        onChange={(e) => updateVariable(index, { defaultValue: e.target.value })}
+                        aria-label="Default value"
+                      >
+                        <option value="">No default</option>
+                        <option value="true">true</option>
+                        <option value="false">false</option>
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        inputMode={variable.type === VARIABLE_TYPES.NUMBER ? 'decimal' : undefined}
+                        className="setting-input"
+                        value={variable.defaultValue}
+                        onChange={(e) => updateVariable(index, { defaultValue: e.target.value })}
+                        placeholder="Default value"
+                        aria-label="Default value"
+                      />
+                    )}
+                  </div>
+
+                  {error && <div className="input-error">{error}</div>}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <button type="button" className="secondary-button variables-add-button" onClick={addVariable}>
+          + Add variable
+        </button>
+
+        {capturedNames.length > 0 && (
+          <div className="variables-captured">
+            <div className="variables-captured-title">Captured by nodes</div>
+            <div className="variable-chips">
+              {capturedNames.map((name) => (
+                <span key={name} className="variable-chip static">{`{{${name}}}`}</span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VariablesPanel;
@@ -0,0 +1,342 @@
+import React, { useState } from 'react';
+import { HTTP_METHODS } from '../../../constants/nodeTypes';
+import { executeApiCall, validateBodyTemplate } from '../../../utils/apiCallUtils';
+import { extractPlaceholders, isValidVariableName } from '../../../utils/conversationUtils';
+
+// Longest response preview shown in the test panel
+const MAX_PREVIEW_LENGTH = 1200;
+
+/**
+ * ApiCallSettings Component
+ *
+ * Editor for API Call nodes: request builder (method, URL, headers and
+ * JSON body with {{variable}} interpolation), response mappings into flow
+ * variables, an optional mock response for offline testing, and a test
+ * panel that sends the request with sample variable values.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - API Call node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ */
+const ApiCallSettings = ({ node, onChange }) => {
+  const [sampleValues, setSampleValues] = useState({});
+  const [testResult, setTestResult] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+
+  const {
+    method = 'GET',
+    url = '',
+    headers = [],
+    body = '',
+    responseMappings = [],
+    timeoutMs = 10000,
+    mockEnabled = false,
+    mockStatus = 200,
+    mockBody = ''
+  } = node.data;
+
+  const supportsBody = !['GET', 'DELETE'].includes(method);
+  const bodyValidation = supportsBody ? validateBodyTemplate(body) : { isValid: true };
+  const mockValidation = mockEnabled ? validateBodyTemplate(mockBody) : { isValid: true };
+
+  // Placeholders referenced anywhere in the request, for the test panel
+  const referencedVariables = extractPlaceholders(
+    [url, body, ...headers.map((header) => header.value)].join(' ')
+  );
+
+  /**
+   * Update one row of a list field (headers or response mappings)
+   *
+   * @param {string} field - Data field name
+   * @param {Array} list - Current list
+   * @param {number} index - Row index
+   * @param {Object} changes - Fields to merge into the row
+   */
+  const updateRow = (field, list, index, changes) => {
+    onChange({
+      [field]: list.map((row, rowIndex) => (rowIndex === index ? { ...row, ...changes } : row))
+    });
+  };
+
+  /**
+   * Remove one row of a list field
+   *
+   * @param {string} field - Data field name
+   * @param {Array} list - Current list
+   * @param {number} index - Row index
+   */
+  const removeRow = (field, list, index) => {
+    onChange({ [field]: list.filter((row, rowIndex) => rowIndex !== index) });
+  };
+
+  /**
+   * Send the request with the sample variable values
+   */
+  const handleTestRequest = async () => {
+    setIsTesting(true);
+    setTestResult(null);
+
+    const result = await executeApiCall(node.data, sampleValues);
+
+    setTestResult(result);
+    setIsTesting(false);
+  };
+
+  /**
+   * Format the test response body for display
+   *
+   * @param {*} data - Parsed response body
+   * @returns {string} Pretty-printed, truncated body
+   */
+  const formatResponse = (data) => {
+    const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    if (!text) return '(empty response)';
+    return text.length > MAX_PREVIEW_LENGTH ? `${text.substring(0, MAX_PREVIEW_LENGTH)}\n...` : text;
+  };
+
+  return (
+    <div className="setting-section">
+      {/* Request */}
+      <div className="setting-group">
+        <label htmlFor="api-url" className="setting-label">
+          Request
+          <span className="label-hint">Use {'{{variable}}'} to insert values captured earlier in the flow</span>
+        </label>
+        <div className="api-request-row">
+          <select
+            className="setting-input api-method-select"
+            value={method}
+            onChange={(e) => onChange({ method: e.target.value })}
+            aria-label="HTTP method"
+          >
+            {HTTP_METHODS.map((httpMethod) => (
+              <option key={httpMethod} value={httpMethod}>{httpMethod}</option>
+            ))}
+          </select>
+          <input
+            id="api-url"
+            type="text"
+            className={`setting-input code ${!url.trim() ? 'invalid' : ''}`}
+            value={url}
+            onChange={(e) => onChange({ url: e.target.value })}
+            placeholder="https://api.example.com/orders/{{orderId}}"
+          />
+        </div>
+      </div>
+
+      {/* Headers */}
+      <div className="setting-group">
+        <label className="setting-label">Headers</label>
+        {headers.map((header, index) => (
+          <div key={index} className="key-value-row">
+            <input
+              type="text"
+              className="setting-input code"
+              value={header.key}
+              onChange={(e) => updateRow('headers', headers, index, { key: e.target.value })}
+              placeholder="Authorization"
+              aria-label="Header name"
+            />
+            <input
+              type="text"
+              className="setting-input code"
+              value={header.value}
+              onChange={(e) => updateRow('headers', headers, index, { value: e.target.value })}
+              placeholder="Bearer {{token}}"
+              aria-label="Header value"
+            />
+            <button
+              type="button"
+              className="icon-button danger"
+              onClick={() => removeRow('headers', headers, index)}
+              aria-label="Remove header"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => onChange({ headers: [...headers, { key: '', value: '' }] })}
+        >
+          + Add header
+        </button>
+      </div>
+
+      {/* Body */}
+      {supportsBody && (
+        <div className="setting-group">
+          <label htmlFor="api-body" className="setting-label">
+            JSON body
+            <span className="label-hint">Placeholders inside strings are escaped automatically</span>
+          </label>
+          <textarea
+            id="api-body"
+            className={`text-input enhanced code ${bodyValidation.isValid ? '' : 'invalid'}`}
+            value={body}
+            onChange={(e) => onChange({ body: e.target.value })}
+            placeholder={'{\n  "email": "{{email}}"\n}'}
+            rows={5}
+          />
+          {!bodyValidation.isValid && <div className="input-error">{bodyValidation.error}</div>}
+        </div>
+      )}
+
+      {/* Response Mappings */}
+      <div className="setting-group">
+        <label className="setting-label">
+          Save from response
+          <span className="label-hint">JSON path in the response, e.g. data.order.status or items[0].id</span>
+        </label>
+        {responseMappings.map((mapping, index) => (
+          <div key={index} className="key-value-row">
+            <input
+              type="text"
+              className="setting-input code"
+              value={mapping.path}
+              onChange={(e) => updateRow('responseMappings', responseMappings, index, { path: e.target.value })}
+              placeholder="data.status"
+              aria-label="Response path"
+            />
+            <input
+              type="text"
+              className={`setting-input code ${mapping.variable && !isValidVariableName(mapping.variable) ? 'invalid' : ''}`}
+              value={mapping.variable}
+              onChange={(e) => updateRow('responseMappings', responseMappings, index, { variable: e.target.value.replace(/\s/g, '_') })}
+              placeholder="orderStatus"
+              aria-label="Variable name"
+            />
+            <button
+              type="button"
+              className="icon-button danger"
+              onClick={() => removeRow('responseMappings', responseMappings, index)}
+              aria-label="Remove mapping"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => onChange({ responseMappings: [...responseMappings, { path: '', variable: '' }] })}
+        >
+          + Add mapping
+        </button>
+      </div>
+
+      {/* Timeout */}
+      <div className="setting-group">
+        <label htmlFor="api-timeout" className="setting-label">
+          Timeout (ms)
+          <span className="label-hint">Requests taking longer follow the Error output</span>
+        </label>
+        <input
+          id="api-timeout"
+          type="number"
+          className="setting-input"
+          value={timeoutMs}
+          min={1000}
+          max={60000}
+          step={1000}
+          onChange={(e) => onChange({ timeoutMs: Math.min(Math.max(parseInt(e.target.value, 10) || 1000, 1000), 60000) })}
+        />
+      </div>
+
+      {/* Mock Response */}
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={mockEnabled}
+            onChange={(e) => onChange({ mockEnabled: e.target.checked })}
+          />
+          Use mock response (offline testing)
+        </label>
+        {mockEnabled && (
+          <>
+            <input
+              type="number"
+              className="setting-input"
+              value={mockStatus}
+              min={100}
+              max={599}
+              onChange={(e) => onChange({ mockStatus: parseInt(e.target.value, 10) || 200 })}
+              aria-label="Mock status code"
+            />
+            <textarea
+              className={`text-input enhanced code ${mockValidation.isValid ? '' : 'invalid'}`}
+              value={mockBody}
+              onChange={(e) => onChange({ mockBody: e.target.value })}
+              rows={5}
+              aria-label="Mock response body"
+            />
+            {!mockValidation.isValid && <div className="input-error">{mockValidation.error}</div>}
+          </>
+        )}
+      </div>
+
+      {/* Test Request */}
+      <div className="setting-group condition-tester">
+        <label className="setting-label">
+          Test request
+          <span className="label-hint">
+            {mockEnabled ? 'Answered by the mock response' : 'Sent from your browser - point the URL at a local mock server to test offline'}
+          </span>
+        </label>
+        {referencedVariables.map((name) => (
+          <input
+            key={name}
+            type="text"
+            className="setting-input"
+            value={sampleValues[name] || ''}
+            onChange={(e) => setSampleValues({ ...sampleValues, [name]: e.target.value })}
+            placeholder={`Sample value for {{${name}}}`}
+            aria-label={`Sample value for ${name}`}
+          />
+        ))}
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={handleTestRequest}
+          disabled={isTesting || !url.trim()}
+        >
+          {isTesting ? 'Sending...' : 'Send test request'}
+        </button>
+
+        {testResult && (
+          <div className={`api-test-result ${testResult.error ? 'failed' : 'succeeded'}`}>
+            <div className="condition-test-result">
+              {testResult.error
+                ? `✗ ${testResult.error} → Error output`
+                : `✓ ${testResult.status} → Success output`}
+            </div>
+            {testResult.request && (
+              <div className="api-test-request">
+                {testResult.request.method} {testResult.request.url}
+              </div>
+            )}
+            {Object.keys(testResult.variables).length > 0 && (
+              <ul className="api-test-variables">
+                {Object.entries(testResult.variables).map(([name, value]) => (
+                  <li key={name}>{`{{${name}}}`} = {JSON.stringify(value)}</li>
+                ))}
+              </ul>
+            )}
+            {testResult.missing?.length > 0 && (
+              <div className="input-warning">
+                Not found in response: {testResult.missing.map((mapping) => mapping.path).join(', ')}
+              </div>
+            )}
+            {testResult.data !== null && (
+              <pre className="api-test-response">{formatResponse(testResult.data)}</pre>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiCallSettings;
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import {
+  CONDITION_OPERATORS,
+  CONDITION_OPERATOR_LABELS
+} from '../../../constants/nodeTypes';
+import { generateId } from '../../../utils/flowUtils';
+import { findMatchingCondition, isValidRegex } from '../../../utils/conversationUtils';
+
+/**
+ * ConditionalSettings Component
+ *
+ * Editor for conditional node branches. Each condition maps to one
+ * source handle on the node, so removing a condition also removes the
+ * connection leaving its handle.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Conditional node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ * @param {Function} props.onRemoveHandle - Callback to drop edges leaving a handle
+ * @param {Array} props.flowVariables - Variables defined or captured in the flow
+ */
+const ConditionalSettings = ({ node, onChange, onRemoveHandle, flowVariables = [] }) => {
+  const [testReply, setTestReply] = useState('');
+
+  const conditions = node.data.conditions || [];
+  const caseSensitive = Boolean(node.data.caseSensitive);
+  const variable = node.data.variable || '';
+
+  // Unique variable names (several nodes may write the same variable)
+  const variableNames = [...new Set(flowVariables.map((flowVariable) => flowVariable.name))];
+  if (variable && !variableNames.includes(variable)) {
+    variableNames.push(variable);
+  }
+
+  const hasFallback = conditions.some(
+    (condition) => condition.operator === CONDITION_OPERATORS.FALLBACK
+  );
+
+  /**
+   * Replace the conditions array on the node
+   *
+   * @param {Array} nextConditions - Updated conditions
+   */
+  const updateConditions = (nextConditions) => {
+    onChange({ conditions: nextConditions });
+  };
+
+  /**
+   * Update a single field of one condition
+   *
+   * @param {string} conditionId - Condition (handle) ID
+   * @param {Object} changes - Fields to merge into the condition
+   */
+  const updateCondition = (conditionId, changes) => {
+    updateConditions(
+      conditions.map((condition) =>
+        condition.id === conditionId ? { ...condition, ...changes } : condition
+      )
+    );
+  };
+
+  /**
+   * Add a new branch above the fallback branch
+   */
+  const addCondition = () => {
+    const newCondition = {
+      id: generateId('condition'),
+      label: `Branch ${conditions.length + 1}`,
+      operator: CONDITION_OPERATORS.EQUALS,
+      value: ''
+    };
+
+    const fallbackIndex = conditions.findIndex(
+      (condition) => condition.operator === CONDITION_OPERATORS.FALLBACK
+    );
+    const nextConditions = [...conditions];
+    nextConditions.splice(fallbackIndex === -1 ? conditions.length : fallbackIndex, 0, newCondition);
+    updateConditions(nextConditions);
+  };
+
+  /**
+   * Add the fallback branch if the node has none
+   */
+  const addFallback = () => {
+    updateConditions([
+      ...conditions,
+      { id: generateId('fallback'), label: 'Otherwise', operator: CONDITION_OPERATORS.FALLBACK, value: '' }
+    ]);
+  };
+
+  /**
+   * Remove a branch along with the connection leaving it
+   *
+   * @param {string} conditionId - Condition (handle) ID
+   */
+  const removeCondition = (conditionId) => {
+    if (onRemoveHandle) {
+      onRemoveHandle(conditionId);
+    }
+    updateConditions(conditions.filter((condition) => condition.id !== conditionId));
+  };
+
+  /**
+   * Move a branch up or down (evaluation order matters)
+   *
+   * @param {number} index - Current index
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  const moveCondition = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= conditions.length) return;
+
+    const nextConditions = [...conditions];
+    [nextConditions[index], nextConditions[targetIndex]] = [nextConditions[targetIndex], nextConditions[index]];
+    updateConditions(nextConditions);
+  };
+
+  const matchedCondition = testReply
+    ? findMatchingCondition(conditions, testReply, { caseSensitive })
+    : null;
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label htmlFor="condition-subject" className="setting-label">
+          Test against
+          <span className="label-hint">Wait for a new reply, or branch on a value captured earlier</span>
+        </label>
+        <select
+          id="condition-subject"
+          className="setting-input"
+          value={variable}
+          onChange={(e) => onChange({ variable: e.target.value })}
+        >
+          <option value="">The user's next reply</option>
+          {variableNames.map((name) => (
+            <option key={name} value={name}>{`{{${name}}}`}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="setting-group">
+        <label className="setting-label">
+          Branches
+          <span className="label-hint">
+            Evaluated top to bottom - the first match wins
+          </span>
+        </label>
+
+        <div className="condition-editor-list">
+          {conditions.map((condition, index) => {
+            const isFallback = condition.operator === CONDITION_OPERATORS.FALLBACK;
+            const regexError = condition.operator === CONDITION_OPERATORS.REGEX &&
+              condition.value && !isValidRegex(condition.value);
+
+            return (
+              <div
+                key={condition.id}
+                className={`condition-editor ${matchedCondition?.id === condition.id ? 'matched' : ''}`}
+              >
+                <div className="condition-editor-header">
+                  <input
+                    type="text"
+                    className="setting-input"
+                    value={condition.label}
+                    onChange={(e) => updateCondition(condition.id, { label: e.target.value })}
+                    placeholder="Branch label"
+                    aria-label="Branch label"
+                    maxLength={40}
+                  />
+                  <div className="condition-editor-actions">
+                    <button
+                      type="button"
+                      className="icon-button"
+                      onClick={() => moveCondition(index, -1)}
+                      disabled={index === 0}
+                      aria-label="Move branch up"
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-button"
+                      onClick={() => moveCondition(index, 1)}
+                      disabled={index === conditions.length - 1}
+                      aria-label="Move branch down"
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-button danger"
+                      onClick={() => removeCondition(condition.id)}
+                      aria-label="Remove branch"
+                      title="Remove branch and its connection"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+
+                <div className="condition-editor-rule">
+                  <select
+                    className="setting-input"
+                    value={condition.operator}
+                    onChange={(e) => updateCondition(condition.id, { operator: e.target.value })}
+                    aria-label="Condition operator"
+                  >
+                    {Object.values(CONDITION_OPERATORS).map((operator) => (
+                      <option
+                        key={operator}
+                        value={operator}
+                        disabled={operator === CONDITION_OPERATORS.FALLBACK && hasFallback && !isFallback}
+                      >
+                        {CONDITION_OPERATOR_LABELS[operator]}
+                      </option>
+                    ))}
+                  </select>
+
+                  {!isFallback && (
+                    <input
+                      type="text"
+                      className={`setting-input ${regexError ? 'invalid' : ''}`}
+                      value={condition.value}
+                      onChange={(e) => updateCondition(condition.id, { value: e.target.value })}
+                      placeholder={condition.operator === CONDITION_OPERATORS.REGEX ? '^(yes|yep)$' : 'Reply text'}
+                      aria-label="Condition value"
+                    />
+                  )}
+                </div>
+
+                {regexError && (
+                  <div className="input-error">Invalid regular expression</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="condition-editor-footer">
+          <button type="button" className="secondary-button" onClick={addCondition}>
+            + Add branch
+          </button>
+          {!hasFallback && (
+            <button type="button" className="secondary-button" onClick={addFallback}>
+              + Add fallback
+            </button>
+          )}
+        </div>
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={caseSensitive}
+            onChange={(e) => onChange({ caseSensitive: e.target.checked })}
+          />
+          Case-sensitive matching
+        </label>
+      </div>
+
+      {/* Quick check of which branch a sample reply would take */}
+      <div className="setting-group condition-tester">
+        <label htmlFor="condition-test-reply" className="setting-label">
+          Test a reply
+          <span className="label-hint">Highlights the branch this reply would follow</span>
+        </label>
+        <input
+          id="condition-test-reply"
+          type="text"
+          className="setting-input"
+          value={testReply}
+          onChange={(e) => setTestReply(e.target.value)}
+          placeholder="Type a sample reply..."
+        />
+        {testReply && (
+          <div className={`condition-test-result ${matchedCondition ? '' : 'no-match'}`}>
+            {matchedCondition
+              ? `→ ${matchedCondition.label || 'Untitled branch'}`
+              : 'No branch matches - the conversation would end here'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConditionalSettings;
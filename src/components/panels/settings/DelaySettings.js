@@ -0,0 +1,76 @@
+import React from 'react';
+import {
+  DELAY_MODES,
+  DELAY_MODE_LABELS,
+  MAX_DELAY_SECONDS,
+  MIN_DELAY_SECONDS
+} from '../../../constants/nodeTypes';
+import { validateDelaySeconds } from '../../../utils/conversationUtils';
+
+/**
+ * DelaySettings Component
+ *
+ * Editor for Delay nodes: whether the pause shows a typing indicator and
+ * how long it lasts.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Delay node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ */
+const DelaySettings = ({ node, onChange }) => {
+  const { mode = DELAY_MODES.TYPING, seconds = '' } = node.data;
+  const secondsError = validateDelaySeconds(seconds);
+
+  /**
+   * Store the typed length; out-of-range values are kept so the error shows
+   *
+   * @param {string} value - Raw input value
+   */
+  const handleSecondsChange = (value) => {
+    const parsed = parseFloat(value);
+    onChange({ seconds: Number.isNaN(parsed) ? '' : parsed });
+  };
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label htmlFor="delay-mode" className="setting-label">
+          While waiting
+          <span className="label-hint">A typing indicator makes the pause feel natural</span>
+        </label>
+        <select
+          id="delay-mode"
+          className="setting-input"
+          value={mode}
+          onChange={(e) => onChange({ mode: e.target.value })}
+        >
+          {Object.values(DELAY_MODES).map((delayMode) => (
+            <option key={delayMode} value={delayMode}>{DELAY_MODE_LABELS[delayMode]}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="delay-seconds" className="setting-label">
+          Seconds
+          <span className="label-hint">
+            Between {MIN_DELAY_SECONDS} and {MAX_DELAY_SECONDS} seconds
+          </span>
+        </label>
+        <input
+          id="delay-seconds"
+          type="number"
+          className={`setting-input ${secondsError ? 'invalid' : ''}`}
+          value={seconds}
+          min={MIN_DELAY_SECONDS}
+          max={MAX_DELAY_SECONDS}
+          step={0.5}
+          onChange={(e) => handleSecondsChange(e.target.value)}
+        />
+        {secondsError && <div className="input-error">{secondsError}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default DelaySettings;
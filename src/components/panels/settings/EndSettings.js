@@ -0,0 +1,37 @@
+import React from 'react';
+
+/**
+ * EndSettings Component
+ *
+ * Editor for End nodes: an optional outcome label that tells apart the
+ * ways a conversation can finish (e.g. "Resolved", "Handed to agent").
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - End node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ */
+const EndSettings = ({ node, onChange }) => {
+  const { outcome = '' } = node.data;
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label htmlFor="end-outcome" className="setting-label">
+          Outcome
+          <span className="label-hint">Optional label shown on the node and in the preview</span>
+        </label>
+        <input
+          id="end-outcome"
+          type="text"
+          className="setting-input"
+          value={outcome}
+          onChange={(e) => onChange({ outcome: e.target.value })}
+          placeholder="Resolved"
+          maxLength={40}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default EndSettings;
@@ -0,0 +1,186 @@
+import React, { useRef, useState } from 'react';
+import {
+  MAX_MEDIA_UPLOAD_SIZE,
+  MEDIA_ACCEPT,
+  MEDIA_TYPES,
+  MEDIA_TYPE_LABELS
+} from '../../../constants/nodeTypes';
+import {
+  formatFileSize,
+  getDataUrlSize,
+  isDataUrl,
+  isMimeTypeAllowed,
+  readMediaFile,
+  validateMediaUrl
+} from '../../../utils/mediaUtils';
+
+// Longest caption most messaging channels accept with a file
+const MAX_CAPTION_LENGTH = 1024;
+
+/**
+ * MediaSettings Component
+ *
+ * Editor for Media nodes: the kind of file, the file itself (a web
+ * address or an upload stored in the flow) and an optional caption.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Media node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ */
+const MediaSettings = ({ node, onChange }) => {
+  const [uploadError, setUploadError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const {
+    mediaType = MEDIA_TYPES.IMAGE,
+    url = '',
+    fileName = '',
+    mimeType = '',
+    caption = ''
+  } = node.data;
+
+  const isUploaded = isDataUrl(url);
+  const sourceError = url ? validateMediaUrl(url) : null;
+
+  /**
+   * Switch the kind of file, dropping an upload that no longer fits
+   *
+   * @param {string} nextMediaType - New media kind
+   */
+  const handleMediaTypeChange = (nextMediaType) => {
+    setUploadError(null);
+    if (isUploaded && !isMimeTypeAllowed(mimeType, nextMediaType)) {
+      onChange({ mediaType: nextMediaType, url: '', fileName: '', mimeType: '' });
+      return;
+    }
+    onChange({ mediaType: nextMediaType });
+  };
+
+  /**
+   * Read the chosen file into the node
+   *
+   * @param {Event} event - File input change event
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    // Allow choosing the same file again after an error
+    event.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    setUploadError(null);
+    const result = await readMediaFile(file, mediaType);
+    setIsReading(false);
+
+    if (!result.success) {
+      setUploadError(result.error);
+      return;
+    }
+    onChange({ url: result.data.url, fileName: result.data.fileName, mimeType: result.data.mimeType });
+  };
+
+  /**
+   * Remove the uploaded file so a URL can be entered instead
+   */
+  const handleRemoveFile = () => {
+    setUploadError(null);
+    onChange({ url: '', fileName: '', mimeType: '' });
+  };
+
+  return (
+    <div className="setting-section">
+      {/* Media kind */}
+      <div className="setting-group">
+        <label htmlFor="media-type" className="setting-label">File type</label>
+        <select
+          id="media-type"
+          className="setting-input"
+          value={mediaType}
+          onChange={(e) => handleMediaTypeChange(e.target.value)}
+        >
+          {Object.values(MEDIA_TYPES).map((type) => (
+            <option key={type} value={type}>{MEDIA_TYPE_LABELS[type]}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* File */}
+      <div className="setting-group">
+        <label htmlFor="media-url" className="setting-label">
+          File
+          <span className="label-hint">
+            Enter a URL, or upload a file of up to {formatFileSize(MAX_MEDIA_UPLOAD_SIZE)}
+          </span>
+        </label>
+
+        {isUploaded ? (
+          <div className="media-upload-info">
+            <span className="media-upload-name" title={fileName}>
+              📎 {fileName || 'Uploaded file'}
+            </span>
+            <span className="media-upload-size">{formatFileSize(getDataUrlSize(url))}</span>
+            <button
+              type="button"
+              className="icon-button danger"
+              onClick={handleRemoveFile}
+              aria-label="Remove uploaded file"
+              title="Remove file"
+            >
+              ×
+            </button>
+          </div>
+        ) : (
+          <input
+            id="media-url"
+            type="text"
+            className={`setting-input code ${sourceError ? 'invalid' : ''}`}
+            value={url}
+            onChange={(e) => onChange({ url: e.target.value.trim(), fileName: '', mimeType: '' })}
+            placeholder="https://example.com/brochure.pdf"
+          />
+        )}
+        {sourceError && <div className="input-error">{sourceError}</div>}
+
+        <div className="media-upload-actions">
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isReading}
+          >
+            {isReading ? 'Reading file...' : isUploaded ? 'Replace file' : 'Upload file'}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={MEDIA_ACCEPT[mediaType]}
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+            aria-label="Upload media file"
+          />
+        </div>
+        {uploadError && <div className="input-error">{uploadError}</div>}
+      </div>
+
+      {/* Caption */}
+      <div className="setting-group">
+        <label htmlFor="media-caption" className="setting-label">
+          Caption
+          <span className="label-hint">Optional text sent with the file. Use {'{{variable}}'} to insert values</span>
+        </label>
+        <textarea
+          id="media-caption"
+          className="text-input enhanced"
+          value={caption}
+          onChange={(e) => onChange({ caption: e.target.value })}
+          placeholder="Here is our latest brochure"
+          rows={3}
+          maxLength={MAX_CAPTION_LENGTH}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default MediaSettings;
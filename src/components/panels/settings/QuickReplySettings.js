@@ -0,0 +1,177 @@
+import React from 'react';
+import {
+  MAX_QUICK_REPLIES,
+  MAX_QUICK_REPLY_LABEL_LENGTH
+} from '../../../constants/nodeTypes';
+import { generateId } from '../../../utils/flowUtils';
+
+/**
+ * QuickReplySettings Component
+ *
+ * Editor for the quick-reply buttons of a message node. Each button is
+ * its own output on the canvas, so the conversation can continue
+ * differently for every choice. A message without buttons keeps its
+ * single output.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Message node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ * @param {Function} props.onRemoveHandle - Callback removing the connection of a handle
+ */
+const QuickReplySettings = ({ node, onChange, onRemoveHandle }) => {
+  const quickReplies = node.data.quickReplies || [];
+
+  /**
+   * Replace the button list on the node
+   *
+   * @param {Array} nextQuickReplies - Updated buttons
+   */
+  const updateQuickReplies = (nextQuickReplies) => {
+    onChange({ quickReplies: nextQuickReplies });
+  };
+
+  /**
+   * Add a button; the first one replaces the message's single output
+   */
+  const addQuickReply = () => {
+    if (quickReplies.length >= MAX_QUICK_REPLIES) return;
+
+    if (quickReplies.length === 0 && onRemoveHandle) {
+      onRemoveHandle(null);
+    }
+    updateQuickReplies([
+      ...quickReplies,
+      { id: generateId('reply'), label: `Option ${quickReplies.length + 1}` }
+    ]);
+  };
+
+  /**
+   * Remove a button along with the connection leaving it
+   *
+   * @param {string} quickReplyId - Button (handle) ID
+   */
+  const removeQuickReply = (quickReplyId) => {
+    if (onRemoveHandle) {
+      onRemoveHandle(quickReplyId);
+    }
+    updateQuickReplies(quickReplies.filter((quickReply) => quickReply.id !== quickReplyId));
+  };
+
+  /**
+   * Move a button up or down (the order users see them in)
+   *
+   * @param {number} index - Current index
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  const moveQuickReply = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= quickReplies.length) return;
+
+    const nextQuickReplies = [...quickReplies];
+    [nextQuickReplies[index], nextQuickReplies[targetIndex]] = [nextQuickReplies[targetIndex], nextQuickReplies[index]];
+    updateQuickReplies(nextQuickReplies);
+  };
+
+  // Labels must tell the buttons apart, since typed replies match them by label
+  const labelCounts = quickReplies.reduce((counts, quickReply) => {
+    const key = (quickReply.label || '').trim().toLowerCase();
+    return { ...counts, [key]: (counts[key] || 0) + 1 };
+  }, {});
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label className="setting-label">
+          Quick Replies
+          <span className="label-hint">
+            Buttons shown under the message - each one gets its own connection
+          </span>
+        </label>
+
+        {quickReplies.length > 0 && (
+          <div className="quick-reply-editor-list">
+            {quickReplies.map((quickReply, index) => {
+              const label = (quickReply.label || '').trim();
+              let labelError = null;
+              if (!label) {
+                labelError = 'A button needs a label';
+              } else if (labelCounts[label.toLowerCase()] > 1) {
+                labelError = 'Another button has the same label';
+              }
+
+              return (
+                <div key={quickReply.id} className="quick-reply-editor">
+                  <div className="quick-reply-editor-row">
+                    <input
+                      type="text"
+                      className={`setting-input ${labelError ? 'invalid' : ''}`}
+                      value={quickReply.label}
+                      onChange={(e) => updateQuickReplies(quickReplies.map((item) =>
+                        item.id === quickReply.id ? { ...item, label: e.target.value } : item
+                      ))}
+                      placeholder="Button label"
+                      aria-label="Button label"
+                      maxLength={MAX_QUICK_REPLY_LABEL_LENGTH}
+                    />
+                    <button
+                      type="button"
+                      className="icon-button"
+                      onClick={() => moveQuickReply(index, -1)}
+                      disabled={index === 0}
+                      aria-label="Move button up"
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-button"
+                      onClick={() => moveQuickReply(index, 1)}
+                      disabled={index === quickReplies.length - 1}
+                      aria-label="Move button down"
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-button danger"
+                      onClick={() => removeQuickReply(quickReply.id)}
+                      aria-label="Remove button"
+                      title="Remove button and its connection"
+                    >
+                      ×
+                    </button>
+                  </div>
+                  {labelError && <div className="input-error">{labelError}</div>}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="quick-reply-editor-footer">
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={addQuickReply}
+            disabled={quickReplies.length >= MAX_QUICK_REPLIES}
+          >
+            + Add button
+          </button>
+          <span className="quick-reply-count">
+            {quickReplies.length}/{MAX_QUICK_REPLIES}
+          </span>
+        </div>
+
+        {quickReplies.length === 0 && (
+          <div className="label-hint">
+            Adding the first button replaces the message's single connection.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuickReplySettings;
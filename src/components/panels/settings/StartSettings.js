@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+  CHANNEL_EVENTS,
+  CHANNEL_EVENT_LABELS,
+  TRIGGER_TYPES,
+  TRIGGER_TYPE_LABELS
+} from '../../../constants/nodeTypes';
+import { generateId } from '../../../utils/flowUtils';
+import { findStartForMessage, validateTrigger } from '../../../utils/conversationUtils';
+
+// Placeholder shown in the value input for each trigger type
+const TRIGGER_VALUE_PLACEHOLDERS = {
+  keywords: 'hi, hello, menu',
+  regex: '^order\\s*#?\\d+',
+};
+
+/**
+ * StartSettings Component
+ *
+ * Editor for the triggers of a Start node. Any trigger begins the
+ * conversation here; when several Start nodes could answer a message,
+ * keywords win over regexes, which win over "any message".
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Start node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ */
+const StartSettings = ({ node, onChange }) => {
+  const [testMessage, setTestMessage] = useState('');
+
+  const triggers = node.data.triggers || [];
+
+  /**
+   * Replace the triggers array on the node
+   *
+   * @param {Array} nextTriggers - Updated triggers
+   */
+  const updateTriggers = (nextTriggers) => {
+    onChange({ triggers: nextTriggers });
+  };
+
+  /**
+   * Update a single field of one trigger
+   *
+   * @param {string} triggerId - Trigger ID
+   * @param {Object} changes - Fields to merge into the trigger
+   */
+  const updateTrigger = (triggerId, changes) => {
+    updateTriggers(
+      triggers.map((trigger) => (trigger.id === triggerId ? { ...trigger, ...changes } : trigger))
+    );
+  };
+
+  /**
+   * Switch the type of a trigger, resetting a value that no longer applies
+   *
+   * @param {string} triggerId - Trigger ID
+   * @param {string} type - New trigger type
+   */
+  const changeTriggerType = (triggerId, type) => {
+    updateTrigger(triggerId, {
+      type,
+      value: type === TRIGGER_TYPES.EVENT ? CHANNEL_EVENTS.CHAT_OPENED : ''
+    });
+  };
+
+  const addTrigger = () => {
+    updateTriggers([...triggers, { id: generateId('trigger'), type: TRIGGER_TYPES.KEYWORDS, value: '' }]);
+  };
+
+  const removeTrigger = (triggerId) => {
+    updateTriggers(triggers.filter((trigger) => trigger.id !== triggerId));
+  };
+
+  // Check the test message against this node's triggers only
+  const testMatch = testMessage ? findStartForMessage([node], testMessage) : null;
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label className="setting-label">
+          Triggers
+          <span className="label-hint">Any of these starts the conversation here</span>
+        </label>
+
+        <div className="condition-editor-list">
+          {triggers.map((trigger) => {
+            const error = validateTrigger(trigger);
+
+            return (
+              <div
+                key={trigger.id}
+                className={`condition-editor ${testMatch?.trigger.id === trigger.id ? 'matched' : ''}`}
+              >
+                <div className="condition-editor-rule">
+                  <select
+                    className="setting-input"
+                    value={trigger.type}
+                    onChange={(e) => changeTriggerType(trigger.id, e.target.value)}
+                    aria-label="Trigger type"
+                  >
+                    {Object.values(TRIGGER_TYPES).map((type) => (
+                      <option key={type} value={type}>{TRIGGER_TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className="icon-button danger"
+                    onClick={() => removeTrigger(trigger.id)}
+                    aria-label="Remove trigger"
+                    title="Remove trigger"
+                  >
+                    ×
+                  </button>
+                </div>
+
+                {trigger.type === TRIGGER_TYPES.EVENT && (
+                  <select
+                    className="setting-input"
+                    value={trigger.value}
+                    onChange={(e) => updateTrigger(trigger.id, { value: e.target.value })}
+                    aria-label="Channel event"
+                  >
+                    {Object.values(CHANNEL_EVENTS).map((event) => (
+                      <option key={event} value={event}>{CHANNEL_EVENT_LABELS[event]}</option>
+                    ))}
+                  </select>
+                )}
+
+                {(trigger.type === TRIGGER_TYPES.KEYWORDS || trigger.type === TRIGGER_TYPES.REGEX) && (
+                  <input
+                    type="text"
+                    className={`setting-input ${trigger.type === TRIGGER_TYPES.REGEX ? 'code' : ''} ${error ? 'invalid' : ''}`}
+                    value={trigger.value}
+                    onChange={(e) => updateTrigger(trigger.id, { value: e.target.value })}
+                    placeholder={TRIGGER_VALUE_PLACEHOLDERS[trigger.type]}
+                    aria-label={trigger.type === TRIGGER_TYPES.REGEX ? 'Pattern' : 'Keywords, separated by commas'}
+                  />
+                )}
+
+                {error && <div className="input-error">{error}</div>}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="condition-editor-footer">
+          <button type="button" className="secondary-button" onClick={addTrigger}>
+            + Add trigger
+          </button>
+        </div>
+      </div>
+
+      {/* Quick check of which trigger a first message fires */}
+      <div className="setting-group condition-tester">
+        <label htmlFor="start-test-message" className="setting-label">
+          Test a first message
+          <span className="label-hint">Highlights the trigger this message would fire</span>
+        </label>
+        <input
+          id="start-test-message"
+          type="text"
+          className="setting-input"
+          value={testMessage}
+          onChange={(e) => setTestMessage(e.target.value)}
+          placeholder="Type a message..."
+        />
+        {testMessage && (
+          <div className={`condition-test-result ${testMatch ? '' : 'no-match'}`}>
+            {testMatch ? 'Starts here' : 'No trigger on this Start node matches'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StartSettings;
@@ -0,0 +1,151 @@
+import React from 'react';
+import { haveExitsChanged } from '../../../utils/subflowUtils';
+
+/**
+ * SubflowSettings Component
+ *
+ * Editor for "Go to Flow" nodes: picks the saved flow to run and shows
+ * its interface — the Start node it enters at and the End nodes it can
+ * come back through, each of which is an output of this node.
+ *
+ * The node keeps a copy of the target's exits; when the target changes,
+ * "Refresh outputs" brings the copy up to date and drops connections of
+ * exits that no longer exist.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - Subflow node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ * @param {Function} props.onRemoveHandle - Callback removing the connection of a handle
+ * @param {Array} props.savedFlows - Flows in the library ({ id, name })
+ * @param {string|null} props.activeFlowId - ID of the flow being edited
+ * @param {Function} props.resolveSubflow - Looks up a target flow: { name, interface, recursion } or null
+ * @param {Function} props.onOpenSubflow - Opens a flow on the canvas
+ */
+const SubflowSettings = ({
+  node,
+  onChange,
+  onRemoveHandle,
+  savedFlows = [],
+  activeFlowId = null,
+  resolveSubflow,
+  onOpenSubflow
+}) => {
+  const { flowId = '', exits = [] } = node.data;
+
+  const target = flowId && resolveSubflow ? resolveSubflow(flowId) : null;
+  const isStale = Boolean(target) && haveExitsChanged(exits, target.interface.exits);
+
+  // Every saved flow except the one being edited
+  const choices = savedFlows.filter((flow) => flow.id !== activeFlowId);
+
+  /**
+   * Point the node at a flow and copy its current exits
+   * Connections of exits the flow no longer has are removed.
+   *
+   * @param {string} nextFlowId - Target flow ID ('' clears the target)
+   */
+  const applyTarget = (nextFlowId) => {
+    const next = nextFlowId && resolveSubflow ? resolveSubflow(nextFlowId) : null;
+    const nextExits = next ? next.interface.exits : [];
+
+    if (onRemoveHandle) {
+      exits
+        .filter((exit) => !nextExits.some((nextExit) => nextExit.id === exit.id))
+        .forEach((exit) => onRemoveHandle(exit.id));
+    }
+
+    onChange({
+      flowId: nextFlowId,
+      flowName: next ? next.name : '',
+      exits: nextExits
+    });
+  };
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label htmlFor="subflow-target" className="setting-label">
+          Flow
+          <span className="label-hint">The conversation continues in this flow, then comes back</span>
+        </label>
+        <select
+          id="subflow-target"
+          className="setting-input"
+          value={flowId}
+          onChange={(e) => applyTarget(e.target.value)}
+        >
+          <option value="">Choose a flow...</option>
+          {choices.map((flow) => {
+            // Flows that would end up going back to this one can't be chosen
+            const recursive = flow.id !== flowId && Boolean(resolveSubflow?.(flow.id)?.recursion);
+
+            return (
+              <option key={flow.id} value={flow.id} disabled={recursive}>
+                {flow.name}{recursive ? ' (goes back to this flow)' : ''}
+              </option>
+            );
+          })}
+          {flowId && !choices.some((flow) => flow.id === flowId) && (
+            <option value={flowId}>{node.data.flowName || flowId} (missing)</option>
+          )}
+        </select>
+
+        {choices.length === 0 && (
+          <div className="input-warning">Save another flow to the library to use it here</div>
+        )}
+        {flowId && !target && (
+          <div className="input-error">This flow is no longer in the library</div>
+        )}
+        {target?.recursion && (
+          <div className="input-error">Goes back to itself: {target.recursion.join(' → ')}</div>
+        )}
+        {target && target.interface.startCount !== 1 && (
+          <div className="input-error">
+            {target.interface.startCount === 0
+              ? 'This flow has no Start node'
+              : 'This flow has more than one Start node'}
+          </div>
+        )}
+      </div>
+
+      {/* Interface of the target flow */}
+      {target && (
+        <div className="setting-group">
+          <label className="setting-label">
+            Outputs
+            <span className="label-hint">One per End node of the flow</span>
+          </label>
+
+          <ul className="subflow-interface">
+            <li className="subflow-interface-entry">🚀 Enters at Start</li>
+            {target.interface.exits.map((exit) => (
+              <li key={exit.id} className="subflow-interface-exit">🏁 {exit.label}</li>
+            ))}
+            {target.interface.exits.length === 0 && (
+              <li className="subflow-interface-exit none">No End nodes — the conversation ends in that flow</li>
+            )}
+          </ul>
+
+          {isStale && (
+            <div className="input-warning">The flow's End nodes changed since this node was set up</div>
+          )}
+
+          <div className="condition-editor-footer">
+            {isStale && (
+              <button type="button" className="secondary-button" onClick={() => applyTarget(flowId)}>
+                Refresh outputs
+              </button>
+            )}
+            {onOpenSubflow && (
+              <button type="button" className="secondary-button" onClick={() => onOpenSubflow(flowId)}>
+                Open flow
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubflowSettings;
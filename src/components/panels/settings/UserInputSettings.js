@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import {
+  INPUT_VALIDATION_TYPES,
+  INPUT_VALIDATION_LABELS
+} from '../../../constants/nodeTypes';
+import {
+  isValidRegex,
+  isValidVariableName,
+  validateUserInput
+} from '../../../utils/conversationUtils';
+
+/**
+ * UserInputSettings Component
+ *
+ * Editor for User Input nodes: the question, the variable that stores the
+ * answer, the expected answer format and the retry behaviour.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.node - User Input node being edited
+ * @param {Function} props.onChange - Callback receiving a partial data update
+ * @param {Array} props.flowVariables - Variables captured elsewhere in the flow
+ */
+const UserInputSettings = ({ node, onChange, flowVariables = [] }) => {
+  const [testAnswer, setTestAnswer] = useState('');
+
+  const {
+    prompt = '',
+    variable = '',
+    inputType = INPUT_VALIDATION_TYPES.TEXT,
+    pattern = '',
+    retryMessage = '',
+    maxRetries = 3
+  } = node.data;
+
+  // Variable name feedback
+  // Registry variables (no node) may be overwritten by an answer on purpose
+  const isDuplicateVariable = flowVariables.some(
+    (flowVariable) => flowVariable.name === variable && flowVariable.nodeId && flowVariable.nodeId !== node.id
+  );
+  let variableError = null;
+  if (!variable) {
+    variableError = 'A variable name is required to store the answer';
+  } else if (!isValidVariableName(variable)) {
+    variableError = 'Use letters, numbers and underscores, starting with a letter or underscore';
+  }
+
+  let patternError = null;
+  if (inputType === INPUT_VALIDATION_TYPES.REGEX) {
+    if (!pattern) {
+      patternError = 'Enter a pattern for the answer';
+    } else if (!isValidRegex(pattern)) {
+      patternError = 'Invalid regular expression';
+    }
+  }
+
+  const testResult = testAnswer
+    ? validateUserInput(testAnswer, { inputType, pattern })
+    : null;
+
+  /**
+   * Parse and clamp the retry limit (0 means unlimited retries)
+   *
+   * @param {string} value - Raw input value
+   */
+  const handleMaxRetriesChange = (value) => {
+    const parsed = parseInt(value, 10);
+    onChange({ maxRetries: Number.isNaN(parsed) ? 0 : Math.min(Math.max(parsed, 0), 10) });
+  };
+
+  return (
+    <div className="setting-section">
+      <div className="setting-group">
+        <label htmlFor="input-prompt" className="setting-label">
+          Question
+          <span className="label-hint">Sent to the user before waiting for a reply</span>
+        </label>
+        <textarea
+          id="input-prompt"
+          className="text-input enhanced"
+          value={prompt}
+          onChange={(e) => onChange({ prompt: e.target.value })}
+          placeholder="What is your email address?"
+          rows={3}
+          maxLength={500}
+        />
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="input-variable" className="setting-label">
+          Save answer as
+          <span className="label-hint">Reference it later as {`{{${variable || 'variableName'}}}`}</span>
+        </label>
+        <input
+          id="input-variable"
+          type="text"
+          className={`setting-input code ${variableError ? 'invalid' : ''}`}
+          value={variable}
+          onChange={(e) => onChange({ variable: e.target.value.replace(/\s/g, '_') })}
+          placeholder="email"
+          maxLength={40}
+        />
+        {variableError && <div className="input-error">{variableError}</div>}
+        {!variableError && isDuplicateVariable && (
+          <div className="input-warning">
+            Another User Input node also saves to this variable - the latest answer wins
+          </div>
+        )}
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="input-type" className="setting-label">
+          Expected answer
+        </label>
+        <select
+          id="input-type"
+          className="setting-input"
+          value={inputType}
+          onChange={(e) => onChange({ inputType: e.target.value })}
+        >
+          {Object.values(INPUT_VALIDATION_TYPES).map((type) => (
+            <option key={type} value={type}>
+              {INPUT_VALIDATION_LABELS[type]}
+            </option>
+          ))}
+        </select>
+
+        {inputType === INPUT_VALIDATION_TYPES.REGEX && (
+          <>
+            <input
+              type="text"
+              className={`setting-input code ${patternError ? 'invalid' : ''}`}
+              value={pattern}
+              onChange={(e) => onChange({ pattern: e.target.value })}
+              placeholder="^[A-Z]{3}-\d{4}$"
+              aria-label="Answer pattern"
+            />
+            {patternError && <div className="input-error">{patternError}</div>}
+          </>
+        )}
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="input-retry-message" className="setting-label">
+          Retry message
+          <span className="label-hint">Sent when the answer doesn't match the expected format</span>
+        </label>
+        <input
+          id="input-retry-message"
+          type="text"
+          className="setting-input"
+          value={retryMessage}
+          onChange={(e) => onChange({ retryMessage: e.target.value })}
+          placeholder="Sorry, that doesn't look right. Please try again."
+          maxLength={200}
+        />
+
+        <label htmlFor="input-max-retries" className="setting-label">
+          Maximum retries
+          <span className="label-hint">The conversation ends after this many invalid answers (0 = unlimited)</span>
+        </label>
+        <input
+          id="input-max-retries"
+          type="number"
+          className="setting-input"
+          value={maxRetries}
+          min={0}
+          max={10}
+          onChange={(e) => handleMaxRetriesChange(e.target.value)}
+        />
+      </div>
+
+      {/* Quick check of how an answer would be validated */}
+      <div className="setting-group condition-tester">
+        <label htmlFor="input-test-answer" className="setting-label">
+          Test an answer
+        </label>
+        <input
+          id="input-test-answer"
+          type="text"
+          className="setting-input"
+          value={testAnswer}
+          onChange={(e) => setTestAnswer(e.target.value)}
+          placeholder="Type a sample answer..."
+        />
+        {testResult && (
+          <div className={`condition-test-result ${testResult.isValid ? '' : 'no-match'}`}>
+            {testResult.isValid
+              ? `✓ Saved as ${variable || 'variable'} = ${JSON.stringify(testResult.value)}`
+              : `✗ ${testResult.error}`}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserInputSettings;
@@ -5,27 +5,397 @@
 
 // Available node types in the flow builder
 export const NODE_TYPES = {
+  START: 'start',
   TEXT_MESSAGE: 'textMessage',
+  CONDITIONAL: 'conditional',
+  USER_INPUT: 'userInput',
+  API_CALL: 'apiCall',
+  MEDIA: 'media',
+  DELAY: 'delay',
+  SUBFLOW: 'subflow',
+  END: 'end',
   // Future node types can be added here
-  // CONDITIONAL: 'conditional',
-  // API_CALL: 'apiCall',
-  // USER_INPUT: 'userInput',
 };
 
 // Node configuration for the nodes panel
 export const NODE_CONFIGS = {
+  start: {
+    type: 'start',
+    label: 'Start',
+    description: 'Where a conversation begins, and what triggers it',
+    icon: '🚀',
+    color: '#16a34a',
+    defaultData: {
+      triggers: [
+        { id: 'trigger_1', type: 'any', value: '' }
+      ],
+      lastModified: new Date().toISOString()
+    }
+  },
   textMessage: {
     type: 'textMessage',
     label: 'Send Message',
     description: 'Send a text message to the user',
     icon: '💬',
+    color: '#10b981',
     defaultData: {
       text: '', // Change from "Enter your message here..." to empty string
+      quickReplies: [], // Buttons, each with its own output
+      lastModified: new Date().toISOString()
+    }
+  },
+  conditional: {
+    type: 'conditional',
+    label: 'Condition',
+    description: 'Branch the conversation based on the user reply',
+    icon: '🔀',
+    color: '#8b5cf6',
+    defaultData: {
+      conditions: [
+        { id: 'condition_1', label: 'Yes', operator: 'equals', value: 'yes' },
+        { id: 'fallback', label: 'Otherwise', operator: 'fallback', value: '' }
+      ],
+      variable: '', // Empty = wait for a new reply
+      caseSensitive: false,
+      lastModified: new Date().toISOString()
+    }
+  },
+  userInput: {
+    type: 'userInput',
+    label: 'User Input',
+    description: 'Ask a question and save the reply to a variable',
+    icon: '✍️',
+    color: '#f59e0b',
+    defaultData: {
+      prompt: '',
+      variable: '',
+      inputType: 'text',
+      pattern: '',
+      retryMessage: "Sorry, that doesn't look right. Please try again.",
+      maxRetries: 3,
+      lastModified: new Date().toISOString()
+    }
+  },
+  apiCall: {
+    type: 'apiCall',
+    label: 'API Call',
+    description: 'Call an external API and save fields from the response',
+    icon: '🌐',
+    color: '#0ea5e9',
+    defaultData: {
+      method: 'GET',
+      url: '',
+      headers: [],
+      body: '',
+      responseMappings: [],
+      timeoutMs: 10000,
+      mockEnabled: false,
+      mockStatus: 200,
+      mockBody: '{\n  "status": "ok"\n}',
+      lastModified: new Date().toISOString()
+    }
+  },
+  media: {
+    type: 'media',
+    label: 'Media',
+    description: 'Send an image, video or document',
+    icon: '🖼️',
+    color: '#ec4899',
+    defaultData: {
+      mediaType: 'image',
+      url: '', // Web address, or a data URL for uploaded files
+      fileName: '', // Set for uploaded files
+      mimeType: '',
+      caption: '',
+      lastModified: new Date().toISOString()
+    }
+  },
+  delay: {
+    type: 'delay',
+    label: 'Delay',
+    description: 'Pause, optionally showing a typing indicator',
+    icon: '⏱️',
+    color: '#64748b',
+    defaultData: {
+      mode: 'typing',
+      seconds: 2,
+      lastModified: new Date().toISOString()
+    }
+  },
+  subflow: {
+    type: 'subflow',
+    label: 'Go to Flow',
+    description: 'Run another saved flow, then continue from its End',
+    icon: '🔗',
+    color: '#0d9488',
+    defaultData: {
+      flowId: '',
+      flowName: '', // Copy of the target's name and exits, kept in sync from the library
+      exits: [],
+      lastModified: new Date().toISOString()
+    }
+  },
+  end: {
+    type: 'end',
+    label: 'End',
+    description: 'Finish the conversation',
+    icon: '🏁',
+    color: '#dc2626',
+    defaultData: {
+      outcome: '', // Optional label, e.g. "Resolved"
       lastModified: new Date().toISOString()
     }
   }
 };
 
+// Quick-reply buttons a message node can carry, and the longest button label
+export const MAX_QUICK_REPLIES = 10;
+export const MAX_QUICK_REPLY_LABEL_LENGTH = 20;
+
+// Kinds of file a Media node can send
+export const MEDIA_TYPES = {
+  IMAGE: 'image',
+  VIDEO: 'video',
+  DOCUMENT: 'document',
+};
+
+// Display labels for media kinds
+export const MEDIA_TYPE_LABELS = {
+  image: 'Image',
+  video: 'Video',
+  document: 'Document',
+};
+
+// File picker filter for each media kind
+export const MEDIA_ACCEPT = {
+  image: 'image/*',
+  video: 'video/*',
+  document: '.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt,.csv',
+};
+
+// Largest file that can be uploaded into a flow. Uploads are stored inline
+// as data URLs, and every save and snapshot keeps a copy in localStorage
+export const MAX_MEDIA_UPLOAD_SIZE = 256 * 1024;
+
+// What starts a conversation at a Start node
+export const TRIGGER_TYPES = {
+  KEYWORDS: 'keywords',
+  REGEX: 'regex',
+  ANY_MESSAGE: 'any',
+  EVENT: 'event',
+};
+
+// Display labels for trigger types
+export const TRIGGER_TYPE_LABELS = {
+  keywords: 'Keywords',
+  regex: 'Matches regex',
+  any: 'Any message',
+  event: 'Channel event',
+};
+
+// Channel events that can start a conversation without a message
+export const CHANNEL_EVENTS = {
+  CHAT_OPENED: 'chat_opened',
+  REFERRAL: 'referral',
+  SUBSCRIBED: 'subscribed',
+};
+
+// Display labels for channel events
+export const CHANNEL_EVENT_LABELS = {
+  chat_opened: 'Chat opened',
+  referral: 'Arrived from a link or ad',
+  subscribed: 'User subscribed',
+};
+
+// How deep Go to Flow nodes may nest when a conversation runs
+export const MAX_SUBFLOW_DEPTH = 10;
+
+// What the user sees while a Delay node pauses the conversation
+export const DELAY_MODES = {
+  TYPING: 'typing',
+  WAIT: 'wait',
+};
+
+// Display labels for delay modes
+export const DELAY_MODE_LABELS = {
+  typing: 'Typing indicator',
+  wait: 'Silent pause',
+};
+
+// Allowed length of a Delay node's pause, in seconds
+export const MIN_DELAY_SECONDS = 0.5;
+export const MAX_DELAY_SECONDS = 30;
+
+// Operators available to conditional node branches
+export const CONDITION_OPERATORS = {
+  EQUALS: 'equals',
+  CONTAINS: 'contains',
+  REGEX: 'regex',
+  FALLBACK: 'fallback',
+};
+
+// Display labels for condition operators
+export const CONDITION_OPERATOR_LABELS = {
+  equals: 'Equals',
+  contains: 'Contains',
+  regex: 'Matches regex',
+  fallback: 'Otherwise (fallback)',
+};
+
+// Answer formats a User Input node can require
+export const INPUT_VALIDATION_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  REGEX: 'regex',
+};
+
+// Display labels for answer formats
+export const INPUT_VALIDATION_LABELS = {
+  text: 'Any text',
+  number: 'Number',
+  email: 'Email address',
+  phone: 'Phone number',
+  regex: 'Custom pattern (regex)',
+};
+
+// Value types of flow-level variables
+export const VARIABLE_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+};
+
+// Display labels for variable types
+export const VARIABLE_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  boolean: 'True / false',
+};
+
+// Formats message text can be exported in; flows store Markdown
+export const MESSAGE_FORMATS = {
+  MARKDOWN: 'markdown',
+  WHATSAPP: 'whatsapp',
+  HTML: 'html',
+  PLAIN: 'plain',
+};
+
+// Display labels for message formats
+export const MESSAGE_FORMAT_LABELS = {
+  markdown: 'Markdown',
+  whatsapp: 'WhatsApp',
+  html: 'HTML',
+  plain: 'Plain text',
+};
+
+// Languages messages can be translated into. A message's own text is in
+// the default locale; other locales are stored in data.translations.
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_LABELS = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  hi: 'Hindi',
+  ar: 'Arabic',
+  id: 'Indonesian',
+  ja: 'Japanese',
+  zh: 'Chinese',
+};
+
+// File formats translations are exchanged in
+export const TRANSLATION_FORMATS = {
+  CSV: 'csv',
+  XLIFF: 'xliff',
+};
+
+export const TRANSLATION_FORMAT_LABELS = {
+  csv: 'CSV',
+  xliff: 'XLIFF',
+};
+
+// Channels a flow can target
+export const CHANNELS = {
+  WEB: 'web',
+  WHATSAPP: 'whatsapp',
+  MESSENGER: 'messenger',
+  SMS: 'sms',
+};
+
+export const DEFAULT_CHANNEL = CHANNELS.WEB;
+
+// Rules of each channel. Message lengths are counted on the text as the
+// channel shows it (after formatting is converted); SMS is measured in
+// segments instead. A quick-reply limit of 0 means buttons are not supported.
+export const CHANNEL_PROFILES = {
+  web: {
+    label: 'Web widget',
+    messageFormat: MESSAGE_FORMATS.HTML,
+    maxTextLength: 500,
+    warnTextLength: 450,
+    maxQuickReplies: 10,
+    maxQuickReplyLabelLength: 20,
+    maxCaptionLength: 1024,
+    mediaTypes: [MEDIA_TYPES.IMAGE, MEDIA_TYPES.VIDEO, MEDIA_TYPES.DOCUMENT],
+  },
+  whatsapp: {
+    label: 'WhatsApp',
+    messageFormat: MESSAGE_FORMATS.WHATSAPP,
+    maxTextLength: 4096,
+    warnTextLength: 3500,
+    // Messages with reply buttons are interactive messages, whose body is shorter
+    maxTextLengthWithButtons: 1024,
+    maxQuickReplies: 3,
+    maxQuickReplyLabelLength: 20,
+    maxCaptionLength: 1024,
+    mediaTypes: [MEDIA_TYPES.IMAGE, MEDIA_TYPES.VIDEO, MEDIA_TYPES.DOCUMENT],
+  },
+  messenger: {
+    label: 'Messenger',
+    messageFormat: MESSAGE_FORMATS.PLAIN,
+    maxTextLength: 2000,
+    warnTextLength: 1800,
+    maxQuickReplies: 13,
+    maxQuickReplyLabelLength: 20,
+    // Attachments have no caption; it is sent as a separate message
+    maxCaptionLength: 2000,
+    mediaTypes: [MEDIA_TYPES.IMAGE, MEDIA_TYPES.VIDEO, MEDIA_TYPES.DOCUMENT],
+  },
+  sms: {
+    label: 'SMS',
+    messageFormat: MESSAGE_FORMATS.PLAIN,
+    maxSegments: 10,
+    warnSegments: 3,
+    maxQuickReplies: 0,
+    maxQuickReplyLabelLength: 0,
+    maxCaptionLength: 0,
+    mediaTypes: [],
+  },
+};
+
+// Emojis offered by the message formatting toolbar
+export const MESSAGE_EMOJIS = [
+  '😀', '😊', '😂', '😉', '😍', '🤔', '😢', '😮',
+  '👍', '👎', '👋', '🙏', '👏', '💪', '🎉', '🔥',
+  '✅', '❌', '⚠️', '❓', 'ℹ️', '⭐', '❤️', '💬',
+  '📦', '🚚', '💳', '📅', '⏰', '📞', '📧', '🔗',
+];
+
+// HTTP methods supported by API Call nodes
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Source handle IDs exposed by API Call nodes
+export const API_CALL_HANDLES = {
+  SUCCESS: 'success',
+  ERROR: 'error',
+};
+
 // Default node styling
 export const DEFAULT_NODE_STYLE = {
   background: '#fff',
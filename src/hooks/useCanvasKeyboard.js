@@ -0,0 +1,446 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { NODE_CONFIGS, TRANSLATION_FORMATS } from '../constants/nodeTypes';
+import { LAYOUT_DIRECTIONS, getNodeTraversalOrder } from '../utils/flowLayout';
+import { getNodeSourceHandles } from '../utils/flowValidation';
+import { generateId } from '../utils/flowUtils';
+
+// Distance moved by an arrow key (one grid step), and with Shift held
+const NUDGE_STEP = 15;
+const LARGE_NUDGE_STEP = 75;
+
+// Space left between a node and one inserted after it with N
+const INSERT_GAP = 100;
+
+/**
+ * Check whether a key press was typed into a text field
+ *
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} Whether the target edits text
+ */
+const isTextField = (target) =>
+  target.tagName === 'INPUT' ||
+  target.tagName === 'TEXTAREA' ||
+  target.isContentEditable;
+
+/**
+ * Custom hook for editing the canvas from the keyboard
+ *
+ * Owns the canvas keyboard layer and the Ctrl+K command palette. Ctrl/Cmd+K
+ * opens the palette and Ctrl/Cmd+F the search bar from anywhere. The other
+ * keys act on the canvas only while focus is not in a text field, button
+ * or panel: arrows nudge the selection, Delete removes it, Tab walks the
+ * nodes in conversation order, Enter edits the selected node and N inserts
+ * a message after it. The palette lists every editor action, so its
+ * handlers are passed in from the builder.
+ *
+ * @param {Array} nodes - Current nodes in the flow
+ * @param {Array} edges - Current edges in the flow
+ * @param {Function} setNodes - Function to update nodes
+ * @param {Function} setEdges - Function to update edges
+ * @param {Object} editor - Editor state and actions
+ * @param {Object} editor.reactFlowInstance - React Flow instance
+ * @param {Object} editor.reactFlowWrapper - Ref to the canvas element
+ * @param {Function} editor.recordHistory - Records an undo step (useFlowHistory)
+ * @param {Function} editor.deleteNodes - Deletes nodes as one undo step (useFlowManager)
+ * @param {Function} editor.createNewNode - Creates a node of a type at a position
+ * @param {Object|null} editor.selectedNode - Node open in the settings panel
+ * @param {boolean} editor.showSettings - Whether the settings panel is shown
+ * @param {Function} editor.setSelectedNode - Changes the node in the settings panel
+ * @param {Function} editor.openNodeSettings - Opens the settings panel for a node
+ * @param {Function} editor.setSaveError - Sets (or clears) the save error shown in the header
+ * @param {boolean} editor.isModalOpen - Whether a modal holds the keyboard
+ * @param {string} editor.layoutDirection - Auto-arrange direction (see LAYOUT_DIRECTIONS)
+ * @param {Function} editor.setLayoutDirection - Changes the auto-arrange direction
+ * @param {boolean} editor.isPreviewing - Whether the preview is running
+ * @param {boolean} editor.canUndo - Whether there is a step to undo
+ * @param {boolean} editor.canRedo - Whether there is a step to redo
+ * @param {Object} editor.importInputRef - Ref to the flow file input
+ * @param {Object} editor.translationInputRef - Ref to the translation file input
+ * @param {Object} editor.actions - Handlers run by palette commands ({ save,
+ *   startPreview, stopPreview, exportFlow, exportTranslations, resetAll,
+ *   undo, redo, copySelection, paste, duplicateSelection, autoArrange,
+ *   openSearch, toggleLibrary, toggleHistory, toggleProblems, toggleVariables })
+ * @returns {Object} { commands, isPaletteOpen, closePalette }
+ */
+export const useCanvasKeyboard = (nodes, edges, setNodes, setEdges, editor) => {
+  const {
+    reactFlowInstance,
+    reactFlowWrapper,
+    recordHistory,
+    deleteNodes,
+    createNewNode,
+    selectedNode,
+    showSettings,
+    setSelectedNode,
+    openNodeSettings,
+    setSaveError,
+    isModalOpen,
+    layoutDirection,
+    setLayoutDirection,
+    isPreviewing,
+    canUndo,
+    canRedo,
+    importInputRef,
+    translationInputRef,
+    actions,
+  } = editor;
+  const {
+    save,
+    startPreview,
+    stopPreview,
+    exportFlow,
+    exportTranslations,
+    resetAll,
+    undo,
+    redo,
+    copySelection,
+    paste,
+    duplicateSelection,
+    autoArrange,
+    openSearch,
+    toggleLibrary,
+    toggleHistory,
+    toggleProblems,
+    toggleVariables,
+  } = actions;
+
+  // Whether the Ctrl+K command palette is open
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const closePalette = useCallback(() => setIsPaletteOpen(false), []);
+
+  // The node keyboard actions apply to: the only selected node, or the one being edited
+  const selectedNodes = nodes.filter((node) => node.selected);
+  const keyboardNode = selectedNodes.length === 1 ? selectedNodes[0] : selectedNode;
+
+  /**
+   * Select a single node and bring it into view
+   *
+   * @param {Object} node - Node to select
+   */
+  const focusNode = useCallback((node) => {
+    setNodes((prevNodes) => prevNodes.map((candidate) =>
+      Boolean(candidate.selected) === (candidate.id === node.id)
+        ? candidate
+        : { ...candidate, selected: candidate.id === node.id }
+    ));
+    setEdges((prevEdges) => prevEdges.map((edge) => (edge.selected ? { ...edge, selected: false } : edge)));
+
+    if (reactFlowInstance) {
+      reactFlowInstance.setCenter(
+        node.position.x + (node.width || 0) / 2,
+        node.position.y + (node.height || 0) / 2,
+        { zoom: reactFlowInstance.getZoom(), duration: 200 }
+      );
+    }
+  }, [setNodes, setEdges, reactFlowInstance]);
+
+  /**
+   * Move the selected nodes; presses in quick succession are one undo step
+   *
+   * @param {number} dx - Horizontal distance
+   * @param {number} dy - Vertical distance
+   */
+  const nudgeSelection = useCallback((dx, dy) => {
+    const movedIds = nodes.filter((node) => node.selected).map((node) => node.id);
+    if (movedIds.length === 0) return;
+
+    recordHistory('Move nodes', { coalesceKey: `nudge:${movedIds.sort().join(',')}` });
+    setNodes((prevNodes) => prevNodes.map((node) => (node.selected
+      ? { ...node, position: { x: node.position.x + dx, y: node.position.y + dy } }
+      : node
+    )));
+  }, [nodes, setNodes, recordHistory]);
+
+  /**
+   * Delete the selected nodes and connections as one undo step
+   */
+  const deleteSelection = useCallback(() => {
+    const nodeIds = nodes.filter((node) => node.selected).map((node) => node.id);
+    const edgeIds = edges.filter((edge) => edge.selected).map((edge) => edge.id);
+    if (nodeIds.length === 0 && edgeIds.length === 0) return;
+
+    const label = nodeIds.length > 0
+      ? `Delete ${nodeIds.length} node${nodeIds.length !== 1 ? 's' : ''}`
+      : 'Delete connection';
+    deleteNodes(nodeIds, label, edgeIds);
+    if (selectedNode && nodeIds.includes(selectedNode.id)) {
+      setSelectedNode(null);
+    }
+    setSaveError(null);
+  }, [nodes, edges, selectedNode, setSelectedNode, setSaveError, deleteNodes]);
+
+  /**
+   * Select the next (or previous) node in conversation order
+   *
+   * @param {boolean} backwards - Whether to go to the previous node
+   */
+  const cycleSelection = useCallback((backwards = false) => {
+    const order = getNodeTraversalOrder(nodes, edges);
+    if (order.length === 0) return;
+
+    const index = keyboardNode ? order.findIndex((node) => node.id === keyboardNode.id) : -1;
+    const next = index === -1
+      ? order[backwards ? order.length - 1 : 0]
+      : order[(index + (backwards ? -1 : 1) + order.length) % order.length];
+
+    focusNode(next);
+    // An open settings editor follows the selection
+    if (showSettings && selectedNode) {
+      setSelectedNode(next);
+    }
+  }, [nodes, edges, keyboardNode, showSettings, selectedNode, setSelectedNode, focusNode]);
+
+  /**
+   * Insert a node after the selected one and open its settings
+   * It takes the first free output of the selected node; when every output
+   * is connected, it is placed between the first output and its target.
+   * Without a selection the node goes in the middle of the view.
+   *
+   * @param {string} nodeType - Type of the new node
+   */
+  const insertNodeAfter = useCallback((nodeType = 'textMessage') => {
+    const anchor = keyboardNode;
+    const isHorizontal = layoutDirection === LAYOUT_DIRECTIONS.LEFT_TO_RIGHT;
+
+    let position = { x: 0, y: 0 };
+    if (anchor) {
+      position = isHorizontal
+        ? { x: anchor.position.x + (anchor.width || 260) + INSERT_GAP, y: anchor.position.y }
+        : { x: anchor.position.x, y: anchor.position.y + (anchor.height || 120) + INSERT_GAP };
+    } else if (reactFlowInstance && reactFlowWrapper.current) {
+      const bounds = reactFlowWrapper.current.getBoundingClientRect();
+      position = reactFlowInstance.project({ x: bounds.width / 2, y: bounds.height / 2 });
+    }
+
+    const newNode = createNewNode(nodeType, position);
+    if (!newNode) return;
+
+    const newEdges = [];
+    let replacedEdge = null;
+    const anchorHandles = anchor ? getNodeSourceHandles(anchor) : [];
+    // Start nodes have no input to connect to
+    if (anchorHandles.length > 0 && nodeType !== 'start') {
+      const handleEdge = (handle) => edges.find((edge) =>
+        edge.source === anchor.id && (edge.sourceHandle ?? null) === (handle.id ?? null)
+      );
+      const handle = anchorHandles.find((candidate) => !handleEdge(candidate)) || anchorHandles[0];
+      replacedEdge = handleEdge(handle) || null;
+
+      newEdges.push({ id: generateId('edge'), source: anchor.id, sourceHandle: handle.id, target: newNode.id });
+
+      const newNodeHandles = getNodeSourceHandles(newNode);
+      if (replacedEdge && newNodeHandles.length > 0) {
+        newEdges.push({
+          id: generateId('edge'),
+          source: newNode.id,
+          sourceHandle: newNodeHandles[0].id,
+          target: replacedEdge.target
+        });
+      }
+    }
+
+    recordHistory(`Insert ${NODE_CONFIGS[nodeType].label}`);
+    setNodes((prevNodes) => [
+      ...prevNodes.map((node) => (node.selected ? { ...node, selected: false } : node)),
+      { ...newNode, selected: true }
+    ]);
+    setEdges((prevEdges) => [
+      ...prevEdges.filter((edge) => edge !== replacedEdge),
+      ...newEdges
+    ]);
+    openNodeSettings(newNode);
+  }, [
+    keyboardNode, layoutDirection, reactFlowInstance, reactFlowWrapper, edges,
+    setNodes, setEdges, createNewNode, recordHistory, openNodeSettings
+  ]);
+
+  /**
+   * Every editor action, for the command palette
+   */
+  const commands = useMemo(() => {
+    const hasSelection = nodes.some((node) => node.selected);
+
+    return [
+      { id: 'save', group: 'Flow', label: 'Save flow', run: () => save() },
+      {
+        id: 'preview',
+        group: 'Flow',
+        label: isPreviewing ? 'Stop preview' : 'Preview conversation',
+        run: isPreviewing ? stopPreview : startPreview
+      },
+      { id: 'export', group: 'Flow', label: 'Export as JSON', run: exportFlow },
+      {
+        id: 'import',
+        group: 'Flow',
+        label: 'Import from JSON file',
+        run: () => importInputRef.current && importInputRef.current.click()
+      },
+      {
+        id: 'export-translations-csv',
+        group: 'Flow',
+        label: 'Export messages for translation (CSV)',
+        run: () => exportTranslations(TRANSLATION_FORMATS.CSV)
+      },
+      {
+        id: 'export-translations-xliff',
+        group: 'Flow',
+        label: 'Export messages for translation (XLIFF)',
+        run: () => exportTranslations(TRANSLATION_FORMATS.XLIFF)
+      },
+      {
+        id: 'import-translations',
+        group: 'Flow',
+        label: 'Import translations from CSV or XLIFF',
+        run: () => translationInputRef.current && translationInputRef.current.click()
+      },
+      { id: 'reset', group: 'Flow', label: 'Reset all nodes and connections', run: resetAll },
+      { id: 'undo', group: 'Edit', label: 'Undo', shortcut: 'Ctrl+Z', disabled: !canUndo, run: undo },
+      { id: 'redo', group: 'Edit', label: 'Redo', shortcut: 'Ctrl+Shift+Z', disabled: !canRedo, run: redo },
+      { id: 'copy', group: 'Edit', label: 'Copy selection', shortcut: 'Ctrl+C', disabled: !hasSelection, run: () => copySelection() },
+      { id: 'cut', group: 'Edit', label: 'Cut selection', shortcut: 'Ctrl+X', disabled: !hasSelection, run: () => copySelection(true) },
+      { id: 'paste', group: 'Edit', label: 'Paste', shortcut: 'Ctrl+V', run: paste },
+      { id: 'duplicate', group: 'Edit', label: 'Duplicate selection', shortcut: 'Ctrl+D', disabled: !hasSelection, run: duplicateSelection },
+      { id: 'delete', group: 'Edit', label: 'Delete selection', shortcut: 'Del', disabled: !hasSelection, run: deleteSelection },
+      { id: 'find', group: 'Edit', label: 'Find and replace', shortcut: 'Ctrl+F', run: openSearch },
+      {
+        id: 'select-all',
+        group: 'Edit',
+        label: 'Select all nodes',
+        disabled: nodes.length === 0,
+        run: () => setNodes((prevNodes) => prevNodes.map((node) => ({ ...node, selected: true })))
+      },
+      { id: 'next-node', group: 'Navigate', label: 'Select next node', shortcut: 'Tab', disabled: nodes.length === 0, run: () => cycleSelection() },
+      { id: 'previous-node', group: 'Navigate', label: 'Select previous node', shortcut: 'Shift+Tab', disabled: nodes.length === 0, run: () => cycleSelection(true) },
+      {
+        id: 'edit-node',
+        group: 'Navigate',
+        label: 'Edit selected node',
+        shortcut: 'Enter',
+        disabled: !keyboardNode,
+        run: () => keyboardNode && openNodeSettings(keyboardNode)
+      },
+      ...Object.entries(NODE_CONFIGS).map(([type, config]) => ({
+        id: `insert-${type}`,
+        group: 'Insert',
+        label: keyboardNode ? `${config.label} after the selected node` : config.label,
+        shortcut: type === 'textMessage' ? 'N' : undefined,
+        run: () => insertNodeAfter(type)
+      })),
+      { id: 'arrange', group: 'View', label: 'Auto-arrange', disabled: nodes.length === 0, run: autoArrange },
+      {
+        id: 'arrange-direction',
+        group: 'View',
+        label: layoutDirection === LAYOUT_DIRECTIONS.LEFT_TO_RIGHT
+          ? 'Auto-arrange top to bottom from now on'
+          : 'Auto-arrange left to right from now on',
+        run: () => setLayoutDirection((direction) => (direction === LAYOUT_DIRECTIONS.LEFT_TO_RIGHT
+          ? LAYOUT_DIRECTIONS.TOP_TO_BOTTOM
+          : LAYOUT_DIRECTIONS.LEFT_TO_RIGHT))
+      },
+      { id: 'fit', group: 'View', label: 'Fit flow to screen', run: () => reactFlowInstance && reactFlowInstance.fitView({ duration: 300 }) },
+      { id: 'zoom-in', group: 'View', label: 'Zoom in', run: () => reactFlowInstance && reactFlowInstance.zoomIn() },
+      { id: 'zoom-out', group: 'View', label: 'Zoom out', run: () => reactFlowInstance && reactFlowInstance.zoomOut() },
+      { id: 'library', group: 'Panels', label: 'Toggle flow library', run: toggleLibrary },
+      { id: 'history', group: 'Panels', label: 'Toggle version history', run: toggleHistory },
+      { id: 'problems', group: 'Panels', label: 'Toggle problems', run: toggleProblems },
+      { id: 'variables', group: 'Panels', label: 'Toggle variables', run: toggleVariables },
+    ];
+  }, [
+    nodes, isPreviewing, canUndo, canRedo, keyboardNode, layoutDirection, reactFlowInstance,
+    importInputRef, translationInputRef, setNodes, setLayoutDirection,
+    save, startPreview, stopPreview, exportFlow, exportTranslations, resetAll, undo, redo,
+    copySelection, paste, duplicateSelection, deleteSelection, cycleSelection,
+    openNodeSettings, insertNodeAfter, autoArrange, openSearch,
+    toggleLibrary, toggleHistory, toggleProblems, toggleVariables
+  ]);
+
+  /**
+   * Canvas keyboard layer
+   */
+  useEffect(() => {
+    // Text fields on the canvas (such as a message being edited inline) keep their keys
+    const isCanvasTarget = (target) => {
+      if (isTextField(target)) return false;
+
+      return target === document.body ||
+        Boolean(reactFlowWrapper.current && reactFlowWrapper.current.contains(target));
+    };
+
+    const handleCanvasKeys = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setIsPaletteOpen((open) => !open);
+        return;
+      }
+
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f') {
+        if (isModalOpen) return;
+        event.preventDefault();
+        setIsPaletteOpen(false);
+        openSearch();
+        return;
+      }
+
+      if (isPaletteOpen || isModalOpen) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (!isCanvasTarget(event.target)) return;
+
+      const step = event.shiftKey ? LARGE_NUDGE_STEP : NUDGE_STEP;
+      const nudges = {
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step],
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0]
+      };
+
+      if (nudges[event.key]) {
+        if (!nodes.some((node) => node.selected)) return;
+        event.preventDefault();
+        nudgeSelection(...nudges[event.key]);
+        return;
+      }
+
+      switch (event.key) {
+        case 'Delete':
+        case 'Backspace':
+          event.preventDefault();
+          deleteSelection();
+          break;
+        case 'Tab':
+          if (nodes.length === 0) return;
+          event.preventDefault();
+          cycleSelection(event.shiftKey);
+          break;
+        case 'Enter':
+          if (keyboardNode) {
+            event.preventDefault();
+            openNodeSettings(keyboardNode);
+          }
+          break;
+        case 'n':
+        case 'N':
+          if (!event.shiftKey) {
+            event.preventDefault();
+            insertNodeAfter();
+          }
+          break;
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('keydown', handleCanvasKeys);
+    return () => {
+      window.removeEventListener('keydown', handleCanvasKeys);
+    };
+  }, [
+    nodes, keyboardNode, isPaletteOpen, isModalOpen, reactFlowWrapper,
+    nudgeSelection, deleteSelection, cycleSelection, openNodeSettings, insertNodeAfter, openSearch
+  ]);
+
+  return {
+    commands,
+    isPaletteOpen,
+    closePalette,
+  };
+};
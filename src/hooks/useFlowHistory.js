@@ -0,0 +1,193 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Maximum number of undo steps kept in memory
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// Edits sharing a coalesce key within this window collapse into one undo step
+const DEFAULT_COALESCE_WINDOW_MS = 1000;
+
+/**
+ * Custom hook providing undo/redo history for the flow canvas
+ *
+ * Every mutating operation records a snapshot of the nodes, edges and
+ * variable registry *before* it is applied. Because flow state is updated immutably, a
+ * snapshot only holds references to the previous arrays, which keeps
+ * recording cheap even for large flows.
+ *
+ * Rapid repeated edits (node drags, typing into a message) can share a
+ * coalesce key so they collapse into a single undo step.
+ *
+ * @param {Array} nodes - Current nodes in the flow
+ * @param {Array} edges - Current edges in the flow
+ * @param {Array} variables - Current flow variable registry
+ * @param {Function} setNodes - Function to update nodes
+ * @param {Function} setEdges - Function to update edges
+ * @param {Function} setVariables - Function to update the variable registry
+ * @param {Object} options - History configuration
+ * @param {number} options.limit - Maximum number of undo steps to keep
+ * @param {number} options.coalesceWindow - Coalescing window in milliseconds
+ * @returns {Object} History controls and state
+ */
+export const useFlowHistory = (nodes, edges, variables, setNodes, setEdges, setVariables, options = {}) => {
+  const {
+    limit = DEFAULT_HISTORY_LIMIT,
+    coalesceWindow = DEFAULT_COALESCE_WINDOW_MS,
+  } = options;
+
+  // Latest flow state, read when a snapshot is recorded
+  const nodesRef = useRef(nodes);
+  const edgesRef = useRef(edges);
+  const variablesRef = useRef(variables);
+  nodesRef.current = nodes;
+  edgesRef.current = edges;
+  variablesRef.current = variables;
+
+  // Undo/redo stacks live in refs so recording never triggers extra renders
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  const lastRecordRef = useRef({ key: null, time: 0 });
+
+  // Render-facing summary of the stacks (button states and tooltips)
+  const [historyState, setHistoryState] = useState({
+    canUndo: false,
+    canRedo: false,
+    undoLabel: null,
+    redoLabel: null,
+  });
+
+  /**
+   * Publish the current stack state to React
+   */
+  const syncHistoryState = useCallback(() => {
+    const past = pastRef.current;
+    const future = futureRef.current;
+
+    setHistoryState({
+      canUndo: past.length > 0,
+      canRedo: future.length > 0,
+      undoLabel: past.length > 0 ? past[past.length - 1].label : null,
+      redoLabel: future.length > 0 ? future[future.length - 1].label : null,
+    });
+  }, []);
+
+  /**
+   * Record the current flow state before a change is applied
+   *
+   * @param {string} label - Human-readable description of the change
+   * @param {Object} recordOptions - Recording options
+   * @param {string} recordOptions.coalesceKey - Key used to merge rapid repeated edits
+   */
+  const record = useCallback(
+    (label, recordOptions = {}) => {
+      const { coalesceKey = null } = recordOptions;
+      const now = Date.now();
+      const lastRecord = lastRecordRef.current;
+
+      // Extend the previous step instead of adding a new one
+      if (
+        coalesceKey &&
+        lastRecord.key === coalesceKey &&
+        now - lastRecord.time < coalesceWindow
+      ) {
+        lastRecordRef.current = { key: coalesceKey, time: now };
+        return;
+      }
+
+      lastRecordRef.current = { key: coalesceKey, time: now };
+
+      pastRef.current = [
+        ...pastRef.current,
+        {
+          label,
+          nodes: nodesRef.current,
+          edges: edgesRef.current,
+          variables: variablesRef.current,
+          timestamp: now,
+        },
+      ].slice(-limit);
+
+      // A new change invalidates anything that was undone
+      futureRef.current = [];
+      syncHistoryState();
+    },
+    [limit, coalesceWindow, syncHistoryState]
+  );
+
+  /**
+   * Close the current coalescing window
+   * Called when a continuous interaction (such as a drag) finishes
+   */
+  const endCoalescing = useCallback(() => {
+    lastRecordRef.current = { key: null, time: 0 };
+  }, []);
+
+  /**
+   * Move one snapshot between stacks and apply it to the canvas
+   *
+   * @param {Object} fromRef - Stack to take the snapshot from
+   * @param {Object} toRef - Stack that receives the current state
+   * @returns {Object|null} The applied snapshot, or null if the stack was empty
+   */
+  const travel = useCallback(
+    (fromRef, toRef) => {
+      const entry = fromRef.current[fromRef.current.length - 1];
+      if (!entry) {
+        return null;
+      }
+
+      fromRef.current = fromRef.current.slice(0, -1);
+      toRef.current = [
+        ...toRef.current,
+        {
+          label: entry.label,
+          nodes: nodesRef.current,
+          edges: edgesRef.current,
+          variables: variablesRef.current,
+          timestamp: Date.now(),
+        },
+      ].slice(-limit);
+
+      setNodes(entry.nodes);
+      setEdges(entry.edges);
+      setVariables(entry.variables);
+
+      endCoalescing();
+      syncHistoryState();
+      return entry;
+    },
+    [limit, setNodes, setEdges, setVariables, endCoalescing, syncHistoryState]
+  );
+
+  /**
+   * Revert the most recent change
+   *
+   * @returns {Object|null} Restored snapshot ({ label, nodes, edges, variables }) or null
+   */
+  const undo = useCallback(() => travel(pastRef, futureRef), [travel]);
+
+  /**
+   * Re-apply the most recently undone change
+   *
+   * @returns {Object|null} Restored snapshot ({ label, nodes, edges, variables }) or null
+   */
+  const redo = useCallback(() => travel(futureRef, pastRef), [travel]);
+
+  /**
+   * Drop all history (e.g. when a different flow is loaded)
+   */
+  const clearHistory = useCallback(() => {
+    pastRef.current = [];
+    futureRef.current = [];
+    endCoalescing();
+    syncHistoryState();
+  }, [endCoalescing, syncHistoryState]);
+
+  return {
+    ...historyState,
+    record,
+    endCoalescing,
+    undo,
+    redo,
+    clearHistory,
+  };
+};
@@ -0,0 +1,120 @@
+import { useCallback, useState } from 'react';
+import FlowStorageManager from '../utils/storageManager';
+
+/**
+ * Custom hook exposing the library of named flows
+ *
+ * Thin React wrapper around the FlowStorageManager library methods: it keeps
+ * the list of flows and the active flow ID in state so the header and the
+ * library panel re-render whenever the library changes.
+ *
+ * Every operation returns the storage result object ({ success, data, error })
+ * so callers decide how to surface failures. Loading a flow onto the canvas
+ * is left to the caller, which owns the nodes/edges state.
+ *
+ * @returns {Object} Library state and operations
+ */
+export const useFlowLibrary = () => {
+  const [flows, setFlows] = useState([]);
+  const [activeFlowId, setActiveFlowIdState] = useState(null);
+
+  /**
+   * Re-read the library listing from storage
+   *
+   * @returns {Array} Library entries, most recently modified first
+   */
+  const refresh = useCallback(() => {
+    const result = FlowStorageManager.listFlows();
+    const nextFlows = result.success ? result.data : [];
+    setFlows(nextFlows);
+    return nextFlows;
+  }, []);
+
+  /**
+   * Mark a flow as the one being edited
+   *
+   * @param {string} flowId - Flow ID
+   */
+  const setActiveFlow = useCallback((flowId) => {
+    FlowStorageManager.setActiveFlowId(flowId);
+    setActiveFlowIdState(flowId);
+  }, []);
+
+  /**
+   * Create a new flow
+   *
+   * @param {string} name - Flow name
+   * @param {Object} flowData - Initial flow data (defaults to empty)
+   * @returns {Object} Storage result with the new library entry
+   */
+  const createFlow = useCallback((name, flowData) => {
+    const result = FlowStorageManager.createFlow(name, flowData);
+    if (result.success) refresh();
+    return result;
+  }, [refresh]);
+
+  /**
+   * Rename a flow
+   *
+   * @param {string} flowId - Flow ID
+   * @param {string} name - New name
+   * @returns {Object} Storage result
+   */
+  const renameFlow = useCallback((flowId, name) => {
+    const result = FlowStorageManager.renameFlow(flowId, name);
+    if (result.success) refresh();
+    return result;
+  }, [refresh]);
+
+  /**
+   * Set the channel a flow is built for
+   *
+   * @param {string} flowId - Flow ID
+   * @param {string} channel - One of CHANNELS
+   * @returns {Object} Storage result
+   */
+  const setFlowChannel = useCallback((flowId, channel) => {
+    const result = FlowStorageManager.setFlowChannel(flowId, channel);
+    if (result.success) refresh();
+    return result;
+  }, [refresh]);
+
+  /**
+   * Duplicate the saved version of a flow
+   *
+   * @param {string} flowId - Flow ID
+   * @returns {Object} Storage result with the copy's library entry
+   */
+  const duplicateFlow = useCallback((flowId) => {
+    const result = FlowStorageManager.duplicateFlow(flowId);
+    if (result.success) refresh();
+    return result;
+  }, [refresh]);
+
+  /**
+   * Delete a flow
+   *
+   * @param {string} flowId - Flow ID
+   * @returns {Object} Storage result
+   */
+  const deleteFlow = useCallback((flowId) => {
+    const result = FlowStorageManager.deleteFlow(flowId);
+    if (result.success) refresh();
+    return result;
+  }, [refresh]);
+
+  const activeFlow = flows.find((flow) => flow.id === activeFlowId) || null;
+
+  return {
+    flows,
+    activeFlowId,
+    activeFlow,
+    refresh,
+    setActiveFlow,
+    createFlow,
+    renameFlow,
+    setFlowChannel,
+    duplicateFlow,
+    deleteFlow,
+  };
+};
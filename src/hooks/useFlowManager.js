@@ -1,5 +1,27 @@
 import { useCallback } from 'react';
 import { addEdge, applyNodeChanges, applyEdgeChanges } from 'reactflow';
+import { validateFlowGraph } from '../utils/flowValidation';
+
+// Fallback used when the hook runs without undo/redo history
+const NO_HISTORY = {
+  record: () => {},
+  endCoalescing: () => {},
+};
+
+// Node change types that alter the structure of the flow
+const STRUCTURAL_CHANGE_TYPES = ['add', 'remove', 'reset'];
+
+/**
+ * Check whether an edge leaves the same source handle as a connection
+ * Handle IDs are normalised so that `null` and `undefined` compare equal
+ * 
+ * @param {Object} edge - Existing edge
+ * @param {Object} connection - Connection or edge to compare against
+ * @returns {boolean} Whether both start at the same handle
+ */
+const isSameSourceHandle = (edge, connection) =>
+  edge.source === connection.source &&
+  (edge.sourceHandle ?? null) === (connection.sourceHandle ?? null);
 
 /**
  * Custom hook for managing React Flow state and operations
@@ -11,60 +33,117 @@ import { addEdge, applyNodeChanges, applyEdgeChanges } from 'reactflow';
  * @param {Array} edges - Current edges in the flow
  * @param {Function} setNodes - Function to update nodes
  * @param {Function} setEdges - Function to update edges
+ * @param {Object} history - Optional undo/redo history from useFlowHistory
  * @returns {Object} Flow management functions
  */
-export const useFlowManager = (nodes, edges, setNodes, setEdges) => {
+export const useFlowManager = (nodes, edges, setNodes, setEdges, history = NO_HISTORY) => {
+  const { record, endCoalescing } = history;
   
   /**
    * Handle node changes (position, selection, etc.)
+   * 
+   * Structural changes become their own undo step; drag moves are
+   * coalesced so a whole drag gesture is undone at once. Selection and
+   * dimension changes are not recorded.
    */
   const onNodesChange = useCallback(
-    (changes) => setNodes((nds) => applyNodeChanges(changes, nds)),
-    [setNodes]
+    (changes) => {
+      const positionChanges = changes.filter((change) => change.type === 'position');
+
+      if (changes.some((change) => STRUCTURAL_CHANGE_TYPES.includes(change.type))) {
+        record('Edit nodes');
+      } else if (positionChanges.some((change) => change.dragging)) {
+        const movedIds = positionChanges.map((change) => change.id).sort().join(',');
+        record('Move nodes', { coalesceKey: `move:${movedIds}` });
+      } else if (positionChanges.length > 0) {
+        // Drag finished - the next drag starts a new undo step
+        endCoalescing();
+      }
+
+      setNodes((nds) => applyNodeChanges(changes, nds));
+    },
+    [setNodes, record, endCoalescing]
   );
 
   /**
    * Handle edge changes (creation, deletion, etc.)
    */
   const onEdgesChange = useCallback(
-    (changes) => setEdges((eds) => applyEdgeChanges(changes, eds)),
-    [setEdges]
+    (changes) => {
+      if (changes.some((change) => change.type === 'remove')) {
+        record('Delete connection');
+      }
+
+      setEdges((eds) => applyEdgeChanges(changes, eds));
+    },
+    [setEdges, record]
   );
 
   /**
    * Handle new edge connections with validation
    * 
-   * Business Rule: Source handles can only have ONE outgoing connection
+   * Business Rule: Each source handle can only have ONE outgoing connection.
+   * Nodes with several outputs (e.g. conditional branches) expose one handle
+   * per output, so the rule is applied per handle.
    */
   const onConnect = useCallback(
     (connection) => {
-      // Check if source already has an outgoing connection
-      const existingEdgeFromSource = edges.find(
-        (edge) => edge.source === connection.source && edge.sourceHandle === connection.sourceHandle
-      );
+      record('Connect nodes');
 
-      if (existingEdgeFromSource) {
-        // Remove existing edge before adding new one
-        setEdges((eds) => {
-          const filteredEdges = eds.filter((edge) => edge.id !== existingEdgeFromSource.id);
-          return addEdge(connection, filteredEdges);
-        });
-      } else {
-        // Add new edge normally
-        setEdges((eds) => addEdge(connection, eds));
-      }
+      setEdges((eds) => {
+        // Replace any existing edge leaving the same handle
+        const filteredEdges = eds.filter((edge) => !isSameSourceHandle(edge, connection));
+        return addEdge(connection, filteredEdges);
+      });
     },
-    [edges, setEdges]
+    [setEdges, record]
+  );
+
+  /**
+   * Reject connections that can never be valid
+   * 
+   * @param {Object} connection - Proposed connection
+   * @returns {boolean} Whether the connection is allowed
+   */
+  const isValidConnection = useCallback(
+    (connection) => connection.source !== connection.target,
+    []
+  );
+
+  /**
+   * Remove the edges leaving a specific source handle
+   * Used when a node output (such as a conditional branch) is deleted
+   * 
+   * @param {string} nodeId - ID of the source node
+   * @param {string} handleId - ID of the source handle
+   */
+  const removeHandleEdges = useCallback(
+    (nodeId, handleId) => {
+      record('Edit node', { coalesceKey: `edit:${nodeId}` });
+      setEdges((eds) => eds.filter((edge) =>
+        !isSameSourceHandle(edge, { source: nodeId, sourceHandle: handleId })
+      ));
+    },
+    [setEdges, record]
   );
 
   /**
    * Update specific node data
    * 
+   * Consecutive updates to the same node (e.g. typing) share one undo step.
+   * Updates to several nodes become one step by sharing a coalesce key.
+   * 
    * @param {string} nodeId - ID of the node to update
    * @param {Object} newData - New data for the node
+   * @param {Object} historyOptions - How the update is recorded
+   * @param {string} historyOptions.label - Undo step label (default "Edit node")
+   * @param {string} historyOptions.coalesceKey - Key shared by updates that form one step
    */
   const updateNodeData = useCallback(
-    (nodeId, newData) => {
+    (nodeId, newData, historyOptions = {}) => {
+      const { label = 'Edit node', coalesceKey = `edit:${nodeId}` } = historyOptions;
+      record(label, { coalesceKey });
+
       setNodes((nds) =>
         nds.map((node) =>
           node.id === nodeId
@@ -73,7 +152,7 @@ export const useFlowManager = (nodes, edges, setNodes, setEdges) => {
         )
       );
     },
-    [setNodes]
+    [setNodes, record]
   );
 
   /**
@@ -91,9 +170,10 @@ export const useFlowManager = (nodes, edges, setNodes, setEdges) => {
         data: nodeData.defaultData,
       };
       
+      record('Add node');
       setNodes((nds) => [...nds, newNode]);
     },
-    [setNodes]
+    [setNodes, record]
   );
 
   /**
@@ -103,58 +183,90 @@ export const useFlowManager = (nodes, edges, setNodes, setEdges) => {
    */
   const deleteNode = useCallback(
     (nodeId) => {
+      record('Delete node');
       setNodes((nds) => nds.filter((node) => node.id !== nodeId));
       setEdges((eds) => eds.filter((edge) => 
         edge.source !== nodeId && edge.target !== nodeId
       ));
     },
-    [setNodes, setEdges]
+    [setNodes, setEdges, record]
   );
 
   /**
-   * Validate the flow according to business rules
+   * Add several nodes, with the edges between them, as one undo step
+   * The added nodes replace the current selection.
    * 
-   * Rule: More than one node AND more than one node has empty target handles = Error
+   * @param {Array} newNodes - Nodes to add
+   * @param {Array} newEdges - Edges to add
+   * @param {string} label - Undo step label
+   */
+  const addNodes = useCallback(
+    (newNodes, newEdges = [], label = 'Add nodes') => {
+      record(label);
+      setNodes((nds) => [
+        ...nds.map((node) => (node.selected ? { ...node, selected: false } : node)),
+        ...newNodes.map((node) => ({ ...node, selected: true })),
+      ]);
+      setEdges((eds) => [...eds, ...newEdges]);
+    },
+    [setNodes, setEdges, record]
+  );
+
+  /**
+   * Delete several nodes and their connected edges as one undo step
    * 
-   * @returns {Object} Validation result with isValid boolean and error message
+   * @param {Array} nodeIds - IDs of the nodes to delete
+   * @param {string} label - Undo step label
+   * @param {Array} edgeIds - IDs of further edges to delete
    */
-  const validateFlow = useCallback(() => {
-    console.log('Validating flow with nodes:', nodes.length, 'edges:', edges.length);
-    
-    if (nodes.length <= 1) {
-      console.log('Validation passed: single node or empty flow');
-      return { isValid: true, error: null };
-    }
+  const deleteNodes = useCallback(
+    (nodeIds, label = 'Delete nodes', edgeIds = []) => {
+      const deletedIds = new Set(nodeIds);
+      const deletedEdgeIds = new Set(edgeIds);
+      record(label);
+      setNodes((nds) => nds.filter((node) => !deletedIds.has(node.id)));
+      setEdges((eds) => eds.filter((edge) =>
+        !deletedEdgeIds.has(edge.id) && !deletedIds.has(edge.source) && !deletedIds.has(edge.target)
+      ));
+    },
+    [setNodes, setEdges, record]
+  );
 
-    // Find nodes that have no incoming connections (empty target handles)
-    const nodesWithoutTargets = nodes.filter((node) => {
-      const hasIncomingEdge = edges.some((edge) => edge.target === node.id);
-      console.log(`Node ${node.id} has incoming edge:`, hasIncomingEdge);
-      return !hasIncomingEdge;
-    });
-
-    console.log('Nodes without targets:', nodesWithoutTargets.length);
-
-    if (nodesWithoutTargets.length > 1) {
-      console.log('Validation failed: multiple nodes without targets');
-      return {
-        isValid: false,
-        error: 'Your flow has disconnected nodes that need to be connected. Please make sure all nodes (except the starting node) have incoming connections before saving.',
-        message: 'Your flow has disconnected nodes that need to be connected. Please make sure all nodes (except the starting node) have incoming connections before saving.'
-      };
+  /**
+   * Validate the flow against every rule in the validation engine
+   * 
+   * Errors (for example a missing Start node or an empty message)
+   * block saving; warnings do not.
+   * 
+   * @param {Array} variables - Flow variable registry
+   * @param {Object} context - Information from outside the flow, such as
+   *   resolved subflow targets (see validateFlowGraph)
+   * @returns {Object} Validation result with isValid, a summary error
+   *   message (null when valid) and every issue found
+   */
+  const validateFlow = useCallback((variables = [], context = {}) => {
+    const result = validateFlowGraph(nodes, edges, variables, context);
+    if (result.isValid) {
+      return { ...result, error: null };
     }
 
-    console.log('Validation passed');
-    return { isValid: true, error: null };
+    const error = result.errorCount === 1
+      ? `Your flow has a problem that needs fixing before it can be saved: ${result.issues[0].message}.`
+      : `Your flow has ${result.errorCount} problems that need fixing before it can be saved.`;
+    return { ...result, error, message: error };
   }, [nodes, edges]);
 
   return {
     onNodesChange,
     onEdgesChange,
     onConnect,
+    isValidConnection,
+    removeHandleEdges,
     updateNodeData,
     addNode,
     deleteNode,
+    addNodes,
+    deleteNodes,
     validateFlow,
   };
 };
@@ -0,0 +1,99 @@
+import { useCallback, useMemo, useState } from 'react';
+import { createSearchPattern, findMatches } from '../utils/flowSearch';
+import { getNodeTraversalOrder } from '../utils/flowLayout';
+
+/**
+ * Custom hook holding the state of the canvas search bar
+ *
+ * Keeps the query, its options and the highlighted hit, and finds the
+ * hits across the flow while the bar is open. Hits are listed in the
+ * order a conversation reaches their nodes, so cycling through them
+ * walks the flow. Replacing is left to the caller, which owns the nodes.
+ *
+ * @param {Array} nodes - Current nodes in the flow
+ * @param {Array} edges - Current edges in the flow
+ * @returns {Object} Search state and controls
+ */
+export const useFlowSearch = (nodes, edges) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQueryState] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [options, setOptions] = useState({ regex: false, caseSensitive: false });
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Bumped on every open request, so the bar refocuses even when already open
+  const [focusRequest, setFocusRequest] = useState(0);
+
+  const { pattern, error } = useMemo(() => createSearchPattern(query, options), [query, options]);
+
+  const matches = useMemo(
+    () => (isOpen && pattern ? findMatches(getNodeTraversalOrder(nodes, edges), pattern) : []),
+    [isOpen, pattern, nodes, edges]
+  );
+
+  // Hits shift as text is replaced; stay on the same position in the list
+  const currentIndex = matches.length > 0 ? Math.min(activeIndex, matches.length - 1) : -1;
+  const activeMatch = currentIndex >= 0 ? matches[currentIndex] : null;
+
+  /**
+   * Change the query, starting again from the first hit
+   *
+   * @param {string} nextQuery - Search text
+   */
+  const setQuery = useCallback((nextQuery) => {
+    setQueryState(nextQuery);
+    setActiveIndex(0);
+  }, []);
+
+  /**
+   * Switch a search option on or off
+   *
+   * @param {string} option - 'regex' or 'caseSensitive'
+   */
+  const toggleOption = useCallback((option) => {
+    setOptions((previous) => ({ ...previous, [option]: !previous[option] }));
+    setActiveIndex(0);
+  }, []);
+
+  /**
+   * Highlight the next hit, wrapping around at the end
+   */
+  const next = useCallback(() => {
+    if (matches.length === 0) return;
+    setActiveIndex((currentIndex + 1) % matches.length);
+  }, [matches.length, currentIndex]);
+
+  /**
+   * Highlight the previous hit, wrapping around at the start
+   */
+  const previous = useCallback(() => {
+    if (matches.length === 0) return;
+    setActiveIndex((currentIndex - 1 + matches.length) % matches.length);
+  }, [matches.length, currentIndex]);
+
+  const open = useCallback(() => {
+    setIsOpen(true);
+    setFocusRequest((request) => request + 1);
+  }, []);
+  const close = useCallback(() => setIsOpen(false), []);
+
+  return {
+    isOpen,
+    focusRequest,
+    open,
+    close,
+    query,
+    setQuery,
+    replacement,
+    setReplacement,
+    options,
+    toggleOption,
+    pattern,
+    error,
+    matches,
+    activeIndex: currentIndex,
+    activeMatch,
+    next,
+    previous,
+  };
+};
@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createFlowInterpreter, INTERPRETER_STATUS } from '../utils/flowInterpreter';
+import { formatFlowData } from '../utils/flowUtils';
+
+// Pause between automatic steps so the conversation reads naturally
+const STEP_DELAY_MS = 600;
+
+/**
+ * Custom hook that runs a flow as an interactive chat preview
+ *
+ * The conversation itself is run by the headless flow interpreter (see
+ * utils/flowInterpreter), so the preview behaves exactly like a flow run
+ * anywhere else; this hook mirrors its events into React state. The flow
+ * is snapshotted when the preview starts so canvas edits don't change a
+ * running conversation.
+ *
+ * While a Go to Flow node runs its target flow, that node stays
+ * highlighted on the canvas.
+ *
+ * @param {Array} nodes - Current nodes in the flow
+ * @param {Array} edges - Current edges in the flow
+ * @param {Array} variableDefinitions - Flow variable registry
+ * @param {Function} loadSubflowData - Reads a saved flow for Go to Flow
+ *   nodes ({ name, nodes, edges, variables, metadata } or null)
+ * @returns {Object} Simulator state and controls
+ */
+export const useFlowSimulator = (nodes, edges, variableDefinitions = [], loadSubflowData = null) => {
+  const [messages, setMessages] = useState([]);
+  const [status, setStatus] = useState(INTERPRETER_STATUS.IDLE);
+  const [activeNodeId, setActiveNodeId] = useState(null);
+  const [variables, setVariables] = useState({});
+
+  // Latest canvas state, snapshotted when a run starts
+  const flowRef = useRef({ nodes, edges, variableDefinitions, loadSubflowData });
+  flowRef.current = { nodes, edges, variableDefinitions, loadSubflowData };
+
+  // Interpreter running the current conversation
+  const interpreterRef = useRef(null);
+
+  /**
+   * Stop the current interpreter and drop its event handlers
+   */
+  const detach = useCallback(() => {
+    const interpreter = interpreterRef.current;
+    if (interpreter) {
+      interpreter.unsubscribe();
+      interpreter.stop();
+      interpreterRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Start (or restart) the preview
+   * Runs the "Chat opened" start right away if there is one, otherwise
+   * waits for the first message to pick a start.
+   */
+  const start = useCallback(() => {
+    detach();
+
+    const { nodes: flowNodes, edges: flowEdges, variableDefinitions: definitions } = flowRef.current;
+    const interpreter = createFlowInterpreter(formatFlowData(flowNodes, flowEdges, definitions), {
+      loadSubflow: flowRef.current.loadSubflowData,
+      stepDelayMs: STEP_DELAY_MS,
+    });
+
+    const unsubscribers = [
+      interpreter.on('message', (message) => setMessages((prev) => [...prev, message])),
+      interpreter.on('status', setStatus),
+      interpreter.on('activeNode', setActiveNodeId),
+      interpreter.on('variables', setVariables),
+    ];
+    interpreterRef.current = {
+      ...interpreter,
+      unsubscribe: () => unsubscribers.forEach((unsubscribe) => unsubscribe()),
+    };
+
+    setMessages([]);
+    setActiveNodeId(null);
+    interpreter.start();
+  }, [detach]);
+
+  /**
+   * Send a typed reply (or tapped quick reply) to the node that is waiting for one
+   *
+   * @param {string} reply - User's reply
+   */
+  const sendReply = useCallback((reply) => {
+    if (interpreterRef.current) {
+      interpreterRef.current.receive(reply);
+    }
+  }, []);
+
+  /**
+   * Stop the preview and clear the transcript
+   */
+  const stop = useCallback(() => {
+    detach();
+    setMessages([]);
+    setVariables({});
+    setActiveNodeId(null);
+    setStatus(INTERPRETER_STATUS.IDLE);
+  }, [detach]);
+
+  // Cancel any pending steps on unmount
+  useEffect(() => detach, [detach]);
+
+  return {
+    messages,
+    status,
+    activeNodeId,
+    variables,
+    start,
+    sendReply,
+    stop,
+  };
+};
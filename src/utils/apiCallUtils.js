@@ -0,0 +1,265 @@
+/**
+ * API Call helpers for the chatbot flow builder
+ *
+ * Builds requests from API Call node configuration, executes them and maps
+ * response fields into flow variables. Network access goes through an
+ * injectable fetch implementation so requests can be served by a local
+ * mock responder when testing offline.
+ */
+
+import { API_CALL_HANDLES } from '../constants/nodeTypes';
+import { interpolateVariables, isValidVariableName } from './conversationUtils';
+
+// Methods that never carry a request body
+const METHODS_WITHOUT_BODY = ['GET', 'DELETE'];
+
+/**
+ * Map every variable value through a formatter before interpolation
+ *
+ * @param {Object} variables - Variable values keyed by name
+ * @param {Function} format - Formatter applied to each stringified value
+ * @returns {Object} Formatted variables
+ */
+const formatVariables = (variables, format) =>
+  Object.fromEntries(
+    Object.entries(variables)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => [name, format(String(value))])
+  );
+
+/**
+ * Escape a value for use inside a JSON string literal
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value without surrounding quotes
+ */
+const escapeJsonString = (value) => JSON.stringify(value).slice(1, -1);
+
+/**
+ * Read a value from an object using a dot/bracket path
+ * Supports paths like "data.items[0].id" and "$.data.id"
+ *
+ * @param {Object} source - Object to read from
+ * @param {string} path - Property path
+ * @returns {*} Value at the path, or undefined if it does not exist
+ */
+export const getValueAtPath = (source, path = '') => {
+  const segments = String(path)
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  return segments.reduce(
+    (current, segment) => (current !== null && current !== undefined ? current[segment] : undefined),
+    source
+  );
+};
+
+/**
+ * Check whether a request body template produces valid JSON
+ * Placeholders are replaced with a number so they are valid both inside
+ * and outside string literals.
+ *
+ * @param {string} body - Body template
+ * @returns {Object} Result with isValid and an error message
+ */
+export const validateBodyTemplate = (body = '') => {
+  if (!body.trim()) {
+    return { isValid: true, error: null };
+  }
+
+  try {
+    JSON.parse(body.replace(/\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\}/g, '0'));
+    return { isValid: true, error: null };
+  } catch (error) {
+    return { isValid: false, error: `Body is not valid JSON: ${error.message}` };
+  }
+};
+
+/**
+ * Build a concrete HTTP request from API Call node data
+ *
+ * Variables are URL-encoded in the URL and JSON-escaped in the body.
+ *
+ * @param {Object} config - API Call node data
+ * @param {Object} variables - Current flow variables
+ * @returns {Object} Result with success flag and the request ({ method, url, headers, body })
+ */
+export const buildApiRequest = (config = {}, variables = {}) => {
+  const method = (config.method || 'GET').toUpperCase();
+  const url = interpolateVariables(
+    (config.url || '').trim(),
+    formatVariables(variables, encodeURIComponent)
+  );
+
+  if (!url) {
+    return { success: false, error: 'Request URL is required' };
+  }
+
+  const headers = {};
+  (config.headers || []).forEach(({ key, value }) => {
+    if (key && key.trim()) {
+      headers[key.trim()] = interpolateVariables(value || '', variables);
+    }
+  });
+
+  let body;
+  if (!METHODS_WITHOUT_BODY.includes(method) && config.body && config.body.trim()) {
+    body = interpolateVariables(config.body, formatVariables(variables, escapeJsonString));
+
+    try {
+      JSON.parse(body);
+    } catch (error) {
+      return { success: false, error: `Request body is not valid JSON: ${error.message}` };
+    }
+
+    const hasContentType = Object.keys(headers).some(
+      (header) => header.toLowerCase() === 'content-type'
+    );
+    if (!hasContentType) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  return {
+    success: true,
+    request: { method, url, headers, body }
+  };
+};
+
+/**
+ * Extract flow variables from a response body
+ *
+ * @param {*} responseData - Parsed response body
+ * @param {Array} mappings - Mappings as { path, variable }
+ * @returns {Object} Extracted variables and the mappings that found nothing
+ */
+export const applyResponseMappings = (responseData, mappings = []) => {
+  const variables = {};
+  const missing = [];
+
+  mappings.forEach((mapping) => {
+    if (!mapping.path || !isValidVariableName(mapping.variable)) {
+      return;
+    }
+
+    const value = getValueAtPath(responseData, mapping.path);
+    if (value === undefined) {
+      missing.push(mapping);
+    } else {
+      variables[mapping.variable] = value;
+    }
+  });
+
+  return { variables, missing };
+};
+
+/**
+ * Create a fetch-compatible function that answers from memory
+ *
+ * Used for the node-level mock response and for offline tests. Handlers
+ * receive the request and return { status, body }.
+ *
+ * @param {Function|Object} handler - Handler function, or a static { status, body } response
+ * @returns {Function} fetch-compatible function
+ */
+export const createMockResponder = (handler) => async (url, init = {}) => {
+  const request = { url, method: init.method || 'GET', headers: init.headers || {}, body: init.body };
+  const { status = 200, body = '' } = typeof handler === 'function'
+    ? await handler(request)
+    : handler;
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => text,
+  };
+};
+
+/**
+ * Execute an API Call node
+ *
+ * Never throws: network failures, timeouts and non-2xx responses are
+ * reported through the result so the flow can follow the error handle.
+ *
+ * @param {Object} config - API Call node data
+ * @param {Object} variables - Current flow variables
+ * @param {Object} options - Execution options
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to window.fetch)
+ * @returns {Promise<Object>} Result with handle ('success' | 'error'), status, data, variables and error
+ */
+export const executeApiCall = async (config = {}, variables = {}, options = {}) => {
+  const built = buildApiRequest(config, variables);
+  if (!built.success) {
+    return { handle: API_CALL_HANDLES.ERROR, status: null, data: null, variables: {}, error: built.error };
+  }
+
+  const { request } = built;
+  const fetchImpl = config.mockEnabled
+    ? createMockResponder({ status: Number(config.mockStatus) || 200, body: config.mockBody || '' })
+    : options.fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+
+  if (!fetchImpl) {
+    return { handle: API_CALL_HANDLES.ERROR, status: null, data: null, variables: {}, error: 'No fetch implementation available', request };
+  }
+
+  const timeoutMs = Number(config.timeoutMs) || 10000;
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  try {
+    const response = await fetchImpl(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: controller?.signal,
+    });
+
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Non-JSON responses are kept as plain text
+    }
+
+    if (!response.ok) {
+      return {
+        handle: API_CALL_HANDLES.ERROR,
+        status: response.status,
+        data,
+        variables: {},
+        error: `Request failed with status ${response.status}`,
+        request
+      };
+    }
+
+    const mapped = applyResponseMappings(data, config.responseMappings);
+    return {
+      handle: API_CALL_HANDLES.SUCCESS,
+      status: response.status,
+      data,
+      variables: mapped.variables,
+      missing: mapped.missing,
+      error: null,
+      request
+    };
+  } catch (error) {
+    return {
+      handle: API_CALL_HANDLES.ERROR,
+      status: null,
+      data: null,
+      variables: {},
+      error: error.name === 'AbortError'
+        ? `Request timed out after ${timeoutMs}ms`
+        : `Request failed: ${error.message}`,
+      request
+    };
+  } finally {
+    if (timer) {
+      clearTimeout(timer);
+    }
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * Channel rules for the chatbot flow builder
+ *
+ * Measures messages the way the flow's target channel will deliver them:
+ * by visible length after formatting is converted, or for SMS by the
+ * number of segments the text is split into. The rule tables themselves
+ * live in CHANNEL_PROFILES.
+ */
+
+import { CHANNEL_PROFILES, DEFAULT_CHANNEL, MESSAGE_FORMATS } from '../constants/nodeTypes';
+import { convertMessageText } from './messageFormatting';
+
+// Characters of the GSM 03.38 default alphabet (one unit each)
+const GSM_BASIC_CHARACTERS = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Characters of the GSM extension table (an escape plus the character: two units)
+const GSM_EXTENSION_CHARACTERS = new Set('^{}\\[~]|€\f');
+
+// Units per SMS: a single message, and each part of a concatenated one
+const SMS_SEGMENT_SIZES = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 },
+};
+
+/**
+ * Look up the rules of a channel
+ *
+ * @param {string} channel - One of CHANNELS
+ * @returns {Object} Channel profile with its `id`; the default channel's for unknown IDs
+ */
+export const getChannelProfile = (channel) => {
+  const id = CHANNEL_PROFILES[channel] ? channel : DEFAULT_CHANNEL;
+  return { id, ...CHANNEL_PROFILES[id] };
+};
+
+/**
+ * Count the SMS segments a text is sent in
+ *
+ * Text that only uses the GSM alphabet is sent as GSM-7; anything else
+ * (emojis, most non-Latin scripts) switches the whole message to UCS-2,
+ * which fits less than half as much per segment. Extension characters
+ * and surrogate pairs are never split across segments.
+ *
+ * @param {string} text - Text as sent
+ * @returns {Object} { encoding, units, segments, unitsPerSegment }
+ */
+export const countSmsSegments = (text = '') => {
+  const characters = Array.from(String(text));
+  const isGsm = characters.every((char) => GSM_BASIC_CHARACTERS.has(char) || GSM_EXTENSION_CHARACTERS.has(char));
+  const encoding = isGsm ? 'GSM-7' : 'UCS-2';
+
+  const unitSizes = characters.map((char) => (isGsm
+    ? (GSM_EXTENSION_CHARACTERS.has(char) ? 2 : 1)
+    : char.length
+  ));
+  const units = unitSizes.reduce((total, size) => total + size, 0);
+  const sizes = SMS_SEGMENT_SIZES[encoding];
+
+  if (units === 0) {
+    return { encoding, units, segments: 0, unitsPerSegment: sizes.single };
+  }
+  if (units <= sizes.single) {
+    return { encoding, units, segments: 1, unitsPerSegment: sizes.single };
+  }
+
+  let segments = 1;
+  let used = 0;
+  unitSizes.forEach((size) => {
+    if (used + size > sizes.multipart) {
+      segments += 1;
+      used = 0;
+    }
+    used += size;
+  });
+
+  return { encoding, units, segments, unitsPerSegment: sizes.multipart };
+};
+
+/**
+ * Text of a message as the channel shows it
+ * HTML channels are measured on their visible text.
+ *
+ * @param {string} text - Message markup
+ * @param {Object} profile - Channel profile
+ * @returns {string} Delivered text
+ */
+const getDeliveredText = (text, profile) => convertMessageText(
+  text,
+  profile.messageFormat === MESSAGE_FORMATS.HTML ? MESSAGE_FORMATS.PLAIN : profile.messageFormat
+);
+
+/**
+ * Measure a message against the channel's length rules
+ *
+ * @param {string} text - Message markup
+ * @param {string} channel - One of CHANNELS
+ * @param {Object} options - Message details
+ * @param {boolean} options.hasQuickReplies - Whether the message carries buttons
+ * @returns {Object} { length, limit, warnAt, sms (segment count or null),
+ *   severity ('error', 'warning' or null), summary, problem (text or null) }
+ */
+export const measureMessage = (text = '', channel, options = {}) => {
+  const profile = getChannelProfile(channel);
+  const delivered = getDeliveredText(text, profile);
+  const length = Array.from(delivered).length;
+
+  if (profile.maxSegments) {
+    const sms = countSmsSegments(delivered);
+    const result = (severity = null, problem = null) => ({
+      length,
+      limit: null,
+      warnAt: null,
+      sms,
+      severity,
+      summary: `${length} characters · ${sms.segments}/${profile.maxSegments} SMS segments (${sms.encoding})`,
+      problem,
+    });
+
+    if (sms.segments > profile.maxSegments) {
+      return result('error', `Message needs ${sms.segments} SMS segments; ${profile.label} allows ${profile.maxSegments}`);
+    }
+    if (sms.segments > profile.warnSegments) {
+      const encodingNote = sms.encoding === 'UCS-2' ? ' (emojis or special characters halve the room per segment)' : '';
+      return result('warning', `Message is sent as ${sms.segments} SMS segments${encodingNote}`);
+    }
+    return result();
+  }
+
+  const withButtons = Boolean(options.hasQuickReplies && profile.maxTextLengthWithButtons);
+  const limit = withButtons ? profile.maxTextLengthWithButtons : profile.maxTextLength;
+  const warnAt = Math.min(profile.warnTextLength, Math.round(limit * 0.9));
+  const result = (severity = null, problem = null) => ({
+    length,
+    limit,
+    warnAt,
+    sms: null,
+    severity,
+    summary: `${length}/${limit} characters`,
+    problem,
+  });
+
+  if (length > limit) {
+    return result('error', `Message is ${length} characters; ${profile.label} allows ${limit}${withButtons ? ' with buttons' : ''}`);
+  }
+  if (length > warnAt) {
+    return result('warning', `Message is ${length} characters, close to the ${profile.label} limit of ${limit}`);
+  }
+  return result();
+};
@@ -0,0 +1,115 @@
+/**
+ * Clipboard helpers for the chatbot flow builder
+ *
+ * Copied nodes travel as JSON text on the system clipboard, so they can be
+ * pasted into another flow or another browser tab. The text is tagged with
+ * a format name so ordinary text on the clipboard is never mistaken for
+ * nodes, and with the schema version so data from an incompatible version
+ * of the app is refused.
+ */
+
+import { NODE_CONFIGS } from '../constants/nodeTypes';
+import { CURRENT_SCHEMA_VERSION } from './flowMigrations';
+import { formatFlowData, generateId } from './flowUtils';
+
+// Tag identifying node selections copied from this app
+export const CLIPBOARD_FORMAT = 'chatbot-flow-builder/selection';
+
+// Distance between a copied node and each successive pasted copy
+export const PASTE_OFFSET = 30;
+
+/**
+ * Serialize the selected nodes and the edges between them
+ *
+ * Edges leading in or out of the selection are left behind, since their
+ * other end is not pasted.
+ *
+ * @param {Array} nodes - Flow nodes (the ones with `selected` are copied)
+ * @param {Array} edges - Flow edges
+ * @returns {string|null} Clipboard text, or null when nothing is selected
+ */
+export const createClipboardText = (nodes, edges) => {
+  const selectedNodes = nodes.filter((node) => node.selected);
+  if (selectedNodes.length === 0) return null;
+
+  const selectedIds = new Set(selectedNodes.map((node) => node.id));
+  const innerEdges = edges.filter((edge) => selectedIds.has(edge.source) && selectedIds.has(edge.target));
+  const { nodes: copiedNodes, edges: copiedEdges } = formatFlowData(selectedNodes, innerEdges);
+
+  return JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CURRENT_SCHEMA_VERSION,
+    nodes: copiedNodes,
+    edges: copiedEdges,
+  });
+};
+
+/**
+ * Read a node selection from clipboard text
+ *
+ * @param {string} text - Clipboard text
+ * @returns {Object} Result object: on success `data` ({ nodes, edges });
+ *   on failure `error` and `code` ('NOT_FLOW_DATA' for any other text)
+ */
+export const parseClipboardText = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    return { success: false, error: 'The clipboard does not contain nodes', code: 'NOT_FLOW_DATA' };
+  }
+
+  if (!payload || payload.format !== CLIPBOARD_FORMAT) {
+    return { success: false, error: 'The clipboard does not contain nodes', code: 'NOT_FLOW_DATA' };
+  }
+
+  if (payload.version !== CURRENT_SCHEMA_VERSION) {
+    return {
+      success: false,
+      error: `These nodes were copied from a different version of the app (schema ${payload.version}). Export the flow and import it instead.`,
+      code: 'VERSION_MISMATCH'
+    };
+  }
+
+  const { nodes, edges } = payload;
+  const isValidNode = (node) => node && node.id && NODE_CONFIGS[node.type] && node.position;
+  if (!Array.isArray(nodes) || !Array.isArray(edges) || !nodes.every(isValidNode)) {
+    return { success: false, error: 'The copied nodes are damaged and cannot be pasted', code: 'INVALID_DATA' };
+  }
+
+  return { success: true, data: { nodes, edges } };
+};
+
+/**
+ * Create fresh copies of copied nodes and edges
+ *
+ * Every node and edge gets a new ID so copies never collide with the
+ * originals; handle IDs belong to their node and are kept.
+ *
+ * @param {Object} selection - Parsed selection ({ nodes, edges })
+ * @param {number} offset - Distance to shift the copies right and down
+ * @returns {Object} New { nodes, edges }
+ */
+export const instantiateSelection = (selection, offset = PASTE_OFFSET) => {
+  const idMap = new Map(selection.nodes.map((node) => [node.id, generateId('node')]));
+
+  return {
+    nodes: selection.nodes.map((node) => {
+      const newId = idMap.get(node.id);
+      return {
+        ...node,
+        id: newId,
+        position: { x: node.position.x + offset, y: node.position.y + offset },
+        data: { ...node.data, id: newId },
+      };
+    }),
+    edges: selection.edges
+      .filter((edge) => idMap.has(edge.source) && idMap.has(edge.target))
+      .map((edge) => ({
+        ...edge,
+        id: generateId('edge'),
+        source: idMap.get(edge.source),
+        target: idMap.get(edge.target),
+      })),
+  };
+};
@@ -0,0 +1,504 @@
+/**
+ * Conversation runtime helpers for the chatbot flow builder
+ *
+ * Pure functions describing how nodes behave when a conversation runs.
+ * Shared by the settings editors (for live feedback) and by anything
+ * that walks a flow.
+ */
+
+import {
+  CHANNEL_EVENT_LABELS,
+  CONDITION_OPERATORS,
+  INPUT_VALIDATION_TYPES,
+  MAX_DELAY_SECONDS,
+  MIN_DELAY_SECONDS,
+  TRIGGER_TYPES,
+  VARIABLE_TYPES
+} from '../constants/nodeTypes';
+
+// Variable names follow identifier rules so they can be used in {{placeholders}}
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Placeholder syntax used in message text: {{variableName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Unfinished placeholder directly before the cursor: "{{" plus a partial name
+const OPEN_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]*)$/;
+
+// Pragmatic email check - the channel provider does the strict validation
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Optional leading +, then 7-15 digits once separators are removed
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+/**
+ * Check whether a string is a valid regular expression
+ *
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} Whether the pattern compiles
+ */
+export const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Evaluate a single condition against a user reply
+ *
+ * Fallback conditions never match on their own; they are picked by
+ * findMatchingCondition when nothing else matches.
+ *
+ * @param {Object} condition - Condition definition ({ operator, value })
+ * @param {string} input - User reply to test
+ * @param {Object} options - Evaluation options
+ * @param {boolean} options.caseSensitive - Compare with case sensitivity
+ * @returns {boolean} Whether the condition matches
+ */
+export const evaluateCondition = (condition, input, options = {}) => {
+  const { caseSensitive = false } = options;
+  const rawInput = String(input ?? '').trim();
+  const rawValue = String(condition?.value ?? '');
+
+  const normalise = (value) => (caseSensitive ? value : value.toLowerCase());
+
+  switch (condition?.operator) {
+    case CONDITION_OPERATORS.EQUALS:
+      return normalise(rawInput) === normalise(rawValue.trim());
+
+    case CONDITION_OPERATORS.CONTAINS:
+      return rawValue.trim() !== '' && normalise(rawInput).includes(normalise(rawValue.trim()));
+
+    case CONDITION_OPERATORS.REGEX:
+      if (!rawValue || !isValidRegex(rawValue)) {
+        return false;
+      }
+      return new RegExp(rawValue, caseSensitive ? '' : 'i').test(rawInput);
+
+    case CONDITION_OPERATORS.FALLBACK:
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find the branch a user reply should follow
+ *
+ * Conditions are tested in order; the first match wins. If none match,
+ * the first fallback condition is returned.
+ *
+ * @param {Array} conditions - Ordered condition definitions
+ * @param {string} input - User reply to test
+ * @param {Object} options - Evaluation options (see evaluateCondition)
+ * @returns {Object|null} Matching condition or null if there is no route
+ */
+export const findMatchingCondition = (conditions = [], input, options = {}) => {
+  const match = conditions.find(
+    (condition) =>
+      condition.operator !== CONDITION_OPERATORS.FALLBACK &&
+      evaluateCondition(condition, input, options)
+  );
+
+  if (match) {
+    return match;
+  }
+
+  return conditions.find((condition) => condition.operator === CONDITION_OPERATORS.FALLBACK) || null;
+};
+
+/**
+ * Find the quick-reply button a user reply corresponds to
+ * Typed replies match a button when they equal its label, ignoring case
+ * and surrounding whitespace.
+ *
+ * @param {Array} quickReplies - Buttons of a message node ({ id, label })
+ * @param {string} reply - User reply (or tapped button label)
+ * @returns {Object|null} Matching button or null
+ */
+export const findQuickReply = (quickReplies = [], reply = '') => {
+  const normalised = String(reply).trim().toLowerCase();
+  return quickReplies.find((quickReply) =>
+    (quickReply.label || '').trim().toLowerCase() === normalised
+  ) || null;
+};
+
+/**
+ * Split a keywords trigger value into its keywords
+ *
+ * @param {string} value - Comma-separated keywords
+ * @returns {Array} Lowercase keywords, without blanks
+ */
+export const parseKeywords = (value = '') =>
+  String(value)
+    .split(',')
+    .map((keyword) => keyword.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Check a Start node trigger
+ *
+ * @param {Object} trigger - Trigger definition ({ id, type, value })
+ * @returns {string|null} Error message, or null when the trigger is usable
+ */
+export const validateTrigger = (trigger) => {
+  switch (trigger.type) {
+    case TRIGGER_TYPES.KEYWORDS:
+      return parseKeywords(trigger.value).length > 0 ? null : 'Enter at least one keyword';
+    case TRIGGER_TYPES.REGEX:
+      if (!trigger.value) return 'Enter a pattern';
+      return isValidRegex(trigger.value) ? null : 'Invalid regular expression';
+    case TRIGGER_TYPES.ANY_MESSAGE:
+      return null;
+    case TRIGGER_TYPES.EVENT:
+      return CHANNEL_EVENT_LABELS[trigger.value] ? null : 'Choose a channel event';
+    default:
+      return `Unknown trigger type "${trigger.type}"`;
+  }
+};
+
+/**
+ * Describe a trigger in a compact, human-readable way
+ *
+ * @param {Object} trigger - Trigger definition
+ * @returns {string} Summary text
+ */
+export const describeTrigger = (trigger) => {
+  switch (trigger.type) {
+    case TRIGGER_TYPES.KEYWORDS: {
+      const keywords = parseKeywords(trigger.value);
+      return keywords.length > 0 ? `Keywords: ${keywords.join(', ')}` : 'Keywords (none set)';
+    }
+    case TRIGGER_TYPES.REGEX:
+      return trigger.value ? `Matches /${trigger.value}/` : 'Regex (none set)';
+    case TRIGGER_TYPES.EVENT:
+      return `Event: ${CHANNEL_EVENT_LABELS[trigger.value] || '(none set)'}`;
+    default:
+      return 'Any message';
+  }
+};
+
+/**
+ * List what a trigger responds to, for finding starts that compete for
+ * the same message or event: each keyword counts separately
+ *
+ * @param {Object} trigger - Trigger definition
+ * @returns {Array} Entries as { key, label }
+ */
+export const getTriggerKeys = (trigger) => {
+  switch (trigger.type) {
+    case TRIGGER_TYPES.KEYWORDS:
+      return parseKeywords(trigger.value).map((keyword) => ({
+        key: `keyword:${keyword}`,
+        label: `keyword "${keyword}"`,
+      }));
+    case TRIGGER_TYPES.REGEX:
+      return trigger.value ? [{ key: `regex:${trigger.value}`, label: `regex /${trigger.value}/` }] : [];
+    case TRIGGER_TYPES.ANY_MESSAGE:
+      return [{ key: 'any', label: '"Any message"' }];
+    case TRIGGER_TYPES.EVENT:
+      return trigger.value
+        ? [{ key: `event:${trigger.value}`, label: `event "${CHANNEL_EVENT_LABELS[trigger.value] || trigger.value}"` }]
+        : [];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Check whether a user message fires a trigger
+ * Keywords match whole words and regexes ignore case; events never
+ * match a message.
+ *
+ * @param {Object} trigger - Trigger definition
+ * @param {string} message - First message of the user
+ * @returns {boolean} Whether the trigger fires
+ */
+export const matchesTrigger = (trigger, message = '') => {
+  const text = String(message).trim().toLowerCase();
+
+  switch (trigger.type) {
+    case TRIGGER_TYPES.KEYWORDS: {
+      const words = text.split(/[^\p{L}\p{N}_]+/u);
+      return parseKeywords(trigger.value).some((keyword) =>
+        keyword.includes(' ') ? text.includes(keyword) : words.includes(keyword)
+      );
+    }
+    case TRIGGER_TYPES.REGEX:
+      return isValidRegex(trigger.value) && new RegExp(trigger.value, 'i').test(String(message));
+    case TRIGGER_TYPES.ANY_MESSAGE:
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Trigger types tried in order, most specific first
+const MESSAGE_TRIGGER_PRIORITY = [TRIGGER_TYPES.KEYWORDS, TRIGGER_TYPES.REGEX, TRIGGER_TYPES.ANY_MESSAGE];
+
+/**
+ * Find the Start node a user's first message begins a conversation at
+ * Keyword triggers win over regexes, which win over "any message".
+ *
+ * @param {Array} startNodes - Start nodes of the flow
+ * @param {string} message - First message of the user
+ * @returns {Object|null} Match as { node, trigger }, or null
+ */
+export const findStartForMessage = (startNodes = [], message = '') => {
+  for (const type of MESSAGE_TRIGGER_PRIORITY) {
+    for (const node of startNodes) {
+      const trigger = (node.data?.triggers || []).find(
+        (candidate) => candidate.type === type && matchesTrigger(candidate, message)
+      );
+      if (trigger) return { node, trigger };
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the Start node a channel event begins a conversation at
+ *
+ * @param {Array} startNodes - Start nodes of the flow
+ * @param {string} event - Channel event (see CHANNEL_EVENTS)
+ * @returns {Object|null} Match as { node, trigger }, or null
+ */
+export const findStartForEvent = (startNodes = [], event) => {
+  for (const node of startNodes) {
+    const trigger = (node.data?.triggers || []).find(
+      (candidate) => candidate.type === TRIGGER_TYPES.EVENT && candidate.value === event
+    );
+    if (trigger) return { node, trigger };
+  }
+  return null;
+};
+
+/**
+ * Check the length of a Delay node's pause
+ *
+ * @param {*} seconds - Pause length from the node data
+ * @returns {string|null} Error message, or null when the length is allowed
+ */
+export const validateDelaySeconds = (seconds) => {
+  const value = Number(seconds);
+  if (seconds === '' || seconds === null || seconds === undefined || Number.isNaN(value)) {
+    return 'Enter the number of seconds to wait';
+  }
+  if (value < MIN_DELAY_SECONDS || value > MAX_DELAY_SECONDS) {
+    return `Delay must be between ${MIN_DELAY_SECONDS} and ${MAX_DELAY_SECONDS} seconds`;
+  }
+  return null;
+};
+
+/**
+ * Check whether a string can be used as a flow variable name
+ *
+ * @param {string} name - Candidate variable name
+ * @returns {boolean} Whether the name is valid
+ */
+export const isValidVariableName = (name) => VARIABLE_NAME_PATTERN.test(name || '');
+
+/**
+ * Validate a user's answer against a User Input node's rules
+ *
+ * @param {string} input - Raw user reply
+ * @param {Object} rules - Validation rules from the node data
+ * @param {string} rules.inputType - One of INPUT_VALIDATION_TYPES
+ * @param {string} rules.pattern - Regular expression for the 'regex' type
+ * @returns {Object} Result with isValid, the normalised value and an error message
+ */
+export const validateUserInput = (input, rules = {}) => {
+  const { inputType = INPUT_VALIDATION_TYPES.TEXT, pattern = '' } = rules;
+  const value = String(input ?? '').trim();
+
+  if (!value) {
+    return { isValid: false, value, error: 'Please enter a reply' };
+  }
+
+  switch (inputType) {
+    case INPUT_VALIDATION_TYPES.NUMBER: {
+      const number = Number(value.replace(/,/g, ''));
+      return Number.isFinite(number)
+        ? { isValid: true, value: number, error: null }
+        : { isValid: false, value, error: 'Please enter a number' };
+    }
+
+    case INPUT_VALIDATION_TYPES.EMAIL:
+      return EMAIL_PATTERN.test(value)
+        ? { isValid: true, value: value.toLowerCase(), error: null }
+        : { isValid: false, value, error: 'Please enter a valid email address' };
+
+    case INPUT_VALIDATION_TYPES.PHONE: {
+      const digits = value.replace(/[\s().-]/g, '');
+      return PHONE_PATTERN.test(digits)
+        ? { isValid: true, value: digits, error: null }
+        : { isValid: false, value, error: 'Please enter a valid phone number' };
+    }
+
+    case INPUT_VALIDATION_TYPES.REGEX:
+      if (!pattern || !isValidRegex(pattern)) {
+        return { isValid: false, value, error: 'The answer pattern for this question is invalid' };
+      }
+      return new RegExp(pattern).test(value)
+        ? { isValid: true, value, error: null }
+        : { isValid: false, value, error: 'That reply is not in the expected format' };
+
+    case INPUT_VALIDATION_TYPES.TEXT:
+    default:
+      return { isValid: true, value, error: null };
+  }
+};
+
+/**
+ * Collect the variables captured by nodes in a flow
+ * User Input nodes store the reply; API Call nodes store mapped response fields.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @returns {Array} Variables as { name, nodeId, source, inputType }, in node order
+ */
+export const collectCapturedVariables = (nodes = []) =>
+  nodes.flatMap((node) => {
+    if (node.type === 'userInput' && isValidVariableName(node.data?.variable)) {
+      return [{
+        name: node.data.variable,
+        nodeId: node.id,
+        source: 'userInput',
+        inputType: node.data.inputType || INPUT_VALIDATION_TYPES.TEXT,
+      }];
+    }
+
+    if (node.type === 'apiCall') {
+      return (node.data?.responseMappings || [])
+        .filter((mapping) => isValidVariableName(mapping.variable))
+        .map((mapping) => ({
+          name: mapping.variable,
+          nodeId: node.id,
+          source: 'apiCall',
+          inputType: null,
+        }));
+    }
+
+    return [];
+  });
+
+/**
+ * Extract the variable names referenced by {{placeholders}} in a text
+ *
+ * @param {string} text - Text that may contain placeholders
+ * @returns {Array} Unique variable names in order of appearance
+ */
+export const extractPlaceholders = (text = '') => {
+  const names = [];
+  for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+};
+
+/**
+ * Replace {{placeholders}} in a text with variable values
+ * Unknown variables are left untouched so the gap stays visible.
+ *
+ * @param {string} text - Text containing placeholders
+ * @param {Object} variables - Variable values keyed by name
+ * @returns {string} Interpolated text
+ */
+export const interpolateVariables = (text = '', variables = {}) =>
+  String(text).replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) && variables[name] !== undefined
+      ? String(variables[name])
+      : placeholder
+  );
+
+/**
+ * Split a text into plain runs and {{placeholders}}, e.g. for highlighting
+ *
+ * @param {string} text - Text that may contain placeholders
+ * @returns {Array} Segments as { text, variable } (variable is null for plain text)
+ */
+export const splitPlaceholders = (text = '') => {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), variable: null });
+    }
+    segments.push({ text: match[0], variable: match[1] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < String(text).length) {
+    segments.push({ text: String(text).slice(lastIndex), variable: null });
+  }
+  return segments;
+};
+
+/**
+ * Find a placeholder being typed at the cursor, for autocomplete
+ *
+ * @param {string} text - Full text
+ * @param {number} cursor - Cursor position
+ * @returns {Object|null} { start, query }: where the "{{" begins and the
+ *   partial name typed so far, or null when not inside a placeholder
+ */
+export const findOpenPlaceholder = (text = '', cursor = 0) => {
+  const match = String(text).slice(0, cursor).match(OPEN_PLACEHOLDER_PATTERN);
+  return match ? { start: match.index, query: match[1] } : null;
+};
+
+/**
+ * Check a variable definition from the flow registry
+ *
+ * @param {Object} variable - Definition ({ name, type, defaultValue })
+ * @param {Array} variables - Whole registry, to detect duplicate names
+ * @returns {string|null} Error message, or null if the definition is valid
+ */
+export const validateVariableDefinition = (variable, variables = []) => {
+  if (!variable.name) {
+    return 'A variable name is required';
+  }
+  if (!isValidVariableName(variable.name)) {
+    return 'Use letters, numbers and underscores, starting with a letter or underscore';
+  }
+  if (variables.filter((other) => other.name === variable.name).length > 1) {
+    return `"${variable.name}" is defined more than once`;
+  }
+
+  const defaultValue = String(variable.defaultValue ?? '').trim();
+  if (variable.type === VARIABLE_TYPES.NUMBER && defaultValue && !Number.isFinite(Number(defaultValue))) {
+    return 'Default value must be a number';
+  }
+  if (variable.type === VARIABLE_TYPES.BOOLEAN && defaultValue && !['true', 'false'].includes(defaultValue)) {
+    return 'Default value must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Starting values of the registry variables when a conversation begins
+ * Variables without a default are left unset.
+ *
+ * @param {Array} variables - Variable registry
+ * @returns {Object} Default values keyed by variable name
+ */
+export const getVariableDefaults = (variables = []) =>
+  variables.reduce((defaults, variable) => {
+    const defaultValue = String(variable.defaultValue ?? '').trim();
+    if (!isValidVariableName(variable.name) || !defaultValue) {
+      return defaults;
+    }
+
+    if (variable.type === VARIABLE_TYPES.NUMBER) {
+      const number = Number(defaultValue);
+      return Number.isFinite(number) ? { ...defaults, [variable.name]: number } : defaults;
+    }
+    if (variable.type === VARIABLE_TYPES.BOOLEAN) {
+      return { ...defaults, [variable.name]: defaultValue === 'true' };
+    }
+    return { ...defaults, [variable.name]: variable.defaultValue };
+  }, {});
@@ -0,0 +1,111 @@
+/**
+ * Flow comparison helpers for the chatbot flow builder
+ *
+ * Compares two versions of a flow (for example a saved snapshot and the
+ * canvas) and describes what was added, removed or changed, so the
+ * version history can show a readable diff before restoring.
+ */
+
+// Node data fields that change on every edit and carry no content
+const IGNORED_DATA_FIELDS = ['id', 'createdAt', 'lastModified'];
+
+/**
+ * Identify a connection by its endpoints rather than its generated ID
+ *
+ * @param {Object} edge - Flow edge
+ * @returns {string} Connection key
+ */
+const getEdgeKey = (edge) =>
+  `${edge.source}:${edge.sourceHandle ?? ''}->${edge.target}:${edge.targetHandle ?? ''}`;
+
+/**
+ * List the data fields whose values differ between two versions of a node
+ *
+ * @param {Object} beforeData - Node data in the older version
+ * @param {Object} afterData - Node data in the newer version
+ * @returns {Array} Changed fields ({ field, before, after })
+ */
+const diffNodeData = (beforeData = {}, afterData = {}) => {
+  const fields = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_DATA_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(beforeData[field]) !== JSON.stringify(afterData[field]))
+    .map((field) => ({ field, before: beforeData[field], after: afterData[field] }));
+};
+
+/**
+ * Compare two versions of a flow
+ *
+ * @param {Object} before - Older version ({ nodes, edges })
+ * @param {Object} after - Newer version ({ nodes, edges })
+ * @returns {Object} Diff with addedNodes, removedNodes, changedNodes
+ *   ({ node, changes }), movedNodes, addedEdges, removedEdges and an
+ *   `isEmpty` flag
+ */
+export const diffFlows = (before, after) => {
+  const beforeNodes = new Map((before.nodes || []).map((node) => [node.id, node]));
+  const afterNodes = new Map((after.nodes || []).map((node) => [node.id, node]));
+
+  const addedNodes = [...afterNodes.values()].filter((node) => !beforeNodes.has(node.id));
+  const removedNodes = [...beforeNodes.values()].filter((node) => !afterNodes.has(node.id));
+
+  const changedNodes = [];
+  const movedNodes = [];
+  afterNodes.forEach((node, nodeId) => {
+    const previous = beforeNodes.get(nodeId);
+    if (!previous) return;
+
+    const changes = diffNodeData(previous.data, node.data);
+    if (previous.type !== node.type) {
+      changes.unshift({ field: 'type', before: previous.type, after: node.type });
+    }
+    if (changes.length > 0) {
+      changedNodes.push({ node, changes });
+    }
+
+    if (previous.position.x !== node.position.x || previous.position.y !== node.position.y) {
+      movedNodes.push(node);
+    }
+  });
+
+  const beforeEdges = new Map((before.edges || []).map((edge) => [getEdgeKey(edge), edge]));
+  const afterEdges = new Map((after.edges || []).map((edge) => [getEdgeKey(edge), edge]));
+
+  const addedEdges = [...afterEdges.entries()]
+    .filter(([key]) => !beforeEdges.has(key))
+    .map(([, edge]) => edge);
+  const removedEdges = [...beforeEdges.entries()]
+    .filter(([key]) => !afterEdges.has(key))
+    .map(([, edge]) => edge);
+
+  return {
+    addedNodes,
+    removedNodes,
+    changedNodes,
+    movedNodes,
+    addedEdges,
+    removedEdges,
+    isEmpty:
+      addedNodes.length === 0 &&
+      removedNodes.length === 0 &&
+      changedNodes.length === 0 &&
+      movedNodes.length === 0 &&
+      addedEdges.length === 0 &&
+      removedEdges.length === 0,
+  };
+};
+
+/**
+ * Short human-readable label for a node in a diff
+ *
+ * @param {Object} node - Flow node
+ * @returns {string} Message text excerpt, or the node ID
+ */
+export const describeDiffNode = (node) => {
+  const text = typeof node.data?.text === 'string' ? node.data.text.trim() : '';
+  if (text) {
+    return text.length > 40 ? `"${text.slice(0, 40)}…"` : `"${text}"`;
+  }
+  return node.id;
+};
@@ -0,0 +1,320 @@
+/**
+ * Flow file helpers for the chatbot flow builder
+ *
+ * Export flows as downloadable .json files and import them back: reading
+ * the file, validating its contents and remapping IDs so an imported flow
+ * can be merged into the one on the canvas without collisions.
+ */
+
+import { MESSAGE_FORMATS, NODE_CONFIGS } from '../constants/nodeTypes';
+import { formatFlowData, generateId, parseFlowData } from './flowUtils';
+import { migrateFlowData } from './flowMigrations';
+import { convertFlowMessages } from './messageFormatting';
+import FlowStorageManager from './storageManager';
+import { remapSubflowReferences } from './subflowUtils';
+
+// Largest file accepted by the importer
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+// Horizontal gap between the existing flow and a merged-in flow
+const MERGE_OFFSET_X = 150;
+
+/**
+ * Build the export payload for a flow
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @param {string} name - Flow name recorded in the file
+ * @param {Array} variables - Flow variable registry
+ * @param {Array} subflows - Flows its Go to Flow nodes use (see
+ *   collectSubflows), bundled so the file works on its own
+ * @param {string} messageFormat - Format message text is converted to
+ *   (see MESSAGE_FORMATS); recorded in the metadata
+ * @param {string|null} channel - Target channel of the flow (see CHANNELS);
+ *   recorded in the metadata when set
+ * @returns {Object} Flow data ready to serialize
+ */
+export const createFlowExport = (
+  nodes,
+  edges,
+  name,
+  variables = [],
+  subflows = [],
+  messageFormat = MESSAGE_FORMATS.MARKDOWN,
+  channel = null
+) => {
+  const flowData = formatFlowData(convertFlowMessages(nodes, messageFormat), edges, variables);
+  return {
+    ...flowData,
+    ...(subflows.length > 0 && {
+      subflows: subflows.map((subflow) => ({
+        id: subflow.id,
+        name: subflow.name,
+        ...formatFlowData(convertFlowMessages(subflow.nodes, messageFormat), subflow.edges, subflow.variables),
+      })),
+    }),
+    metadata: {
+      ...flowData.metadata,
+      name,
+      exportedAt: new Date().toISOString(),
+      nodeCount: nodes.length,
+      edgeCount: edges.length,
+      messageFormat,
+      ...(channel && { channel }),
+    },
+  };
+};
+
+/**
+ * Turn a flow name into a safe download file name
+ *
+ * @param {string} name - Flow name
+ * @param {string} extension - File extension, without the dot
+ * @returns {string} File name ending in the extension (.json by default)
+ */
+export const getExportFileName = (name, extension = 'json') => {
+  const slug = (name || 'flow')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'flow'}.${extension}`;
+};
+
+/**
+ * Download text as a file
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadTextFile = (text, fileName, mimeType) => {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download flow data as a JSON file
+ *
+ * @param {Object} flowData - Flow data to export
+ * @param {string} fileName - Download file name
+ */
+export const downloadFlowFile = (flowData, fileName) => {
+  downloadTextFile(JSON.stringify(flowData, null, 2), fileName, 'application/json');
+};
+
+/**
+ * Read and parse a flow file chosen or dropped by the user
+ * Never rejects: failures are returned as result objects.
+ *
+ * @param {File} file - File to read
+ * @returns {Promise<Object>} Result object with the parsed JSON or an error
+ */
+export const readFlowFile = (file) => new Promise((resolve) => {
+  if (!file) {
+    resolve({ success: false, error: 'No file selected' });
+    return;
+  }
+
+  const looksLikeJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+  if (!looksLikeJson) {
+    resolve({ success: false, error: `"${file.name}" is not a .json file` });
+    return;
+  }
+
+  if (file.size > MAX_IMPORT_FILE_SIZE) {
+    resolve({ success: false, error: `"${file.name}" is larger than 5 MB` });
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      resolve({ success: true, data: JSON.parse(reader.result) });
+    } catch (error) {
+      resolve({ success: false, error: `"${file.name}" does not contain valid JSON` });
+    }
+  };
+  reader.onerror = () => {
+    resolve({ success: false, error: `"${file.name}" could not be read` });
+  };
+  reader.readAsText(file);
+});
+
+/**
+ * Upgrade and validate imported flow data
+ *
+ * Files exported with an older schema are upgraded first; files from a
+ * newer schema are rejected. The result then goes through the storage
+ * structure checks and the checks that belong to imports only: unknown
+ * node types, duplicate IDs and edges pointing at nodes that are not in
+ * the file.
+ *
+ * @param {Object} importedData - Parsed file contents
+ * @returns {Object} Validation result with every problem found, the
+ *   upgraded flow data and the migration report (null if none was needed)
+ */
+export const validateImportedFlow = (importedData) => {
+  const migration = migrateFlowData(importedData);
+  if (!migration.success && migration.code !== 'INVALID_DATA') {
+    return { isValid: false, errors: [{ message: migration.error }], data: null, migration: null };
+  }
+
+  const flowData = migration.success ? migration.data : importedData;
+  const migrationReport = migration.migrated
+    ? { fromVersion: migration.fromVersion, changes: migration.changes }
+    : null;
+
+  const structure = FlowStorageManager.validateFlowData(flowData);
+  if (!Array.isArray(flowData?.nodes) || !Array.isArray(flowData?.edges)) {
+    return { isValid: false, errors: structure.errors, data: null, migration: null };
+  }
+
+  const errors = [...structure.errors];
+  const nodeIds = new Set();
+
+  flowData.nodes.forEach((node, index) => {
+    if (!node?.id) return;
+
+    if (nodeIds.has(node.id)) {
+      errors.push({ kind: 'node', index, id: node.id, message: `Node "${node.id}" appears more than once` });
+    }
+    nodeIds.add(node.id);
+
+    if (node.type && !NODE_CONFIGS[node.type]) {
+      errors.push({ kind: 'node', index, id: node.id, message: `Node "${node.id}" has unknown type "${node.type}"` });
+    }
+  });
+
+  const edgeIds = new Set();
+  flowData.edges.forEach((edge, index) => {
+    if (!edge?.id) return;
+
+    if (edgeIds.has(edge.id)) {
+      errors.push({ kind: 'edge', index, id: edge.id, message: `Connection "${edge.id}" appears more than once` });
+    }
+    edgeIds.add(edge.id);
+
+    [edge.source, edge.target].forEach((nodeId) => {
+      if (nodeId && !nodeIds.has(nodeId)) {
+        errors.push({ kind: 'edge', index, id: edge.id, message: `Connection "${edge.id}" points to missing node "${nodeId}"` });
+      }
+    });
+  });
+
+  return { isValid: errors.length === 0, errors, data: flowData, migration: migrationReport };
+};
+
+/**
+ * Prepare imported nodes and edges for merging into an existing flow
+ *
+ * Every node and edge gets a fresh ID (so nothing can collide with the
+ * existing flow) and the imported flow is shifted to the right of the
+ * existing nodes so the two do not overlap.
+ *
+ * @param {Object} flowData - Validated flow data
+ * @param {Array} existingNodes - Nodes already on the canvas
+ * @returns {Object} Remapped { nodes, edges }
+ */
+export const remapImportedFlow = (flowData, existingNodes) => {
+  const { nodes, edges } = parseFlowData(flowData);
+
+  const existingRight = existingNodes.length > 0
+    ? Math.max(...existingNodes.map((node) => node.position.x + (node.width || 300)))
+    : null;
+  const importedLeft = nodes.length > 0
+    ? Math.min(...nodes.map((node) => node.position.x))
+    : 0;
+  const offsetX = existingRight === null ? 0 : existingRight + MERGE_OFFSET_X - importedLeft;
+
+  const idMap = new Map(nodes.map((node) => [node.id, generateId('node')]));
+
+  return {
+    nodes: nodes.map((node) => {
+      const newId = idMap.get(node.id);
+      return {
+        ...node,
+        id: newId,
+        position: { x: node.position.x + offsetX, y: node.position.y },
+        data: { ...node.data, id: newId },
+        selected: false,
+      };
+    }),
+    edges: edges.map((edge) => ({
+      ...edge,
+      id: generateId('edge'),
+      source: idMap.get(edge.source),
+      target: idMap.get(edge.target),
+    })),
+  };
+};
+
+/**
+ * Add the flows bundled with an imported file to the library
+ *
+ * Flows still in the library (same ID) are used as they are. The others
+ * are created under an unused name, and their Go to Flow nodes are
+ * pointed at the new IDs once every flow has one.
+ *
+ * @param {Array} subflows - Bundled flows ({ id, name, nodes, edges, variables })
+ * @returns {Object} { idMap (bundled ID -> library ID), restored (names
+ *   of the flows added), failed (one message per flow left out) }
+ */
+export const restoreBundledSubflows = (subflows = []) => {
+  const idMap = new Map();
+  const restored = [];
+  const failed = [];
+
+  const libraryResult = FlowStorageManager.listFlows();
+  const libraryIds = new Set(libraryResult.success ? libraryResult.data.map((flow) => flow.id) : []);
+
+  const created = [];
+  subflows.forEach((subflow) => {
+    if (!subflow?.id) return;
+
+    if (libraryIds.has(subflow.id)) {
+      idMap.set(subflow.id, subflow.id);
+      return;
+    }
+
+    const migration = migrateFlowData(subflow);
+    const flowData = migration.success ? migration.data : subflow;
+    const name = subflow.name || 'Imported flow';
+    if (!FlowStorageManager.validateFlowData(flowData).isValid) {
+      failed.push(`"${name}" is not a valid flow and was left out`);
+      return;
+    }
+
+    // Created empty first: the content needs the final IDs of every flow
+    const result = FlowStorageManager.createFlow(FlowStorageManager.getAvailableFlowName(name));
+    if (!result.success) {
+      failed.push(`"${name}" could not be added to the library: ${result.error}`);
+      return;
+    }
+
+    idMap.set(subflow.id, result.data.id);
+    created.push({ entry: result.data, flowData });
+  });
+
+  created.forEach(({ entry, flowData }) => {
+    const result = FlowStorageManager.saveFlow(
+      entry.id,
+      formatFlowData(remapSubflowReferences(flowData.nodes, idMap), flowData.edges, flowData.variables || [])
+    );
+    if (result.success) {
+      restored.push(entry.name);
+    } else {
+      failed.push(`"${entry.name}" could not be saved: ${result.error}`);
+    }
+  });
+
+  return { idMap, restored, failed };
+};
@@ -0,0 +1,574 @@
+/**
+ * Headless flow interpreter for the chatbot flow builder
+ *
+ * Runs a flow without the canvas: it takes the JSON produced by
+ * formatFlowData (a saved, exported or live flow), keeps the conversation
+ * state - the node being executed or waiting for a reply, the variables
+ * and the transcript - and reports progress through event handlers. The
+ * chat preview and backend tests both run flows through it, so they share
+ * one definition of what a flow does.
+ *
+ * A conversation begins at the Start node whose trigger fires: a "Chat
+ * opened" event starts it right away, otherwise the user's first message
+ * is matched against the triggers. From there it walks the graph, sending
+ * bot messages and files, pausing at Delay nodes, waiting for typed
+ * replies at User Input and Conditional nodes and for a button at
+ * messages with quick replies, calling APIs and following the matching
+ * outputs. Go to Flow nodes continue in their target flow, sharing its
+ * variables, and come back through the output of the End node reached
+ * there.
+ */
+
+import {
+  describeTrigger,
+  findMatchingCondition,
+  findQuickReply,
+  findStartForEvent,
+  findStartForMessage,
+  getVariableDefaults,
+  interpolateVariables,
+  validateDelaySeconds,
+  validateUserInput
+} from './conversationUtils';
+import { executeApiCall } from './apiCallUtils';
+import { getMediaFileName, isDataUrl } from './mediaUtils';
+import { migrateFlowData } from './flowMigrations';
+import { generateId } from './flowUtils';
+import { CHANNEL_EVENTS, DELAY_MODES, MAX_SUBFLOW_DEPTH } from '../constants/nodeTypes';
+
+// Conversation statuses reported through the 'status' event
+export const INTERPRETER_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSING: 'pausing',
+  WAITING: 'waiting',
+  FINISHED: 'finished',
+  ERROR: 'error',
+};
+
+// Events handlers can be registered for with `on`
+export const INTERPRETER_EVENTS = ['message', 'status', 'activeNode', 'variables', 'end'];
+
+// Safety net against flows that loop forever without waiting for the user
+export const MAX_AUTOMATIC_STEPS = 100;
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the wait
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Find the node connected to a given source handle
+ *
+ * @param {Object} flow - Flow ({ nodes, edges })
+ * @param {string} nodeId - Source node ID
+ * @param {string|null} handleId - Source handle ID (null for single-output nodes)
+ * @returns {Object|null} Next node, or null if the handle is not connected
+ */
+const findNextNode = (flow, nodeId, handleId = null) => {
+  const edge = flow.edges.find(
+    (candidate) => candidate.source === nodeId && (candidate.sourceHandle ?? null) === handleId
+  );
+  return edge ? flow.nodes.find((node) => node.id === edge.target) || null : null;
+};
+
+/**
+ * Bring flow data to the current schema before running it
+ *
+ * @param {Object} flowData - Flow data ({ nodes, edges, variables, metadata })
+ * @returns {Object} Result object: on success `data`; on failure `error` and `code`
+ */
+const prepareFlow = (flowData) => {
+  const migration = migrateFlowData(flowData);
+  if (!migration.success) {
+    return migration;
+  }
+
+  const { nodes, edges, variables = [] } = migration.data;
+  return { success: true, data: { nodes, edges, variables } };
+};
+
+/**
+ * Create an interpreter for a flow
+ *
+ * `start()` begins a conversation and `receive(message)` answers the node
+ * that is waiting; both resolve with the conversation state once the flow
+ * needs the user again or has ended. Handlers registered with `on` are
+ * told about every change:
+ * - 'message': a transcript entry ({ id, from, text, quickReplies, media })
+ * - 'status': the new status (see INTERPRETER_STATUS)
+ * - 'activeNode': ID of the node being run in the root flow (inside a
+ *   subflow, the Go to Flow node that entered it), or null
+ * - 'variables': the new variable values
+ * - 'end': { status, message, outcome } when the conversation stops
+ *
+ * @param {Object} flowData - Flow as produced by formatFlowData
+ * @param {Object} options - Interpreter options
+ * @param {Function} options.loadSubflow - Reads a flow for Go to Flow nodes by ID
+ *   ({ name, nodes, edges, variables, metadata }, or null); may return a promise
+ * @param {number} options.stepDelayMs - Pause before each node, so a chat reads naturally
+ * @param {Function} options.sleep - Waits a number of milliseconds (for Delay
+ *   nodes and the step delay); replace it to run delays instantly
+ * @param {Function} options.fetchImpl - fetch implementation for API Call nodes
+ * @returns {Object} Interpreter ({ start, receive, stop, getState, on })
+ */
+export const createFlowInterpreter = (flowData, options = {}) => {
+  const {
+    loadSubflow = null,
+    stepDelayMs = 0,
+    sleep: sleepFor = sleep,
+    fetchImpl,
+  } = options;
+
+  const handlers = new Map(INTERPRETER_EVENTS.map((event) => [event, new Set()]));
+
+  const state = {
+    status: INTERPRETER_STATUS.IDLE,
+    currentNodeId: null,
+    activeNodeId: null,
+    variables: {},
+    history: [],
+    visitedNodeIds: [],
+  };
+
+  // Mutable state of the running conversation; replaced by every start()
+  let run = null;
+
+  /**
+   * Tell the handlers registered for an event
+   *
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  const emit = (event, payload) => {
+    handlers.get(event).forEach((handler) => handler(payload));
+  };
+
+  /**
+   * Snapshot of the conversation state
+   *
+   * @returns {Object} { status, currentNodeId, activeNodeId, variables, history, visitedNodeIds }
+   */
+  const getState = () => ({
+    ...state,
+    history: [...state.history],
+    visitedNodeIds: [...state.visitedNodeIds],
+  });
+
+  const setStatus = (status) => {
+    if (state.status !== status) {
+      state.status = status;
+      emit('status', status);
+    }
+  };
+
+  const setVariables = (variables) => {
+    state.variables = variables;
+    emit('variables', variables);
+  };
+
+  /**
+   * Record the node being run
+   *
+   * @param {Object} currentRun - Current run
+   * @param {Object|null} node - Node being run, or null when nothing is
+   */
+  const setCurrentNode = (currentRun, node) => {
+    state.currentNodeId = node ? node.id : null;
+
+    // Inside a subflow, the Go to Flow node that entered it is the one in the root flow
+    const activeNodeId = node && currentRun.callStack.length > 0 ? currentRun.callStack[0].node.id : state.currentNodeId;
+    if (state.activeNodeId !== activeNodeId) {
+      state.activeNodeId = activeNodeId;
+      emit('activeNode', activeNodeId);
+    }
+  };
+
+  /**
+   * Append a message to the transcript
+   *
+   * @param {string} from - 'bot', 'user' or 'system'
+   * @param {string} text - Message text
+   * @param {Array} quickReplies - Button labels offered with a bot message
+   * @param {Object|null} media - File sent with a bot message ({ mediaType, url, fileName })
+   */
+  const pushMessage = (from, text, quickReplies = [], media = null) => {
+    const message = { id: generateId('msg'), from, text, quickReplies, media };
+    state.history = [...state.history, message];
+    emit('message', message);
+  };
+
+  /**
+   * Stop the conversation with a final status
+   *
+   * @param {Object} currentRun - Current run
+   * @param {string} finalStatus - INTERPRETER_STATUS.FINISHED or INTERPRETER_STATUS.ERROR
+   * @param {string} message - System message explaining why
+   * @param {string|null} outcome - Outcome of the End node reached, if any
+   */
+  const finish = (currentRun, finalStatus, message, outcome = null) => {
+    currentRun.cancelled = true;
+    currentRun.waitingNode = null;
+    setStatus(finalStatus);
+    setCurrentNode(currentRun, null);
+    pushMessage('system', message);
+    emit('end', { status: finalStatus, message, outcome });
+  };
+
+  /**
+   * Wait for the user at a node
+   *
+   * @param {Object} currentRun - Current run
+   * @param {Object} node - Node waiting for a reply
+   */
+  const waitForReply = (currentRun, node) => {
+    currentRun.waitingNode = node;
+    setStatus(INTERPRETER_STATUS.WAITING);
+  };
+
+  /**
+   * Execute nodes until the conversation needs a reply or ends
+   *
+   * @param {Object} currentRun - Current run
+   * @param {Object|null} startNode - Node to execute first
+   */
+  const advance = async (currentRun, startNode) => {
+    let node = startNode;
+    let steps = 0;
+
+    while (node && !currentRun.cancelled) {
+      if (steps++ >= MAX_AUTOMATIC_STEPS) {
+        finish(currentRun, INTERPRETER_STATUS.ERROR, 'Stopped: the flow kept running without waiting for the user. Check for loops.');
+        return;
+      }
+
+      setCurrentNode(currentRun, node);
+      state.visitedNodeIds = [...state.visitedNodeIds, node.id];
+      setStatus(INTERPRETER_STATUS.RUNNING);
+      if (stepDelayMs > 0) {
+        await sleepFor(stepDelayMs);
+        if (currentRun.cancelled) return;
+      }
+
+      const flow = currentRun.flow;
+      const data = node.data || {};
+
+      switch (node.type) {
+        case 'textMessage': {
+          const quickReplies = data.quickReplies || [];
+          pushMessage(
+            'bot',
+            interpolateVariables(data.text || '', state.variables) || '(empty message)',
+            quickReplies.map((quickReply) => quickReply.label)
+          );
+
+          // Quick replies wait for the user to pick a button
+          if (quickReplies.length > 0) {
+            waitForReply(currentRun, node);
+            return;
+          }
+          node = findNextNode(flow, node.id);
+          break;
+        }
+
+        case 'media': {
+          // Uploaded files are sent as they are; URLs may contain placeholders
+          const url = isDataUrl(data.url) ? data.url : interpolateVariables(data.url || '', state.variables);
+          pushMessage(
+            'bot',
+            interpolateVariables(data.caption || '', state.variables),
+            [],
+            { mediaType: data.mediaType, url, fileName: getMediaFileName({ ...data, url }) }
+          );
+          node = findNextNode(flow, node.id);
+          break;
+        }
+
+        case 'start':
+          node = findNextNode(flow, node.id);
+          break;
+
+        case 'end': {
+          const outcome = (data.outcome || '').trim();
+
+          // The End of a subflow continues from the matching output of its Go to Flow node
+          if (currentRun.callStack.length > 0) {
+            const frame = currentRun.callStack.pop();
+            pushMessage('system', `Back from "${frame.name}"${outcome ? `: ${outcome}` : ''}`);
+            currentRun.flow = frame.flow;
+            node = findNextNode(currentRun.flow, frame.node.id, node.id);
+            break;
+          }
+
+          finish(
+            currentRun,
+            INTERPRETER_STATUS.FINISHED,
+            outcome ? `Conversation ended: ${outcome}.` : 'Conversation ended.',
+            outcome || null
+          );
+          return;
+        }
+
+        case 'subflow': {
+          const loaded = data.flowId && loadSubflow ? await loadSubflow(data.flowId) : null;
+          if (currentRun.cancelled) return;
+
+          const prepared = loaded ? prepareFlow(loaded) : null;
+          const target = prepared?.success ? prepared.data : null;
+          const targetStart = target?.nodes.find((candidate) => candidate.type === 'start');
+          if (!targetStart) {
+            finish(currentRun, INTERPRETER_STATUS.ERROR, `Go to Flow could not start "${data.flowName || 'no flow selected'}". Check the node settings.`);
+            return;
+          }
+          if (currentRun.callStack.length >= MAX_SUBFLOW_DEPTH) {
+            finish(currentRun, INTERPRETER_STATUS.ERROR, `Stopped: Go to Flow nodes went more than ${MAX_SUBFLOW_DEPTH} flows deep. Check for flows that go to each other.`);
+            return;
+          }
+
+          const name = loaded.name || data.flowName || 'subflow';
+          currentRun.callStack.push({ flow: currentRun.flow, node, name });
+          currentRun.flow = target;
+          // Variables are shared; the subflow's own registry only adds defaults
+          setVariables({ ...getVariableDefaults(target.variables), ...state.variables });
+          pushMessage('system', `Entered "${name}"`);
+          node = targetStart;
+          break;
+        }
+
+        case 'delay': {
+          // "running" shows the typing indicator; a silent pause shows nothing
+          if (!validateDelaySeconds(data.seconds)) {
+            setStatus(data.mode === DELAY_MODES.WAIT ? INTERPRETER_STATUS.PAUSING : INTERPRETER_STATUS.RUNNING);
+            await sleepFor(Number(data.seconds) * 1000);
+            if (currentRun.cancelled) return;
+          }
+          node = findNextNode(flow, node.id);
+          break;
+        }
+
+        case 'userInput':
+          if (data.prompt) {
+            pushMessage('bot', interpolateVariables(data.prompt, state.variables));
+          }
+          currentRun.retries = 0;
+          waitForReply(currentRun, node);
+          return;
+
+        case 'conditional':
+          // Branch on a stored variable right away, or wait for a new reply
+          if (data.variable) {
+            const value = state.variables[data.variable];
+            const match = findMatchingCondition(data.conditions, value ?? '', { caseSensitive: data.caseSensitive });
+            if (!match) {
+              finish(currentRun, INTERPRETER_STATUS.FINISHED, `No branch matched {{${data.variable}}} - conversation ended.`);
+              return;
+            }
+            node = findNextNode(flow, node.id, match.id);
+            break;
+          }
+          waitForReply(currentRun, node);
+          return;
+
+        case 'apiCall': {
+          pushMessage('system', `Calling ${data.method || 'GET'} ${data.url || '(no URL)'}...`);
+          const result = await executeApiCall(data, state.variables, { fetchImpl });
+          if (currentRun.cancelled) return;
+
+          setVariables({ ...state.variables, ...result.variables });
+          pushMessage('system', result.error
+            ? `API call failed: ${result.error}`
+            : `API call succeeded (${result.status})`);
+          node = findNextNode(flow, node.id, result.handle);
+          break;
+        }
+
+        default:
+          pushMessage('system', `Skipped unsupported node type "${node.type}".`);
+          node = findNextNode(flow, node.id);
+          break;
+      }
+    }
+
+    if (!currentRun.cancelled) {
+      finish(currentRun, INTERPRETER_STATUS.FINISHED, 'End of conversation.');
+    }
+  };
+
+  /**
+   * Start (or restart) the conversation
+   * Runs the "Chat opened" start right away if there is one, otherwise
+   * waits for the first message to pick a start.
+   *
+   * @returns {Promise<Object>} Conversation state once the flow waits or ends
+   */
+  const start = async () => {
+    if (run) {
+      run.cancelled = true;
+    }
+
+    const currentRun = {
+      flow: null,
+      callStack: [],
+      awaitingTrigger: false,
+      waitingNode: null,
+      retries: 0,
+      cancelled: false,
+    };
+    run = currentRun;
+
+    state.history = [];
+    state.visitedNodeIds = [];
+    setCurrentNode(currentRun, null);
+
+    const prepared = prepareFlow(flowData);
+    if (!prepared.success) {
+      setVariables({});
+      finish(currentRun, INTERPRETER_STATUS.ERROR, `This flow cannot run: ${prepared.error}`);
+      return getState();
+    }
+
+    currentRun.flow = prepared.data;
+    setVariables(getVariableDefaults(prepared.data.variables));
+
+    const startNodes = prepared.data.nodes.filter((node) => node.type === 'start');
+    if (startNodes.length === 0) {
+      finish(currentRun, INTERPRETER_STATUS.ERROR, 'Add a Start node to the canvas to preview the conversation.');
+      return getState();
+    }
+
+    const opened = findStartForEvent(startNodes, CHANNEL_EVENTS.CHAT_OPENED);
+    if (opened) {
+      pushMessage('system', `Started by ${describeTrigger(opened.trigger)}`);
+      await advance(currentRun, opened.node);
+      return getState();
+    }
+
+    currentRun.awaitingTrigger = true;
+    setStatus(INTERPRETER_STATUS.WAITING);
+    pushMessage('system', 'Send a message to start the conversation.');
+    return getState();
+  };
+
+  /**
+   * Send a typed reply (or tapped quick reply) to the node that is waiting for one
+   * Ignored while the flow is running or after it has ended.
+   *
+   * @param {string} userMessage - User's message
+   * @returns {Promise<Object>} Conversation state once the flow waits again or ends
+   */
+  const receive = async (userMessage) => {
+    const currentRun = run;
+    const reply = String(userMessage ?? '');
+    if (!currentRun || currentRun.cancelled || !reply.trim()) {
+      return getState();
+    }
+
+    // The first message picks the Start node whose trigger it fires
+    if (currentRun.awaitingTrigger) {
+      pushMessage('user', reply);
+      const match = findStartForMessage(currentRun.flow.nodes.filter((node) => node.type === 'start'), reply);
+      if (!match) {
+        pushMessage('system', 'No Start trigger matches this message. Try another one.');
+        return getState();
+      }
+      currentRun.awaitingTrigger = false;
+      pushMessage('system', `Started by ${describeTrigger(match.trigger)}`);
+      await advance(currentRun, match.node);
+      return getState();
+    }
+
+    const node = currentRun.waitingNode;
+    if (!node) {
+      return getState();
+    }
+
+    const data = node.data || {};
+    pushMessage('user', reply);
+
+    if (node.type === 'userInput') {
+      const result = validateUserInput(reply, data);
+
+      if (!result.isValid) {
+        currentRun.retries += 1;
+        const maxRetries = Number(data.maxRetries) || 0;
+        if (maxRetries > 0 && currentRun.retries >= maxRetries) {
+          finish(currentRun, INTERPRETER_STATUS.FINISHED, 'Too many invalid answers - conversation ended.');
+          return getState();
+        }
+        pushMessage('bot', data.retryMessage || result.error);
+        return getState();
+      }
+
+      if (data.variable) {
+        setVariables({ ...state.variables, [data.variable]: result.value });
+      }
+      currentRun.waitingNode = null;
+      await advance(currentRun, findNextNode(currentRun.flow, node.id));
+      return getState();
+    }
+
+    if (node.type === 'textMessage') {
+      const quickReply = findQuickReply(data.quickReplies, reply);
+      if (!quickReply) {
+        pushMessage('bot', 'Please choose one of the options.', (data.quickReplies || []).map((button) => button.label));
+        return getState();
+      }
+
+      currentRun.waitingNode = null;
+      await advance(currentRun, findNextNode(currentRun.flow, node.id, quickReply.id));
+      return getState();
+    }
+
+    if (node.type === 'conditional') {
+      const match = findMatchingCondition(data.conditions, reply, { caseSensitive: data.caseSensitive });
+      currentRun.waitingNode = null;
+
+      if (!match) {
+        finish(currentRun, INTERPRETER_STATUS.FINISHED, 'No branch matched this reply - conversation ended.');
+        return getState();
+      }
+      await advance(currentRun, findNextNode(currentRun.flow, node.id, match.id));
+    }
+    return getState();
+  };
+
+  /**
+   * Abandon the conversation and clear its state
+   * Pending steps (delays, API calls) are dropped when they return.
+   */
+  const stop = () => {
+    if (run) {
+      run.cancelled = true;
+      run = null;
+    }
+    state.history = [];
+    state.visitedNodeIds = [];
+    state.currentNodeId = null;
+    if (state.activeNodeId !== null) {
+      state.activeNodeId = null;
+      emit('activeNode', null);
+    }
+    setVariables({});
+    setStatus(INTERPRETER_STATUS.IDLE);
+  };
+
+  /**
+   * Register an event handler
+   *
+   * @param {string} event - One of INTERPRETER_EVENTS
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Removes the handler
+   */
+  const on = (event, handler) => {
+    if (!handlers.has(event)) {
+      throw new Error(`Unknown interpreter event "${event}"`);
+    }
+    handlers.get(event).add(handler);
+    return () => handlers.get(event).delete(handler);
+  };
+
+  return { start, receive, stop, getState, on };
+};
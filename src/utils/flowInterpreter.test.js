@@ -0,0 +1,327 @@
+import { createFlowInterpreter, INTERPRETER_STATUS, MAX_AUTOMATIC_STEPS } from './flowInterpreter';
+import { createMockResponder } from './apiCallUtils';
+import { formatFlowData } from './flowUtils';
+import { edge, node } from './testFlowBuilders';
+
+const chatOpened = (id = 'start') =>
+  node(id, 'start', { triggers: [{ id: 'trigger_1', type: 'event', value: 'chat_opened' }] });
+
+const flow = (nodes, edges, variables = []) => formatFlowData(nodes, edges, variables);
+
+// Delays finish at once so tests never wait
+const instant = () => Promise.resolve();
+
+const texts = (state, from = 'bot') =>
+  state.history.filter((message) => message.from === from).map((message) => message.text);
+
+describe('createFlowInterpreter', () => {
+  test('runs a chat opened flow to its End node', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('hello', 'textMessage', { text: 'Hello!' }), node('end', 'end', { outcome: 'Greeted' })],
+      [edge('start', 'hello'), edge('hello', 'end')]
+    ));
+
+    const state = await interpreter.start();
+
+    expect(state.status).toBe(INTERPRETER_STATUS.FINISHED);
+    expect(texts(state)).toEqual(['Hello!']);
+    expect(state.visitedNodeIds).toEqual(['start', 'hello', 'end']);
+    expect(state.history[state.history.length - 1].text).toBe('Conversation ended: Greeted.');
+    expect(state.currentNodeId).toBeNull();
+  });
+
+  test('waits for a first message that fires a trigger', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [
+        node('start', 'start', { triggers: [{ id: 'trigger_1', type: 'keywords', value: 'order, delivery' }] }),
+        node('reply', 'textMessage', { text: 'Let me check your order.' }),
+      ],
+      [edge('start', 'reply')]
+    ));
+
+    let state = await interpreter.start();
+    expect(state.status).toBe(INTERPRETER_STATUS.WAITING);
+
+    state = await interpreter.receive('hi there');
+    expect(state.status).toBe(INTERPRETER_STATUS.WAITING);
+    expect(texts(state, 'system')).toContain('No Start trigger matches this message. Try another one.');
+
+    state = await interpreter.receive('Where is my order?');
+    expect(state.status).toBe(INTERPRETER_STATUS.FINISHED);
+    expect(texts(state)).toEqual(['Let me check your order.']);
+  });
+
+  test('asks again for invalid answers and stores valid ones', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [
+        chatOpened(),
+        node('age', 'userInput', {
+          prompt: 'How old are you?',
+          variable: 'age',
+          inputType: 'number',
+          retryMessage: 'Please type a number.',
+          maxRetries: 3,
+        }),
+        node('confirm', 'textMessage', { text: 'You are {{age}}.' }),
+      ],
+      [edge('start', 'age'), edge('age', 'confirm')]
+    ));
+
+    let state = await interpreter.start();
+    expect(state.status).toBe(INTERPRETER_STATUS.WAITING);
+    expect(state.currentNodeId).toBe('age');
+
+    state = await interpreter.receive('old enough');
+    expect(state.status).toBe(INTERPRETER_STATUS.WAITING);
+    expect(texts(state)).toEqual(['How old are you?', 'Please type a number.']);
+
+    state = await interpreter.receive('42');
+    expect(state.variables.age).toBe(42);
+    expect(texts(state)).toContain('You are 42.');
+    expect(state.status).toBe(INTERPRETER_STATUS.FINISHED);
+  });
+
+  test('ends the conversation after too many invalid answers', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('email', 'userInput', { variable: 'email', inputType: 'email', maxRetries: 2 })],
+      [edge('start', 'email')]
+    ));
+
+    await interpreter.start();
+    await interpreter.receive('nope');
+    const state = await interpreter.receive('still nope');
+
+    expect(state.status).toBe(INTERPRETER_STATUS.FINISHED);
+    expect(state.variables.email).toBeUndefined();
+  });
+
+  test('follows the output of the quick reply picked', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [
+        chatOpened(),
+        node('menu', 'textMessage', {
+          text: 'What do you need?',
+          quickReplies: [{ id: 'qr_sales', label: 'Sales' }, { id: 'qr_support', label: 'Support' }],
+        }),
+        node('sales', 'textMessage', { text: 'Connecting you to sales.' }),
+        node('support', 'textMessage', { text: 'Connecting you to support.' }),
+      ],
+      [edge('start', 'menu'), edge('menu', 'sales', 'qr_sales'), edge('menu', 'support', 'qr_support')]
+    ));
+
+    let state = await interpreter.start();
+    expect(state.history.find((message) => message.text === 'What do you need?').quickReplies)
+      .toEqual(['Sales', 'Support']);
+
+    state = await interpreter.receive('billing');
+    expect(state.status).toBe(INTERPRETER_STATUS.WAITING);
+    expect(texts(state)).toContain('Please choose one of the options.');
+
+    state = await interpreter.receive('  support ');
+    expect(texts(state)).toContain('Connecting you to support.');
+    expect(state.visitedNodeIds).not.toContain('sales');
+  });
+
+  test('branches on a reply or on a stored variable', async () => {
+    const conditions = [
+      { id: 'yes', label: 'Yes', operator: 'equals', value: 'yes' },
+      { id: 'fallback', label: 'Otherwise', operator: 'fallback', value: '' },
+    ];
+    const interpreter = createFlowInterpreter(flow(
+      [
+        chatOpened(),
+        node('ask', 'conditional', { conditions, variable: '' }),
+        node('plan', 'conditional', {
+          conditions: [{ id: 'pro', label: 'Pro', operator: 'equals', value: 'pro' }],
+          variable: 'plan',
+        }),
+        node('no', 'textMessage', { text: 'Maybe later.' }),
+        node('pro', 'textMessage', { text: 'Welcome back, Pro user.' }),
+      ],
+      [edge('start', 'ask'), edge('ask', 'plan', 'yes'), edge('ask', 'no', 'fallback'), edge('plan', 'pro', 'pro')],
+      [{ name: 'plan', type: 'text', defaultValue: 'pro' }]
+    ));
+
+    let state = await interpreter.start();
+    expect(state.variables).toEqual({ plan: 'pro' });
+    expect(state.status).toBe(INTERPRETER_STATUS.WAITING);
+
+    state = await interpreter.receive('YES');
+    expect(texts(state)).toEqual(['Welcome back, Pro user.']);
+
+    state = await interpreter.start();
+    state = await interpreter.receive('no thanks');
+    expect(texts(state)).toEqual(['Maybe later.']);
+  });
+
+  test('calls APIs and follows the success or error output', async () => {
+    const apiFlow = flow(
+      [
+        chatOpened(),
+        node('lookup', 'apiCall', {
+          method: 'GET',
+          url: 'https://api.example.com/orders/1',
+          responseMappings: [{ path: 'order.status', variable: 'orderStatus' }],
+        }),
+        node('ok', 'textMessage', { text: 'Your order is {{orderStatus}}.' }),
+        node('failed', 'textMessage', { text: 'We could not find your order.' }),
+      ],
+      [edge('start', 'lookup'), edge('lookup', 'ok', 'success'), edge('lookup', 'failed', 'error')]
+    );
+
+    const requests = [];
+    const succeeding = createFlowInterpreter(apiFlow, {
+      fetchImpl: createMockResponder((request) => {
+        requests.push(request);
+        return { status: 200, body: { order: { status: 'shipped' } } };
+      }),
+    });
+    let state = await succeeding.start();
+    expect(requests).toHaveLength(1);
+    expect(state.variables.orderStatus).toBe('shipped');
+    expect(texts(state)).toEqual(['Your order is shipped.']);
+
+    const failing = createFlowInterpreter(apiFlow, {
+      fetchImpl: createMockResponder({ status: 404, body: 'Not found' }),
+    });
+    state = await failing.start();
+    expect(texts(state)).toEqual(['We could not find your order.']);
+    expect(texts(state, 'system')).toContain('API call failed: Request failed with status 404');
+  });
+
+  test('pauses at Delay nodes through the sleep option', async () => {
+    const sleep = jest.fn(instant);
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('pause', 'delay', { mode: 'wait', seconds: 2 }), node('after', 'textMessage', { text: 'Done' })],
+      [edge('start', 'pause'), edge('pause', 'after')]
+    ), { sleep, stepDelayMs: 10 });
+
+    const statuses = [];
+    interpreter.on('status', (status) => statuses.push(status));
+    const state = await interpreter.start();
+
+    expect(sleep).toHaveBeenCalledWith(2000);
+    expect(sleep).toHaveBeenCalledWith(10);
+    expect(statuses).toContain(INTERPRETER_STATUS.PAUSING);
+    expect(texts(state)).toEqual(['Done']);
+  });
+
+  test('runs Go to Flow targets and returns through their End node', async () => {
+    const checkout = {
+      name: 'Checkout',
+      ...flow(
+        [
+          chatOpened(),
+          node('pay', 'textMessage', { text: 'Paying {{total}}.' }),
+          node('paid', 'end', { outcome: 'Paid' }),
+        ],
+        [edge('start', 'pay'), edge('pay', 'paid')],
+        [{ name: 'currency', type: 'text', defaultValue: 'EUR' }]
+      ),
+    };
+    const loadSubflow = jest.fn((flowId) => (flowId === 'flow_checkout' ? checkout : null));
+
+    const interpreter = createFlowInterpreter(flow(
+      [
+        chatOpened(),
+        node('go', 'subflow', { flowId: 'flow_checkout', flowName: 'Checkout', exits: [{ id: 'paid', label: 'Paid' }] }),
+        node('thanks', 'textMessage', { text: 'Thanks for paying in {{currency}}!' }),
+      ],
+      [edge('start', 'go'), edge('go', 'thanks', 'paid')],
+      [{ name: 'total', type: 'number', defaultValue: '30' }]
+    ), { loadSubflow });
+
+    const activeNodes = [];
+    interpreter.on('activeNode', (nodeId) => activeNodes.push(nodeId));
+    const state = await interpreter.start();
+
+    expect(loadSubflow).toHaveBeenCalledWith('flow_checkout');
+    expect(texts(state)).toEqual(['Paying 30.', 'Thanks for paying in EUR!']);
+    expect(texts(state, 'system')).toContain('Back from "Checkout": Paid');
+    // Nodes inside the subflow are reported as the Go to Flow node
+    expect(activeNodes).toEqual(['start', 'go', 'thanks', null]);
+    expect(state.status).toBe(INTERPRETER_STATUS.FINISHED);
+  });
+
+  test('fails when a Go to Flow target cannot be loaded', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('go', 'subflow', { flowId: 'missing', flowName: 'Missing' })],
+      [edge('start', 'go')]
+    ));
+
+    const state = await interpreter.start();
+
+    expect(state.status).toBe(INTERPRETER_STATUS.ERROR);
+    expect(texts(state, 'system')).toContain('Go to Flow could not start "Missing". Check the node settings.');
+  });
+
+  test('stops flows that loop without waiting for the user', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('a', 'textMessage', { text: 'Ping' }), node('b', 'textMessage', { text: 'Pong' })],
+      [edge('start', 'a'), edge('a', 'b'), edge('b', 'a')]
+    ));
+
+    const state = await interpreter.start();
+
+    expect(state.status).toBe(INTERPRETER_STATUS.ERROR);
+    expect(state.visitedNodeIds).toHaveLength(MAX_AUTOMATIC_STEPS);
+  });
+
+  test('reports flows that cannot run', async () => {
+    const withoutStart = await createFlowInterpreter(flow(
+      [node('hello', 'textMessage', { text: 'Hello' })],
+      []
+    )).start();
+    expect(withoutStart.status).toBe(INTERPRETER_STATUS.ERROR);
+
+    const newer = flow([chatOpened()], []);
+    newer.metadata.version = '99.0.0';
+    const fromNewerApp = await createFlowInterpreter(newer).start();
+    expect(fromNewerApp.status).toBe(INTERPRETER_STATUS.ERROR);
+    expect(fromNewerApp.history[0].text).toMatch(/^This flow cannot run: .*newer schema/);
+  });
+
+  test('tells event handlers about every change until they unsubscribe', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('name', 'userInput', { prompt: 'Your name?', variable: 'name' })],
+      [edge('start', 'name')]
+    ));
+    const messages = [];
+    const ends = [];
+    const variableUpdates = [];
+    const unsubscribe = interpreter.on('message', (message) => messages.push(message.text));
+    interpreter.on('end', (end) => ends.push(end));
+    interpreter.on('variables', (variables) => variableUpdates.push(variables));
+
+    await interpreter.start();
+    expect(messages).toEqual(['Started by Event: Chat opened', 'Your name?']);
+
+    unsubscribe();
+    await interpreter.receive('Ada');
+    expect(messages).toHaveLength(2);
+    expect(variableUpdates[variableUpdates.length - 1]).toEqual({ name: 'Ada' });
+    expect(ends).toEqual([{ status: INTERPRETER_STATUS.FINISHED, message: 'End of conversation.', outcome: null }]);
+
+    expect(() => interpreter.on('unknown', () => {})).toThrow('Unknown interpreter event "unknown"');
+  });
+
+  test('stop abandons the conversation and ignores later replies', async () => {
+    const interpreter = createFlowInterpreter(flow(
+      [chatOpened(), node('name', 'userInput', { variable: 'name' })],
+      [edge('start', 'name')]
+    ));
+
+    await interpreter.start();
+    interpreter.stop();
+    const state = await interpreter.receive('Ada');
+
+    expect(state).toEqual({
+      status: INTERPRETER_STATUS.IDLE,
+      currentNodeId: null,
+      activeNodeId: null,
+      variables: {},
+      history: [],
+      visitedNodeIds: [],
+    });
+  });
+});
@@ -0,0 +1,411 @@
+/**
+ * Automatic layout for the chatbot flow builder
+ *
+ * Arranges a flow as a layered graph, the usual approach for flowcharts:
+ * 1. Loops are broken by treating the connections that go back to an
+ *    earlier step as if they pointed forward
+ * 2. Every node gets a layer (column or row) one past its furthest
+ *    predecessor, so connections always run in the layout direction
+ * 3. Connections spanning several layers get placeholder points in the
+ *    layers in between, so they are routed around nodes
+ * 4. Nodes within a layer are reordered to reduce crossing connections,
+ *    keeping the outputs of a node (condition branches, buttons) in the
+ *    same order as their handles
+ * 5. Nodes are lined up with the nodes they connect to, without overlap
+ *
+ * Node sizes come from React Flow's measurements when available.
+ */
+
+import { getNodeSourceHandles } from './flowValidation';
+
+// Directions the layers can run in
+export const LAYOUT_DIRECTIONS = {
+  LEFT_TO_RIGHT: 'LR',
+  TOP_TO_BOTTOM: 'TB',
+};
+
+// Size assumed for nodes React Flow has not measured yet
+const DEFAULT_NODE_WIDTH = 260;
+const DEFAULT_NODE_HEIGHT = 120;
+
+// Space between layers, and between nodes in the same layer
+const LAYER_GAP = 100;
+const NODE_GAP = 40;
+
+// Room kept for a connection passing through a layer
+const PLACEHOLDER_SIZE = 20;
+
+// Passes over the layers when reducing crossings and aligning nodes
+const ORDERING_PASSES = 8;
+const ALIGNMENT_PASSES = 6;
+
+// Positions are rounded to the canvas snap grid
+const GRID_SIZE = 15;
+
+/**
+ * Position of a connection's source handle along its node, from 0 to 1
+ *
+ * @param {Object} node - Source node
+ * @param {string|null} handleId - Source handle ID
+ * @returns {number} Relative position (0.5 for the middle)
+ */
+const getHandleFraction = (node, handleId) => {
+  const handles = getNodeSourceHandles(node);
+  const index = handles.findIndex((handle) => (handle.id ?? null) === (handleId ?? null));
+  if (handles.length <= 1 || index === -1) return 0.5;
+  return (index + 1) / (handles.length + 1);
+};
+
+/**
+ * Group a flow's edges by source node, in the order of the source handles
+ * Self-loops and edges to missing nodes are left out.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @returns {Object} The kept edges, and a Map of node ID -> outgoing edges
+ */
+const getOrderedOutgoing = (nodes, edges) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const validEdges = edges.filter((edge) =>
+    edge.source !== edge.target && nodesById.has(edge.source) && nodesById.has(edge.target)
+  );
+
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  validEdges.forEach((edge) => outgoing.get(edge.source).push(edge));
+  outgoing.forEach((nodeEdges, nodeId) => {
+    const node = nodesById.get(nodeId);
+    nodeEdges.sort((a, b) => getHandleFraction(node, a.sourceHandle) - getHandleFraction(node, b.sourceHandle));
+  });
+
+  return { validEdges, outgoing };
+};
+
+/**
+ * Find the connections that close a loop
+ * A depth-first walk from the Start nodes (then from any node not reached)
+ * marks connections leading back to a node still being walked.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Map} outgoing - Node ID -> outgoing edges, in handle order
+ * @returns {Object} IDs of the loop-closing edges, and the nodes in the
+ *   order they were first reached
+ */
+const findBackEdges = (nodes, outgoing) => {
+  const backEdgeIds = new Set();
+  const visitOrder = [];
+  const state = new Map(); // node ID -> 'active' | 'done'
+
+  const visit = (nodeId) => {
+    state.set(nodeId, 'active');
+    visitOrder.push(nodeId);
+
+    outgoing.get(nodeId).forEach((edge) => {
+      const targetState = state.get(edge.target);
+      if (targetState === 'active') {
+        backEdgeIds.add(edge.id);
+      } else if (!targetState) {
+        visit(edge.target);
+      }
+    });
+    state.set(nodeId, 'done');
+  };
+
+  const roots = [
+    ...nodes.filter((node) => node.type === 'start'),
+    ...nodes.filter((node) => node.type !== 'start'),
+  ];
+  roots.forEach((node) => {
+    if (!state.has(node.id)) visit(node.id);
+  });
+
+  return { backEdgeIds, visitOrder };
+};
+
+/**
+ * Assign every node the layer after its furthest predecessor
+ *
+ * @param {Array} nodeIds - Node IDs
+ * @param {Array} links - Forward links ({ from, to })
+ * @returns {Map} Node ID -> layer index
+ */
+const assignLayers = (nodeIds, links) => {
+  const layers = new Map(nodeIds.map((id) => [id, 0]));
+  const indegree = new Map(nodeIds.map((id) => [id, 0]));
+  const successors = new Map(nodeIds.map((id) => [id, []]));
+
+  links.forEach(({ from, to }) => {
+    successors.get(from).push(to);
+    indegree.set(to, indegree.get(to) + 1);
+  });
+
+  const queue = nodeIds.filter((id) => indegree.get(id) === 0);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    successors.get(id).forEach((successor) => {
+      layers.set(successor, Math.max(layers.get(successor), layers.get(id) + 1));
+      indegree.set(successor, indegree.get(successor) - 1);
+      if (indegree.get(successor) === 0) queue.push(successor);
+    });
+  }
+
+  return layers;
+};
+
+/**
+ * Count crossing connections between two neighbouring layers
+ *
+ * @param {Array} segments - Segments between the layers ({ from, to, port })
+ * @param {Map} positions - Vertex ID -> index within its layer
+ * @returns {number} Number of crossings
+ */
+const countCrossings = (segments, positions) => {
+  let crossings = 0;
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const a = segments[i];
+      const b = segments[j];
+      const fromOrder = (positions.get(a.from) + a.port) - (positions.get(b.from) + b.port);
+      const toOrder = positions.get(a.to) - positions.get(b.to);
+      if (fromOrder * toOrder < 0) crossings++;
+    }
+  }
+  return crossings;
+};
+
+/**
+ * Place items of one layer as close to their desired centers as possible
+ * without overlapping, keeping their order
+ * Overlapping items are merged into blocks centred on the average of
+ * what their members want.
+ *
+ * @param {Array} items - Items in order ({ size, desired } with desired as a center)
+ * @returns {Array} Centers, in the same order
+ */
+const packLayer = (items) => {
+  const blocks = [];
+
+  items.forEach((item, index) => {
+    let block = { members: [{ index, offset: 0, size: item.size }], size: item.size, top: item.desired - item.size / 2 };
+
+    // Merge with the block above while they overlap
+    while (blocks.length > 0) {
+      const previous = blocks[blocks.length - 1];
+      if (previous.top + previous.size + NODE_GAP <= block.top) break;
+
+      blocks.pop();
+      const shift = previous.size + NODE_GAP;
+      const count = previous.members.length + block.members.length;
+      block = {
+        members: [
+          ...previous.members,
+          ...block.members.map((member) => ({ ...member, offset: member.offset + shift })),
+        ],
+        size: shift + block.size,
+        top: (previous.top * previous.members.length + (block.top - shift) * block.members.length) / count,
+      };
+    }
+    blocks.push(block);
+  });
+
+  const centers = new Array(items.length);
+  blocks.forEach((block) => {
+    block.members.forEach((member) => {
+      centers[member.index] = block.top + member.offset + member.size / 2;
+    });
+  });
+  return centers;
+};
+
+/**
+ * Compute a layered layout for a flow
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @param {string} direction - One of LAYOUT_DIRECTIONS
+ * @returns {Map} Node ID -> new top-left position ({ x, y }); the layout
+ *   starts at the top-left corner of the current one
+ */
+export const computeLayeredLayout = (nodes, edges, direction = LAYOUT_DIRECTIONS.LEFT_TO_RIGHT) => {
+  if (nodes.length === 0) return new Map();
+
+  const isHorizontal = direction !== LAYOUT_DIRECTIONS.TOP_TO_BOTTOM;
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+
+  // Size of a node along the layers (depth) and across them (breadth)
+  const getSize = (node) => {
+    const width = node.width || DEFAULT_NODE_WIDTH;
+    const height = node.height || DEFAULT_NODE_HEIGHT;
+    return isHorizontal ? { depth: width, breadth: height } : { depth: height, breadth: width };
+  };
+
+  const { validEdges, outgoing } = getOrderedOutgoing(nodes, edges);
+
+  // 1. Break loops: loop-closing edges are laid out as if reversed
+  const { backEdgeIds, visitOrder } = findBackEdges(nodes, outgoing);
+  const links = validEdges.map((edge) => (backEdgeIds.has(edge.id)
+    ? { from: edge.target, to: edge.source, port: 0.5 }
+    : { from: edge.source, to: edge.target, port: getHandleFraction(nodesById.get(edge.source), edge.sourceHandle) }
+  ));
+
+  // 2. Layers
+  const layerOf = assignLayers(visitOrder, links);
+
+  // 3. Placeholders for links spanning several layers
+  const vertices = new Map(visitOrder.map((id) => [id, { id, layer: layerOf.get(id), node: nodesById.get(id) }]));
+  const segments = [];
+  links.forEach((link, linkIndex) => {
+    let from = link.from;
+    let port = link.port;
+    for (let layer = layerOf.get(link.from) + 1; layer < layerOf.get(link.to); layer++) {
+      const placeholderId = `placeholder_${linkIndex}_${layer}`;
+      vertices.set(placeholderId, { id: placeholderId, layer, node: null });
+      segments.push({ from, to: placeholderId, port });
+      from = placeholderId;
+      port = 0.5;
+    }
+    segments.push({ from, to: link.to, port });
+  });
+
+  const layerCount = Math.max(...[...vertices.values()].map((vertex) => vertex.layer)) + 1;
+  const layers = Array.from({ length: layerCount }, () => []);
+  // First-reached order is a good start: branches stay next to each other
+  [...vertices.values()].forEach((vertex) => layers[vertex.layer].push(vertex.id));
+
+  const segmentsInto = new Map([...vertices.keys()].map((id) => [id, []]));
+  const segmentsOutOf = new Map([...vertices.keys()].map((id) => [id, []]));
+  segments.forEach((segment) => {
+    segmentsInto.get(segment.to).push(segment);
+    segmentsOutOf.get(segment.from).push(segment);
+  });
+  const segmentsBetween = layers.map((layer) => layer.flatMap((id) => segmentsOutOf.get(id)));
+
+  // 4. Reduce crossings by sorting each layer on its neighbours' average position
+  const positions = new Map();
+  const indexLayers = (order) => order.forEach((layer) => layer.forEach((id, index) => positions.set(id, index)));
+  const totalCrossings = () => segmentsBetween.reduce((sum, layerSegments) => sum + countCrossings(layerSegments, positions), 0);
+
+  let order = layers.map((layer) => [...layer]);
+  indexLayers(order);
+  let best = { order: order.map((layer) => [...layer]), crossings: totalCrossings() };
+
+  const sortLayer = (layer, getNeighbourPositions) => {
+    const barycenters = new Map(layer.map((id) => {
+      const neighbourPositions = getNeighbourPositions(id);
+      return [id, neighbourPositions.length > 0
+        ? neighbourPositions.reduce((sum, value) => sum + value, 0) / neighbourPositions.length
+        : positions.get(id)];
+    }));
+    // Array.prototype.sort is stable, so ties keep their current order
+    return [...layer].sort((a, b) => barycenters.get(a) - barycenters.get(b));
+  };
+
+  for (let pass = 0; pass < ORDERING_PASSES && best.crossings > 0; pass++) {
+    if (pass % 2 === 0) {
+      for (let index = 1; index < layerCount; index++) {
+        order[index] = sortLayer(order[index], (id) =>
+          segmentsInto.get(id).map((segment) => positions.get(segment.from) + segment.port));
+        order[index].forEach((id, position) => positions.set(id, position));
+      }
+    } else {
+      for (let index = layerCount - 2; index >= 0; index--) {
+        order[index] = sortLayer(order[index], (id) =>
+          segmentsOutOf.get(id).map((segment) => positions.get(segment.to) - segment.port));
+        order[index].forEach((id, position) => positions.set(id, position));
+      }
+    }
+
+    const crossings = totalCrossings();
+    if (crossings < best.crossings) {
+      best = { order: order.map((layer) => [...layer]), crossings };
+    }
+  }
+  order = best.order;
+
+  // 5. Coordinates: layers side by side, nodes aligned with their neighbours
+  const sizeOf = (id) => {
+    const vertex = vertices.get(id);
+    return vertex.node ? getSize(vertex.node) : { depth: 0, breadth: PLACEHOLDER_SIZE };
+  };
+
+  const layerStarts = [];
+  const layerDepths = order.map((layer) => Math.max(0, ...layer.map((id) => sizeOf(id).depth)));
+  layerDepths.reduce((start, depth, index) => {
+    layerStarts[index] = start;
+    return start + depth + LAYER_GAP;
+  }, 0);
+
+  // Start from the layers stacked tightly, then pull nodes towards their neighbours
+  const centers = new Map();
+  order.forEach((layer) => {
+    packLayer(layer.map((id) => ({ size: sizeOf(id).breadth, desired: 0 })))
+      .forEach((center, index) => centers.set(layer[index], center));
+  });
+
+  // Where a segment leaves or enters a vertex, across the layers
+  const portPosition = (id, port) => centers.get(id) + (port - 0.5) * sizeOf(id).breadth;
+
+  const alignLayer = (layer, getTargets) => {
+    const items = layer.map((id) => {
+      const targets = getTargets(id);
+      return {
+        size: sizeOf(id).breadth,
+        desired: targets.length > 0
+          ? targets.reduce((sum, value) => sum + value, 0) / targets.length
+          : centers.get(id),
+      };
+    });
+    packLayer(items).forEach((center, index) => centers.set(layer[index], center));
+  };
+
+  const fromPredecessors = (id) => segmentsInto.get(id).map((segment) => portPosition(segment.from, segment.port));
+  const fromSuccessors = (id) => segmentsOutOf.get(id).map((segment) =>
+    centers.get(segment.to) - (segment.port - 0.5) * sizeOf(id).breadth);
+
+  for (let pass = 0; pass < ALIGNMENT_PASSES; pass++) {
+    if (pass % 2 === 0) {
+      order.forEach((layer) => alignLayer(layer, fromPredecessors));
+    } else {
+      [...order].reverse().forEach((layer) => alignLayer(layer, fromSuccessors));
+    }
+  }
+  // Finish with both sides, so nodes sit between what they connect
+  order.forEach((layer) => alignLayer(layer, (id) => [...fromPredecessors(id), ...fromSuccessors(id)]));
+
+  // Keep the arrangement where the flow already was
+  const originX = Math.min(...nodes.map((node) => node.position.x));
+  const originY = Math.min(...nodes.map((node) => node.position.y));
+  const minBreadth = Math.min(...nodes.map((node) => centers.get(node.id) - getSize(node).breadth / 2));
+  const snap = (value) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+
+  const result = new Map();
+  nodes.forEach((node) => {
+    const { depth, breadth } = getSize(node);
+    const layer = layerOf.get(node.id);
+    // Nodes are centred within their layer
+    const along = layerStarts[layer] + (layerDepths[layer] - depth) / 2;
+    const across = centers.get(node.id) - breadth / 2 - minBreadth;
+
+    result.set(node.id, isHorizontal
+      ? { x: snap(originX + along), y: snap(originY + across) }
+      : { x: snap(originX + across), y: snap(originY + along) });
+  });
+  return result;
+};
+
+/**
+ * List nodes in the order a conversation reaches them
+ * Follows outputs in handle order from the Start nodes; nodes that no
+ * start leads to come after, top to bottom.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @returns {Array} Nodes in walking order
+ */
+export const getNodeTraversalOrder = (nodes, edges) => {
+  const { outgoing } = getOrderedOutgoing(nodes, edges);
+  const byPosition = [...nodes].sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x);
+  const { visitOrder } = findBackEdges(byPosition, outgoing);
+
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  return visitOrder.map((nodeId) => nodesById.get(nodeId));
+};
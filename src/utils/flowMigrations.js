@@ -0,0 +1,338 @@
+/**
+ * Flow schema migrations for the chatbot flow builder
+ *
+ * Every saved or exported flow records the schema version it was written
+ * with in `metadata.version`. When older data is loaded (from storage or
+ * an imported file) it is upgraded one step at a time through the
+ * migration registry until it reaches the current schema. Data written by
+ * a newer, unknown schema is refused instead of being guessed at.
+ *
+ * To change the stored format: bump CURRENT_SCHEMA_VERSION and register a
+ * step keyed by the previous version.
+ */
+
+// Schema version written by this build
+export const CURRENT_SCHEMA_VERSION = '1.3.0';
+
+// Version assumed for data saved before versioning existed
+const UNVERSIONED_SCHEMA_VERSION = '0.0.0';
+
+// React Flow runtime fields that older builds persisted by accident
+const TRANSIENT_NODE_FIELDS = ['selected', 'dragging', 'width', 'height', 'positionAbsolute'];
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * List the output handle IDs a node had in schema 1.2.0
+ * A frozen copy of the handle rules of the time (single outputs have a
+ * `null` ID), so later changes to node outputs never change how old flows
+ * are upgraded.
+ *
+ * @param {Object} node - Flow node in schema 1.2.0
+ * @returns {Array} Source handle IDs
+ */
+const getSchema120SourceHandleIds = (node) => {
+  switch (node.type) {
+    case 'conditional':
+      return (node.data?.conditions || []).map((condition) => condition.id);
+    case 'apiCall':
+      return ['success', 'error'];
+    case 'textMessage': {
+      const quickReplies = node.data?.quickReplies || [];
+      return quickReplies.length > 0 ? quickReplies.map((quickReply) => quickReply.id) : [null];
+    }
+    default:
+      return [null];
+  }
+};
+
+/**
+ * Compare two "major.minor.patch" versions
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export const compareVersions = (a, b) => {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+  }
+  return 0;
+};
+
+/**
+ * Pluralise a change description
+ *
+ * @param {number} count - Number of affected items
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 node", "3 nodes"
+ */
+const countOf = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+
+/**
+ * Pick a node ID that is not taken yet
+ * Deterministic, so loading the same old flow twice gives the same result.
+ *
+ * @param {Array} nodes - Existing nodes
+ * @param {string} base - Preferred ID
+ * @returns {string} Free ID: base, base_2, base_3...
+ */
+const getFreeNodeId = (nodes, base) => {
+  const ids = new Set(nodes.map((node) => node.id));
+  let id = base;
+  for (let counter = 2; ids.has(id); counter++) {
+    id = `${base}_${counter}`;
+  }
+  return id;
+};
+
+/**
+ * Migration registry keyed by the version each step upgrades *from*
+ *
+ * Each step receives flow data at its `from` version and returns the
+ * upgraded data plus a list of human-readable changes (empty when the
+ * data needed no changes).
+ */
+const MIGRATIONS = {
+  [UNVERSIONED_SCHEMA_VERSION]: {
+    to: '1.0.0',
+    description: 'Fill in fields missing from unversioned saves',
+    migrate: (flowData) => {
+      const changes = [];
+      let nodesWithoutData = 0;
+      let labelsMoved = 0;
+
+      const nodes = flowData.nodes.map((node) => {
+        let data = node.data;
+        if (!data || typeof data !== 'object') {
+          nodesWithoutData++;
+          data = {};
+        }
+
+        // Early message nodes kept their text in `label`
+        if (node.type === 'textMessage' && typeof data.text !== 'string') {
+          if (typeof data.label === 'string') labelsMoved++;
+          const { label, ...rest } = data;
+          data = { ...rest, text: typeof label === 'string' ? label : '' };
+        }
+
+        return data === node.data ? node : { ...node, data };
+      });
+
+      let edgesWithoutId = 0;
+      const edges = flowData.edges.map((edge, index) => {
+        if (edge.id) return edge;
+        edgesWithoutId++;
+        return { ...edge, id: `edge_${edge.source}_${edge.target}_${index}` };
+      });
+
+      if (nodesWithoutData > 0) changes.push(`Added empty data to ${countOf(nodesWithoutData, 'node')}`);
+      if (labelsMoved > 0) changes.push(`Moved the label of ${countOf(labelsMoved, 'message node')} into its text`);
+      if (edgesWithoutId > 0) changes.push(`Generated IDs for ${countOf(edgesWithoutId, 'connection')}`);
+
+      return { flowData: { ...flowData, nodes, edges }, changes };
+    },
+  },
+
+  '1.0.0': {
+    to: '1.1.0',
+    description: 'Keep only persistent node and connection fields',
+    migrate: (flowData) => {
+      const changes = [];
+      let nodesCleaned = 0;
+      let nodeIdsFixed = 0;
+
+      const nodes = flowData.nodes.map((node) => {
+        let nextNode = node;
+
+        if (TRANSIENT_NODE_FIELDS.some((field) => field in node)) {
+          nodesCleaned++;
+          nextNode = Object.fromEntries(
+            Object.entries(node).filter(([field]) => !TRANSIENT_NODE_FIELDS.includes(field))
+          );
+        }
+
+        // Node data carries a copy of the node ID that must match
+        if (nextNode.data && nextNode.data.id !== undefined && nextNode.data.id !== node.id) {
+          nodeIdsFixed++;
+          nextNode = { ...nextNode, data: { ...nextNode.data, id: node.id } };
+        }
+
+        return nextNode;
+      });
+
+      // Connections left behind by nodes deleted in older builds
+      const nodeIds = new Set(nodes.map((node) => node.id));
+      const edges = flowData.edges.filter(
+        (edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target)
+      );
+      const danglingEdges = flowData.edges.length - edges.length;
+
+      if (nodesCleaned > 0) changes.push(`Removed canvas-only state from ${countOf(nodesCleaned, 'node')}`);
+      if (nodeIdsFixed > 0) changes.push(`Corrected the stored ID of ${countOf(nodeIdsFixed, 'node')}`);
+      if (danglingEdges > 0) changes.push(`Removed ${countOf(danglingEdges, 'connection')} to missing nodes`);
+
+      return { flowData: { ...flowData, nodes, edges }, changes };
+    },
+  },
+
+  '1.1.0': {
+    to: '1.2.0',
+    description: 'Add the flow variable registry',
+    migrate: (flowData) => {
+      // Flows before 1.2.0 had no declared variables, only captured ones
+      if (Array.isArray(flowData.variables)) {
+        return { flowData, changes: [] };
+      }
+      return { flowData: { ...flowData, variables: [] }, changes: [] };
+    },
+  },
+
+  '1.2.0': {
+    to: '1.3.0',
+    description: 'Add explicit Start and End nodes',
+    migrate: (flowData) => {
+      // Before 1.3.0 the start was the node without incoming connections,
+      // and a conversation ended at any unconnected output
+      const { nodes, edges } = flowData;
+      if (nodes.length === 0 || nodes.some((node) => node.type === 'start')) {
+        return { flowData, changes: [] };
+      }
+
+      const changes = [];
+      const nextNodes = [...nodes];
+      const nextEdges = [...edges];
+      const minX = Math.min(...nodes.map((node) => node.position?.x || 0));
+      const maxX = Math.max(...nodes.map((node) => node.position?.x || 0));
+
+      const roots = nodes.filter((node) => !edges.some((edge) => edge.target === node.id));
+      const startNode = {
+        id: getFreeNodeId(nextNodes, 'node_start'),
+        type: 'start',
+        position: roots.length === 1
+          ? { x: (roots[0].position?.x || 0) - 300, y: roots[0].position?.y || 0 }
+          : { x: minX - 300, y: 0 },
+        data: { triggers: [{ id: 'trigger_1', type: 'any', value: '' }] },
+      };
+      nextNodes.push(startNode);
+
+      if (roots.length === 1) {
+        nextEdges.push({
+          id: `edge_${startNode.id}_${roots[0].id}`,
+          source: startNode.id,
+          sourceHandle: null,
+          target: roots[0].id,
+          targetHandle: null,
+        });
+        changes.push('Added a Start node (triggered by any message) before the first step');
+      } else {
+        changes.push('Added a Start node (triggered by any message). Connect it to the first step');
+      }
+
+      // Each loose output used to end the conversation; now an End node does
+      const deadEnds = nodes.flatMap((node) =>
+        getSchema120SourceHandleIds(node)
+          .filter((handleId) => !edges.some((edge) =>
+            edge.source === node.id && (edge.sourceHandle ?? null) === handleId
+          ))
+          .map((handleId) => ({ node, handleId }))
+      );
+
+      if (deadEnds.length > 0) {
+        const endNode = {
+          id: getFreeNodeId(nextNodes, 'node_end'),
+          type: 'end',
+          position: {
+            x: maxX + 350,
+            y: deadEnds.reduce((sum, { node }) => sum + (node.position?.y || 0), 0) / deadEnds.length,
+          },
+          data: { outcome: '' },
+        };
+        nextNodes.push(endNode);
+
+        deadEnds.forEach(({ node, handleId }) => {
+          nextEdges.push({
+            id: `edge_${node.id}_${handleId || 'next'}_${endNode.id}`,
+            source: node.id,
+            sourceHandle: handleId,
+            target: endNode.id,
+            targetHandle: null,
+          });
+        });
+        changes.push(`Connected ${countOf(deadEnds.length, 'dead end')} to a new End node`);
+      }
+
+      return { flowData: { ...flowData, nodes: nextNodes, edges: nextEdges }, changes };
+    },
+  },
+};
+
+/**
+ * Upgrade flow data to the current schema
+ *
+ * @param {Object} flowData - Flow data as loaded or imported
+ * @returns {Object} Result object: on success `data` (upgraded flow),
+ *   `fromVersion`, `migrated` and `changes` (human-readable list); on
+ *   failure `error` and `code`
+ */
+export const migrateFlowData = (flowData) => {
+  if (!flowData || typeof flowData !== 'object') {
+    return { success: false, error: 'Flow data must be a valid object', code: 'INVALID_DATA' };
+  }
+
+  if (!Array.isArray(flowData.nodes) || !Array.isArray(flowData.edges)) {
+    return { success: false, error: 'Nodes and edges must be arrays', code: 'INVALID_DATA' };
+  }
+
+  const fromVersion = flowData.metadata?.version || UNVERSIONED_SCHEMA_VERSION;
+
+  if (typeof fromVersion !== 'string' || !VERSION_PATTERN.test(fromVersion)) {
+    return {
+      success: false,
+      error: `Unrecognised flow schema version "${fromVersion}"`,
+      code: 'UNKNOWN_VERSION'
+    };
+  }
+
+  if (compareVersions(fromVersion, CURRENT_SCHEMA_VERSION) > 0) {
+    return {
+      success: false,
+      error: `This flow was saved with a newer schema (${fromVersion}) than this app supports (${CURRENT_SCHEMA_VERSION}). Please update the app to open it.`,
+      code: 'NEWER_VERSION'
+    };
+  }
+
+  let data = flowData;
+  let version = fromVersion;
+  const changes = [];
+
+  while (version !== CURRENT_SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) {
+      return {
+        success: false,
+        error: `No migration available for flow schema ${version}`,
+        code: 'NO_MIGRATION_PATH'
+      };
+    }
+
+    const result = step.migrate(data);
+    changes.push(...result.changes);
+    version = step.to;
+    data = {
+      ...result.flowData,
+      metadata: { ...result.flowData.metadata, version }
+    };
+  }
+
+  return {
+    success: true,
+    data,
+    fromVersion,
+    migrated: fromVersion !== CURRENT_SCHEMA_VERSION,
+    changes
+  };
+};
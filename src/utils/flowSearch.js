@@ -0,0 +1,243 @@
+/**
+ * Full-text search for the chatbot flow builder
+ *
+ * Finds text across every node of a flow: what nodes send (messages,
+ * translations, buttons, questions, captions...), their IDs and the
+ * variable names they save to or read. Only text fields can be replaced;
+ * IDs and variable names are found but left alone, since other nodes and
+ * connections refer to them.
+ */
+
+import { LOCALE_LABELS } from '../constants/nodeTypes';
+import { isDataUrl } from './mediaUtils';
+
+// What a searchable field holds
+export const SEARCH_FIELD_KINDS = {
+  TEXT: 'text',
+  ID: 'id',
+  VARIABLE: 'variable',
+};
+
+// Characters of context shown on each side of a hit
+const PREVIEW_CONTEXT_LENGTH = 24;
+
+/**
+ * Read the search fields kept in a list on the node data
+ * List items are keyed by their ID, or by position when they have none.
+ *
+ * @param {Array} items - List from the node data
+ * @param {string} listKey - Name of the list field
+ * @param {Array} properties - Item properties to search ({ property, label, kind })
+ * @returns {Array} Fields as { key, label, kind, value }
+ */
+const getListFields = (items = [], listKey, properties) =>
+  items.flatMap((item, index) => properties.map(({ property, label, kind = SEARCH_FIELD_KINDS.TEXT }) => ({
+    key: `${listKey}.${item.id ?? index}.${property}`,
+    label,
+    kind,
+    value: item[property],
+  })));
+
+/**
+ * List the texts of a node that search looks at
+ *
+ * @param {Object} node - Flow node
+ * @returns {Array} Non-empty fields as { key (path in the node data, or
+ *   'id'), label, kind (see SEARCH_FIELD_KINDS), value }
+ */
+export const getSearchableFields = (node) => {
+  const data = node.data || {};
+  const text = (key, label) => ({ key, label, kind: SEARCH_FIELD_KINDS.TEXT, value: data[key] });
+  const variable = (key) => ({ key, label: 'Variable', kind: SEARCH_FIELD_KINDS.VARIABLE, value: data[key] });
+  let fields = [];
+
+  switch (node.type) {
+    case 'start':
+      fields = getListFields(data.triggers, 'triggers', [{ property: 'value', label: 'Trigger' }]);
+      break;
+    case 'textMessage':
+      fields = [
+        text('text', 'Message'),
+        ...Object.entries(data.translations || {}).map(([locale, value]) => ({
+          key: `translations.${locale}`,
+          label: `Message (${LOCALE_LABELS[locale] || locale})`,
+          kind: SEARCH_FIELD_KINDS.TEXT,
+          value,
+        })),
+        ...getListFields(data.quickReplies, 'quickReplies', [{ property: 'label', label: 'Button' }]),
+      ];
+      break;
+    case 'userInput':
+      fields = [text('prompt', 'Question'), text('retryMessage', 'Retry message'), variable('variable')];
+      break;
+    case 'conditional':
+      fields = [
+        variable('variable'),
+        ...getListFields(data.conditions, 'conditions', [
+          { property: 'label', label: 'Branch' },
+          { property: 'value', label: 'Branch value' },
+        ]),
+      ];
+      break;
+    case 'apiCall':
+      fields = [
+        text('url', 'URL'),
+        text('body', 'Body'),
+        ...getListFields(data.headers, 'headers', [{ property: 'value', label: 'Header' }]),
+        ...getListFields(data.responseMappings, 'responseMappings', [
+          { property: 'path', label: 'Response path' },
+          { property: 'variable', label: 'Variable', kind: SEARCH_FIELD_KINDS.VARIABLE },
+        ]),
+      ];
+      break;
+    case 'media':
+      fields = [
+        text('caption', 'Caption'),
+        // Uploaded files are stored inline; their contents are not text
+        ...(isDataUrl(data.url) ? [] : [text('url', 'URL')]),
+      ];
+      break;
+    case 'subflow':
+      fields = [{ key: 'flowName', label: 'Flow', kind: SEARCH_FIELD_KINDS.ID, value: data.flowName }];
+      break;
+    case 'end':
+      fields = [text('outcome', 'Outcome')];
+      break;
+    default:
+      break;
+  }
+
+  return [
+    { key: 'id', label: 'Node ID', kind: SEARCH_FIELD_KINDS.ID, value: node.id },
+    ...fields,
+  ].filter((field) => typeof field.value === 'string' && field.value !== '');
+};
+
+/**
+ * Write a field found by getSearchableFields back into node data
+ *
+ * @param {Object} data - Node data
+ * @param {string} key - Field key
+ * @param {string} value - New value
+ * @returns {Object} Updated node data
+ */
+const setFieldValue = (data, key, value) => {
+  const [field, itemKey, property] = key.split('.');
+  if (itemKey === undefined) {
+    return { ...data, [field]: value };
+  }
+  if (!Array.isArray(data[field])) {
+    return { ...data, [field]: { ...data[field], [itemKey]: value } };
+  }
+  return {
+    ...data,
+    [field]: data[field].map((item, index) => (
+      String(item.id ?? index) === itemKey ? { ...item, [property]: value } : item
+    )),
+  };
+};
+
+/**
+ * Turn what was typed into a search pattern
+ *
+ * @param {string} query - Search text, or a regular expression
+ * @param {Object} options - Search options
+ * @param {boolean} options.regex - Treat the query as a regular expression
+ * @param {boolean} options.caseSensitive - Match letter case exactly
+ * @returns {Object} { pattern (global RegExp, or null for an empty query), error }
+ */
+export const createSearchPattern = (query, options = {}) => {
+  if (!query) {
+    return { pattern: null, error: null };
+  }
+
+  const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return { pattern: new RegExp(source, options.caseSensitive ? 'g' : 'gi'), error: null };
+  } catch (error) {
+    return { pattern: null, error: `Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}` };
+  }
+};
+
+/**
+ * Find every hit of a pattern in a list of nodes
+ * Empty matches (e.g. from "a*") are skipped.
+ *
+ * @param {Array} nodes - Nodes, in the order hits should be listed
+ * @param {RegExp|null} pattern - Pattern from createSearchPattern
+ * @returns {Array} Hits as { id, nodeId, nodeType, fieldKey, fieldLabel,
+ *   kind, index, length, replaceable, preview ({ before, match, after }) }
+ */
+export const findMatches = (nodes, pattern) => {
+  if (!pattern) return [];
+
+  return nodes.flatMap((node) => getSearchableFields(node).flatMap((field) =>
+    Array.from(field.value.matchAll(pattern))
+      .filter((match) => match[0].length > 0)
+      .map((match) => {
+        const end = match.index + match[0].length;
+        const start = Math.max(0, match.index - PREVIEW_CONTEXT_LENGTH);
+        return {
+          id: `${node.id}:${field.key}:${match.index}`,
+          nodeId: node.id,
+          nodeType: node.type,
+          fieldKey: field.key,
+          fieldLabel: field.label,
+          kind: field.kind,
+          index: match.index,
+          length: match[0].length,
+          replaceable: field.kind === SEARCH_FIELD_KINDS.TEXT,
+          preview: {
+            before: `${start > 0 ? '…' : ''}${field.value.slice(start, match.index)}`,
+            match: match[0],
+            after: `${field.value.slice(end, end + PREVIEW_CONTEXT_LENGTH)}${end + PREVIEW_CONTEXT_LENGTH < field.value.length ? '…' : ''}`,
+          },
+        };
+      })
+  ));
+};
+
+/**
+ * Replace hits in the nodes' data
+ * In regex mode the replacement may use $1, $<name> and $&; otherwise it
+ * is inserted as typed. Hits that are not replaceable are skipped.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} matches - Hits from findMatches to replace
+ * @param {RegExp} pattern - Pattern the hits were found with
+ * @param {string} replacement - Replacement text
+ * @param {Object} options - Search options ({ regex })
+ * @returns {Object} { updates (as { nodeId, data }), count }
+ */
+export const replaceMatches = (nodes, matches, pattern, replacement, options = {}) => {
+  // Anchored at each hit in turn, so lookarounds still see the whole text
+  const sticky = new RegExp(pattern.source, `${pattern.flags.replace('g', '')}y`);
+  const insertText = options.regex ? replacement : replacement.replace(/\$/g, '$$$$');
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const updatedData = new Map();
+  let count = 0;
+
+  // Last hit first, so earlier positions stay valid
+  [...matches]
+    .filter((match) => match.replaceable && nodesById.has(match.nodeId))
+    .sort((a, b) => a.nodeId.localeCompare(b.nodeId) || a.fieldKey.localeCompare(b.fieldKey) || b.index - a.index)
+    .forEach((match) => {
+      const data = updatedData.get(match.nodeId) || nodesById.get(match.nodeId).data;
+      const field = getSearchableFields({ ...nodesById.get(match.nodeId), data })
+        .find((candidate) => candidate.key === match.fieldKey);
+      if (!field) return;
+
+      sticky.lastIndex = match.index;
+      const stickyMatch = sticky.exec(field.value);
+      if (!stickyMatch || stickyMatch[0].length !== match.length) return;
+
+      sticky.lastIndex = match.index;
+      updatedData.set(match.nodeId, setFieldValue(data, match.fieldKey, field.value.replace(sticky, insertText)));
+      count += 1;
+    });
+
+  return {
+    updates: Array.from(updatedData, ([nodeId, data]) => ({ nodeId, data })),
+    count,
+  };
+};
@@ -0,0 +1,123 @@
+import { SEARCH_FIELD_KINDS, createSearchPattern, findMatches, replaceMatches } from './flowSearch';
+import { node } from './testFlowBuilders';
+
+const search = (nodes, query, options = {}) => {
+  const { pattern } = createSearchPattern(query, options);
+  return { pattern, matches: findMatches(nodes, pattern) };
+};
+
+const replaceAll = (nodes, query, replacement, options = {}) => {
+  const { pattern, matches } = search(nodes, query, options);
+  return replaceMatches(nodes, matches, pattern, replacement, options);
+};
+
+describe('findMatches', () => {
+  const nodes = [
+    node('greeting', 'textMessage', {
+      text: 'Hello there, hello',
+      translations: { es: 'Hola, hello' },
+      quickReplies: [{ id: 'reply_1', label: 'Hello back' }],
+    }),
+    node('ask_hello', 'userInput', { prompt: 'Name?', variable: 'hello_name' }),
+  ];
+
+  test('finds text, node IDs and variable names, ignoring case by default', () => {
+    const { matches } = search(nodes, 'hello');
+
+    expect(matches.map((match) => [match.nodeId, match.fieldKey, match.index])).toEqual([
+      ['greeting', 'text', 0],
+      ['greeting', 'text', 13],
+      ['greeting', 'translations.es', 6],
+      ['greeting', 'quickReplies.reply_1.label', 0],
+      ['ask_hello', 'id', 4],
+      ['ask_hello', 'variable', 0],
+    ]);
+    expect(matches.filter((match) => match.replaceable)).toHaveLength(4);
+    expect(matches[4].kind).toBe(SEARCH_FIELD_KINDS.ID);
+    expect(matches[5].kind).toBe(SEARCH_FIELD_KINDS.VARIABLE);
+  });
+
+  test('matches case and regular expressions when asked', () => {
+    expect(search(nodes, 'Hello', { caseSensitive: true }).matches).toHaveLength(2);
+    expect(search(nodes, 'hel+o\\b', { regex: true }).matches).toHaveLength(5);
+    expect(search(nodes, 'hello.', { regex: false }).matches).toHaveLength(0);
+  });
+
+  test('reports invalid regular expressions and skips empty matches', () => {
+    expect(createSearchPattern('(', { regex: true }).error).toMatch(/^Invalid regular expression: /);
+    expect(search(nodes, 'x*', { regex: true }).matches).toEqual([]);
+  });
+
+  test('shows the text around a hit', () => {
+    const { matches } = search([node('long', 'textMessage', { text: `${'a'.repeat(30)} needle ${'b'.repeat(30)}` })], 'needle');
+
+    expect(matches[0].preview).toEqual({
+      before: `…${'a'.repeat(23)} `,
+      match: 'needle',
+      after: ` ${'b'.repeat(23)}…`,
+    });
+  });
+});
+
+describe('replaceMatches', () => {
+  test('replaces every hit of a field from the last to the first', () => {
+    const nodes = [node('greeting', 'textMessage', { text: 'cat, cat and cat' })];
+
+    const { updates, count } = replaceAll(nodes, 'cat', 'tiger');
+
+    expect(count).toBe(3);
+    expect(updates).toEqual([{ nodeId: 'greeting', data: { text: 'tiger, tiger and tiger' } }]);
+  });
+
+  test('writes list items and translations back into their fields', () => {
+    const nodes = [
+      node('greeting', 'textMessage', {
+        text: 'Yes?',
+        translations: { fr: 'Yes ou non' },
+        quickReplies: [{ id: 'reply_1', label: 'Yes' }, { id: 'reply_2', label: 'No' }],
+      }),
+      node('call', 'apiCall', { headers: [{ key: 'X-Answer', value: 'yes' }] }),
+    ];
+
+    const { updates, count } = replaceAll(nodes, 'yes', 'Oui');
+
+    expect(count).toBe(4);
+    expect(updates.find((update) => update.nodeId === 'greeting').data).toEqual({
+      text: 'Oui?',
+      translations: { fr: 'Oui ou non' },
+      quickReplies: [{ id: 'reply_1', label: 'Oui' }, { id: 'reply_2', label: 'No' }],
+    });
+    expect(updates.find((update) => update.nodeId === 'call').data.headers).toEqual([{ key: 'X-Answer', value: 'Oui' }]);
+  });
+
+  test('inserts $ literally unless searching with a regular expression', () => {
+    const nodes = [node('price', 'textMessage', { text: 'Total: 10 EUR' })];
+
+    expect(replaceAll(nodes, '10', '$1 $&').updates[0].data.text).toBe('Total: $1 $& EUR');
+    expect(replaceAll(nodes, '(\\d+) EUR', '€$1', { regex: true }).updates[0].data.text).toBe('Total: €10');
+  });
+
+  test('keeps lookarounds anchored to the whole text', () => {
+    const nodes = [node('order', 'textMessage', { text: 'order 12, ref 12' })];
+
+    const { updates, count } = replaceAll(nodes, '(?<=ref )\\d+', 'XX', { regex: true });
+
+    expect(count).toBe(1);
+    expect(updates[0].data.text).toBe('order 12, ref XX');
+  });
+
+  test('replaces only the hits passed and skips read-only or stale ones', () => {
+    const nodes = [node('hello_message', 'textMessage', { text: 'hello hello' })];
+    const { pattern, matches } = search(nodes, 'hello');
+    const [idMatch, , lastTextMatch] = matches;
+
+    expect(replaceMatches(nodes, [lastTextMatch], pattern, 'bye').updates[0].data.text).toBe('hello bye');
+    expect(replaceMatches(nodes, [idMatch], pattern, 'bye').count).toBe(0);
+
+    // The text changed since the search ran
+    const changed = [node('hello_message', 'textMessage', { text: 'hi hello' })];
+    const { updates, count } = replaceMatches(changed, matches, pattern, 'bye');
+    expect(count).toBe(0);
+    expect(updates).toEqual([]);
+  });
+});
@@ -5,6 +5,8 @@
  * used throughout the application.
  */
 
+import { CURRENT_SCHEMA_VERSION } from './flowMigrations';
+
 /**
  * Generate a unique ID for nodes and edges
  * 
@@ -81,9 +83,10 @@ export const getDropPosition = (event, reactFlowBounds, reactFlowInstance) => {
  * 
  * @param {Array} nodes - Flow nodes
  * @param {Array} edges - Flow edges
+ * @param {Array} variables - Flow variable registry
  * @returns {Object} Formatted flow data
  */
-export const formatFlowData = (nodes, edges) => {
+export const formatFlowData = (nodes, edges, variables = []) => {
   return {
     nodes: nodes.map((node) => ({
       id: node.id,
@@ -98,9 +101,14 @@ export const formatFlowData = (nodes, edges) => {
       sourceHandle: edge.sourceHandle,
       targetHandle: edge.targetHandle,
     })),
+    variables: variables.map((variable) => ({
+      name: variable.name,
+      type: variable.type,
+      defaultValue: variable.defaultValue,
+    })),
     metadata: {
       createdAt: new Date().toISOString(),
-      version: '1.0.0',
+      version: CURRENT_SCHEMA_VERSION,
     },
   };
 };
@@ -109,11 +117,11 @@ export const formatFlowData = (nodes, edges) => {
  * Parse flow data from saved/imported format
  * 
  * @param {Object} flowData - Saved flow data
- * @returns {Object} Parsed nodes and edges
+ * @returns {Object} Parsed nodes, edges and variable registry
  */
 export const parseFlowData = (flowData) => {
   try {
-    const { nodes = [], edges = [] } = flowData;
+    const { nodes = [], edges = [], variables } = flowData;
     
     return {
       nodes: nodes.map((node) => ({
@@ -127,23 +135,40 @@ export const parseFlowData = (flowData) => {
         // Ensure required properties exist
         id: edge.id || generateId('edge'),
       })),
+      variables: Array.isArray(variables) ? variables : [],
     };
   } catch (error) {
     console.error('Error parsing flow data:', error);
-    return { nodes: [], edges: [] };
+    return { nodes: [], edges: [], variables: [] };
   }
 };
 
+/**
+ * Build a comparable signature of a flow's persisted content
+ * Ignores transient React Flow state (selection, measured size, dragging),
+ * so two flows with the same signature save identically.
+ * 
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @param {Array} variables - Flow variable registry
+ * @returns {string} Flow signature
+ */
+export const getFlowSignature = (nodes, edges, variables = []) => {
+  const { nodes: savedNodes, edges: savedEdges, variables: savedVariables } =
+    formatFlowData(nodes, edges, variables);
+  return JSON.stringify({ nodes: savedNodes, edges: savedEdges, variables: savedVariables });
+};
+
 /**
  * Debounce function for performance optimization
  * 
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
- * @returns {Function} Debounced function
+ * @returns {Function} Debounced function, with a `cancel()` method
  */
 export const debounce = (func, wait) => {
   let timeout;
-  return function executedFunction(...args) {
+  const executedFunction = function (...args) {
     const later = () => {
       clearTimeout(timeout);
       func(...args);
@@ -151,6 +176,13 @@ export const debounce = (func, wait) => {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
+
+  // Drop a pending call whose work has become obsolete
+  executedFunction.cancel = () => {
+    clearTimeout(timeout);
+  };
+
+  return executedFunction;
 };
 
 /**
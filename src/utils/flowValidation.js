@@ -0,0 +1,668 @@
+/**
+ * Flow validation rules for the chatbot flow builder
+ *
+ * Checks a flow against a list of independent rules and reports every
+ * problem found, each with a severity and the IDs of the nodes and
+ * connections involved so the UI can point at them. Errors block saving;
+ * warnings are shown but do not.
+ *
+ * To add a check: write a function that receives the flow graph and
+ * returns a list of issues, and register it in VALIDATION_RULES.
+ */
+
+import { API_CALL_HANDLES, LOCALE_LABELS, MEDIA_TYPES, MEDIA_TYPE_LABELS } from '../constants/nodeTypes';
+import { getChannelProfile, measureMessage } from './channelRules';
+import {
+  collectCapturedVariables,
+  extractPlaceholders,
+  getTriggerKeys,
+  validateDelaySeconds,
+  validateTrigger,
+  validateVariableDefinition
+} from './conversationUtils';
+import { isDataUrl, validateMediaUrl } from './mediaUtils';
+import { haveExitsChanged } from './subflowUtils';
+
+// How serious a validation issue is
+export const ISSUE_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+/**
+ * List the outputs (source handles) a node exposes
+ * Single-output nodes have one unnamed handle with a `null` ID; End
+ * nodes have none.
+ *
+ * @param {Object} node - Flow node
+ * @returns {Array} Outputs as { id, label }
+ */
+export const getNodeSourceHandles = (node) => {
+  switch (node.type) {
+    case 'conditional':
+      return (node.data?.conditions || []).map((condition) => ({
+        id: condition.id,
+        label: condition.label || 'Untitled branch',
+      }));
+    case 'apiCall':
+      return [
+        { id: API_CALL_HANDLES.SUCCESS, label: 'Success' },
+        { id: API_CALL_HANDLES.ERROR, label: 'Error' },
+      ];
+    case 'textMessage': {
+      // Messages with quick replies continue through the tapped button
+      const quickReplies = node.data?.quickReplies || [];
+      if (quickReplies.length > 0) {
+        return quickReplies.map((quickReply) => ({
+          id: quickReply.id,
+          label: quickReply.label || 'Untitled button',
+        }));
+      }
+      return [{ id: null, label: 'Next' }];
+    }
+    case 'subflow':
+      // A subflow continues through the End node its target flow finished at
+      return (node.data?.exits || []).map((exit) => ({ id: exit.id, label: exit.label }));
+    case 'end':
+      return [];
+    default:
+      return [{ id: null, label: 'Next' }];
+  }
+};
+
+/**
+ * List the variables a node reads: {{placeholders}} in its texts, plus
+ * the variable a Condition checks
+ *
+ * @param {Object} node - Flow node
+ * @returns {Array} Unique variable names
+ */
+export const getNodeVariableReferences = (node) => {
+  const data = node.data || {};
+  let texts = [];
+  const names = [];
+
+  switch (node.type) {
+    case 'textMessage':
+      texts = [data.text, ...Object.values(data.translations || {})];
+      break;
+    case 'userInput':
+      texts = [data.prompt, data.retryMessage];
+      break;
+    case 'apiCall':
+      texts = [data.url, data.body, ...(data.headers || []).map((header) => header.value)];
+      break;
+    case 'conditional':
+      if (data.variable) names.push(data.variable);
+      break;
+    case 'media':
+      texts = [data.caption, isDataUrl(data.url) ? '' : data.url];
+      break;
+    default:
+      break;
+  }
+
+  texts.forEach((text) => {
+    extractPlaceholders(text || '').forEach((name) => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+  return names;
+};
+
+/**
+ * Check whether a node stops the conversation until the user replies
+ *
+ * @param {Object} node - Flow node
+ * @returns {boolean} Whether the node waits for the user
+ */
+const isWaitingNode = (node) => {
+  switch (node.type) {
+    case 'userInput':
+      return true;
+    case 'conditional':
+      return !node.data?.variable;
+    case 'textMessage':
+      return (node.data?.quickReplies || []).length > 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Index the nodes and connections of a flow for the rules
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @param {Array} variables - Flow variable registry
+ * @param {Map|null} subflows - Resolved subflow targets (see resolveSubflows)
+ * @param {string|null} channel - Target channel of the flow
+ * @returns {Object} Graph with lookups by node ID and the Start nodes
+ */
+const buildGraph = (nodes, edges, variables, subflows, channel) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  const incoming = new Map(nodes.map((node) => [node.id, []]));
+
+  edges.forEach((edge) => {
+    if (outgoing.has(edge.source)) outgoing.get(edge.source).push(edge);
+    if (incoming.has(edge.target)) incoming.get(edge.target).push(edge);
+  });
+
+  const startNodes = nodes.filter((node) => node.type === 'start');
+
+  return { nodes, edges, variables, subflows, channel, nodesById, outgoing, incoming, startNodes };
+};
+
+/**
+ * Check whether a node output has a connection leaving it
+ *
+ * @param {Object} graph - Flow graph
+ * @param {string} nodeId - Source node ID
+ * @param {string|null} handleId - Source handle ID
+ * @returns {boolean} Whether the output is connected
+ */
+const isHandleConnected = (graph, nodeId, handleId) =>
+  graph.outgoing.get(nodeId).some((edge) => (edge.sourceHandle ?? null) === handleId);
+
+/**
+ * Messages, quick-reply buttons and questions must have text to send
+ */
+const checkEmptyText = (graph) =>
+  graph.nodes.flatMap((node) => {
+    if (node.type === 'textMessage') {
+      const issues = [];
+      if (!(node.data?.text || '').trim()) {
+        issues.push({
+          severity: ISSUE_SEVERITY.ERROR,
+          message: 'Message has no text',
+          nodeIds: [node.id],
+        });
+      }
+
+      const unlabelled = (node.data?.quickReplies || []).filter((quickReply) => !(quickReply.label || '').trim());
+      if (unlabelled.length > 0) {
+        issues.push({
+          severity: ISSUE_SEVERITY.ERROR,
+          message: `${unlabelled.length} quick-reply button${unlabelled.length !== 1 ? 's have' : ' has'} no label`,
+          nodeIds: [node.id],
+        });
+      }
+      return issues;
+    }
+    if (node.type === 'userInput' && !(node.data?.prompt || '').trim()) {
+      return [{
+        severity: ISSUE_SEVERITY.ERROR,
+        message: 'User Input has no question',
+        nodeIds: [node.id],
+      }];
+    }
+    return [];
+  });
+
+/**
+ * Quick-reply labels on a message must differ (ignoring case), since a
+ * typed reply goes to the first button whose label it matches
+ */
+const checkQuickReplyLabels = (graph) =>
+  graph.nodes
+    .filter((node) => node.type === 'textMessage')
+    .flatMap((node) => {
+      const labels = (node.data?.quickReplies || [])
+        .map((quickReply) => (quickReply.label || '').trim())
+        .filter(Boolean);
+      const isSameLabel = (a, b) => a.toLowerCase() === b.toLowerCase();
+      // Each repeated label once, as first written
+      const duplicates = labels.filter((label, index) =>
+        labels.findIndex((other) => isSameLabel(other, label)) === index &&
+        labels.some((other, otherIndex) => otherIndex !== index && isSameLabel(other, label))
+      );
+
+      return duplicates.map((label) => ({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: `More than one quick-reply button is labelled "${label}"`,
+        nodeIds: [node.id],
+      }));
+    });
+
+/**
+ * Media nodes need a file: an upload within the size limit or a valid URL
+ */
+const checkMediaFiles = (graph) =>
+  graph.nodes
+    .filter((node) => node.type === 'media')
+    .flatMap((node) => {
+      const error = validateMediaUrl(node.data?.url);
+      return error
+        ? [{ severity: ISSUE_SEVERITY.ERROR, message: `Media: ${error}`, nodeIds: [node.id] }]
+        : [];
+    });
+
+/**
+ * Delay nodes must pause for a length within the allowed range
+ */
+const checkDelayDurations = (graph) =>
+  graph.nodes
+    .filter((node) => node.type === 'delay')
+    .flatMap((node) => {
+      const error = validateDelaySeconds(node.data?.seconds);
+      return error
+        ? [{ severity: ISSUE_SEVERITY.ERROR, message: error, nodeIds: [node.id] }]
+        : [];
+    });
+
+/**
+ * Go to Flow nodes must point at a saved flow with a single Start node,
+ * must not lead back into themselves, and must show the target's
+ * current exits. Targets are only checked when they were resolved.
+ */
+const checkSubflowReferences = (graph) =>
+  graph.nodes
+    .filter((node) => node.type === 'subflow')
+    .flatMap((node) => {
+      const { flowId, flowName, exits } = node.data || {};
+      const error = (message) => [{ severity: ISSUE_SEVERITY.ERROR, message, nodeIds: [node.id] }];
+
+      if (!flowId) return error('Go to Flow has no flow selected');
+      if (!graph.subflows) return [];
+
+      const target = graph.subflows.get(flowId);
+      if (!target) {
+        return error(`Go to Flow points at "${flowName || flowId}", which is no longer in the library`);
+      }
+      if (target.recursion) {
+        return error(`Going to "${target.name}" leads back into itself: ${target.recursion.join(' → ')}`);
+      }
+      if (target.interface.startCount !== 1) {
+        return error(`"${target.name}" needs exactly one Start node to be used with Go to Flow`);
+      }
+      if (haveExitsChanged(exits, target.interface.exits)) {
+        return error(`The End nodes of "${target.name}" have changed. Refresh its outputs in the node settings`);
+      }
+      return [];
+    });
+
+/**
+ * Messages, buttons and media must fit the rules of the flow's target
+ * channel. Only checked when a channel was given.
+ */
+const checkChannelRules = (graph) => {
+  if (!graph.channel) return [];
+  const profile = getChannelProfile(graph.channel);
+
+  return graph.nodes.flatMap((node) => {
+    const data = node.data || {};
+    const issues = [];
+    const report = (severity, message) => issues.push({ severity, message, nodeIds: [node.id] });
+
+    if (node.type === 'textMessage' || node.type === 'userInput') {
+      const quickReplies = node.type === 'textMessage' ? data.quickReplies || [] : [];
+      const text = node.type === 'textMessage' ? data.text : data.prompt;
+      const measurement = measureMessage(text || '', profile.id, { hasQuickReplies: quickReplies.length > 0 });
+      if (measurement.problem) report(measurement.severity, measurement.problem);
+
+      // Translations are sent instead of the original, so they must fit too
+      Object.entries(node.type === 'textMessage' ? data.translations || {} : {}).forEach(([locale, translation]) => {
+        const translated = measureMessage(translation, profile.id, { hasQuickReplies: quickReplies.length > 0 });
+        if (translated.problem) report(translated.severity, `${LOCALE_LABELS[locale] || locale}: ${translated.problem}`);
+      });
+
+      if (quickReplies.length > profile.maxQuickReplies) {
+        report(ISSUE_SEVERITY.ERROR, profile.maxQuickReplies === 0
+          ? `${profile.label} does not support quick-reply buttons`
+          : `Message has ${quickReplies.length} quick-reply buttons; ${profile.label} allows ${profile.maxQuickReplies}`);
+      }
+      const tooLong = profile.maxQuickReplies > 0
+        ? quickReplies.filter((quickReply) => (quickReply.label || '').length > profile.maxQuickReplyLabelLength)
+        : [];
+      if (tooLong.length > 0) {
+        report(ISSUE_SEVERITY.ERROR, `${tooLong.length} quick-reply label${tooLong.length !== 1 ? 's are' : ' is'} longer than the ${profile.maxQuickReplyLabelLength} characters ${profile.label} allows`);
+      }
+    }
+
+    if (node.type === 'media') {
+      const mediaType = data.mediaType || MEDIA_TYPES.IMAGE;
+      if (!profile.mediaTypes.includes(mediaType)) {
+        report(ISSUE_SEVERITY.ERROR, profile.mediaTypes.length === 0
+          ? `${profile.label} cannot send files`
+          : `${profile.label} cannot send ${(MEDIA_TYPE_LABELS[mediaType] || mediaType).toLowerCase()} files`);
+      } else if ((data.caption || '').length > profile.maxCaptionLength) {
+        report(ISSUE_SEVERITY.ERROR, `Caption is longer than the ${profile.maxCaptionLength} characters ${profile.label} allows`);
+      }
+    }
+
+    return issues;
+  });
+};
+
+/**
+ * A flow needs a Start node; every Start needs valid triggers, and no
+ * trigger may be claimed by more than one start
+ */
+const checkStartNodes = (graph) => {
+  if (graph.nodes.length === 0) return [];
+
+  if (graph.startNodes.length === 0) {
+    return [{
+      severity: ISSUE_SEVERITY.ERROR,
+      message: 'The flow has no Start node, so no conversation can begin',
+      nodeIds: [],
+    }];
+  }
+
+  const issues = [];
+  const claims = new Map();
+
+  graph.startNodes.forEach((node) => {
+    const triggers = node.data?.triggers || [];
+    if (triggers.length === 0) {
+      issues.push({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: 'Start node has no triggers',
+        nodeIds: [node.id],
+      });
+    }
+
+    triggers.forEach((trigger) => {
+      const error = validateTrigger(trigger);
+      if (error) {
+        issues.push({ severity: ISSUE_SEVERITY.ERROR, message: `Trigger: ${error}`, nodeIds: [node.id] });
+        return;
+      }
+      getTriggerKeys(trigger).forEach(({ key, label }) => {
+        if (!claims.has(key)) claims.set(key, { label, nodeIds: [] });
+        claims.get(key).nodeIds.push(node.id);
+      });
+    });
+
+    const incomingEdges = graph.incoming.get(node.id);
+    if (incomingEdges.length > 0) {
+      issues.push({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: 'Start node cannot have incoming connections',
+        nodeIds: [node.id],
+        edgeIds: incomingEdges.map((edge) => edge.id),
+      });
+    }
+  });
+
+  claims.forEach(({ label, nodeIds }) => {
+    if (nodeIds.length > 1) {
+      issues.push({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: `The ${label} trigger is used ${nodeIds.length} times. Each trigger can start only one path`,
+        nodeIds: [...new Set(nodeIds)],
+      });
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Nodes that no path from a Start node reaches are never used
+ */
+const checkUnreachableNodes = (graph) => {
+  if (graph.startNodes.length === 0) return [];
+
+  const reached = new Set(graph.startNodes.map((node) => node.id));
+  const queue = [...reached];
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    graph.outgoing.get(nodeId).forEach((edge) => {
+      if (graph.nodesById.has(edge.target) && !reached.has(edge.target)) {
+        reached.add(edge.target);
+        queue.push(edge.target);
+      }
+    });
+  }
+
+  return graph.nodes
+    .filter((node) => !reached.has(node.id))
+    .map((node) => ({
+      severity: ISSUE_SEVERITY.WARNING,
+      message: 'Node can never be reached from the start of the flow',
+      nodeIds: [node.id],
+    }));
+};
+
+/**
+ * Group nodes into strongly connected components (Tarjan's algorithm)
+ * Every loop in the flow lies within a single component.
+ *
+ * @param {Object} graph - Flow graph
+ * @returns {Array} Components as arrays of node IDs
+ */
+const findStronglyConnectedComponents = (graph) => {
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let nextIndex = 0;
+
+  const visit = (nodeId) => {
+    indices.set(nodeId, nextIndex);
+    lowLinks.set(nodeId, nextIndex);
+    nextIndex++;
+    stack.push(nodeId);
+    onStack.add(nodeId);
+
+    graph.outgoing.get(nodeId).forEach(({ target }) => {
+      if (!graph.nodesById.has(target)) return;
+
+      if (!indices.has(target)) {
+        visit(target);
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), indices.get(target)));
+      }
+    });
+
+    if (lowLinks.get(nodeId) === indices.get(nodeId)) {
+      const component = [];
+      let memberId;
+      do {
+        memberId = stack.pop();
+        onStack.delete(memberId);
+        component.push(memberId);
+      } while (memberId !== nodeId);
+      components.push(component);
+    }
+  };
+
+  graph.nodes.forEach((node) => {
+    if (!indices.has(node.id)) visit(node.id);
+  });
+
+  return components;
+};
+
+/**
+ * Loops must have a way out (a connection leaving the loop, or an
+ * unconnected output) unless they are intentional: a loop that waits for
+ * the user, like a menu shown again after each answer, may run forever
+ */
+const checkClosedLoops = (graph) =>
+  findStronglyConnectedComponents(graph).flatMap((component) => {
+    const members = new Set(component);
+    const loopEdges = component.flatMap((nodeId) =>
+      graph.outgoing.get(nodeId).filter((edge) => members.has(edge.target))
+    );
+
+    // A single node only forms a loop when connected to itself
+    if (loopEdges.length === 0) return [];
+
+    const hasExit = component.some((nodeId) =>
+      graph.outgoing.get(nodeId).some((edge) => !members.has(edge.target)) ||
+      getNodeSourceHandles(graph.nodesById.get(nodeId))
+        .some((handle) => !isHandleConnected(graph, nodeId, handle.id))
+    );
+    if (hasExit) return [];
+    if (component.some((nodeId) => isWaitingNode(graph.nodesById.get(nodeId)))) return [];
+
+    return [{
+      severity: ISSUE_SEVERITY.ERROR,
+      message: `${component.length} node${component.length !== 1 ? 's form' : ' forms'} a loop that never waits for the user and never reaches an End node`,
+      nodeIds: component,
+      edgeIds: loopEdges.map((edge) => edge.id),
+    }];
+  });
+
+/**
+ * Connections must start at an output that exists and end at a node that
+ * exists; every output must be connected so each path reaches an End node
+ */
+const checkDanglingHandles = (graph) => {
+  const issues = [];
+
+  graph.edges.forEach((edge) => {
+    const source = graph.nodesById.get(edge.source);
+    const target = graph.nodesById.get(edge.target);
+
+    if (!source || !target) {
+      issues.push({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: 'Connection points to a node that no longer exists',
+        nodeIds: [source, target].filter(Boolean).map((node) => node.id),
+        edgeIds: [edge.id],
+      });
+      return;
+    }
+
+    const handleIds = getNodeSourceHandles(source).map((handle) => handle.id);
+    if (!handleIds.includes(edge.sourceHandle ?? null)) {
+      issues.push({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: 'Connection starts at an output that no longer exists',
+        nodeIds: [source.id],
+        edgeIds: [edge.id],
+      });
+    }
+  });
+
+  // Conversations finish at End nodes, never at a loose output
+  graph.nodes.forEach((node) => {
+    const handles = getNodeSourceHandles(node);
+
+    handles
+      .filter((handle) => !isHandleConnected(graph, node.id, handle.id))
+      .forEach((handle) => {
+        issues.push({
+          severity: ISSUE_SEVERITY.ERROR,
+          message: handle.id === null
+            ? 'Node has no outgoing connection. Connect it to the next step or an End node'
+            : `Output "${handle.label}" is not connected. Connect it to the next step or an End node`,
+          nodeIds: [node.id],
+        });
+      });
+  });
+
+  return issues;
+};
+
+/**
+ * Registry variables must have valid, unique names and defaults of their type
+ */
+const checkVariableDefinitions = (graph) =>
+  graph.variables.flatMap((variable) => {
+    const error = validateVariableDefinition(variable, graph.variables);
+    return error
+      ? [{ severity: ISSUE_SEVERITY.ERROR, message: `Variable "${variable.name || '(unnamed)'}": ${error}` }]
+      : [];
+  });
+
+/**
+ * Every {{placeholder}} must name a registry variable or one captured by a node
+ */
+const checkUndefinedVariables = (graph) => {
+  const knownNames = new Set([
+    ...graph.variables.map((variable) => variable.name),
+    ...collectCapturedVariables(graph.nodes).map((variable) => variable.name),
+  ]);
+
+  return graph.nodes.flatMap((node) =>
+    getNodeVariableReferences(node)
+      .filter((name) => !knownNames.has(name))
+      .map((name) => ({
+        severity: ISSUE_SEVERITY.ERROR,
+        message: `{{${name}}} is not a defined variable`,
+        nodeIds: [node.id],
+      }))
+  );
+};
+
+// Registered rules, in the order their issues are listed
+export const VALIDATION_RULES = [
+  { id: 'start-nodes', label: 'Start triggers', check: checkStartNodes },
+  { id: 'empty-text', label: 'Empty text', check: checkEmptyText },
+  { id: 'quick-reply-labels', label: 'Quick-reply labels', check: checkQuickReplyLabels },
+  { id: 'media-files', label: 'Media files', check: checkMediaFiles },
+  { id: 'delay-durations', label: 'Delay durations', check: checkDelayDurations },
+  { id: 'channel-rules', label: 'Channel limits', check: checkChannelRules },
+  { id: 'subflow-references', label: 'Go to Flow', check: checkSubflowReferences },
+  { id: 'variable-definitions', label: 'Variable definitions', check: checkVariableDefinitions },
+  { id: 'undefined-variables', label: 'Undefined variables', check: checkUndefinedVariables },
+  { id: 'dangling-handles', label: 'Dead ends and dangling connections', check: checkDanglingHandles },
+  { id: 'closed-loops', label: 'Loops without exit', check: checkClosedLoops },
+  { id: 'unreachable-nodes', label: 'Unreachable nodes', check: checkUnreachableNodes },
+];
+
+/**
+ * Validate a flow against every registered rule
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} edges - Flow edges
+ * @param {Array} variables - Flow variable registry
+ * @param {Object} context - Information from outside the flow
+ * @param {Map} context.subflows - Saved flows referenced by Go to Flow
+ *   nodes (see resolveSubflows); their checks are skipped when absent
+ * @param {string} context.channel - Target channel (one of CHANNELS) whose
+ *   limits messages, buttons and media are checked against; skipped when absent
+ * @returns {Object} Result with isValid (no errors), the issues (errors
+ *   first, each with id, rule, severity, message, nodeIds and edgeIds)
+ *   and the error and warning counts
+ */
+export const validateFlowGraph = (nodes = [], edges = [], variables = [], context = {}) => {
+  const graph = buildGraph(nodes, edges, variables, context.subflows || null, context.channel || null);
+
+  const issues = VALIDATION_RULES.flatMap((rule) =>
+    rule.check(graph).map((issue, index) => ({
+      id: `${rule.id}:${index}`,
+      rule: rule.id,
+      nodeIds: [],
+      edgeIds: [],
+      ...issue,
+    }))
+  );
+
+  const errors = issues.filter((issue) => issue.severity === ISSUE_SEVERITY.ERROR);
+  const warnings = issues.filter((issue) => issue.severity !== ISSUE_SEVERITY.ERROR);
+
+  return {
+    isValid: errors.length === 0,
+    issues: [...errors, ...warnings],
+    errorCount: errors.length,
+    warningCount: warnings.length,
+  };
+};
+
+/**
+ * Find the most serious issue severity for each node
+ *
+ * @param {Array} issues - Issues from validateFlowGraph
+ * @returns {Map} Severity keyed by node ID
+ */
+export const getNodeIssueSeverities = (issues = []) => {
+  const severities = new Map();
+
+  issues.forEach((issue) => {
+    issue.nodeIds.forEach((nodeId) => {
+      if (severities.get(nodeId) !== ISSUE_SEVERITY.ERROR) {
+        severities.set(nodeId, issue.severity);
+      }
+    });
+  });
+
+  return severities;
+};
@@ -0,0 +1,171 @@
+/**
+ * Media helpers for the chatbot flow builder
+ *
+ * Checks the file a Media node sends and reads uploaded files into data
+ * URLs. A Media node references its file either by web address or, for
+ * uploads, by a data URL stored inline with the flow, so uploads are
+ * kept small (see MAX_MEDIA_UPLOAD_SIZE).
+ */
+
+import { MAX_MEDIA_UPLOAD_SIZE, MEDIA_TYPES } from '../constants/nodeTypes';
+import { extractPlaceholders } from './conversationUtils';
+
+// Shape of a base64 data URL: data:<mime type>;base64,<payload>
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,[A-Za-z0-9+/]*=*$/;
+
+/**
+ * Check whether a media reference is an uploaded file stored inline
+ *
+ * @param {string} url - Media URL
+ * @returns {boolean} Whether it is a data URL
+ */
+export const isDataUrl = (url) => typeof url === 'string' && url.startsWith('data:');
+
+/**
+ * Format a size in bytes for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "850 B", "120 KB", "1.5 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Estimate the size of the file held in a data URL
+ *
+ * @param {string} dataUrl - Base64 data URL
+ * @returns {number} Decoded size in bytes
+ */
+export const getDataUrlSize = (dataUrl) => {
+  const payload = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = (payload.match(/=+$/) || [''])[0].length;
+  return Math.floor((payload.length * 3) / 4) - padding;
+};
+
+/**
+ * Check the file reference of a Media node
+ * Web addresses may contain {{placeholders}}, filled in when the flow runs.
+ *
+ * @param {string} url - Web address or data URL
+ * @returns {string|null} Error message, or null when the reference is usable
+ */
+export const validateMediaUrl = (url) => {
+  const value = (url || '').trim();
+  if (!value) {
+    return 'Upload a file or enter its URL';
+  }
+
+  if (isDataUrl(value)) {
+    if (!DATA_URL_PATTERN.test(value)) {
+      return 'The uploaded file is damaged. Upload it again';
+    }
+    if (getDataUrlSize(value) > MAX_MEDIA_UPLOAD_SIZE) {
+      return `Uploaded files can be at most ${formatFileSize(MAX_MEDIA_UPLOAD_SIZE)}`;
+    }
+    return null;
+  }
+
+  // Placeholders are not valid URL characters until they are filled in
+  const candidate = extractPlaceholders(value).reduce(
+    (text, name) => text.split(`{{${name}}}`).join('x'),
+    value
+  );
+  try {
+    const { protocol } = new URL(candidate);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return 'URL must start with http:// or https://';
+    }
+  } catch (error) {
+    return 'Enter a full URL, like https://example.com/image.png';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a file type fits a media kind
+ * Documents accept anything that is not an image or a video.
+ *
+ * @param {string} mimeType - File MIME type
+ * @param {string} mediaType - Media kind (see MEDIA_TYPES)
+ * @returns {boolean} Whether the file can be sent as that kind
+ */
+export const isMimeTypeAllowed = (mimeType, mediaType) => {
+  const type = mimeType || '';
+  switch (mediaType) {
+    case MEDIA_TYPES.IMAGE:
+      return type.startsWith('image/');
+    case MEDIA_TYPES.VIDEO:
+      return type.startsWith('video/');
+    default:
+      return !type.startsWith('image/') && !type.startsWith('video/');
+  }
+};
+
+/**
+ * Get the name shown for a Media node's file
+ *
+ * @param {Object} data - Media node data
+ * @returns {string} Uploaded file name, or the last part of the URL
+ */
+export const getMediaFileName = (data) => {
+  if (data.fileName) return data.fileName;
+  if (!data.url || isDataUrl(data.url)) return '';
+
+  const path = data.url.split(/[?#]/)[0];
+  const segment = path.substring(path.lastIndexOf('/') + 1);
+  try {
+    return decodeURIComponent(segment) || data.url;
+  } catch (error) {
+    // Malformed escape such as a trailing "%": show the name as typed
+    return segment || data.url;
+  }
+};
+
+/**
+ * Read a file chosen by the user into a data URL
+ * Never rejects: failures are returned as result objects.
+ *
+ * @param {File} file - File to read
+ * @param {string} mediaType - Media kind the file is uploaded as
+ * @returns {Promise<Object>} Result object with { url, fileName, mimeType, size } or an error
+ */
+export const readMediaFile = (file, mediaType) => new Promise((resolve) => {
+  if (!file) {
+    resolve({ success: false, error: 'No file selected' });
+    return;
+  }
+
+  if (!isMimeTypeAllowed(file.type, mediaType)) {
+    resolve({ success: false, error: `"${file.name}" is not a${mediaType === MEDIA_TYPES.IMAGE ? 'n' : ''} ${mediaType} file` });
+    return;
+  }
+
+  if (file.size > MAX_MEDIA_UPLOAD_SIZE) {
+    resolve({
+      success: false,
+      error: `"${file.name}" is ${formatFileSize(file.size)}. Uploaded files can be at most ${formatFileSize(MAX_MEDIA_UPLOAD_SIZE)} - use a URL for larger files`,
+    });
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    resolve({
+      success: true,
+      data: {
+        url: reader.result,
+        fileName: file.name,
+        mimeType: file.type || 'application/octet-stream',
+        size: file.size,
+      },
+    });
+  };
+  reader.onerror = () => {
+    resolve({ success: false, error: `"${file.name}" could not be read` });
+  };
+  reader.readAsDataURL(file);
+});
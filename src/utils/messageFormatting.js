@@ -0,0 +1,396 @@
+/**
+ * Message formatting helpers for the chatbot flow builder
+ *
+ * Message text is stored as a small, portable Markdown subset:
+ * **bold**, _italic_, [links](https://example.com), "- " list items and
+ * line breaks. A backslash keeps a marker literal (\*, \_, \[). The
+ * helpers here parse that markup, apply toolbar actions to it and convert
+ * it to what each channel understands: WhatsApp-style markers, HTML or
+ * plain text. {{variable}} placeholders are never treated as formatting,
+ * so names like {{first_name}} keep their underscores.
+ */
+
+import { MESSAGE_FORMATS } from '../constants/nodeTypes';
+
+// Placeholder at the start of a string; copied through untouched
+const PLACEHOLDER_PATTERN = /^\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\}/;
+
+// Link at the start of a string: [label](target)
+const LINK_PATTERN = /^\[([^\]\n]+)\]\(([^)\s]+)\)/;
+
+// List item line: "- item", "* item" or "• item"
+const LIST_ITEM_PATTERN = /^\s*[-*•]\s+(.*)$/;
+
+// Characters a backslash keeps literal
+const ESCAPABLE = ['\\', '*', '_', '[', ']'];
+
+// Link targets channels can open; anything else is shown as text
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:|tel:|\{\{)/i;
+
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+const isSpace = (char) => !char || /\s/.test(char);
+
+/**
+ * Find where a bold or italic span closes
+ * Placeholders and escaped characters are skipped. The closing marker
+ * must follow a non-space character, and an underscore must not be
+ * followed by a letter (so snake_case words stay as they are).
+ *
+ * @param {string} source - Inline text
+ * @param {number} from - Index just after the opening marker
+ * @param {string} marker - '**' or '_'
+ * @returns {number} Index of the closing marker, or -1
+ */
+const findClosingMarker = (source, from, marker) => {
+  let index = from;
+  while (index < source.length) {
+    if (source[index] === '\\' && ESCAPABLE.includes(source[index + 1])) {
+      index += 2;
+      continue;
+    }
+    const placeholder = source.slice(index).match(PLACEHOLDER_PATTERN);
+    if (placeholder) {
+      index += placeholder[0].length;
+      continue;
+    }
+    if (
+      index > from &&
+      source.startsWith(marker, index) &&
+      !isSpace(source[index - 1]) &&
+      (marker !== '_' || !isWordChar(source[index + 1]))
+    ) {
+      return index;
+    }
+    index += 1;
+  }
+  return -1;
+};
+
+/**
+ * Parse inline markup
+ *
+ * @param {string} source - One line of message text
+ * @returns {Array} Inline nodes: { type: 'text', text }, or
+ *   { type: 'bold' | 'italic', children } and { type: 'link', href, children }
+ */
+export const parseInline = (source = '') => {
+  const nodes = [];
+  let buffer = '';
+  let index = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index);
+
+    if (char === '\\' && ESCAPABLE.includes(source[index + 1])) {
+      buffer += source[index + 1];
+      index += 2;
+      continue;
+    }
+
+    const placeholder = rest.match(PLACEHOLDER_PATTERN);
+    if (placeholder) {
+      buffer += placeholder[0];
+      index += placeholder[0].length;
+      continue;
+    }
+
+    if (rest.startsWith('**') && !isSpace(source[index + 2])) {
+      const close = findClosingMarker(source, index + 2, '**');
+      if (close !== -1) {
+        flush();
+        nodes.push({ type: 'bold', children: parseInline(source.slice(index + 2, close)) });
+        index = close + 2;
+        continue;
+      }
+    }
+
+    if (char === '_' && !isWordChar(source[index - 1]) && !isSpace(source[index + 1])) {
+      const close = findClosingMarker(source, index + 1, '_');
+      if (close !== -1) {
+        flush();
+        nodes.push({ type: 'italic', children: parseInline(source.slice(index + 1, close)) });
+        index = close + 1;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = rest.match(LINK_PATTERN);
+      if (link) {
+        flush();
+        nodes.push({ type: 'link', href: link[2], children: parseInline(link[1]) });
+        index += link[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    index += 1;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Parse message markup into blocks
+ * Consecutive list item lines form a list; other lines form text blocks
+ * whose lines are separated by line breaks.
+ *
+ * @param {string} text - Message text
+ * @returns {Array} Blocks: { type: 'text', lines } or { type: 'list', items },
+ *   where each line or item is an array of inline nodes
+ */
+export const parseMarkup = (text = '') => {
+  const blocks = [];
+
+  String(text).split('\n').forEach((line) => {
+    const item = line.match(LIST_ITEM_PATTERN);
+    const type = item ? 'list' : 'text';
+    let block = blocks[blocks.length - 1];
+
+    if (!block || block.type !== type) {
+      block = type === 'list' ? { type, items: [] } : { type, lines: [] };
+      blocks.push(block);
+    }
+
+    if (item) {
+      block.items.push(parseInline(item[1]));
+    } else {
+      block.lines.push(parseInline(line));
+    }
+  });
+
+  return blocks;
+};
+
+/**
+ * Check whether a link target can be offered as a link
+ *
+ * @param {string} href - Link target
+ * @returns {boolean} Whether the target is a web, email or phone link (or a placeholder)
+ */
+export const isSafeLink = (href = '') => SAFE_LINK_PATTERN.test(href.trim());
+
+/**
+ * Text of inline nodes without any formatting
+ *
+ * @param {Array} nodes - Inline nodes
+ * @returns {string} Visible text
+ */
+export const getInlineText = (nodes) =>
+  nodes.map((node) => (node.type === 'text' ? node.text : getInlineText(node.children))).join('');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Label and target of a link as text, without repeating a bare URL
+ *
+ * @param {string} label - Visible link text
+ * @param {string} href - Link target
+ * @returns {string} "label (target)", or the target alone
+ */
+const describeLink = (label, href) => (label.trim() === href ? href : `${label} (${href})`);
+
+/**
+ * Converters from inline nodes to each export format
+ */
+const INLINE_RENDERERS = {
+  [MESSAGE_FORMATS.WHATSAPP]: (node, children) => {
+    switch (node.type) {
+      case 'bold':
+        return `*${children}*`;
+      case 'italic':
+        return `_${children}_`;
+      case 'link':
+        return describeLink(children, node.href);
+      default:
+        return node.text;
+    }
+  },
+  [MESSAGE_FORMATS.HTML]: (node, children) => {
+    switch (node.type) {
+      case 'bold':
+        return `<strong>${children}</strong>`;
+      case 'italic':
+        return `<em>${children}</em>`;
+      case 'link':
+        return isSafeLink(node.href) ? `<a href="${escapeHtml(node.href)}">${children}</a>` : children;
+      default:
+        return escapeHtml(node.text);
+    }
+  },
+  [MESSAGE_FORMATS.PLAIN]: (node, children) => {
+    switch (node.type) {
+      case 'link':
+        return describeLink(children, node.href);
+      case 'bold':
+      case 'italic':
+        return children;
+      default:
+        return node.text;
+    }
+  },
+};
+
+const renderInline = (nodes, format) => nodes
+  .map((node) => INLINE_RENDERERS[format](node, node.children ? renderInline(node.children, format) : ''))
+  .join('');
+
+/**
+ * Convert message markup to a channel format
+ *
+ * @param {string} text - Message text (Markdown subset)
+ * @param {string} format - One of MESSAGE_FORMATS
+ * @returns {string} Converted text; Markdown is returned unchanged
+ */
+export const convertMessageText = (text = '', format = MESSAGE_FORMATS.MARKDOWN) => {
+  if (!INLINE_RENDERERS[format]) {
+    return text;
+  }
+
+  const blocks = parseMarkup(text);
+
+  if (format === MESSAGE_FORMATS.HTML) {
+    return blocks.map((block) => (block.type === 'list'
+      ? `<ul>${block.items.map((item) => `<li>${renderInline(item, format)}</li>`).join('')}</ul>`
+      : block.lines.map((line) => renderInline(line, format)).join('<br>')
+    )).join('');
+  }
+
+  return blocks.map((block) => (block.type === 'list'
+    ? block.items.map((item) => `• ${renderInline(item, format)}`).join('\n')
+    : block.lines.map((line) => renderInline(line, format)).join('\n')
+  )).join('\n');
+};
+
+/**
+ * Convert the message text of every Send Message node in a flow,
+ * translations included
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {string} format - One of MESSAGE_FORMATS
+ * @returns {Array} Nodes with converted text (unchanged for Markdown)
+ */
+export const convertFlowMessages = (nodes, format) => {
+  if (format === MESSAGE_FORMATS.MARKDOWN) {
+    return nodes;
+  }
+  return nodes.map((node) => {
+    if (node.type !== 'textMessage' || !(node.data?.text || node.data?.translations)) {
+      return node;
+    }
+
+    const data = { ...node.data, text: convertMessageText(node.data.text || '', format) };
+    if (node.data.translations) {
+      data.translations = Object.fromEntries(Object.entries(node.data.translations)
+        .map(([locale, text]) => [locale, convertMessageText(text, format)]));
+    }
+    return { ...node, data };
+  });
+};
+
+// Markers wrapped around the selection by the toolbar
+const WRAP_MARKERS = {
+  bold: '**',
+  italic: '_',
+};
+
+/**
+ * Apply a formatting toolbar action to the selected text
+ *
+ * - 'bold' / 'italic' wrap the selection in markers, or remove markers
+ *   already around it; with nothing selected the cursor lands between them
+ * - 'link' turns the selection into [selection](https://) with the address selected
+ * - 'list' makes the selected lines list items, or plain lines if they all are
+ * - 'insert' replaces the selection with `value` (used for emojis)
+ *
+ * @param {string} text - Message text
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} action - 'bold', 'italic', 'link', 'list' or 'insert'
+ * @param {string} value - Text to insert for 'insert'
+ * @returns {Object} { text, selectionStart, selectionEnd } after the action
+ */
+export const applyFormatting = (text, start, end, action, value = '') => {
+  const before = text.slice(0, start);
+  const selected = text.slice(start, end);
+  const after = text.slice(end);
+
+  if (WRAP_MARKERS[action]) {
+    const marker = WRAP_MARKERS[action];
+    const size = marker.length;
+
+    // Markers just outside the selection are removed, as are markers selected with the text
+    if (before.endsWith(marker) && after.startsWith(marker)) {
+      return {
+        text: `${before.slice(0, -size)}${selected}${after.slice(size)}`,
+        selectionStart: start - size,
+        selectionEnd: end - size,
+      };
+    }
+    if (selected.length > size * 2 && selected.startsWith(marker) && selected.endsWith(marker)) {
+      const inner = selected.slice(size, -size);
+      return { text: `${before}${inner}${after}`, selectionStart: start, selectionEnd: start + inner.length };
+    }
+
+    // Keep spaces selected by a double-click outside the markers
+    const [, leading, core, trailing] = selected.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return {
+      text: `${before}${leading}${marker}${core}${marker}${trailing}${after}`,
+      selectionStart: start + leading.length + size,
+      selectionEnd: start + leading.length + size + core.length,
+    };
+  }
+
+  if (action === 'link') {
+    const label = selected || 'link text';
+    const address = 'https://';
+    const linked = `[${label}](${address})`;
+    const labelStart = before.length + 1;
+    return {
+      text: `${before}${linked}${after}`,
+      selectionStart: selected ? labelStart + label.length + 2 : labelStart,
+      selectionEnd: selected ? labelStart + label.length + 2 + address.length : labelStart + label.length,
+    };
+  }
+
+  if (action === 'list') {
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const nextBreak = text.indexOf('\n', Math.max(end - (selected.endsWith('\n') ? 1 : 0), start));
+    const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+    const lines = text.slice(lineStart, lineEnd).split('\n');
+    const allItems = lines.every((line) => LIST_ITEM_PATTERN.test(line));
+    const toggled = lines
+      .map((line) => (allItems ? line.replace(/^\s*[-*•]\s+/, '') : `- ${line}`))
+      .join('\n');
+
+    return {
+      text: `${text.slice(0, lineStart)}${toggled}${text.slice(lineEnd)}`,
+      selectionStart: lineStart,
+      selectionEnd: lineStart + toggled.length,
+    };
+  }
+
+  if (action === 'insert') {
+    return {
+      text: `${before}${value}${after}`,
+      selectionStart: start + value.length,
+      selectionEnd: start + value.length,
+    };
+  }
+
+  return { text, selectionStart: start, selectionEnd: end };
+};
@@ -9,7 +9,7 @@
  * - Error handling for storage quota and parsing issues
  * - Data validation to ensure flow integrity
  * - Versioning support for future migrations
- * - Backup and restore capabilities
+ * - Rolling per-flow snapshots with restore capabilities
  * 
  * Industry Best Practices:
  * - Comprehensive error handling with fallback strategies
@@ -19,16 +19,89 @@
  * - Performance optimized with minimal overhead
  */
 
+import { generateId } from './flowUtils';
+import { CURRENT_SCHEMA_VERSION, migrateFlowData } from './flowMigrations';
+import { CHANNEL_PROFILES } from '../constants/nodeTypes';
+
 // Storage keys for different data types
 const STORAGE_KEYS = {
-  CURRENT_FLOW: 'chatbot_flow_current',
+  CURRENT_FLOW: 'chatbot_flow_current', // Legacy single-flow slot, migrated into the library on load
   SAVED_FLOWS: 'chatbot_flow_saved_list',
   USER_PREFERENCES: 'chatbot_flow_preferences',
-  BACKUP_FLOW: 'chatbot_flow_backup'
+  BACKUP_FLOW: 'chatbot_flow_backup' // Legacy single backup slot, replaced by per-flow snapshots
 };
 
-// Current storage version for migration support
-const STORAGE_VERSION = '1.0.0';
+// Current storage version for migration support (see flowMigrations.js)
+const STORAGE_VERSION = CURRENT_SCHEMA_VERSION;
+
+// Each named flow is stored under its own key: prefix + flow ID
+const FLOW_KEY_PREFIX = 'chatbot_flow_item_';
+
+// Each flow's snapshots are stored under their own key: prefix + flow ID
+const SNAPSHOT_KEY_PREFIX = 'chatbot_flow_snapshots_';
+
+// Each flow's autosaved draft is stored under its own key: prefix + flow ID
+const DRAFT_KEY_PREFIX = 'chatbot_flow_draft_';
+
+// Number of snapshots kept per flow; older ones are dropped
+const MAX_SNAPSHOTS_PER_FLOW = 10;
+
+// Name given to a flow migrated from the legacy single-flow slot
+const LEGACY_FLOW_NAME = 'My Flow';
+
+// Maximum length of a flow name
+const MAX_FLOW_NAME_LENGTH = 60;
+
+/**
+ * Build the storage key holding a named flow's data
+ * @param {string} flowId - Flow ID
+ * @returns {string} Storage key
+ */
+const getFlowKey = (flowId) => `${FLOW_KEY_PREFIX}${flowId}`;
+
+/**
+ * Build the storage key holding a flow's snapshots
+ * @param {string} flowId - Flow ID
+ * @returns {string} Storage key
+ */
+const getSnapshotKey = (flowId) => `${SNAPSHOT_KEY_PREFIX}${flowId}`;
+
+/**
+ * Build the storage key holding a flow's autosaved draft
+ * @param {string} flowId - Flow ID
+ * @returns {string} Storage key
+ */
+const getDraftKey = (flowId) => `${DRAFT_KEY_PREFIX}${flowId}`;
+
+/**
+ * Translate a storage exception into a user-facing error
+ * @param {Error} error - Error thrown by a storage operation
+ * @returns {Object} Error code and user message
+ */
+const describeStorageError = (error) => {
+  if (error.name === 'QuotaExceededError') {
+    return {
+      code: 'STORAGE_QUOTA_EXCEEDED',
+      message: 'Storage quota exceeded. Please clear some data and try again.'
+    };
+  }
+  if (error.message.includes('JSON')) {
+    return {
+      code: 'SERIALIZATION_ERROR',
+      message: 'Failed to prepare flow data for saving'
+    };
+  }
+  if (error.message.includes('localStorage') || error.name === 'SecurityError') {
+    return {
+      code: 'STORAGE_ACCESS_ERROR',
+      message: 'Cannot access storage. This may be due to private browsing mode or browser security settings.'
+    };
+  }
+  return {
+    code: 'UNKNOWN_ERROR',
+    message: 'Failed to save flow due to an unknown error'
+  };
+};
 
 // In-memory fallback storage for when localStorage is not available
 let memoryStorage = {};
@@ -87,8 +160,9 @@ class FlowStorageManager {
   /**
    * Save current flow to localStorage
    * 
-   * Automatically creates a backup before saving new data to prevent data loss.
-   * Includes metadata for better flow management and debugging.
+   * Saves into the active flow of the library (creating one if the library
+   * is empty). Every save is also recorded as a snapshot so earlier versions
+   * can be restored. Includes metadata for better flow management and debugging.
    * 
    * @param {Object} flowData - Complete flow data object
    * @param {Array} flowData.nodes - Array of node objects
@@ -97,11 +171,46 @@ class FlowStorageManager {
    * @returns {Object} Result object with success status and any error message
    */
   static saveCurrentFlow(flowData) {
+    let activeFlowId = this.getActiveFlowId();
+
+    if (!activeFlowId) {
+      const created = this.createFlow(LEGACY_FLOW_NAME);
+      if (!created.success) {
+        return created;
+      }
+      activeFlowId = created.data.id;
+      this.setActiveFlowId(activeFlowId);
+    }
+
+    return this.saveFlow(activeFlowId, flowData);
+  }
+
+  /**
+   * Save flow data into a named flow of the library
+   * 
+   * @param {string} flowId - ID of the flow to save into
+   * @param {Object} flowData - Complete flow data object
+   * @returns {Object} Result object with success status and any error message
+   */
+  static saveFlow(flowId, flowData) {
     try {
-      // Create backup of existing flow before overwriting
-      const existingFlow = this.getCurrentFlow();
-      if (existingFlow.success && existingFlow.data) {
-        this.createBackup(existingFlow.data);
+      const entry = this.readLibraryIndex().find((flow) => flow.id === flowId);
+      if (!entry) {
+        return {
+          success: false,
+          error: 'This flow no longer exists in your library',
+          code: 'FLOW_NOT_FOUND'
+        };
+      }
+
+      // Keep data saved with an older schema, and flows saved before
+      // snapshots existed, restorable
+      this.snapshotOutdatedFlow(flowId);
+      if (this.readSnapshots(flowId).length === 0) {
+        const existingFlow = this.loadFlow(flowId);
+        if (existingFlow.success && existingFlow.data && existingFlow.data.nodes.length > 0) {
+          this.createSnapshot(flowId, existingFlow.data, 'Earlier save');
+        }
       }
 
       // Prepare enhanced flow data with metadata
@@ -110,6 +219,8 @@ class FlowStorageManager {
         metadata: {
           ...flowData.metadata,
           version: STORAGE_VERSION,
+          flowId,
+          name: entry.name,
           savedAt: new Date().toISOString(),
           nodeCount: flowData.nodes?.length || 0,
           edgeCount: flowData.edges?.length || 0,
@@ -138,14 +249,26 @@ class FlowStorageManager {
 
       // Serialize and save using storage wrapper
       const serializedData = JSON.stringify(enhancedFlowData);
-      storageWrapper.setItem(STORAGE_KEYS.CURRENT_FLOW, serializedData);
+      storageWrapper.setItem(getFlowKey(flowId), serializedData);
 
       // Verify the save operation
-      const verificationData = storageWrapper.getItem(STORAGE_KEYS.CURRENT_FLOW);
+      const verificationData = storageWrapper.getItem(getFlowKey(flowId));
       if (!verificationData) {
         throw new Error('Failed to verify saved data');
       }
 
+      this.createSnapshot(flowId, enhancedFlowData, 'Saved');
+
+      // The draft is superseded by the saved version
+      this.clearDraft(flowId);
+
+      // Keep the library listing in sync with the saved data
+      this.updateLibraryEntry(flowId, {
+        nodeCount: enhancedFlowData.metadata.nodeCount,
+        edgeCount: enhancedFlowData.metadata.edgeCount,
+        lastModified: enhancedFlowData.metadata.lastModified
+      });
+
       return {
         success: true,
         data: enhancedFlowData,
@@ -161,24 +284,12 @@ class FlowStorageManager {
       });
       
       // Determine error type for better user feedback
-      let errorCode = 'UNKNOWN_ERROR';
-      let userMessage = 'Failed to save flow due to an unknown error';
-
-      if (error.name === 'QuotaExceededError') {
-        errorCode = 'STORAGE_QUOTA_EXCEEDED';
-        userMessage = 'Storage quota exceeded. Please clear some data and try again.';
-      } else if (error.message.includes('JSON')) {
-        errorCode = 'SERIALIZATION_ERROR';
-        userMessage = 'Failed to prepare flow data for saving';
-      } else if (error.message.includes('localStorage') || error.name === 'SecurityError') {
-        errorCode = 'STORAGE_ACCESS_ERROR';
-        userMessage = 'Cannot access storage. This may be due to private browsing mode or browser security settings.';
-      }
+      const { code, message } = describeStorageError(error);
 
       return {
         success: false,
-        error: userMessage,
-        code: errorCode,
+        error: message,
+        code,
         details: error.message,
         originalError: error
       };
@@ -188,16 +299,76 @@ class FlowStorageManager {
   /**
    * Load current flow from localStorage
    * 
-   * Retrieves and validates stored flow data with comprehensive error handling.
+   * Opens the active flow of the library (see openFlow). Flows saved by
+   * older versions in the single-flow slot are migrated into the library first.
    * Returns a consistent result object for easy error handling in UI components.
    * 
    * @returns {Object} Result object with flow data or error information
    */
   static getCurrentFlow() {
+    this.migrateLegacyFlow();
+
+    const activeFlowId = this.getActiveFlowId();
+
+    // Handle case where no flow exists
+    if (!activeFlowId) {
+      return {
+        success: true,
+        data: null,
+        message: 'No saved flow found'
+      };
+    }
+
+    return {
+      ...this.openFlow(activeFlowId),
+      flowId: activeFlowId
+    };
+  }
+
+  /**
+   * Open a named flow for editing
+   * 
+   * Loads the flow like loadFlow. Data saved with an older schema is
+   * written back upgraded (the original is kept as a snapshot), so the
+   * upgrade is only reported once.
+   * 
+   * @param {string} flowId - ID of the flow to open
+   * @returns {Object} Result object with flow data or error information
+   */
+  static openFlow(flowId) {
+    const result = this.loadFlow(flowId);
+
+    if (result.success && result.migration) {
+      try {
+        this.snapshotOutdatedFlow(flowId);
+        storageWrapper.setItem(getFlowKey(flowId), JSON.stringify(result.data));
+      } catch (error) {
+        // The upgrade is redone on the next load
+        console.warn('Failed to persist flow upgrade:', error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Load a named flow from localStorage
+   * 
+   * Retrieves and validates stored flow data with comprehensive error handling.
+   * Data saved with an older schema is upgraded in memory through the
+   * migration pipeline and the upgrade is reported in `migration`; nothing
+   * is written, so flows can be read for other flows and copies without
+   * side effects. Data from a newer schema is refused.
+   * Falls back to the latest snapshot when the stored data is corrupted.
+   * 
+   * @param {string} flowId - ID of the flow to load
+   * @returns {Object} Result object with flow data or error information
+   */
+  static loadFlow(flowId) {
     try {
-      const storedData = storageWrapper.getItem(STORAGE_KEYS.CURRENT_FLOW);
+      const storedData = storageWrapper.getItem(getFlowKey(flowId));
       
-      // Handle case where no flow exists
+      // Handle case where the flow has never been saved
       if (!storedData) {
         return {
           success: true,
@@ -207,20 +378,31 @@ class FlowStorageManager {
       }
 
       // Parse stored JSON data
-      const flowData = JSON.parse(storedData);
+      const storedFlow = JSON.parse(storedData);
+
+      // Upgrade data written with an older schema; refuse newer schemas
+      const migration = migrateFlowData(storedFlow);
+      if (!migration.success && migration.code !== 'INVALID_DATA') {
+        return {
+          success: false,
+          error: migration.error,
+          code: migration.code
+        };
+      }
+      const flowData = migration.success ? migration.data : storedFlow;
 
       // Validate loaded data
       const validation = this.validateFlowData(flowData);
       if (!validation.isValid) {
         console.warn('Loaded flow data is invalid:', validation.error);
         
-        // Attempt to load backup if primary data is corrupted
-        const backupResult = this.loadBackup();
-        if (backupResult.success) {
+        // Attempt to load the latest snapshot if primary data is corrupted
+        const latestSnapshot = this.listSnapshots(flowId).data?.[0];
+        if (latestSnapshot) {
           return {
             success: true,
-            data: backupResult.data,
-            message: 'Loaded from backup due to corrupted primary data',
+            data: latestSnapshot.flowData,
+            message: 'Loaded from the latest snapshot due to corrupted primary data',
             warning: 'Primary flow data was corrupted'
           };
         }
@@ -235,7 +417,10 @@ class FlowStorageManager {
       return {
         success: true,
         data: flowData,
-        message: 'Flow loaded successfully'
+        message: 'Flow loaded successfully',
+        migration: migration.migrated
+          ? { fromVersion: migration.fromVersion, changes: migration.changes }
+          : null
       };
 
     } catch (error) {
@@ -260,80 +445,604 @@ class FlowStorageManager {
     }
   }
 
+  // ========================================================================================
+  // FLOW LIBRARY
+  // ========================================================================================
+
   /**
-   * Create a backup of flow data
+   * List all named flows, most recently modified first
    * 
-   * Maintains a single backup copy for recovery purposes.
-   * Automatically overwrites previous backup to manage storage usage.
+   * @returns {Object} Result object with an array of library entries
+   *   ({ id, name, createdAt, lastModified, nodeCount, edgeCount, and the
+   *   target channel once one was chosen })
+   */
+  static listFlows() {
+    try {
+      this.migrateLegacyFlow();
+
+      const flows = [...this.readLibraryIndex()].sort(
+        (a, b) => new Date(b.lastModified) - new Date(a.lastModified)
+      );
+
+      return {
+        success: true,
+        data: flows
+      };
+    } catch (error) {
+      console.error('Error listing flows:', error);
+      return {
+        success: false,
+        error: 'Failed to read your flow library',
+        code: 'LIBRARY_ERROR',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Create a new named flow
    * 
-   * @param {Object} flowData - Flow data to backup
-   * @returns {boolean} Success status
+   * @param {string} name - Flow name (must be unique)
+   * @param {Object} flowData - Initial flow data (defaults to an empty flow); its metadata is replaced
+   * @returns {Object} Result object with the new library entry
    */
-  static createBackup(flowData) {
+  static createFlow(name, flowData = { nodes: [], edges: [] }) {
+    const nameCheck = this.validateFlowName(name);
+    if (!nameCheck.isValid) {
+      return { success: false, error: nameCheck.error, code: nameCheck.code };
+    }
+
     try {
-      const backupData = {
-        ...flowData,
-        backupCreatedAt: new Date().toISOString(),
-        isBackup: true
+      const now = new Date().toISOString();
+      const entry = {
+        id: generateId('flow'),
+        name: nameCheck.name,
+        createdAt: now,
+        lastModified: now,
+        nodeCount: 0,
+        edgeCount: 0
+      };
+
+      this.writeLibraryIndex([...this.readLibraryIndex(), entry]);
+
+      // Keep every field of the data; only the metadata describes the new flow
+      const { metadata, ...data } = flowData;
+      const saveResult = this.saveFlow(entry.id, {
+        ...data,
+        nodes: data.nodes || [],
+        edges: data.edges || [],
+        variables: data.variables || [],
+        metadata: { createdAt: now }
+      });
+
+      if (!saveResult.success) {
+        // Roll back the library entry so no empty shell is left behind
+        this.writeLibraryIndex(this.readLibraryIndex().filter((flow) => flow.id !== entry.id));
+        return saveResult;
+      }
+
+      return {
+        success: true,
+        data: this.readLibraryIndex().find((flow) => flow.id === entry.id)
       };
+    } catch (error) {
+      console.error('Error creating flow:', error);
+      const { code, message } = describeStorageError(error);
+      return { success: false, error: message, code, details: error.message };
+    }
+  }
+
+  /**
+   * Rename a flow
+   * 
+   * @param {string} flowId - ID of the flow to rename
+   * @param {string} name - New flow name (must be unique)
+   * @returns {Object} Result object with the updated library entry
+   */
+  static renameFlow(flowId, name) {
+    const nameCheck = this.validateFlowName(name, flowId);
+    if (!nameCheck.isValid) {
+      return { success: false, error: nameCheck.error, code: nameCheck.code };
+    }
+
+    const entry = this.updateLibraryEntry(flowId, { name: nameCheck.name });
+    if (!entry) {
+      return { success: false, error: 'This flow no longer exists in your library', code: 'FLOW_NOT_FOUND' };
+    }
+
+    return { success: true, data: entry };
+  }
+
+  /**
+   * Set the channel a flow is built for
+   * Applies immediately, like the name; it is not part of the flow data.
+   * 
+   * @param {string} flowId - ID of the flow
+   * @param {string} channel - One of CHANNELS
+   * @returns {Object} Result object with the updated library entry
+   */
+  static setFlowChannel(flowId, channel) {
+    if (!CHANNEL_PROFILES[channel]) {
+      return { success: false, error: 'Unknown channel', code: 'INVALID_CHANNEL' };
+    }
+
+    const entry = this.updateLibraryEntry(flowId, { channel });
+    if (!entry) {
+      return { success: false, error: 'This flow no longer exists in your library', code: 'FLOW_NOT_FOUND' };
+    }
+
+    return { success: true, data: entry };
+  }
+
+  /**
+   * Duplicate a flow under a new name
+   * 
+   * @param {string} flowId - ID of the flow to copy
+   * @param {string} name - Name for the copy (defaults to "<name> (copy)")
+   * @returns {Object} Result object with the new library entry
+   */
+  static duplicateFlow(flowId, name) {
+    const source = this.readLibraryIndex().find((flow) => flow.id === flowId);
+    if (!source) {
+      return { success: false, error: 'This flow no longer exists in your library', code: 'FLOW_NOT_FOUND' };
+    }
+
+    const loadResult = this.loadFlow(flowId);
+    if (!loadResult.success) {
+      return loadResult;
+    }
+
+    const createResult = this.createFlow(
+      name || this.getAvailableFlowName(`${source.name} (copy)`),
+      loadResult.data || { nodes: [], edges: [] }
+    );
+
+    // The copy targets the same channel as the original
+    if (createResult.success && source.channel) {
+      return { success: true, data: this.updateLibraryEntry(createResult.data.id, { channel: source.channel }) };
+    }
+    return createResult;
+  }
+
+  /**
+   * Delete a flow and its stored data
+   * 
+   * @param {string} flowId - ID of the flow to delete
+   * @returns {Object} Result object with success status
+   */
+  static deleteFlow(flowId) {
+    try {
+      const flows = this.readLibraryIndex();
+      if (!flows.some((flow) => flow.id === flowId)) {
+        return { success: false, error: 'This flow no longer exists in your library', code: 'FLOW_NOT_FOUND' };
+      }
+
+      this.writeLibraryIndex(flows.filter((flow) => flow.id !== flowId));
+      storageWrapper.removeItem(getFlowKey(flowId));
+      storageWrapper.removeItem(getSnapshotKey(flowId));
+      storageWrapper.removeItem(getDraftKey(flowId));
+
+      if (this.readPreferences().activeFlowId === flowId) {
+        this.writePreferences({ activeFlowId: null });
+      }
+
+      return { success: true, message: 'Flow deleted' };
+    } catch (error) {
+      console.error('Error deleting flow:', error);
+      return { success: false, error: 'Failed to delete flow', code: 'DELETE_ERROR', details: error.message };
+    }
+  }
+
+  /**
+   * Get the ID of the flow being edited
+   * Falls back to the most recently modified flow if none is marked active.
+   * 
+   * @returns {string|null} Active flow ID, or null if the library is empty
+   */
+  static getActiveFlowId() {
+    const flows = this.readLibraryIndex();
+    const { activeFlowId } = this.readPreferences();
+
+    if (activeFlowId && flows.some((flow) => flow.id === activeFlowId)) {
+      return activeFlowId;
+    }
+
+    const mostRecent = [...flows].sort(
+      (a, b) => new Date(b.lastModified) - new Date(a.lastModified)
+    )[0];
+    return mostRecent ? mostRecent.id : null;
+  }
+
+  /**
+   * Mark a flow as the one being edited
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {boolean} Success status
+   */
+  static setActiveFlowId(flowId) {
+    return this.writePreferences({ activeFlowId: flowId });
+  }
+
+  /**
+   * Validate a flow name
+   * 
+   * @param {string} name - Proposed name
+   * @param {string} ignoreFlowId - Flow allowed to already use the name (when renaming)
+   * @returns {Object} Validation result with the trimmed name or an error
+   */
+  static validateFlowName(name, ignoreFlowId = null) {
+    const trimmedName = (name || '').trim();
+
+    if (!trimmedName) {
+      return { isValid: false, error: 'Flow name cannot be empty', code: 'INVALID_NAME' };
+    }
+    if (trimmedName.length > MAX_FLOW_NAME_LENGTH) {
+      return { isValid: false, error: `Flow name must be ${MAX_FLOW_NAME_LENGTH} characters or fewer`, code: 'INVALID_NAME' };
+    }
+
+    const isTaken = this.readLibraryIndex().some(
+      (flow) => flow.id !== ignoreFlowId && flow.name.toLowerCase() === trimmedName.toLowerCase()
+    );
+    if (isTaken) {
+      return { isValid: false, error: `A flow named "${trimmedName}" already exists`, code: 'DUPLICATE_NAME' };
+    }
+
+    return { isValid: true, name: trimmedName };
+  }
 
-      storageWrapper.setItem(STORAGE_KEYS.BACKUP_FLOW, JSON.stringify(backupData));
+  /**
+   * Find an unused flow name based on a preferred one
+   * 
+   * @param {string} baseName - Preferred name
+   * @returns {string} baseName, or baseName with a number appended
+   */
+  static getAvailableFlowName(baseName) {
+    const names = new Set(this.readLibraryIndex().map((flow) => flow.name.toLowerCase()));
+    let candidate = baseName;
+    let counter = 2;
+
+    while (names.has(candidate.toLowerCase())) {
+      candidate = `${baseName} ${counter}`;
+      counter++;
+    }
+    return candidate;
+  }
+
+  /**
+   * Move a flow saved by an older version into the library
+   * Only runs while the library is empty.
+   * 
+   * @private
+   */
+  static migrateLegacyFlow() {
+    try {
+      if (this.readLibraryIndex().length > 0) return;
+
+      const legacyData = storageWrapper.getItem(STORAGE_KEYS.CURRENT_FLOW);
+      if (!legacyData) return;
+
+      const migration = migrateFlowData(JSON.parse(legacyData));
+      if (!migration.success || !this.validateFlowData(migration.data).isValid) return;
+
+      const created = this.createFlow(LEGACY_FLOW_NAME, migration.data);
+      if (created.success) {
+        this.setActiveFlowId(created.data.id);
+        storageWrapper.removeItem(STORAGE_KEYS.CURRENT_FLOW);
+      }
+    } catch (error) {
+      console.warn('Failed to migrate legacy flow:', error);
+    }
+  }
+
+  /**
+   * Read the library index
+   * 
+   * @private
+   * @returns {Array} Library entries
+   */
+  static readLibraryIndex() {
+    try {
+      const storedIndex = storageWrapper.getItem(STORAGE_KEYS.SAVED_FLOWS);
+      const flows = storedIndex ? JSON.parse(storedIndex) : [];
+      return Array.isArray(flows) ? flows : [];
+    } catch (error) {
+      console.warn('Flow library index is corrupted:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the library index
+   * 
+   * @private
+   * @param {Array} flows - Library entries
+   */
+  static writeLibraryIndex(flows) {
+    storageWrapper.setItem(STORAGE_KEYS.SAVED_FLOWS, JSON.stringify(flows));
+  }
+
+  /**
+   * Merge changes into one library entry
+   * 
+   * @private
+   * @param {string} flowId - Flow ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} Updated entry, or null if the flow does not exist
+   */
+  static updateLibraryEntry(flowId, changes) {
+    let updatedEntry = null;
+    const flows = this.readLibraryIndex().map((flow) => {
+      if (flow.id !== flowId) return flow;
+      updatedEntry = { ...flow, ...changes };
+      return updatedEntry;
+    });
+
+    if (updatedEntry) {
+      this.writeLibraryIndex(flows);
+    }
+    return updatedEntry;
+  }
+
+  /**
+   * Read user preferences
+   * 
+   * @private
+   * @returns {Object} Preferences object
+   */
+  static readPreferences() {
+    try {
+      const storedPreferences = storageWrapper.getItem(STORAGE_KEYS.USER_PREFERENCES);
+      return storedPreferences ? JSON.parse(storedPreferences) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Merge changes into user preferences
+   * 
+   * @private
+   * @param {Object} changes - Preferences to update
+   * @returns {boolean} Success status
+   */
+  static writePreferences(changes) {
+    try {
+      storageWrapper.setItem(
+        STORAGE_KEYS.USER_PREFERENCES,
+        JSON.stringify({ ...this.readPreferences(), ...changes })
+      );
       return true;
     } catch (error) {
-      console.warn('Failed to create backup:', error);
+      console.warn('Failed to save preferences:', error);
       return false;
     }
   }
 
+  // ========================================================================================
+  // DRAFTS
+  // ========================================================================================
+
   /**
-   * Load backup flow data
+   * Autosave unpublished edits of a flow
    * 
-   * Retrieves backup data for recovery scenarios.
-   * Used when primary flow data is corrupted or unavailable.
+   * Drafts are kept apart from the saved flow: they skip the flow rules
+   * enforced by a manual save and never replace the saved version, so
+   * work in progress survives a closed tab without being published.
    * 
-   * @returns {Object} Result object with backup data or error
+   * @param {string} flowId - ID of the flow being edited
+   * @param {Object} flowData - Flow data on the canvas
+   * @returns {Object} Result object with the draft timestamp
    */
-  static loadBackup() {
+  static saveDraft(flowId, flowData) {
     try {
-      const backupData = storageWrapper.getItem(STORAGE_KEYS.BACKUP_FLOW);
-      
-      if (!backupData) {
+      const savedAt = new Date().toISOString();
+      const draftData = {
+        ...flowData,
+        metadata: {
+          ...flowData.metadata,
+          version: STORAGE_VERSION,
+          flowId,
+          draftSavedAt: savedAt
+        }
+      };
+
+      const validation = this.validateFlowData(draftData);
+      if (!validation.isValid) {
         return {
           success: false,
-          error: 'No backup available',
-          code: 'NO_BACKUP'
+          error: `Draft validation failed: ${validation.error}`,
+          code: 'VALIDATION_ERROR'
         };
       }
 
-      const parsedBackup = JSON.parse(backupData);
-      
+      storageWrapper.setItem(getDraftKey(flowId), JSON.stringify(draftData));
+      return {
+        success: true,
+        data: { savedAt }
+      };
+    } catch (error) {
+      console.warn('Failed to autosave draft:', error);
+      const { code, message } = describeStorageError(error);
+      return { success: false, error: message, code };
+    }
+  }
+
+  /**
+   * Load the autosaved draft of a flow
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {Object} Result object with the draft flow data (null if there
+   *   is no readable draft) and when it was saved
+   */
+  static getDraft(flowId) {
+    try {
+      const storedDraft = storageWrapper.getItem(getDraftKey(flowId));
+      if (!storedDraft) {
+        return { success: true, data: null };
+      }
+
+      const migration = migrateFlowData(JSON.parse(storedDraft));
+      if (!migration.success || !this.validateFlowData(migration.data).isValid) {
+        return { success: true, data: null };
+      }
+
       return {
         success: true,
-        data: parsedBackup,
-        message: 'Backup loaded successfully'
+        data: migration.data,
+        savedAt: migration.data.metadata?.draftSavedAt || null
+      };
+    } catch (error) {
+      console.warn('Autosaved draft is corrupted:', error);
+      return { success: true, data: null };
+    }
+  }
+
+  /**
+   * Remove the autosaved draft of a flow
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {boolean} Success status
+   */
+  static clearDraft(flowId) {
+    try {
+      storageWrapper.removeItem(getDraftKey(flowId));
+      return true;
+    } catch (error) {
+      console.warn('Failed to clear draft:', error);
+      return false;
+    }
+  }
+
+  // ========================================================================================
+  // SNAPSHOTS
+  // ========================================================================================
+
+  /**
+   * Record a timestamped snapshot of a flow
+   * 
+   * Each flow keeps a rolling list of its most recent snapshots; the oldest
+   * is dropped once the limit is reached. Snapshot failures never block the
+   * operation that triggered them.
+   * 
+   * @param {string} flowId - ID of the flow the snapshot belongs to
+   * @param {Object} flowData - Flow data to snapshot
+   * @param {string} reason - Why the snapshot was taken (shown in the history)
+   * @returns {boolean} Success status
+   */
+  static createSnapshot(flowId, flowData, reason) {
+    try {
+      const snapshot = {
+        id: generateId('snapshot'),
+        createdAt: new Date().toISOString(),
+        reason,
+        nodeCount: flowData.nodes?.length || 0,
+        edgeCount: flowData.edges?.length || 0,
+        flowData
       };
 
+      const snapshots = [snapshot, ...this.readSnapshots(flowId)].slice(0, MAX_SNAPSHOTS_PER_FLOW);
+      storageWrapper.setItem(getSnapshotKey(flowId), JSON.stringify(snapshots));
+      return true;
+    } catch (error) {
+      console.warn('Failed to create snapshot:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Keep a flow's stored data as a snapshot if it uses an older schema
+   * Called before the stored data is replaced by its upgrade.
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {boolean} Whether a snapshot was taken
+   */
+  static snapshotOutdatedFlow(flowId) {
+    try {
+      const storedData = storageWrapper.getItem(getFlowKey(flowId));
+      if (!storedData) return false;
+
+      const storedFlow = JSON.parse(storedData);
+      const migration = migrateFlowData(storedFlow);
+      if (!migration.success || !migration.migrated) return false;
+
+      return this.createSnapshot(flowId, storedFlow, `Before upgrade from schema ${migration.fromVersion}`);
+    } catch (error) {
+      console.warn('Failed to check stored flow schema:', error);
+      return false;
+    }
+  }
+
+  /**
+   * List a flow's snapshots, newest first
+   * 
+   * Snapshot data is upgraded to the current schema; snapshots that can no
+   * longer be read are left out.
+   * 
+   * @param {string} flowId - Flow ID
+   * @returns {Object} Result object with an array of snapshots
+   *   ({ id, createdAt, reason, nodeCount, edgeCount, flowData })
+   */
+  static listSnapshots(flowId) {
+    try {
+      const snapshots = this.readSnapshots(flowId)
+        .map((snapshot) => {
+          const migration = migrateFlowData(snapshot.flowData);
+          if (!migration.success || !this.validateFlowData(migration.data).isValid) {
+            return null;
+          }
+          return { ...snapshot, flowData: migration.data };
+        })
+        .filter(Boolean);
+
+      return {
+        success: true,
+        data: snapshots
+      };
     } catch (error) {
-      console.error('Error loading backup:', error);
+      console.error('Error listing snapshots:', error);
       return {
         success: false,
-        error: 'Failed to load backup data',
-        code: 'BACKUP_ERROR',
+        error: 'Failed to read the version history',
+        code: 'SNAPSHOT_ERROR',
         details: error.message
       };
     }
   }
 
+  /**
+   * Read a flow's raw snapshot list
+   * 
+   * @private
+   * @param {string} flowId - Flow ID
+   * @returns {Array} Stored snapshots, newest first
+   */
+  static readSnapshots(flowId) {
+    try {
+      const storedSnapshots = storageWrapper.getItem(getSnapshotKey(flowId));
+      const snapshots = storedSnapshots ? JSON.parse(storedSnapshots) : [];
+      return Array.isArray(snapshots) ? snapshots : [];
+    } catch (error) {
+      console.warn('Snapshot list is corrupted:', error);
+      return [];
+    }
+  }
+
   /**
    * Clear all stored flow data
    * 
-   * Removes all flow-related data from localStorage.
+   * Removes all flow-related data from localStorage, including every
+   * flow in the library.
    * Useful for reset functionality and clearing corrupted data.
    * 
    * @returns {boolean} Success status
    */
   static clearAllData() {
     try {
+      this.readLibraryIndex().forEach((flow) => {
+        storageWrapper.removeItem(getFlowKey(flow.id));
+        storageWrapper.removeItem(getSnapshotKey(flow.id));
+        storageWrapper.removeItem(getDraftKey(flow.id));
+      });
       Object.values(STORAGE_KEYS).forEach(key => {
         storageWrapper.removeItem(key);
       });
@@ -349,8 +1058,9 @@ class FlowStorageManager {
    * 
    * Ensures flow data meets expected format and contains required fields.
    * Prevents saving/loading of corrupted or incomplete data.
+   * Every problem is collected in `errors` (with the offending node or edge)
+   * so imports can report them all; `error` holds the first one.
    * 
-   * @private
    * @param {Object} flowData - Flow data to validate
    * @returns {Object} Validation result with success status and error details
    */
@@ -360,66 +1070,75 @@ class FlowStorageManager {
       if (!flowData || typeof flowData !== 'object') {
         return {
           isValid: false,
-          error: 'Flow data must be a valid object'
+          error: 'Flow data must be a valid object',
+          errors: [{ message: 'Flow data must be a valid object' }]
         };
       }
 
+      const errors = [];
+
       // Validate nodes array
       if (!Array.isArray(flowData.nodes)) {
-        return {
-          isValid: false,
-          error: 'Nodes must be an array'
-        };
+        errors.push({ message: 'Nodes must be an array' });
       }
 
       // Validate edges array
       if (!Array.isArray(flowData.edges)) {
-        return {
-          isValid: false,
-          error: 'Edges must be an array'
-        };
+        errors.push({ message: 'Edges must be an array' });
+      }
+
+      // Variable registry is optional (flows before schema 1.2.0 have none)
+      if (flowData.variables !== undefined && !Array.isArray(flowData.variables)) {
+        errors.push({ message: 'Variables must be an array' });
       }
 
       // Validate individual nodes
-      for (let i = 0; i < flowData.nodes.length; i++) {
-        const node = flowData.nodes[i];
-        if (!node.id || !node.type || !node.position) {
-          return {
-            isValid: false,
-            error: `Node at index ${i} is missing required fields (id, type, position)`
-          };
+      (Array.isArray(flowData.nodes) ? flowData.nodes : []).forEach((node, index) => {
+        if (!node || !node.id || !node.type || !node.position) {
+          errors.push({
+            kind: 'node',
+            index,
+            id: node?.id,
+            message: `Node at index ${index} is missing required fields (id, type, position)`
+          });
+          return;
         }
 
         if (typeof node.position !== 'object' || 
             typeof node.position.x !== 'number' || 
             typeof node.position.y !== 'number') {
-          return {
-            isValid: false,
-            error: `Node at index ${i} has invalid position data`
-          };
+          errors.push({
+            kind: 'node',
+            index,
+            id: node.id,
+            message: `Node at index ${index} has invalid position data`
+          });
         }
-      }
+      });
 
       // Validate individual edges
-      for (let i = 0; i < flowData.edges.length; i++) {
-        const edge = flowData.edges[i];
-        if (!edge.id || !edge.source || !edge.target) {
-          return {
-            isValid: false,
-            error: `Edge at index ${i} is missing required fields (id, source, target)`
-          };
+      (Array.isArray(flowData.edges) ? flowData.edges : []).forEach((edge, index) => {
+        if (!edge || !edge.id || !edge.source || !edge.target) {
+          errors.push({
+            kind: 'edge',
+            index,
+            id: edge?.id,
+            message: `Edge at index ${index} is missing required fields (id, source, target)`
+          });
         }
-      }
+      });
 
       return {
-        isValid: true,
-        error: null
+        isValid: errors.length === 0,
+        error: errors.length > 0 ? errors[0].message : null,
+        errors
       };
 
     } catch (error) {
       return {
         isValid: false,
-        error: `Validation error: ${error.message}`
+        error: `Validation error: ${error.message}`,
+        errors: [{ message: `Validation error: ${error.message}` }]
       };
     }
   }
@@ -460,6 +1179,29 @@ class FlowStorageManager {
         }
       });
 
+      // Named flows and their snapshots live under their own keys
+      this.readLibraryIndex().forEach((flow) => {
+        const data = storageWrapper.getItem(getFlowKey(flow.id));
+        if (data) {
+          stats.totalKeys++;
+          stats.totalSize += data.length;
+          stats.flowData[flow.name] = {
+            size: data.length,
+            lastModified: flow.lastModified
+          };
+        }
+
+        const snapshots = storageWrapper.getItem(getSnapshotKey(flow.id));
+        if (snapshots) {
+          stats.totalKeys++;
+          stats.totalSize += snapshots.length;
+          stats.flowData[`${flow.name} (snapshots)`] = {
+            size: snapshots.length,
+            lastModified: flow.lastModified
+          };
+        }
+      });
+
       return stats;
     } catch (error) {
       return {
@@ -476,8 +1218,17 @@ class FlowStorageManager {
 export const {
   saveCurrentFlow,
   getCurrentFlow,
-  createBackup,
-  loadBackup,
+  openFlow,
+  listFlows,
+  createFlow,
+  renameFlow,
+  duplicateFlow,
+  deleteFlow,
+  saveDraft,
+  getDraft,
+  clearDraft,
+  createSnapshot,
+  listSnapshots,
   clearAllData,
   getStorageStats
 } = FlowStorageManager;
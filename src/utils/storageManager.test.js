@@ -0,0 +1,42 @@
+import FlowStorageManager from './storageManager';
+import { formatFlowData } from './flowUtils';
+import { edge, node } from './testFlowBuilders';
+
+const greetingFlow = () => formatFlowData(
+  [
+    node('start', 'start', { triggers: [{ id: 'trigger_1', type: 'event', value: 'chat_opened' }] }),
+    node('hello', 'textMessage', { text: 'Hello {{name}}!' }),
+  ],
+  [edge('start', 'hello')],
+  [{ name: 'name', type: 'string', defaultValue: 'friend' }]
+);
+
+beforeEach(() => {
+  FlowStorageManager.clearAllData();
+});
+
+describe('FlowStorageManager.duplicateFlow', () => {
+  test('copies the declared variables with the nodes', () => {
+    const original = FlowStorageManager.createFlow('Greeting', greetingFlow());
+    expect(original.success).toBe(true);
+
+    const copy = FlowStorageManager.duplicateFlow(original.data.id);
+
+    expect(copy.success).toBe(true);
+    expect(copy.data.name).toBe('Greeting (copy)');
+    const { data } = FlowStorageManager.loadFlow(copy.data.id);
+    expect(data.nodes.map((copied) => copied.id)).toEqual(['start', 'hello']);
+    expect(data.variables).toEqual([{ name: 'name', type: 'string', defaultValue: 'friend' }]);
+  });
+
+  test('copies every field of the flow data but describes the copy in its metadata', () => {
+    const original = FlowStorageManager.createFlow('Greeting', { ...greetingFlow(), notes: 'Reviewed in May' });
+
+    const copy = FlowStorageManager.duplicateFlow(original.data.id, 'Greeting v2');
+
+    const { data } = FlowStorageManager.loadFlow(copy.data.id);
+    expect(data.notes).toBe('Reviewed in May');
+    expect(data.metadata.flowId).toBe(copy.data.id);
+    expect(data.metadata.name).toBe('Greeting v2');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Subflow helpers for the chatbot flow builder
+ *
+ * A "Go to Flow" (subflow) node runs another saved flow: the conversation
+ * enters at that flow's Start node and comes back through one of its End
+ * nodes, each of which is an output of the subflow node. The node keeps a
+ * copy of the target's name and exits so the flow stays readable (and its
+ * connections valid) on its own; these helpers compare that copy with the
+ * saved target and follow references between flows to find recursion.
+ *
+ * Flows are read through a `loadFlowData(flowId)` function returning
+ * { id, name, nodes, edges, variables } or null, so the helpers stay
+ * independent of storage.
+ */
+
+/**
+ * Describe what a flow looks like from the outside when used as a subflow
+ *
+ * @param {Object} flowData - Flow data ({ nodes })
+ * @returns {Object} Interface: the number of Start nodes and the exits
+ *   (one per End node, as { id, label })
+ */
+export const getFlowInterface = (flowData) => {
+  const nodes = flowData?.nodes || [];
+  const labelCounts = new Map();
+
+  const exits = nodes
+    .filter((node) => node.type === 'end')
+    .map((node) => {
+      const base = (node.data?.outcome || '').trim() || 'End';
+      const count = (labelCounts.get(base) || 0) + 1;
+      labelCounts.set(base, count);
+      return { id: node.id, label: count > 1 ? `${base} ${count}` : base };
+    });
+
+  return {
+    startCount: nodes.filter((node) => node.type === 'start').length,
+    exits,
+  };
+};
+
+/**
+ * List the flows a set of nodes goes to
+ *
+ * @param {Array} nodes - Flow nodes
+ * @returns {Array} Unique flow IDs referenced by subflow nodes
+ */
+export const getSubflowReferences = (nodes = []) => [
+  ...new Set(
+    nodes
+      .filter((node) => node.type === 'subflow' && node.data?.flowId)
+      .map((node) => node.data.flowId)
+  ),
+];
+
+/**
+ * Check whether the exits a subflow node copied still match its target
+ *
+ * @param {Array} cachedExits - Exits stored on the node
+ * @param {Array} exits - Current exits of the target flow
+ * @returns {boolean} Whether they differ
+ */
+export const haveExitsChanged = (cachedExits = [], exits = []) =>
+  cachedExits.length !== exits.length ||
+  cachedExits.some((exit, index) => exit.id !== exits[index].id || exit.label !== exits[index].label);
+
+/**
+ * Follow subflow references from a flow and find a path that comes back
+ * to a flow already on it
+ *
+ * @param {string} flowId - Flow to start from
+ * @param {Function} loadFlowData - Reads a saved flow
+ * @param {Array} path - Flows already entered (the caller's chain)
+ * @returns {Array|null} Flow IDs of the recursive path, ending with the
+ *   repeated flow, or null when there is no recursion
+ */
+export const findRecursivePath = (flowId, loadFlowData, path = []) => {
+  if (path.includes(flowId)) {
+    return [...path, flowId];
+  }
+
+  const flowData = loadFlowData(flowId);
+  if (!flowData) return null;
+
+  for (const targetId of getSubflowReferences(flowData.nodes)) {
+    const recursion = findRecursivePath(targetId, loadFlowData, [...path, flowId]);
+    if (recursion) return recursion;
+  }
+  return null;
+};
+
+/**
+ * Look up the flows a flow goes to
+ *
+ * @param {Array} flowIds - Referenced flow IDs (see getSubflowReferences)
+ * @param {string|null} rootFlowId - ID of the flow being edited
+ * @param {Function} loadFlowData - Reads a saved flow
+ * @returns {Map} Flow ID -> { name, interface, recursion } (recursion is
+ *   a list of flow names, or null); missing flows are left out
+ */
+export const resolveSubflows = (flowIds, rootFlowId, loadFlowData) => {
+  const resolved = new Map();
+  const rootPath = rootFlowId ? [rootFlowId] : [];
+
+  flowIds.forEach((flowId) => {
+    const flowData = loadFlowData(flowId);
+    if (!flowData) return;
+
+    const recursion = findRecursivePath(flowId, loadFlowData, rootPath);
+    resolved.set(flowId, {
+      name: flowData.name,
+      interface: getFlowInterface(flowData),
+      recursion: recursion
+        ? recursion.map((id) => (id === rootFlowId ? 'this flow' : loadFlowData(id)?.name || id))
+        : null,
+    });
+  });
+
+  return resolved;
+};
+
+/**
+ * Collect every flow reachable through subflow nodes, for export
+ *
+ * @param {Array} nodes - Nodes of the exported flow
+ * @param {string|null} rootFlowId - ID of the exported flow (not bundled)
+ * @param {Function} loadFlowData - Reads a saved flow
+ * @returns {Array} Referenced flows as { id, name, nodes, edges, variables }
+ */
+export const collectSubflows = (nodes, rootFlowId, loadFlowData) => {
+  const collected = new Map();
+  const queue = getSubflowReferences(nodes);
+
+  while (queue.length > 0) {
+    const flowId = queue.shift();
+    if (flowId === rootFlowId || collected.has(flowId)) continue;
+
+    const flowData = loadFlowData(flowId);
+    if (!flowData) continue;
+
+    collected.set(flowId, flowData);
+    queue.push(...getSubflowReferences(flowData.nodes));
+  }
+
+  return [...collected.values()];
+};
+
+/**
+ * Point subflow nodes at new flow IDs
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Map} idMap - Old flow ID -> new flow ID
+ * @returns {Array} Nodes with updated references
+ */
+export const remapSubflowReferences = (nodes, idMap) =>
+  nodes.map((node) =>
+    node.type === 'subflow' && idMap.has(node.data?.flowId)
+      ? { ...node, data: { ...node.data, flowId: idMap.get(node.data.flowId) } }
+      : node
+  );
@@ -0,0 +1,32 @@
+/**
+ * Builders for the sample flows used in tests
+ *
+ * Nodes are placed at the origin, since no test looks at the layout, and
+ * edges get an ID made from their ends like the ones drawn on the canvas.
+ */
+
+/**
+ * Build a node
+ *
+ * @param {string} id - Node ID
+ * @param {string} type - Node type (see NODE_TYPES)
+ * @param {Object} data - Node data
+ * @returns {Object} Node
+ */
+export const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+
+/**
+ * Build an edge
+ *
+ * @param {string} source - ID of the node it leaves
+ * @param {string} target - ID of the node it enters
+ * @param {string|null} sourceHandle - Output it leaves from (null for the default one)
+ * @returns {Object} Edge
+ */
+export const edge = (source, target, sourceHandle = null) => ({
+  id: `${source}-${sourceHandle || 'out'}-${target}`,
+  source,
+  target,
+  sourceHandle,
+  targetHandle: null,
+});
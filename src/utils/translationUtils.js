@@ -0,0 +1,433 @@
+/**
+ * Message translations for the chatbot flow builder
+ *
+ * A Send Message node's own text is written in the default locale; its
+ * translations are kept next to it in data.translations, keyed by locale.
+ * These helpers read and write them, and exchange every message of a flow
+ * with translators as CSV (one column per language) or XLIFF 1.2 (one
+ * target language per file). Strings are keyed by node ID.
+ */
+
+import { DEFAULT_LOCALE, LOCALE_LABELS, TRANSLATION_FORMATS } from '../constants/nodeTypes';
+import { extractPlaceholders } from './conversationUtils';
+
+// Largest translation file accepted by the importer
+const MAX_TRANSLATION_FILE_SIZE = 5 * 1024 * 1024;
+
+// Translation file formats by file extension
+const TRANSLATION_FILE_EXTENSIONS = {
+  csv: TRANSLATION_FORMATS.CSV,
+  xlf: TRANSLATION_FORMATS.XLIFF,
+  xliff: TRANSLATION_FORMATS.XLIFF,
+};
+
+// Fixed CSV columns; every other column holds a locale
+const CSV_KEY_COLUMN = 'key';
+const CSV_CONTEXT_COLUMN = 'context';
+
+// Cells spreadsheets would read as a formula (a list item "- ..." included);
+// they are written with a leading apostrophe, which is removed on import
+const CSV_FORMULA_PATTERN = /^[=+\-@]/;
+const CSV_FORMULA_ESCAPE = "'";
+
+/**
+ * Check whether a node has text that can be translated
+ *
+ * @param {Object} node - Flow node
+ * @returns {boolean} Whether the node is a Send Message node
+ */
+export const isTranslatableNode = (node) => node.type === 'textMessage';
+
+/**
+ * Read a message in a locale
+ *
+ * @param {Object} data - Node data
+ * @param {string} locale - Locale code
+ * @returns {string} The translation, or '' when there is none; the
+ *   message's own text for the default locale
+ */
+export const getMessageText = (data = {}, locale = DEFAULT_LOCALE) => (
+  locale === DEFAULT_LOCALE ? data.text || '' : data.translations?.[locale] || ''
+);
+
+/**
+ * Check whether a message still needs translating into a locale
+ * Messages without text of their own have nothing to translate.
+ *
+ * @param {Object} data - Node data
+ * @param {string} locale - Locale code
+ * @returns {boolean} Whether the translation is missing
+ */
+export const isTranslationMissing = (data = {}, locale) => (
+  locale !== DEFAULT_LOCALE
+  && Boolean((data.text || '').trim())
+  && !(data.translations?.[locale] || '').trim()
+);
+
+/**
+ * Build the node data changes that set a message's text in a locale
+ * Clearing a translation removes it, so it shows as missing again.
+ *
+ * @param {Object} data - Current node data
+ * @param {string} locale - Locale code
+ * @param {string} text - New text
+ * @returns {Object} Changes to merge into the node data
+ */
+export const getMessageTextChanges = (data = {}, locale, text) => {
+  if (locale === DEFAULT_LOCALE) {
+    return { text };
+  }
+
+  const { [locale]: previous, ...translations } = data.translations || {};
+  return { translations: text ? { ...translations, [locale]: text } : translations };
+};
+
+/**
+ * List the locales a flow has translations for
+ *
+ * @param {Array} nodes - Flow nodes
+ * @returns {Array} Locale codes other than the default, in LOCALE_LABELS order
+ */
+export const getTranslationLocales = (nodes = []) => {
+  const used = new Set(nodes.flatMap((node) => Object.keys(node.data?.translations || {})));
+  return Object.keys(LOCALE_LABELS).filter((locale) => locale !== DEFAULT_LOCALE && used.has(locale));
+};
+
+/**
+ * Match a locale code from a file to a supported locale
+ * Regional codes fall back to their language ("pt-BR" → "pt").
+ *
+ * @param {string} code - Locale code as written in the file
+ * @returns {string|null} Supported locale code, or null
+ */
+const normalizeLocale = (code = '') => {
+  const lowered = code.trim().toLowerCase().replace('_', '-');
+  if (LOCALE_LABELS[lowered]) return lowered;
+  const language = lowered.split('-')[0];
+  return LOCALE_LABELS[language] ? language : null;
+};
+
+/**
+ * Describe a message for translators: the buttons it is shown with
+ *
+ * @param {Object} node - Send Message node
+ * @returns {string} Context note, or '' when there is nothing to add
+ */
+const getTranslationContext = (node) => {
+  const labels = (node.data?.quickReplies || []).map((quickReply) => quickReply.label).filter(Boolean);
+  return labels.length > 0 ? `Buttons: ${labels.join(' | ')}` : '';
+};
+
+/**
+ * Write a CSV cell: text that looks like a formula is escaped, and cells
+ * are quoted when they contain separators, quotes or line breaks
+ *
+ * @param {string} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value = '') => {
+  const cell = CSV_FORMULA_PATTERN.test(value) ? `${CSV_FORMULA_ESCAPE}${value}` : value;
+  return /[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Read the text of a CSV cell, removing the formula escape of toCsvCell
+ *
+ * @param {string} cell - Cell value
+ * @returns {string} Text
+ */
+const fromCsvCell = (cell) => (
+  cell.startsWith(CSV_FORMULA_ESCAPE) && CSV_FORMULA_PATTERN.test(cell.slice(1)) ? cell.slice(1) : cell
+);
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with separators, doubled quotes and line breaks.
+ *
+ * @param {string} text - CSV text
+ * @param {string} separator - Cell separator
+ * @returns {Array|null} Rows (blank lines skipped), or null when a quote is left open
+ */
+const parseCsvRows = (text, separator) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) return null;
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+/**
+ * Escape text for an XML element or attribute
+ *
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value = '') => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Write every message of a flow as CSV
+ * One row per message, with the default-locale text and one column per locale.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} locales - Locales to include, besides the default
+ * @returns {string} CSV text (with a byte order mark so spreadsheets read it as UTF-8)
+ */
+export const createTranslationCsv = (nodes, locales) => {
+  const columns = [CSV_KEY_COLUMN, CSV_CONTEXT_COLUMN, DEFAULT_LOCALE, ...locales];
+  const rows = nodes
+    .filter((node) => isTranslatableNode(node) && (node.data?.text || '').trim())
+    .map((node) => [
+      node.id,
+      getTranslationContext(node),
+      node.data.text,
+      ...locales.map((locale) => getMessageText(node.data, locale)),
+    ]);
+
+  return `\uFEFF${[columns, ...rows].map((cells) => cells.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Write every message of a flow as an XLIFF 1.2 file for one target locale
+ * Messages without a translation get an empty target marked "new".
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {string} locale - Target locale
+ * @param {string} flowName - Flow name, recorded as the file's origin
+ * @returns {string} XLIFF document
+ */
+export const createTranslationXliff = (nodes, locale, flowName) => {
+  const units = nodes
+    .filter((node) => isTranslatableNode(node) && (node.data?.text || '').trim())
+    .map((node) => {
+      const translation = getMessageText(node.data, locale);
+      const context = getTranslationContext(node);
+      return [
+        `      <trans-unit id="${escapeXml(node.id)}" xml:space="preserve">`,
+        `        <source>${escapeXml(node.data.text)}</source>`,
+        `        <target state="${translation ? 'translated' : 'new'}">${escapeXml(translation)}</target>`,
+        ...(context ? [`        <note>${escapeXml(context)}</note>`] : []),
+        '      </trans-unit>',
+      ].join('\n');
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file original="${escapeXml(flowName)}" source-language="${DEFAULT_LOCALE}" target-language="${locale}" datatype="plaintext">`,
+    '    <body>',
+    ...units,
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Read the translations from CSV text
+ *
+ * @param {string} text - CSV text
+ * @returns {Object} Result object with the entries ({ key, locale, text })
+ *   and the columns that are not a supported locale
+ */
+const parseTranslationCsv = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  // Spreadsheets set to some regions save with semicolons
+  const separator = header.includes(',') || !header.includes(';') ? ',' : ';';
+  const rows = parseCsvRows(text, separator);
+  if (!rows) {
+    return { success: false, error: 'The file has a quoted cell that is never closed' };
+  }
+
+  const [columns = [], ...dataRows] = rows;
+  const keyIndex = columns.findIndex((column) => column.trim().toLowerCase() === CSV_KEY_COLUMN);
+  if (keyIndex === -1) {
+    return { success: false, error: `The first row needs a "${CSV_KEY_COLUMN}" column with the message IDs` };
+  }
+
+  const skippedColumns = [];
+  const localeColumns = [];
+  columns.forEach((column, index) => {
+    const name = column.trim();
+    if (index === keyIndex || name.toLowerCase() === CSV_CONTEXT_COLUMN || !name) return;
+    const locale = normalizeLocale(name);
+    if (locale === DEFAULT_LOCALE) return;
+    if (locale) {
+      localeColumns.push({ index, locale });
+    } else {
+      skippedColumns.push(name);
+    }
+  });
+
+  const entries = dataRows.flatMap((cells) => {
+    const key = (cells[keyIndex] || '').trim();
+    if (!key) return [];
+    return localeColumns
+      .filter(({ index }) => (cells[index] || '').trim())
+      .map(({ index, locale }) => ({ key, locale, text: fromCsvCell(cells[index]) }));
+  });
+
+  return { success: true, data: { entries, skippedLocales: skippedColumns } };
+};
+
+/**
+ * Read the translations from an XLIFF 1.2 document
+ *
+ * @param {string} text - XLIFF document
+ * @returns {Object} Result object with the entries ({ key, locale, text })
+ *   and the target languages that are not supported
+ */
+const parseTranslationXliff = (text) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    return { success: false, error: 'The file is not valid XML' };
+  }
+
+  const files = Array.from(xml.getElementsByTagName('file'));
+  if (files.length === 0) {
+    return { success: false, error: 'The file has no XLIFF <file> element' };
+  }
+
+  const skippedLocales = [];
+  const entries = files.flatMap((file) => {
+    const targetLanguage = file.getAttribute('target-language') || '';
+    const locale = normalizeLocale(targetLanguage);
+    if (!locale || locale === DEFAULT_LOCALE) {
+      skippedLocales.push(targetLanguage || '(no target language)');
+      return [];
+    }
+
+    return Array.from(file.getElementsByTagName('trans-unit')).flatMap((unit) => {
+      const target = unit.getElementsByTagName('target')[0];
+      const key = unit.getAttribute('id');
+      if (!key || !target || !target.textContent.trim()) return [];
+      return [{ key, locale, text: target.textContent }];
+    });
+  });
+
+  return { success: true, data: { entries, skippedLocales } };
+};
+
+/**
+ * Read a translation file chosen by the user
+ * Never rejects: failures are returned as result objects.
+ *
+ * @param {File} file - .csv, .xlf or .xliff file
+ * @returns {Promise<Object>} Result object with the entries ({ key, locale,
+ *   text }) and the languages that were skipped, or an error
+ */
+export const readTranslationFile = (file) => new Promise((resolve) => {
+  if (!file) {
+    resolve({ success: false, error: 'No file selected' });
+    return;
+  }
+
+  const format = TRANSLATION_FILE_EXTENSIONS[file.name.toLowerCase().split('.').pop()];
+  if (!format) {
+    resolve({ success: false, error: `"${file.name}" is not a .csv, .xlf or .xliff file` });
+    return;
+  }
+
+  if (file.size > MAX_TRANSLATION_FILE_SIZE) {
+    resolve({ success: false, error: `"${file.name}" is larger than 5 MB` });
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const text = String(reader.result).replace(/^\uFEFF/, '');
+    const result = format === TRANSLATION_FORMATS.CSV ? parseTranslationCsv(text) : parseTranslationXliff(text);
+    resolve(result.success ? result : { ...result, error: `"${file.name}": ${result.error}` });
+  };
+  reader.onerror = () => {
+    resolve({ success: false, error: `"${file.name}" could not be read` });
+  };
+  reader.readAsText(file);
+});
+
+/**
+ * Apply imported translations to the flow's messages
+ * Entries for unknown messages are reported, not applied; the message's
+ * own text is never changed.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Array} entries - Imported entries ({ key, locale, text })
+ * @returns {Object} { nodes, updatedCount, locales (those updated),
+ *   unknownKeys, placeholderMismatches (notes on translations whose
+ *   {{placeholders}} differ from the original) }
+ */
+export const applyTranslations = (nodes, entries) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const translationsById = new Map();
+  const unknownKeys = [];
+  const placeholderMismatches = [];
+  const locales = new Set();
+  let updatedCount = 0;
+
+  entries.forEach(({ key, locale, text }) => {
+    const node = nodesById.get(key);
+    if (!node || !isTranslatableNode(node)) {
+      if (!unknownKeys.includes(key)) unknownKeys.push(key);
+      return;
+    }
+
+    const translations = translationsById.get(key) || node.data?.translations || {};
+    if (translations[locale] === text) return;
+
+    translationsById.set(key, { ...translations, [locale]: text });
+    locales.add(locale);
+    updatedCount += 1;
+
+    const expected = extractPlaceholders(node.data?.text).sort().join();
+    if (extractPlaceholders(text).sort().join() !== expected) {
+      placeholderMismatches.push(`${LOCALE_LABELS[locale]} text of "${key}" uses different {{variables}} than the original`);
+    }
+  });
+
+  return {
+    nodes: nodes.map((node) => (translationsById.has(node.id)
+      ? { ...node, data: { ...node.data, translations: translationsById.get(node.id) } }
+      : node
+    )),
+    updatedCount,
+    locales: [...locales],
+    unknownKeys,
+    placeholderMismatches,
+  };
+};
@@ -0,0 +1,130 @@
+import {
+  applyTranslations,
+  createTranslationCsv,
+  createTranslationXliff,
+  readTranslationFile
+} from './translationUtils';
+import { node } from './testFlowBuilders';
+
+const message = (id, text, translations) =>
+  node(id, 'textMessage', { text, ...(translations && { translations }) });
+
+const file = (text, name = 'strings.csv') => new File([text], name);
+
+const readEntries = async (text, name) => {
+  const result = await readTranslationFile(file(text, name));
+  expect(result.success).toBe(true);
+  return result.data.entries;
+};
+
+describe('translation CSV', () => {
+  test('round-trips messages with quotes, separators and line breaks', async () => {
+    const nodes = [
+      message('hello', 'Hello, "friend"', { es: 'Hola, "amigo"\nbienvenido' }),
+      message('bye', 'Bye', { es: 'Adiós' }),
+    ];
+
+    const csv = createTranslationCsv(nodes, ['es']);
+
+    expect(csv.startsWith('\uFEFFkey,context,en,es\r\n')).toBe(true);
+    expect(await readEntries(csv)).toEqual([
+      { key: 'hello', locale: 'es', text: 'Hola, "amigo"\nbienvenido' },
+      { key: 'bye', locale: 'es', text: 'Adiós' },
+    ]);
+  });
+
+  test('reads quoted line breaks and doubled quotes written by spreadsheets', async () => {
+    const csv = 'key,en,fr\r\nhello,Hello,"Bonjour\r\n""toi"""\r\n\r\nbye,Bye,Salut\r\n';
+
+    expect(await readEntries(csv)).toEqual([
+      { key: 'hello', locale: 'fr', text: 'Bonjour\r\n"toi"' },
+      { key: 'bye', locale: 'fr', text: 'Salut' },
+    ]);
+  });
+
+  test('reads files saved with semicolons and a byte order mark', async () => {
+    const csv = '\uFEFFkey;context;en;de-DE\nhello;;Hello, you;Hallo, du\n';
+
+    expect(await readEntries(csv)).toEqual([{ key: 'hello', locale: 'de', text: 'Hallo, du' }]);
+  });
+
+  test('escapes cells spreadsheets would read as formulas', async () => {
+    const nodes = [message('list', '- Pizza\n- Pasta', { it: '- Pizza\n- Pasta' }), message('sum', '=1+1')];
+
+    const csv = createTranslationCsv(nodes, ['it']);
+
+    expect(csv).toContain('"\'- Pizza\n- Pasta"');
+    expect(csv).toContain("'=1+1");
+    expect(await readEntries(csv)).toEqual([{ key: 'list', locale: 'it', text: '- Pizza\n- Pasta' }]);
+  });
+
+  test('reports columns that are not a supported language', async () => {
+    const result = await readTranslationFile(file('key,en,xx,es\nhello,Hello,?,Hola\n'));
+
+    expect(result.data.skippedLocales).toEqual(['xx']);
+    expect(result.data.entries).toEqual([{ key: 'hello', locale: 'es', text: 'Hola' }]);
+  });
+
+  test('refuses files without a key column or with an open quote', async () => {
+    expect((await readTranslationFile(file('id,en,es\nhello,Hello,Hola\n'))).success).toBe(false);
+    expect((await readTranslationFile(file('key,en,es\nhello,Hello,"Hola\n'))).error)
+      .toBe('"strings.csv": The file has a quoted cell that is never closed');
+  });
+});
+
+describe('translation XLIFF', () => {
+  test('round-trips the messages of one language', async () => {
+    const nodes = [message('hello', 'Hello & <welcome>', { es: 'Hola & <bienvenido>' }), message('bye', 'Bye')];
+
+    const xliff = createTranslationXliff(nodes, 'es', 'Support');
+
+    expect(xliff).toContain('target-language="es"');
+    expect(xliff).toContain('Hello &amp; &lt;welcome&gt;');
+    expect(await readEntries(xliff, 'support.es.xlf')).toEqual([
+      { key: 'hello', locale: 'es', text: 'Hola & <bienvenido>' },
+    ]);
+  });
+
+  test('refuses documents that are not XML', async () => {
+    const result = await readTranslationFile(file('<xliff><file>', 'broken.xliff'));
+
+    expect(result).toEqual({ success: false, error: '"broken.xliff": The file is not valid XML' });
+  });
+});
+
+describe('applyTranslations', () => {
+  test('adds translations and leaves the original text alone', () => {
+    const nodes = [message('hello', 'Hello {{name}}', { fr: 'Bonjour {{name}}' }), message('bye', 'Bye')];
+
+    const applied = applyTranslations(nodes, [
+      { key: 'hello', locale: 'es', text: 'Hola {{name}}' },
+      { key: 'hello', locale: 'fr', text: 'Bonjour {{name}}' },
+      { key: 'bye', locale: 'es', text: 'Adiós' },
+    ]);
+
+    expect(applied.updatedCount).toBe(2);
+    expect(applied.locales).toEqual(['es']);
+    expect(applied.nodes[0].data).toEqual({
+      text: 'Hello {{name}}',
+      translations: { fr: 'Bonjour {{name}}', es: 'Hola {{name}}' },
+    });
+    expect(applied.nodes[1].data.translations).toEqual({ es: 'Adiós' });
+    expect(applied.placeholderMismatches).toEqual([]);
+  });
+
+  test('reports unknown keys and placeholder mismatches', () => {
+    const nodes = [message('hello', 'Hello {{name}}')];
+
+    const applied = applyTranslations(nodes, [
+      { key: 'hello', locale: 'de', text: 'Hallo {{nombre}}' },
+      { key: 'gone', locale: 'de', text: 'Weg' },
+      { key: 'gone', locale: 'fr', text: 'Parti' },
+    ]);
+
+    expect(applied.updatedCount).toBe(1);
+    expect(applied.unknownKeys).toEqual(['gone']);
+    expect(applied.placeholderMismatches).toEqual([
+      'German text of "hello" uses different {{variables}} than the original',
+    ]);
+  });
+});